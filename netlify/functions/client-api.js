@@ -12,11 +12,42 @@
 //  action=record_hit      { site, meta }
 //  action=create_lead     { site, name, email, phone, extra? }
 //  action=create_feedback { site, rating, comment, name?, email? }
+//    (create_lead/create_feedback: limite por IP; campo oculto _hp preenchido marca spam=true para o GAS)
 //  action=feedback_set_approval { site, id, approved, pin }
 //
 // Requer no Netlify: GAS_BASE_URL=https://script.google.com/macros/s/XXXX/exec
 const GAS_BASE_URL = process.env.GAS_BASE_URL || process.env.ELEVEA_GAS_EXEC_URL || process.env.SHEETS_WEBAPP_URL || "";
 
+// Limite por IP das instâncias quentes da função (melhor esforço: cada instância conta à parte)
+const FORM_RATE_WINDOW_MS = Number(process.env.FORM_RATE_WINDOW_MINUTES || 10) * 60 * 1000;
+const FORM_RATE_MAX_PER_IP = Number(process.env.FORM_RATE_MAX_PER_IP || 5);
+const formHits = new Map();
+
+function clientIp(event) {
+  const h = event.headers || {};
+  return String(h["x-nf-client-connection-ip"] || h["x-forwarded-for"] || "").split(",")[0].trim();
+}
+
+function formRateLimited(ip) {
+  if (!ip) return false;
+  const now = Date.now();
+  const entry = formHits.get(ip);
+  if (!entry || entry.resetAt <= now) {
+    for (const [k, e] of formHits) if (e.resetAt <= now) formHits.delete(k);
+    formHits.set(ip, { count: 1, resetAt: now + FORM_RATE_WINDOW_MS });
+    return false;
+  }
+  entry.count += 1;
+  return entry.count > FORM_RATE_MAX_PER_IP;
+}
+
+// Mesmo padrão do backend: spam suspeito segue para o GAS marcado, em vez de ser descartado
+function spamFlags(body) {
+  const reasons = [];
+  if (String(body._hp || "").trim()) reasons.push("honeypot_filled");
+  return { spam: reasons.length > 0, spam_reasons: reasons };
+}
+
 function cors() {
   return {
     "Access-Control-Allow-Origin": "*",
@@ -106,6 +137,15 @@ exports.handler = async (event) => {
     if (event.httpMethod === "POST") {
       const body = JSON.parse(event.body || "{}");
       const action = String(body.action || "").toLowerCase();
+      const ip = clientIp(event);
+
+      if ((action === "create_lead" || action === "create_feedback") && formRateLimited(ip)) {
+        return {
+          statusCode: 429,
+          headers: { ...headers, "Retry-After": String(Math.ceil(FORM_RATE_WINDOW_MS / 1000)) },
+          body: JSON.stringify({ ok: false, error: "rate_limited" }),
+        };
+      }
 
       if (action === "save_settings") {
         const site = String(body.site || "").trim().toUpperCase();
@@ -159,7 +199,9 @@ exports.handler = async (event) => {
             name: body.name || "",
             email: body.email || "",
             phone: body.phone || "",
-            source: body.source || "site"
+            source: body.source || "site",
+            ip: ip,
+            ...spamFlags(body)
           }),
         });
         const j = await r.json().catch(() => ({}));
@@ -179,7 +221,9 @@ exports.handler = async (event) => {
             comment: body.comment || "",
             name: body.name || "",
             email: body.email || "",
-            phone: body.phone || ""
+            phone: body.phone || "",
+            ip: ip,
+            ...spamFlags(body)
           }),
         });
         const j = await r.json().catch(() => ({}));
@@ -46,10 +46,8 @@ async function tryImport(basePath) {
 
 async function startEleveaServer() {
   try {
-    let initDatabase, seedDatabase;
-    let authRoutes, subscriptionRoutes, settingsRoutes, assetsRoutes;
-    let leadsRoutes, feedbacksRoutes, trafficRoutes, sitesRoutes;
-    let SubscriptionService;
+    let initDatabase, seedDatabase, mountApiRoutes;
+    let SubscriptionService, WebhookInboxService, SessionService, NotificationService, SiteHookService, TrafficRollupService;
 
     try {
       // DB e serviços
@@ -62,30 +60,24 @@ async function startEleveaServer() {
       const subscriptionModule = await tryImport("./src/services/subscriptionService");
       SubscriptionService = subscriptionModule.SubscriptionService;
 
-      // Rotas
-      const authModule = await tryImport("./src/routes/auth");
-      authRoutes = authModule.default;
+      const webhookInboxModule = await tryImport("./src/services/webhookInboxService");
+      WebhookInboxService = webhookInboxModule.WebhookInboxService;
 
-      const subscriptionRoutesModule = await tryImport("./src/routes/subscription");
-      subscriptionRoutes = subscriptionRoutesModule.default;
+      const sessionModule = await tryImport("./src/services/sessionService");
+      SessionService = sessionModule.SessionService;
 
-      const settingsModule = await tryImport("./src/routes/settings");
-      settingsRoutes = settingsModule.default;
+      const notificationModule = await tryImport("./src/services/notificationService");
+      NotificationService = notificationModule.NotificationService;
 
-      const assetsModule = await tryImport("./src/routes/assets");
-      assetsRoutes = assetsModule.default;
+      const siteHookModule = await tryImport("./src/services/siteHookService");
+      SiteHookService = siteHookModule.SiteHookService;
 
-      const leadsModule = await tryImport("./src/routes/leads");
-      leadsRoutes = leadsModule.default;
+      const trafficRollupModule = await tryImport("./src/services/trafficRollupService");
+      TrafficRollupService = trafficRollupModule.TrafficRollupService;
 
-      const feedbacksModule = await tryImport("./src/routes/feedbacks");
-      feedbacksRoutes = feedbacksModule.default;
-
-      const trafficModule = await tryImport("./src/routes/traffic");
-      trafficRoutes = trafficModule.default;
-
-      const sitesModule = await tryImport("./src/routes/sites");
-      sitesRoutes = sitesModule.default;
+      // Rotas (tabela única, a mesma do src/server.js)
+      const routesModule = await tryImport("./src/routes/index");
+      mountApiRoutes = routesModule.mountApiRoutes;
 
       console.log("✅ ELEVEA modules loaded successfully");
     } catch (error) {
@@ -94,8 +86,9 @@ async function startEleveaServer() {
 
     const app = express();
 
-    // Trust proxy (para IP correto em Replit)
-    app.set("trust proxy", true);
+    // Confia só nos proxies à frente da API (1 = Netlify/Replit); req.ip vem do X-Forwarded-For
+    // a partir dessa posição, então um cabeçalho forjado pelo cliente não troca o IP dos limites
+    app.set("trust proxy", parseInt(process.env.TRUST_PROXY_HOPS || "1"));
 
     // Middlewares
     app.use(
@@ -104,6 +97,7 @@ async function startEleveaServer() {
         credentials: true,
         methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
         allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
+        exposedHeaders: ["Content-Disposition"], // nome do arquivo nas exportações baixadas via fetch
       })
     );
     app.use(express.json({ limit: "10mb" }));
@@ -162,61 +156,36 @@ async function startEleveaServer() {
               "Settings with VIP PIN",
               "Assets Upload",
               "Leads Collection",
-              "Feedbacks with Approval",
-              "Traffic Analytics",
+              "Lead Pipeline & Follow-ups",
+              "Lead Export (CSV, XLSX, vCard)",
+              "Lead Import (CSV, XLSX)",
+              "Lead Duplicates & Merge",
+              "Lead Notifications (email, webhook, digests)",
+              "Feedbacks with Moderation & Replies",
+              "Spam Protection & Quarantine",
+              "Traffic Analytics (sources, UTM campaigns, devices, rollups, bot filtering)",
               "Subscription Management",
+              "Payments Ledger (Mercado Pago)",
+              "Account Lifecycle",
+              "Site Members & Invitations",
+              "Public Sign-up & Onboarding",
+              "Site Webhooks (signed events, retries)",
+              "Testimonials Widget (embed, JSON-LD)",
+              "Review Requests (single-use links, email/WhatsApp)",
             ],
           });
         });
 
         // Rotas
-        if (authRoutes) app.use("/api/auth", authRoutes);
-        if (subscriptionRoutes) app.use("/api/subscription", subscriptionRoutes);
-        if (settingsRoutes) app.use("/api/settings", settingsRoutes);
-        if (assetsRoutes) app.use("/api/assets", assetsRoutes);
-        if (leadsRoutes) app.use("/api/leads", leadsRoutes);
-        if (feedbacksRoutes) app.use("/api/feedbacks", feedbacksRoutes);
-        if (trafficRoutes) app.use("/api/traffic", trafficRoutes);
-        if (sitesRoutes) app.use("/api", sitesRoutes);
-
-        // Compat: client-plan “legado”
-        app.get("/api/client-plan", async (req, res) => {
-          try {
-            const { email } = req.query;
-            if (!email) {
-              return res.status(400).json({ ok: false, error: "email_required" });
-            }
-            if (SubscriptionService) {
-              const status = await SubscriptionService.getSubscriptionStatus(null, email);
-              res.json({
-                ok: true,
-                plan: status.plan,
-                status: status.status,
-                siteSlug: status.siteSlug,
-                features: {
-                  leads: true,
-                  feedbacks: true,
-                  traffic: true,
-                  assets: status.isVip,
-                },
-              });
-            } else {
-              res.json({
-                ok: true,
-                plan: "essential",
-                status: "active",
-                siteSlug: "demo",
-                features: { leads: true, feedbacks: true, traffic: true, assets: true },
-              });
-            }
-          } catch (error) {
-            console.error("Legacy client-plan error:", error);
-            res.status(500).json({ ok: false, error: "internal_error" });
-          }
-        });
+        if (mountApiRoutes) mountApiRoutes(app);
 
         console.log("✅ ELEVEA API routes configured");
       } catch (error) {
+        // Banco migrado por uma versão mais nova: subir com este código corromperia os dados
+        if (error?.code === "DATABASE_AHEAD_OF_CODE") {
+          console.error("❌ Refusing to start:", error.message);
+          process.exit(1);
+        }
         console.warn("⚠️  ELEVEA initialization failed:", error?.message || error);
       }
     }
@@ -289,17 +258,75 @@ async function startEleveaServer() {
             "GET /api/health",
             "POST /api/auth/login",
             "GET /api/auth/me",
+            "POST /api/auth/refresh",
+            "POST /api/auth/logout",
+            "GET /api/auth/sessions",
+            "POST /api/auth/password",
+            "POST /api/auth/email",
+            "GET /api/admin/users",
+            "GET /api/site-members",
+            "GET /api/notifications/settings",
+            "PUT /api/notifications/settings",
+            "GET /api/notifications/deliveries",
+            "POST /api/notifications/deliveries/:id/retry",
+            "PATCH /api/feedbacks/:id/moderation",
+            "POST /api/feedbacks/bulk/approve",
+            "POST /api/feedbacks/bulk/reject",
+            "PUT /api/feedbacks/:id/reply",
+            "GET /api/widgets/testimonials/:site",
+            "GET /api/widgets/testimonials/:site/embed.js",
+            "GET /api/review-requests",
+            "POST /api/review-requests",
+            "GET /api/review-requests/stats",
+            "GET /api/review-requests/open",
+            "POST /api/review-requests/submit",
+            "GET /api/hooks",
+            "POST /api/hooks",
+            "PATCH /api/hooks/:id",
+            "POST /api/hooks/:id/test",
+            "GET /api/hooks/:id/deliveries",
+            "POST /api/hooks/deliveries/:id/retry",
+            "POST /api/site-members/invitations",
+            "POST /api/site-members/invitations/accept",
             "GET /api/subscription/status",
+            "GET /api/subscription/dunning/preview",
+            "POST /api/payments/webhook",
+            "GET /api/payments",
+            "GET /api/admin/webhooks",
+            "POST /api/admin/webhooks/:id/replay",
+            "POST /api/sites",
+            "GET /api/status",
+            "GET /api/client-plan",
+            "GET /api/client-billing",
             "GET /api/settings",
             "POST /api/settings",
             "GET /api/assets",
+            "POST /api/assets",
             "PUT /api/assets",
             "POST /api/leads",
             "GET /api/leads",
+            "GET /api/leads/export",
+            "POST /api/leads/import",
+            "GET /api/leads/pipeline",
+            "GET /api/leads/follow-ups",
+            "GET /api/leads/duplicates",
+            "POST /api/leads/merge",
+            "PATCH /api/leads/:id",
+            "GET /api/leads/:id/notes",
+            "POST /api/leads/:id/notes",
             "POST /api/feedbacks",
             "GET /api/feedbacks",
+            "PATCH /api/feedbacks/:id/approval",
+            "PATCH /api/feedbacks/:id/quarantine",
+            "GET /api/form-token",
+            "POST /api/hit",
             "POST /api/traffic/hit",
+            "GET /api/traffic",
             "GET /api/traffic/daily",
+            "GET /api/traffic/sources",
+            "GET /api/traffic/campaigns",
+            "GET /api/traffic/devices",
+            "GET /api/traffic/crawlers",
             "GET /api/site-status",
             "POST /api/site/toggle",
           ],
@@ -359,7 +386,7 @@ async function startEleveaServer() {
         try {
           const result = await SubscriptionService.processGracePeriodCheck();
           if (result?.processed > 0) {
-            console.log(`⏰ Grace period check: ${result.processed} accounts processed`);
+            console.log(`⏰ Dunning check: ${result.processed} accounts processed`);
           }
         } catch (error) {
           console.error("Grace period check error:", error);
@@ -367,6 +394,91 @@ async function startEleveaServer() {
       }, 24 * 60 * 60 * 1000);
     }
 
+    // Reprocessa notificações de webhook que falharam (inbox)
+    if (WebhookInboxService?.processDueEvents) {
+      setInterval(async () => {
+        try {
+          const result = await WebhookInboxService.processDueEvents();
+          if (result?.attempted > 0) {
+            console.log(`📬 Webhook retry: ${result.processed}/${result.attempted} events processed`);
+          }
+        } catch (error) {
+          console.error("Webhook retry error:", error);
+        }
+      }, 60 * 1000);
+    }
+
+    // Reenvia notificações de leads que falharam e dispara os resumos por hora/dia
+    if (NotificationService?.processDueDeliveries) {
+      setInterval(async () => {
+        try {
+          const retried = await NotificationService.processDueDeliveries();
+          if (retried?.attempted > 0) {
+            console.log(`🔔 Notification retry: ${retried.sent}/${retried.attempted} deliveries sent`);
+          }
+          const digests = await NotificationService.sendDueDigests();
+          if (digests?.queued > 0) {
+            console.log(`🔔 Lead digests: ${digests.queued} emails queued`);
+          }
+        } catch (error) {
+          console.error("Notification retry error:", error);
+        }
+      }, 60 * 1000);
+    }
+
+    // Reenvia entregas de webhooks dos sites (backoff exponencial)
+    if (SiteHookService?.processDueDeliveries) {
+      setInterval(async () => {
+        try {
+          const result = await SiteHookService.processDueDeliveries();
+          if (result?.attempted > 0) {
+            console.log(`🪝 Site hooks retry: ${result.delivered}/${result.attempted} deliveries delivered`);
+          }
+        } catch (error) {
+          console.error("Site hooks retry error:", error);
+        }
+      }, 60 * 1000);
+    }
+
+    // Limpa sessões expiradas/revogadas (diário)
+    if (SessionService?.purgeExpiredSessions) {
+      setInterval(async () => {
+        try {
+          const result = await SessionService.purgeExpiredSessions();
+          if (result?.purged > 0) {
+            console.log(`🧹 Sessions purge: ${result.purged} sessions removed`);
+          }
+        } catch (error) {
+          console.error("Sessions purge error:", error);
+        }
+      }, 24 * 60 * 60 * 1000);
+    }
+
+    // Agrega os acessos novos nos rollups de tráfego
+    if (TrafficRollupService?.rollUpPending) {
+      setInterval(async () => {
+        try {
+          await TrafficRollupService.rollUpPending();
+        } catch (error) {
+          console.error("Traffic rollup error:", error);
+        }
+      }, 60 * 1000);
+    }
+
+    // Compacta acessos brutos mais antigos que TRAFFIC_RETENTION_DAYS, já agregados (LGPD)
+    if (TrafficRollupService?.compactRawHits) {
+      setInterval(async () => {
+        try {
+          const result = await TrafficRollupService.compactRawHits();
+          if (result?.compacted > 0) {
+            console.log(`🧹 Traffic compaction: ${result.compacted} raw hits older than ${result.retentionDays} days removed`);
+          }
+        } catch (error) {
+          console.error("Traffic compaction error:", error);
+        }
+      }, 24 * 60 * 60 * 1000);
+    }
+
     // Graceful shutdown
     const shutdown = async () => {
       console.log("🛑 Shutting down gracefully...");
@@ -8,6 +8,8 @@ const IndexPage       = lazy(() => import("@/pages/index"));              // hom
 const LoginPage       = lazy(() => import("@/pages/auth/Login"));         // <-- caminho novo e correto
 const ClientDashboard = lazy(() => import("@/pages/client/Dashboard"));
 const AdminDashboard  = lazy(() => import("@/pages/admin/Dashboard"));
+const InvitePage      = lazy(() => import("@/pages/convite"));            // aceite de convite para um site
+const ReviewPage      = lazy(() => import("@/pages/avaliar"));            // pedido de avaliação (link de uso único)
 
 function Loader() {
   return (
@@ -36,6 +38,12 @@ export default function App() {
               }
             />
 
+            {/* Convite para o painel de um site (link enviado por e-mail) */}
+            <Route path="/convite" element={<InvitePage />} />
+
+            {/* Avaliação pedida pelo dono do site (link enviado por e-mail/WhatsApp) */}
+            <Route path="/avaliar" element={<ReviewPage />} />
+
             {/* Área do cliente (protegida) */}
             <Route
               path="/client/dashboard"
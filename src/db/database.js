@@ -1,43 +1,46 @@
 import Database from 'better-sqlite3';
 import { promises as fs } from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { migrate } from './migrator.js';
 
 // Database configuration for ELEVEA
 const DB_PATH = path.join(process.cwd(), 'data', 'elevea.db');
 
 let db = null;
 
+// Opens the connection without touching the schema (the migrate CLI starts here)
+export async function openDatabase() {
+  if (db) return db;
+
+  // Ensure data directory exists
+  const dataDir = path.dirname(DB_PATH);
+  try {
+    await fs.access(dataDir);
+  } catch {
+    await fs.mkdir(dataDir, { recursive: true });
+    console.log('📁 Created data directory');
+  }
+
+  // Initialize SQLite database
+  db = new Database(DB_PATH);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  return db;
+}
+
+// Applies pending migrations; refuses to start when the database was migrated by a newer build
 export async function initDatabase() {
   if (db) return db;
 
   try {
-    // Ensure data directory exists
-    const dataDir = path.dirname(DB_PATH);
-    try {
-      await fs.access(dataDir);
-    } catch {
-      await fs.mkdir(dataDir, { recursive: true });
-      console.log('📁 Created data directory');
-    }
-
-    // Initialize SQLite database
-    db = new Database(DB_PATH);
-    db.pragma('journal_mode = WAL');
-    db.pragma('foreign_keys = ON');
-    
-    // Load and execute schema
-    const schemaPath = path.join(__dirname, 'schema.sql');
-    const schema = await fs.readFile(schemaPath, 'utf-8');
-    db.exec(schema);
+    await openDatabase();
+    await migrate(db);
     
     console.log('✅ ELEVEA database initialized');
     return db;
   } catch (error) {
     console.error('❌ Database initialization failed:', error);
+    closeDatabase();
     throw error;
   }
 }
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+// Schema migrations CLI (run from the project root, next to data/elevea.db):
+//   npm run db:migrate              apply pending migrations (--to N stops at version N)
+//   npm run db:rollback             revert the last migration (--steps N, or --to N)
+//   npm run db:status               show applied and pending migrations
+import { openDatabase, closeDatabase } from './database.js';
+import { migrate, rollback, getStatus, label } from './migrator.js';
+
+function readOption(args, name) {
+  const index = args.indexOf(`--${name}`);
+  if (index === -1) return null;
+  const value = parseInt(args[index + 1]);
+  if (isNaN(value)) {
+    throw new Error(`--${name} expects a number`);
+  }
+  return value;
+}
+
+function printStatus(status) {
+  console.log(`Current version: ${status.current} (latest in code: ${status.latest})`);
+  for (const row of status.applied.filter(row => !status.unknown.includes(row))) {
+    console.log(`  [x] ${label(row)}  ${row.applied_at}`);
+  }
+  for (const row of status.pending) {
+    console.log(`  [ ] ${label(row)}`);
+  }
+  for (const row of status.unknown) {
+    console.log(`  [!] ${label(row)}  applied by a newer build`);
+  }
+}
+
+async function main() {
+  const [command = 'status', ...args] = process.argv.slice(2);
+  const db = await openDatabase();
+
+  try {
+    if (command === 'up') {
+      const result = await migrate(db, { to: readOption(args, 'to') });
+      if (result.applied.length === 0) console.log('Nothing to migrate');
+      printStatus(result);
+    } else if (command === 'down') {
+      const to = readOption(args, 'to');
+      const result = await rollback(db, { steps: readOption(args, 'steps') ?? 1, to });
+      if (result.rolledBack.length === 0) console.log('Nothing to roll back');
+      printStatus(result);
+    } else if (command === 'status') {
+      printStatus(await getStatus(db));
+    } else {
+      throw new Error(`unknown command "${command}" (use up, down or status)`);
+    }
+  } finally {
+    closeDatabase();
+  }
+}
+
+main().catch(error => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,161 @@
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const BASELINE_SQL = readFileSync(path.join(__dirname, '001_baseline.sql'), 'utf-8');
+
+// Columns added after the first release; CREATE TABLE IF NOT EXISTS does not touch existing tables
+const COLUMN_UPGRADES = [
+  { table: 'users', column: 'status', definition: "TEXT NOT NULL DEFAULT 'active'" },
+  { table: 'sites', column: 'email', definition: 'TEXT' },
+  { table: 'sites', column: 'full_name', definition: 'TEXT' },
+  { table: 'sites', column: 'company', definition: 'TEXT' },
+  { table: 'sites', column: 'phone', definition: 'TEXT' },
+  { table: 'sites', column: 'document', definition: 'TEXT' },
+  { table: 'feedbacks', column: 'is_public', definition: 'BOOLEAN DEFAULT 0', backfill: 'UPDATE feedbacks SET is_public = approved' },
+  { table: 'traffic_hits', column: 'referrer', definition: 'TEXT' },
+  { table: 'traffic_hits', column: 'metadata', definition: "TEXT DEFAULT '{}'" }
+];
+
+// Constraint changes need the table to be rebuilt (SQLite cannot ALTER a CHECK)
+const TABLE_REBUILDS = [
+  {
+    table: 'users',
+    from: "CHECK (role IN ('admin', 'client'))",
+    to: "CHECK (role IN ('admin', 'designer', 'support', 'finance', 'client'))"
+  }
+];
+
+function rebuildTables(database, schema) {
+  let rebuilt = false;
+
+  for (const { table, from, to } of TABLE_REBUILDS) {
+    const row = database.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?").get(table);
+    if (!row || !row.sql.includes(from)) continue;
+
+    const createNew = row.sql
+      .replace(from, to)
+      .replace(/^CREATE TABLE\s+("?)\w+\1/i, `CREATE TABLE ${table}_new`);
+
+    database.pragma('foreign_keys = OFF');
+    try {
+      database.transaction(() => {
+        database.exec(createNew);
+        database.exec(`INSERT INTO ${table}_new SELECT * FROM ${table}`);
+        database.exec(`DROP TABLE ${table}`);
+        database.exec(`ALTER TABLE ${table}_new RENAME TO ${table}`);
+      })();
+    } finally {
+      database.pragma('foreign_keys = ON');
+    }
+
+    console.log(`🔧 Rebuilt table ${table}`);
+    rebuilt = true;
+  }
+
+  // Indexes and triggers were dropped with the old tables
+  if (rebuilt) database.exec(schema);
+}
+
+function ensureColumns(database) {
+  for (const { table, column, definition, backfill } of COLUMN_UPGRADES) {
+    const columns = database.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some(c => c.name === column)) {
+      database.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      if (backfill) database.exec(backfill);
+      console.log(`🔧 Added column ${table}.${column}`);
+    }
+  }
+}
+
+// Databases created by the old Drizzle server (sites.site_slug, unix timestamps) are
+// copied into this schema once, then the legacy tables are dropped
+const LEGACY_TABLES = ['sites', 'leads', 'feedbacks', 'traffic_hits', 'assets'];
+
+function legacyTimestamp(column) {
+  return `datetime(CASE WHEN ${column} > 100000000000 THEN ${column} / 1000 ELSE ${column} END, 'unixepoch')`;
+}
+
+function importLegacyTables(database, schema) {
+  const siteColumns = database.prepare('PRAGMA table_info(sites)').all();
+  const isLegacy = siteColumns.some(c => c.name === 'site_slug') && !siteColumns.some(c => c.name === 'slug');
+  if (!isLegacy) return;
+
+  const present = LEGACY_TABLES.filter(table =>
+    database.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?").get(table)
+  );
+
+  database.transaction(() => {
+    for (const table of present) {
+      database.exec(`ALTER TABLE ${table} RENAME TO legacy_${table}`);
+    }
+    database.exec(schema);
+
+    database.exec(`
+      INSERT INTO sites (slug, active, notes, email, full_name, company, phone, document, created_at, updated_at)
+      SELECT UPPER(TRIM(site_slug)), status = 'active', 'legacy plan: ' || plan, LOWER(email), full_name, company, phone, document,
+        ${legacyTimestamp('created_at')}, ${legacyTimestamp('updated_at')}
+      FROM legacy_sites
+    `);
+    // The JSON settings column becomes the first settings snapshot
+    database.exec(`
+      INSERT INTO settings_kv (site_slug, settings_json, created_at)
+      SELECT UPPER(TRIM(site_slug)), settings, ${legacyTimestamp('updated_at')}
+      FROM legacy_sites WHERE settings IS NOT NULL AND settings NOT IN ('', '{}')
+    `);
+    if (present.includes('leads')) {
+      database.exec(`
+        INSERT INTO leads (site_slug, name, email, phone, message, source, metadata, created_at)
+        SELECT UPPER(TRIM(site_slug)), name, email, phone, message, source, COALESCE(metadata, '{}'), ${legacyTimestamp('created_at')}
+        FROM legacy_leads
+      `);
+    }
+    if (present.includes('feedbacks')) {
+      database.exec(`
+        INSERT INTO feedbacks (site_slug, name, email, rating, comment, approved, is_public, created_at)
+        SELECT UPPER(TRIM(site_slug)), name, email, MIN(MAX(rating, 1), 5), comment, approved, approved AND is_public, ${legacyTimestamp('created_at')}
+        FROM legacy_feedbacks
+      `);
+    }
+    if (present.includes('traffic_hits')) {
+      database.exec(`
+        INSERT INTO traffic_hits (site_slug, path, ip, user_agent, referrer, metadata, created_at)
+        SELECT UPPER(TRIM(site_slug)), path, ip, user_agent, referrer, COALESCE(metadata, '{}'), ${legacyTimestamp('timestamp')}
+        FROM legacy_traffic_hits
+      `);
+    }
+    if (present.includes('assets')) {
+      database.exec(`
+        INSERT INTO assets (site_slug, key, url, original_name, mimetype, size, created_at)
+        SELECT UPPER(TRIM(site_slug)), 'file_' || id, '/' || path, original_name, mimetype, size, ${legacyTimestamp('uploaded_at')}
+        FROM legacy_assets
+      `);
+    }
+
+    for (const table of present) {
+      database.exec(`DROP TABLE legacy_${table}`);
+    }
+  })();
+
+  console.log(`🔧 Imported legacy tables: ${present.join(', ')}`);
+}
+
+export const name = 'baseline';
+
+export function up(db) {
+  db.exec(BASELINE_SQL);
+}
+
+// Databases created before migrations existed (by schema.sql on every boot, or by the old
+// Drizzle server) are brought up to the baseline instead of being created from scratch
+export function adopt(db) {
+  importLegacyTables(db, BASELINE_SQL);
+  db.exec(BASELINE_SQL);
+  ensureColumns(db);
+  rebuildTables(db, BASELINE_SQL);
+}
+
+// No down: rolling back the baseline would drop every table; delete the database file instead
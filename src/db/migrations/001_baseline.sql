@@ -0,0 +1,320 @@
+-- ELEVEA baseline schema (migration 001)
+-- Frozen: later schema changes go in new numbered migrations next to this file
+
+-- Users table (admins, agency staff and clients)
+CREATE TABLE IF NOT EXISTS users (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  role TEXT NOT NULL CHECK (role IN ('admin', 'designer', 'support', 'finance', 'client')) DEFAULT 'client',
+  email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+  password_hash TEXT NOT NULL,
+  site_slug TEXT,
+  plan TEXT CHECK (plan IN ('vip', 'essential')) DEFAULT 'essential',
+  billing_status TEXT DEFAULT 'pending',
+  billing_next DATETIME,
+  billing_amount DECIMAL(10,2) DEFAULT 0.00,
+  billing_currency TEXT DEFAULT 'BRL',
+  billing_provider TEXT DEFAULT 'mercadopago',
+  status TEXT NOT NULL DEFAULT 'active', -- 'active' or 'suspended' (login blocked)
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Sites table
+CREATE TABLE IF NOT EXISTS sites (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  slug TEXT NOT NULL UNIQUE,
+  active BOOLEAN DEFAULT 1,
+  notes TEXT,
+  vip_pin_hash TEXT,
+  email TEXT, -- contact from the public sign-up form
+  full_name TEXT,
+  company TEXT,
+  phone TEXT,
+  document TEXT, -- CPF/CNPJ
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Settings snapshots per site
+CREATE TABLE IF NOT EXISTS settings_kv (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  site_slug TEXT NOT NULL,
+  settings_json TEXT NOT NULL, -- JSON containing sections: {defs: [], data: {}}, NO security.vip_pin
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Assets (files) per site
+CREATE TABLE IF NOT EXISTS assets (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  site_slug TEXT NOT NULL,
+  key TEXT NOT NULL, -- 'media_1', 'hero', 'logo', etc.
+  url TEXT NOT NULL, -- public URL path
+  original_name TEXT,
+  mimetype TEXT,
+  size INTEGER DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Leads captured from sites
+CREATE TABLE IF NOT EXISTS leads (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  site_slug TEXT NOT NULL,
+  name TEXT NOT NULL,
+  email TEXT NOT NULL,
+  phone TEXT,
+  message TEXT,
+  source TEXT DEFAULT 'website',
+  metadata TEXT DEFAULT '{}', -- JSON
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Feedbacks/testimonials from sites
+CREATE TABLE IF NOT EXISTS feedbacks (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  site_slug TEXT NOT NULL,
+  name TEXT,
+  email TEXT,
+  phone TEXT,
+  rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  comment TEXT NOT NULL,
+  approved BOOLEAN DEFAULT 0,
+  is_public BOOLEAN DEFAULT 0, -- approved and shown on the public site
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Traffic hits for telemetry
+CREATE TABLE IF NOT EXISTS traffic_hits (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  site_slug TEXT NOT NULL,
+  path TEXT DEFAULT '/',
+  ip TEXT,
+  user_agent TEXT,
+  referrer TEXT,
+  metadata TEXT DEFAULT '{}', -- JSON
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Payments ledger (Mercado Pago payments and preapprovals, one row per mp_id)
+CREATE TABLE IF NOT EXISTS payments (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER,
+  mp_id TEXT NOT NULL UNIQUE,
+  resource TEXT NOT NULL, -- 'payment' or 'preapproval'
+  action TEXT,
+  preapproval_id TEXT,
+  status TEXT,
+  payer_email TEXT,
+  amount DECIMAL(10,2),
+  currency TEXT DEFAULT 'BRL',
+  paid_at DATETIME,
+  raw_json TEXT DEFAULT '{}',
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Inbox of every incoming webhook notification, kept raw for audit and replay
+CREATE TABLE IF NOT EXISTS webhook_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  provider TEXT NOT NULL DEFAULT 'mercadopago',
+  dedupe_key TEXT NOT NULL UNIQUE, -- x-request-id or body hash
+  resource TEXT,
+  action TEXT,
+  external_id TEXT,
+  headers_json TEXT NOT NULL DEFAULT '{}',
+  body_json TEXT NOT NULL DEFAULT '{}',
+  signature_status TEXT NOT NULL CHECK (signature_status IN ('valid', 'invalid', 'missing', 'unchecked')),
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'processed', 'failed', 'dead', 'rejected')),
+  attempts INTEGER DEFAULT 0,
+  last_error TEXT,
+  result_json TEXT,
+  next_attempt_at DATETIME,
+  processed_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Dunning policy per plan (offsets in days after billing_next)
+CREATE TABLE IF NOT EXISTS dunning_policies (
+  plan TEXT PRIMARY KEY,
+  reminder_offsets TEXT NOT NULL DEFAULT '[0,3,7]', -- JSON array of days
+  suspend_after_days INTEGER NOT NULL DEFAULT 10,
+  archive_after_days INTEGER NOT NULL DEFAULT 30,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT OR IGNORE INTO dunning_policies (plan, reminder_offsets, suspend_after_days, archive_after_days)
+VALUES ('essential', '[0,3,7,20]', 10, 30), ('vip', '[0,3,7,14,25]', 15, 30);
+
+-- Current dunning state per user ('current', 'overdue', 'suspended', 'archived')
+CREATE TABLE IF NOT EXISTS dunning_cases (
+  user_id INTEGER PRIMARY KEY,
+  state TEXT NOT NULL DEFAULT 'current' CHECK (state IN ('current', 'overdue', 'suspended', 'archived')),
+  due_date DATETIME,
+  reminders_sent TEXT NOT NULL DEFAULT '[]', -- JSON array of offsets already notified
+  state_changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Every dunning transition and reminder, for support and audit
+CREATE TABLE IF NOT EXISTS dunning_history (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  site_slug TEXT,
+  action TEXT NOT NULL, -- 'overdue', 'reminder', 'suspend', 'archive', 'recover'
+  from_state TEXT,
+  to_state TEXT,
+  days_overdue INTEGER,
+  details TEXT DEFAULT '{}', -- JSON
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Pending email changes; only the SHA-256 of the token is stored
+CREATE TABLE IF NOT EXISTS email_change_tokens (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  new_email TEXT NOT NULL COLLATE NOCASE,
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Password reset tokens: hashed, single-use and short-lived
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME,
+  requested_ip TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Login sessions: short-lived access JWTs carry the session id, refresh tokens rotate on every use
+CREATE TABLE IF NOT EXISTS sessions (
+  id TEXT PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  refresh_token_hash TEXT NOT NULL UNIQUE,
+  previous_token_hash TEXT, -- last rotated token, presenting it again means the token leaked
+  user_agent TEXT,
+  ip TEXT,
+  expires_at DATETIME NOT NULL,
+  last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  revoked_at DATETIME,
+  revoked_reason TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Messages captured by the 'outbox' mail transport (local development and tests)
+CREATE TABLE IF NOT EXISTS mail_outbox (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  to_email TEXT NOT NULL,
+  subject TEXT NOT NULL,
+  html TEXT,
+  text TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Site memberships: many users per site, each with a site-level role
+CREATE TABLE IF NOT EXISTS site_members (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  site_slug TEXT NOT NULL,
+  user_id INTEGER NOT NULL,
+  role TEXT NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')) DEFAULT 'viewer',
+  invited_by INTEGER,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (site_slug, user_id),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Accounts linked through users.site_slug become members; the oldest client of each site is its owner
+INSERT OR IGNORE INTO site_members (site_slug, user_id, role)
+SELECT u.site_slug, u.id,
+  CASE WHEN EXISTS (SELECT 1 FROM site_members m WHERE m.site_slug = u.site_slug AND m.role = 'owner')
+         OR EXISTS (SELECT 1 FROM users o WHERE o.site_slug = u.site_slug AND o.role = 'client' AND o.id < u.id)
+       THEN 'editor' ELSE 'owner' END
+FROM users u
+WHERE u.role = 'client' AND u.site_slug IS NOT NULL
+  AND EXISTS (SELECT 1 FROM sites s WHERE s.slug = u.site_slug);
+
+-- Pending invitations to join a site; only the SHA-256 of the token is stored
+CREATE TABLE IF NOT EXISTS site_invitations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  site_slug TEXT NOT NULL,
+  email TEXT NOT NULL COLLATE NOCASE,
+  role TEXT NOT NULL CHECK (role IN ('editor', 'viewer')),
+  token_hash TEXT NOT NULL UNIQUE,
+  invited_by INTEGER,
+  expires_at DATETIME NOT NULL,
+  accepted_at DATETIME,
+  accepted_by INTEGER,
+  revoked_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE SET NULL,
+  FOREIGN KEY (accepted_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Site hooks (for future external automation)
+CREATE TABLE IF NOT EXISTS site_hooks (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  site_slug TEXT NOT NULL,
+  notes TEXT,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
+CREATE INDEX IF NOT EXISTS idx_users_site_slug ON users(site_slug);
+CREATE INDEX IF NOT EXISTS idx_sites_slug ON sites(slug);
+CREATE INDEX IF NOT EXISTS idx_settings_site_slug ON settings_kv(site_slug);
+CREATE INDEX IF NOT EXISTS idx_assets_site_slug ON assets(site_slug);
+CREATE INDEX IF NOT EXISTS idx_assets_key ON assets(site_slug, key);
+CREATE INDEX IF NOT EXISTS idx_leads_site_slug ON leads(site_slug);
+CREATE INDEX IF NOT EXISTS idx_leads_created_at ON leads(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_feedbacks_site_slug ON feedbacks(site_slug);
+CREATE INDEX IF NOT EXISTS idx_feedbacks_approved ON feedbacks(approved);
+CREATE INDEX IF NOT EXISTS idx_traffic_site_slug ON traffic_hits(site_slug);
+CREATE INDEX IF NOT EXISTS idx_traffic_created_at ON traffic_hits(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_payments_user_id ON payments(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_payments_preapproval_id ON payments(preapproval_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_status ON webhook_events(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_created_at ON webhook_events(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_dunning_history_user_id ON dunning_history(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_email_change_tokens_user_id ON email_change_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id, revoked_at);
+CREATE INDEX IF NOT EXISTS idx_sessions_previous_token_hash ON sessions(previous_token_hash);
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user_id ON password_reset_tokens(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_site_members_user_id ON site_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_site_invitations_site_slug ON site_invitations(site_slug, accepted_at, revoked_at);
+
+-- Triggers to update updated_at
+CREATE TRIGGER IF NOT EXISTS update_users_updated_at 
+  AFTER UPDATE ON users
+  BEGIN
+    UPDATE users SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+  END;
+
+CREATE TRIGGER IF NOT EXISTS update_sites_updated_at 
+  AFTER UPDATE ON sites
+  BEGIN
+    UPDATE sites SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+  END;
+
+CREATE TRIGGER IF NOT EXISTS update_payments_updated_at 
+  AFTER UPDATE ON payments
+  BEGIN
+    UPDATE payments SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+  END;
+
+CREATE TRIGGER IF NOT EXISTS update_webhook_events_updated_at 
+  AFTER UPDATE ON webhook_events
+  BEGIN
+    UPDATE webhook_events SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+  END;
\ No newline at end of file
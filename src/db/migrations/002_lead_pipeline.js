@@ -0,0 +1,60 @@
+export const name = 'lead_pipeline';
+
+// Leads move through stages, can be assigned to a site member and carry notes and a follow-up date
+export function up(db) {
+  db.exec(`
+    ALTER TABLE leads ADD COLUMN status TEXT NOT NULL DEFAULT 'new'
+      CHECK (status IN ('new', 'contacted', 'negotiating', 'won', 'lost'));
+    ALTER TABLE leads ADD COLUMN assigned_to INTEGER REFERENCES users(id) ON DELETE SET NULL;
+    ALTER TABLE leads ADD COLUMN follow_up_at DATETIME;
+    ALTER TABLE leads ADD COLUMN status_changed_at DATETIME;
+    ALTER TABLE leads ADD COLUMN updated_at DATETIME;
+
+    UPDATE leads SET updated_at = created_at, status_changed_at = created_at;
+
+    CREATE INDEX IF NOT EXISTS idx_leads_site_status ON leads(site_slug, status);
+    CREATE INDEX IF NOT EXISTS idx_leads_follow_up ON leads(site_slug, follow_up_at);
+
+    CREATE TABLE IF NOT EXISTS lead_notes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      lead_id INTEGER NOT NULL,
+      user_id INTEGER,
+      body TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_lead_notes_lead ON lead_notes(lead_id, created_at);
+  `);
+}
+
+// SQLite cannot drop a column that references another table, so leads is rebuilt with its baseline shape
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS lead_notes;
+    DROP INDEX IF EXISTS idx_leads_site_status;
+    DROP INDEX IF EXISTS idx_leads_follow_up;
+
+    CREATE TABLE leads_old (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      site_slug TEXT NOT NULL,
+      name TEXT NOT NULL,
+      email TEXT NOT NULL,
+      phone TEXT,
+      message TEXT,
+      source TEXT DEFAULT 'website',
+      metadata TEXT DEFAULT '{}', -- JSON
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    INSERT INTO leads_old (id, site_slug, name, email, phone, message, source, metadata, created_at)
+    SELECT id, site_slug, name, email, phone, message, source, metadata, created_at FROM leads;
+
+    DROP TABLE leads;
+    ALTER TABLE leads_old RENAME TO leads;
+
+    CREATE INDEX IF NOT EXISTS idx_leads_site_slug ON leads(site_slug);
+    CREATE INDEX IF NOT EXISTS idx_leads_created_at ON leads(created_at DESC);
+  `);
+}
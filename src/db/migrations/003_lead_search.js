@@ -0,0 +1,16 @@
+export const name = 'lead_search';
+
+// Lead search filters and sorts within one site; these keep large sites off full scans
+export function up(db) {
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_leads_site_created ON leads(site_slug, created_at, id);
+    CREATE INDEX IF NOT EXISTS idx_leads_site_source ON leads(site_slug, source);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_leads_site_created;
+    DROP INDEX IF EXISTS idx_leads_site_source;
+  `);
+}
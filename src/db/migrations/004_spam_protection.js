@@ -0,0 +1,36 @@
+export const name = 'spam_protection';
+
+// Public submissions keep their spam score and origin IP; suspected spam is quarantined, not dropped
+export function up(db) {
+  db.exec(`
+    ALTER TABLE leads ADD COLUMN spam_score INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE leads ADD COLUMN spam_reasons TEXT;
+    ALTER TABLE leads ADD COLUMN quarantined_at DATETIME;
+    ALTER TABLE leads ADD COLUMN submitter_ip TEXT;
+
+    ALTER TABLE feedbacks ADD COLUMN spam_score INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE feedbacks ADD COLUMN spam_reasons TEXT;
+    ALTER TABLE feedbacks ADD COLUMN quarantined_at DATETIME;
+    ALTER TABLE feedbacks ADD COLUMN submitter_ip TEXT;
+
+    CREATE INDEX IF NOT EXISTS idx_leads_site_quarantine ON leads(site_slug, quarantined_at);
+    CREATE INDEX IF NOT EXISTS idx_feedbacks_site_quarantine ON feedbacks(site_slug, quarantined_at);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_leads_site_quarantine;
+    DROP INDEX IF EXISTS idx_feedbacks_site_quarantine;
+
+    ALTER TABLE leads DROP COLUMN spam_score;
+    ALTER TABLE leads DROP COLUMN spam_reasons;
+    ALTER TABLE leads DROP COLUMN quarantined_at;
+    ALTER TABLE leads DROP COLUMN submitter_ip;
+
+    ALTER TABLE feedbacks DROP COLUMN spam_score;
+    ALTER TABLE feedbacks DROP COLUMN spam_reasons;
+    ALTER TABLE feedbacks DROP COLUMN quarantined_at;
+    ALTER TABLE feedbacks DROP COLUMN submitter_ip;
+  `);
+}
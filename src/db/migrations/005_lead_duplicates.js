@@ -0,0 +1,74 @@
+export const name = 'lead_duplicates';
+
+// normalizePhone from src/utils/phone.js as it was when this migration was written, so later
+// edits to the live helper never change what an upgrade writes to existing leads
+function normalizePhone(phone) {
+  const raw = String(phone || '').trim();
+  let digits = raw.replace(/\D/g, '');
+  const international = raw.startsWith('+') || digits.startsWith('00');
+
+  if (digits.startsWith('00')) {
+    digits = digits.slice(2);
+  } else if (digits.startsWith('0')) {
+    // Trunk prefix, optionally followed by a 2-digit carrier code (0 21 11 98765-4321)
+    digits = digits.slice(1);
+    if (digits.length === 12 || digits.length === 13) digits = digits.slice(2);
+  }
+
+  if (international && !digits.startsWith('55')) {
+    return digits.length >= 8 && digits.length <= 15 ? digits : null;
+  }
+
+  if (digits.startsWith('55') && (digits.length === 12 || digits.length === 13)) {
+    digits = digits.slice(2);
+  }
+
+  if (!/^[1-9]{2}\d{8,9}$/.test(digits)) return null;
+
+  const ddd = digits.slice(0, 2);
+  let number = digits.slice(2);
+
+  if (number.length === 9 && !number.startsWith('9')) return null;
+  // 8-digit numbers starting with 6-9 are mobiles from before the 9th digit
+  if (number.length === 8 && /^[6-9]/.test(number)) number = `9${number}`;
+
+  return `55${ddd}${number}`;
+}
+
+// Normalized phone for duplicate grouping, and the audit trail of merged leads.
+// lead_merges keeps no foreign key to leads so the history outlives the leads themselves.
+export function up(db) {
+  db.exec(`
+    ALTER TABLE leads ADD COLUMN phone_normalized TEXT;
+
+    CREATE INDEX IF NOT EXISTS idx_leads_site_phone ON leads(site_slug, phone_normalized);
+    CREATE INDEX IF NOT EXISTS idx_leads_site_email ON leads(site_slug, email);
+
+    CREATE TABLE IF NOT EXISTS lead_merges (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      site_slug TEXT NOT NULL,
+      primary_lead_id INTEGER NOT NULL,
+      merged_lead_id INTEGER NOT NULL,
+      merged_by INTEGER,
+      snapshot TEXT NOT NULL, -- JSON: the merged lead as it was, with its notes
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (merged_by) REFERENCES users(id) ON DELETE SET NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_lead_merges_primary ON lead_merges(primary_lead_id, created_at);
+  `);
+
+  const update = db.prepare('UPDATE leads SET phone_normalized = ? WHERE id = ?');
+  for (const lead of db.prepare('SELECT id, phone FROM leads WHERE phone IS NOT NULL').all()) {
+    update.run(normalizePhone(lead.phone), lead.id);
+  }
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS lead_merges;
+    DROP INDEX IF EXISTS idx_leads_site_phone;
+    DROP INDEX IF EXISTS idx_leads_site_email;
+    ALTER TABLE leads DROP COLUMN phone_normalized;
+  `);
+}
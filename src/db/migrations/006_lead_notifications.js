@@ -0,0 +1,54 @@
+export const name = 'lead_notifications';
+
+// Per-site notification channels for new leads, and the log of every delivery attempt
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS site_notification_settings (
+      site_slug TEXT PRIMARY KEY,
+      email_enabled BOOLEAN NOT NULL DEFAULT 1,
+      email_mode TEXT NOT NULL DEFAULT 'instant' CHECK (email_mode IN ('instant', 'hourly', 'daily')),
+      email_recipients TEXT NOT NULL DEFAULT '[]', -- JSON; empty sends to the site owner
+      webhook_enabled BOOLEAN NOT NULL DEFAULT 0,
+      webhook_url TEXT,
+      webhook_secret TEXT,
+      last_digest_at DATETIME,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (site_slug) REFERENCES sites(slug) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS notification_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      site_slug TEXT NOT NULL,
+      channel TEXT NOT NULL CHECK (channel IN ('email', 'webhook')),
+      event TEXT NOT NULL,
+      lead_id INTEGER,
+      recipient TEXT NOT NULL,
+      payload_json TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'sent', 'failed', 'dead')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      last_error TEXT,
+      next_attempt_at DATETIME,
+      sent_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE SET NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_notification_deliveries_due ON notification_deliveries(status, next_attempt_at);
+    CREATE INDEX IF NOT EXISTS idx_notification_deliveries_site ON notification_deliveries(site_slug, created_at DESC);
+
+    CREATE TRIGGER IF NOT EXISTS update_notification_deliveries_updated_at
+      AFTER UPDATE ON notification_deliveries
+      BEGIN
+        UPDATE notification_deliveries SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+      END;
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TRIGGER IF EXISTS update_notification_deliveries_updated_at;
+    DROP TABLE IF EXISTS notification_deliveries;
+    DROP TABLE IF EXISTS site_notification_settings;
+  `);
+}
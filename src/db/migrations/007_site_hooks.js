@@ -0,0 +1,59 @@
+export const name = 'site_hooks';
+
+// site_hooks (a placeholder since the baseline) becomes the outbound webhook subscriptions of a site;
+// every delivery attempt is logged in site_hook_deliveries
+export function up(db) {
+  db.exec(`
+    ALTER TABLE site_hooks ADD COLUMN url TEXT;
+    ALTER TABLE site_hooks ADD COLUMN events TEXT NOT NULL DEFAULT '[]'; -- JSON list of event names, or ["*"]
+    ALTER TABLE site_hooks ADD COLUMN secret TEXT;
+    ALTER TABLE site_hooks ADD COLUMN active BOOLEAN NOT NULL DEFAULT 1;
+    ALTER TABLE site_hooks ADD COLUMN created_by INTEGER;
+    ALTER TABLE site_hooks ADD COLUMN created_at DATETIME;
+
+    UPDATE site_hooks SET created_at = updated_at;
+
+    CREATE INDEX IF NOT EXISTS idx_site_hooks_site ON site_hooks(site_slug);
+
+    CREATE TABLE IF NOT EXISTS site_hook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      hook_id INTEGER NOT NULL,
+      site_slug TEXT NOT NULL,
+      event TEXT NOT NULL,
+      payload_json TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'delivered', 'failed', 'dead')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      response_status INTEGER,
+      last_error TEXT,
+      next_attempt_at DATETIME,
+      delivered_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (hook_id) REFERENCES site_hooks(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_site_hook_deliveries_hook ON site_hook_deliveries(hook_id, id DESC);
+    CREATE INDEX IF NOT EXISTS idx_site_hook_deliveries_due ON site_hook_deliveries(status, next_attempt_at);
+
+    CREATE TRIGGER IF NOT EXISTS update_site_hook_deliveries_updated_at
+      AFTER UPDATE ON site_hook_deliveries
+      BEGIN
+        UPDATE site_hook_deliveries SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+      END;
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TRIGGER IF EXISTS update_site_hook_deliveries_updated_at;
+    DROP TABLE IF EXISTS site_hook_deliveries;
+    DROP INDEX IF EXISTS idx_site_hooks_site;
+
+    ALTER TABLE site_hooks DROP COLUMN url;
+    ALTER TABLE site_hooks DROP COLUMN events;
+    ALTER TABLE site_hooks DROP COLUMN secret;
+    ALTER TABLE site_hooks DROP COLUMN active;
+    ALTER TABLE site_hooks DROP COLUMN created_by;
+    ALTER TABLE site_hooks DROP COLUMN created_at;
+  `);
+}
@@ -0,0 +1,44 @@
+export const name = 'feedback_moderation';
+
+// Feedbacks get a moderation status (approved stays in sync for older callers), who moderated and why,
+// edits with the original text kept, and the owner's public reply. is_public stops mirroring approval:
+// it is whether an approved testimonial may be shown, and approving no longer changes it.
+export function up(db) {
+  db.exec(`
+    ALTER TABLE feedbacks ADD COLUMN status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'hidden'));
+    ALTER TABLE feedbacks ADD COLUMN moderation_reason TEXT;
+    ALTER TABLE feedbacks ADD COLUMN moderated_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+    ALTER TABLE feedbacks ADD COLUMN moderated_at DATETIME;
+    ALTER TABLE feedbacks ADD COLUMN original_comment TEXT;
+    ALTER TABLE feedbacks ADD COLUMN edited_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+    ALTER TABLE feedbacks ADD COLUMN edited_at DATETIME;
+    ALTER TABLE feedbacks ADD COLUMN reply TEXT;
+    ALTER TABLE feedbacks ADD COLUMN replied_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+    ALTER TABLE feedbacks ADD COLUMN replied_at DATETIME;
+
+    UPDATE feedbacks SET status = 'approved' WHERE approved = 1;
+    -- Approving used to publish by default; pending ones keep that outcome
+    UPDATE feedbacks SET is_public = 1 WHERE approved = 0;
+
+    CREATE INDEX IF NOT EXISTS idx_feedbacks_site_status ON feedbacks(site_slug, status, created_at DESC);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_feedbacks_site_status;
+
+    UPDATE feedbacks SET is_public = 0 WHERE approved = 0;
+
+    ALTER TABLE feedbacks DROP COLUMN replied_at;
+    ALTER TABLE feedbacks DROP COLUMN replied_by;
+    ALTER TABLE feedbacks DROP COLUMN reply;
+    ALTER TABLE feedbacks DROP COLUMN edited_at;
+    ALTER TABLE feedbacks DROP COLUMN edited_by;
+    ALTER TABLE feedbacks DROP COLUMN original_comment;
+    ALTER TABLE feedbacks DROP COLUMN moderated_at;
+    ALTER TABLE feedbacks DROP COLUMN moderated_by;
+    ALTER TABLE feedbacks DROP COLUMN moderation_reason;
+    ALTER TABLE feedbacks DROP COLUMN status;
+  `);
+}
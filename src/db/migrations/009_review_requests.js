@@ -0,0 +1,46 @@
+export const name = 'review_requests';
+
+// Single-use links owners send after a service (by email or WhatsApp) asking for a rating; only the
+// SHA-256 of the token is stored. Feedbacks remember the lead they were requested from.
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS review_requests (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      site_slug TEXT NOT NULL,
+      lead_id INTEGER,
+      name TEXT,
+      email TEXT COLLATE NOCASE,
+      phone TEXT,
+      channel TEXT NOT NULL CHECK (channel IN ('email', 'whatsapp', 'link')),
+      token_hash TEXT NOT NULL UNIQUE,
+      created_by INTEGER,
+      expires_at DATETIME NOT NULL,
+      sent_at DATETIME,
+      opened_at DATETIME,
+      open_count INTEGER NOT NULL DEFAULT 0,
+      submitted_at DATETIME,
+      feedback_id INTEGER,
+      revoked_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (site_slug) REFERENCES sites(slug) ON DELETE CASCADE,
+      FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE SET NULL,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (feedback_id) REFERENCES feedbacks(id) ON DELETE SET NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_review_requests_site ON review_requests(site_slug, created_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_review_requests_lead ON review_requests(lead_id);
+
+    ALTER TABLE feedbacks ADD COLUMN lead_id INTEGER REFERENCES leads(id) ON DELETE SET NULL;
+    CREATE INDEX IF NOT EXISTS idx_feedbacks_lead ON feedbacks(lead_id);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_feedbacks_lead;
+    ALTER TABLE feedbacks DROP COLUMN lead_id;
+
+    DROP TABLE IF EXISTS review_requests;
+  `);
+}
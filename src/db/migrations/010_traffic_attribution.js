@@ -0,0 +1,218 @@
+export const name = 'traffic_attribution';
+
+// The parsers of src/utils/traffic.js as they were when this migration was written, so later
+// edits to the live module never change what an upgrade writes to existing hits
+
+const UTM_FIELDS = ['source', 'medium', 'campaign', 'term', 'content'];
+const MAX_FIELD_LENGTH = 200;
+
+// Referrer hosts (and Android app referrers) grouped under one source name, and the medium each one implies
+const KNOWN_SOURCES = [
+  { source: 'google', medium: 'organic', pattern: /(^|\.)google\.(com|[a-z]{2}|com?\.[a-z]{2})$|^com\.google\.android\.googlequicksearchbox$/ },
+  { source: 'bing', medium: 'organic', pattern: /(^|\.)bing\.com$/ },
+  { source: 'yahoo', medium: 'organic', pattern: /(^|\.)yahoo\.(com|[a-z]{2}|com?\.[a-z]{2})$/ },
+  { source: 'duckduckgo', medium: 'organic', pattern: /(^|\.)duckduckgo\.com$/ },
+  { source: 'instagram', medium: 'social', pattern: /(^|\.)instagram\.com$|^com\.instagram\.android$/ },
+  { source: 'facebook', medium: 'social', pattern: /(^|\.)(facebook\.com|fb\.com|fb\.me|messenger\.com)$|^com\.facebook\.katana$/ },
+  { source: 'whatsapp', medium: 'social', pattern: /(^|\.)(whatsapp\.com|wa\.me)$|^com\.whatsapp(\.w4b)?$/ },
+  { source: 'twitter', medium: 'social', pattern: /(^|\.)(twitter\.com|x\.com|t\.co)$/ },
+  { source: 'linkedin', medium: 'social', pattern: /(^|\.)(linkedin\.com|lnkd\.in)$/ },
+  { source: 'youtube', medium: 'social', pattern: /(^|\.)(youtube\.com|youtu\.be)$/ },
+  { source: 'tiktok', medium: 'social', pattern: /(^|\.)tiktok\.com$/ }
+];
+
+// Click ids ad platforms append to the landing URL when a paid ad is clicked
+const AD_CLICK_IDS = [
+  { param: 'gclid', source: 'google' },
+  { param: 'gbraid', source: 'google' },
+  { param: 'wbraid', source: 'google' },
+  { param: 'msclkid', source: 'bing' }
+];
+
+function clean(value) {
+  const text = String(value ?? '').trim();
+  return text ? text.slice(0, MAX_FIELD_LENGTH) : null;
+}
+
+function parseUrl(value, base = 'http://localhost') {
+  try {
+    return new URL(String(value), base);
+  } catch {
+    return null;
+  }
+}
+
+function decodePath(pathname) {
+  try {
+    return decodeURIComponent(pathname);
+  } catch {
+    return pathname;
+  }
+}
+
+// Host of an absolute http(s) or android-app:// URL, without "www."
+function hostOf(value) {
+  let url;
+  try {
+    url = new URL(String(value || ''));
+  } catch {
+    return null;
+  }
+  if (!['http:', 'https:', 'android-app:'].includes(url.protocol)) return null;
+  return url.hostname.toLowerCase().replace(/^www\./, '') || null;
+}
+
+// Device type, browser and OS families; in-app browsers of Instagram and Facebook count as browsers
+function parseUserAgent(userAgent) {
+  const ua = String(userAgent || '');
+
+  let os = 'Other';
+  if (/Windows/.test(ua)) os = 'Windows';
+  else if (/iPhone|iPad|iPod/.test(ua)) os = 'iOS';
+  else if (/Android/.test(ua)) os = 'Android';
+  else if (/CrOS/.test(ua)) os = 'ChromeOS';
+  else if (/Mac OS X|Macintosh/.test(ua)) os = 'macOS';
+  else if (/Linux/.test(ua)) os = 'Linux';
+
+  let browser = 'Other';
+  if (/Instagram/.test(ua)) browser = 'Instagram';
+  else if (/FBAN|FBAV|FB_IAB/.test(ua)) browser = 'Facebook';
+  else if (/Edg(e|A|iOS)?\//.test(ua)) browser = 'Edge';
+  else if (/OPR\/|Opera/.test(ua)) browser = 'Opera';
+  else if (/SamsungBrowser/.test(ua)) browser = 'Samsung Internet';
+  else if (/Firefox|FxiOS/.test(ua)) browser = 'Firefox';
+  else if (/Chrome|CriOS/.test(ua)) browser = 'Chrome';
+  else if (/Safari/.test(ua)) browser = 'Safari';
+
+  let device = 'desktop';
+  if (/iPad|Tablet/.test(ua) || (/Android/.test(ua) && !/Mobile/.test(ua))) device = 'tablet';
+  else if (/Mobi|iPhone|iPod|Android/.test(ua)) device = 'mobile';
+
+  return { device, browser, os };
+}
+
+// "pt-BR,pt;q=0.9" or "pt_br" -> "pt-BR"
+function normalizeLanguage(value) {
+  const first = String(value || '').split(',')[0].split(';')[0].trim().replace('_', '-');
+  const match = /^([a-zA-Z]{2,3})(?:-([a-zA-Z]{2}|\d{3}))?/.exec(first);
+  if (!match) return null;
+  return match[2] ? `${match[1].toLowerCase()}-${match[2].toUpperCase()}` : match[1].toLowerCase();
+}
+
+// Where a hit came from. UTM tags win (from metadata.utm, metadata.utm_* or the page's query string),
+// then ad click ids, then the referrer host, then the in-app browser; otherwise it is direct.
+// A referrer on the page's own host (`origin`) is internal navigation, not a source.
+function parseAttribution({ path = '/', referrer = null, metadata = {}, userAgent = '', origin = null } = {}) {
+  const page = parseUrl(path);
+  const query = page?.searchParams || new URLSearchParams();
+  const meta = metadata && typeof metadata === 'object' ? metadata : {};
+  const metaUtm = meta.utm && typeof meta.utm === 'object' ? meta.utm : {};
+
+  const utm = {};
+  for (const field of UTM_FIELDS) {
+    utm[field] = clean(metaUtm[field] ?? meta[`utm_${field}`] ?? query.get(`utm_${field}`));
+  }
+
+  let referrerHost = hostOf(referrer);
+  if (referrerHost && referrerHost === hostOf(origin)) referrerHost = null;
+
+  const known = referrerHost ? KNOWN_SOURCES.find(entry => entry.pattern.test(referrerHost)) : null;
+  const adClick = AD_CLICK_IDS.find(entry => query.get(entry.param) || meta[entry.param]);
+  const { browser } = parseUserAgent(userAgent);
+
+  let source = 'direct';
+  let medium = 'direct';
+  if (utm.source) {
+    source = utm.source.toLowerCase();
+    medium = adClick ? 'cpc' : known?.medium || 'referral';
+  } else if (adClick) {
+    source = adClick.source;
+    medium = 'cpc';
+  } else if (known) {
+    source = known.source;
+    medium = known.medium;
+  } else if (referrerHost) {
+    source = referrerHost;
+    medium = 'referral';
+  } else if (browser === 'Instagram' || browser === 'Facebook') {
+    source = browser.toLowerCase();
+    medium = 'social';
+  }
+  if (utm.medium) medium = utm.medium.toLowerCase();
+
+  return {
+    path: page ? decodePath(page.pathname) : '/',
+    referrerHost,
+    source,
+    medium,
+    utm
+  };
+}
+
+// Where each hit came from (referrer host, source/medium, UTM tags) and the visitor's device,
+// browser, OS and language, parsed when the hit is recorded. Existing hits are backfilled from
+// their referrer, user agent, path and metadata.
+export function up(db) {
+  db.exec(`
+    ALTER TABLE traffic_hits ADD COLUMN referrer_host TEXT;
+    ALTER TABLE traffic_hits ADD COLUMN source TEXT NOT NULL DEFAULT 'direct';
+    ALTER TABLE traffic_hits ADD COLUMN medium TEXT NOT NULL DEFAULT 'direct';
+    ALTER TABLE traffic_hits ADD COLUMN utm_source TEXT;
+    ALTER TABLE traffic_hits ADD COLUMN utm_medium TEXT;
+    ALTER TABLE traffic_hits ADD COLUMN utm_campaign TEXT;
+    ALTER TABLE traffic_hits ADD COLUMN utm_term TEXT;
+    ALTER TABLE traffic_hits ADD COLUMN utm_content TEXT;
+    ALTER TABLE traffic_hits ADD COLUMN device_type TEXT;
+    ALTER TABLE traffic_hits ADD COLUMN browser TEXT;
+    ALTER TABLE traffic_hits ADD COLUMN os TEXT;
+    ALTER TABLE traffic_hits ADD COLUMN language TEXT;
+
+    CREATE INDEX IF NOT EXISTS idx_traffic_site_created ON traffic_hits(site_slug, created_at);
+  `);
+
+  const update = db.prepare(`
+    UPDATE traffic_hits
+    SET referrer_host = ?, source = ?, medium = ?, utm_source = ?, utm_medium = ?, utm_campaign = ?,
+      utm_term = ?, utm_content = ?, device_type = ?, browser = ?, os = ?, language = ?
+    WHERE id = ?
+  `);
+
+  for (const hit of db.prepare('SELECT id, path, user_agent, referrer, metadata FROM traffic_hits').all()) {
+    let metadata = {};
+    try {
+      metadata = JSON.parse(hit.metadata || '{}') || {};
+    } catch {
+      // Unparseable metadata only loses its UTM tags
+    }
+
+    const attribution = parseAttribution({ path: hit.path, referrer: hit.referrer, metadata, userAgent: hit.user_agent });
+    const { device, browser, os } = parseUserAgent(hit.user_agent);
+    const { utm } = attribution;
+
+    update.run(
+      attribution.referrerHost, attribution.source, attribution.medium,
+      utm.source, utm.medium, utm.campaign, utm.term, utm.content,
+      device, browser, os, normalizeLanguage(metadata.language),
+      hit.id
+    );
+  }
+}
+
+export function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_traffic_site_created;
+
+    ALTER TABLE traffic_hits DROP COLUMN language;
+    ALTER TABLE traffic_hits DROP COLUMN os;
+    ALTER TABLE traffic_hits DROP COLUMN browser;
+    ALTER TABLE traffic_hits DROP COLUMN device_type;
+    ALTER TABLE traffic_hits DROP COLUMN utm_content;
+    ALTER TABLE traffic_hits DROP COLUMN utm_term;
+    ALTER TABLE traffic_hits DROP COLUMN utm_campaign;
+    ALTER TABLE traffic_hits DROP COLUMN utm_medium;
+    ALTER TABLE traffic_hits DROP COLUMN utm_source;
+    ALTER TABLE traffic_hits DROP COLUMN medium;
+    ALTER TABLE traffic_hits DROP COLUMN source;
+    ALTER TABLE traffic_hits DROP COLUMN referrer_host;
+  `);
+}
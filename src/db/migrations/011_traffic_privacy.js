@@ -0,0 +1,75 @@
+import crypto from 'crypto';
+
+export const name = 'traffic_privacy';
+
+const SESSION_GAP_MS = 30 * 60 * 1000;
+
+// Visitors are identified by a hash of site + IP + user agent with a salt that changes every day
+// and is deleted afterwards, so a hash can't be traced back to an IP nor linked across days. Raw
+// IPs are no longer stored: existing hits get their hash (with throwaway per-day salts) and
+// sessions, then the ip column is dropped. Referrers keep only origin and path.
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS traffic_salts (
+      day TEXT PRIMARY KEY, -- YYYY-MM-DD (UTC)
+      salt TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    ALTER TABLE traffic_hits ADD COLUMN visitor_hash TEXT;
+    ALTER TABLE traffic_hits ADD COLUMN session_id TEXT;
+  `);
+
+  const salts = new Map();
+  const lastSeen = new Map();
+  const update = db.prepare('UPDATE traffic_hits SET visitor_hash = ?, session_id = ?, referrer = ? WHERE id = ?');
+  const hits = db.prepare('SELECT id, site_slug, ip, user_agent, referrer, created_at FROM traffic_hits ORDER BY created_at, id').all();
+
+  for (const hit of hits) {
+    const day = String(hit.created_at).slice(0, 10);
+    if (!salts.has(day)) salts.set(day, crypto.randomBytes(32).toString('hex'));
+
+    const visitorHash = crypto.createHash('sha256')
+      .update(`${salts.get(day)}|${hit.site_slug}|${hit.ip || ''}|${hit.user_agent || ''}`)
+      .digest('hex')
+      .slice(0, 32);
+
+    const time = new Date(`${String(hit.created_at).replace(' ', 'T')}Z`).getTime();
+    const previous = lastSeen.get(visitorHash);
+    const sessionId = previous && time - previous.time <= SESSION_GAP_MS
+      ? previous.sessionId
+      : crypto.randomBytes(12).toString('hex');
+    lastSeen.set(visitorHash, { time, sessionId });
+
+    let referrer = hit.referrer;
+    try {
+      if (referrer) {
+        const url = new URL(referrer);
+        referrer = `${url.origin}${url.pathname}`;
+      }
+    } catch {
+      // Not a URL: kept as sent
+    }
+
+    update.run(visitorHash, sessionId, referrer, hit.id);
+  }
+
+  db.exec(`
+    ALTER TABLE traffic_hits DROP COLUMN ip;
+
+    CREATE INDEX IF NOT EXISTS idx_traffic_visitor ON traffic_hits(site_slug, visitor_hash, created_at);
+  `);
+}
+
+// Hashes can't be turned back into IPs: the column comes back empty
+export function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_traffic_visitor;
+
+    ALTER TABLE traffic_hits ADD COLUMN ip TEXT;
+    ALTER TABLE traffic_hits DROP COLUMN session_id;
+    ALTER TABLE traffic_hits DROP COLUMN visitor_hash;
+
+    DROP TABLE IF EXISTS traffic_salts;
+  `);
+}
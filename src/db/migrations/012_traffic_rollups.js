@@ -0,0 +1,56 @@
+export const name = 'traffic_rollups';
+
+// Pre-aggregated traffic, so dashboards never scan raw hits: hits per hour and path, per-day
+// totals (visitors, sessions, bounces, session time) and per-day counts by dimension (path,
+// source, campaign, device...). Visitor hashes rotate daily, so daily visitor counts add up
+// across days without counting anyone twice. traffic_rollup_state holds the id of the last
+// hit already aggregated; rollups are filled by TrafficRollupService (npm run db:rollups).
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS traffic_rollup_hourly (
+      site_slug TEXT NOT NULL,
+      hour TEXT NOT NULL, -- YYYY-MM-DD HH:00:00 (UTC)
+      path TEXT NOT NULL,
+      hits INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (site_slug, hour, path)
+    );
+
+    CREATE TABLE IF NOT EXISTS traffic_rollup_daily (
+      site_slug TEXT NOT NULL,
+      day TEXT NOT NULL, -- YYYY-MM-DD (UTC)
+      hits INTEGER NOT NULL DEFAULT 0,
+      visitors INTEGER NOT NULL DEFAULT 0,
+      sessions INTEGER NOT NULL DEFAULT 0,
+      bounces INTEGER NOT NULL DEFAULT 0,
+      session_seconds INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (site_slug, day)
+    );
+
+    CREATE TABLE IF NOT EXISTS traffic_rollup_dimensions (
+      site_slug TEXT NOT NULL,
+      day TEXT NOT NULL,
+      dimension TEXT NOT NULL, -- path, source, medium, referrer, campaign, campaign_content, device, browser, os, language
+      value TEXT NOT NULL, -- composite dimensions are JSON arrays, e.g. ["google","cpc"]
+      hits INTEGER NOT NULL DEFAULT 0,
+      visitors INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (site_slug, dimension, day, value)
+    );
+
+    CREATE TABLE IF NOT EXISTS traffic_rollup_state (
+      id INTEGER PRIMARY KEY CHECK (id = 1),
+      last_hit_id INTEGER NOT NULL DEFAULT 0,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    INSERT OR IGNORE INTO traffic_rollup_state (id, last_hit_id) VALUES (1, 0);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS traffic_rollup_state;
+    DROP TABLE IF EXISTS traffic_rollup_dimensions;
+    DROP TABLE IF EXISTS traffic_rollup_daily;
+    DROP TABLE IF EXISTS traffic_rollup_hourly;
+  `);
+}
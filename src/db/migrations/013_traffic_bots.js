@@ -0,0 +1,93 @@
+export const name = 'traffic_bots';
+
+// BOT_SIGNATURES from src/utils/traffic.js as they were when this migration was written, so
+// later edits to the live list never change what an upgrade does to existing hits
+const BOT_SIGNATURES = [
+  ['Googlebot', /Googlebot|Google-InspectionTool|Storebot-Google|GoogleOther/i],
+  ['Google Ads', /AdsBot-Google|Mediapartners-Google/i],
+  ['Bingbot', /bingbot|BingPreview|adidxbot/i],
+  ['YandexBot', /YandexBot|YandexMobileBot/i],
+  ['Baiduspider', /Baiduspider/i],
+  ['DuckDuckBot', /DuckDuckBot|DuckAssistBot/i],
+  ['Applebot', /Applebot/i],
+  ['Yahoo Slurp', /Yahoo! Slurp/i],
+  ['Facebook', /facebookexternalhit|facebookcatalog|meta-externalagent/i],
+  ['WhatsApp', /^WhatsApp\//i],
+  ['Twitterbot', /Twitterbot/i],
+  ['LinkedInBot', /LinkedInBot/i],
+  ['TelegramBot', /TelegramBot/i],
+  ['Slackbot', /Slackbot|Slack-ImgProxy/i],
+  ['Discordbot', /Discordbot/i],
+  ['Pinterestbot', /Pinterestbot/i],
+  ['AhrefsBot', /AhrefsBot|AhrefsSiteAudit/i],
+  ['SemrushBot', /SemrushBot|SiteAuditBot/i],
+  ['MJ12bot', /MJ12bot/i],
+  ['DotBot', /DotBot/i],
+  ['PetalBot', /PetalBot/i],
+  ['GPTBot', /GPTBot|ChatGPT-User|OAI-SearchBot/i],
+  ['CCBot', /CCBot/i],
+  ['Bytespider', /Bytespider/i],
+  ['PerplexityBot', /PerplexityBot|Perplexity-User/i],
+  ['UptimeRobot', /UptimeRobot/i],
+  ['Pingdom', /Pingdom/i],
+  ['StatusCake', /StatusCake/i],
+  ['Better Stack', /Better ?Uptime|BetterStack/i],
+  ['Site24x7', /Site24x7/i],
+  ['Uptime Kuma', /Uptime-Kuma/i],
+  ['Lighthouse', /Chrome-Lighthouse|PageSpeed|GTmetrix/i],
+  ['Headless browser', /HeadlessChrome|PhantomJS|Puppeteer|Playwright/i],
+  ['HTTP client', /^(curl|Wget|python-requests|Python-urllib|aiohttp|httpx|Go-http-client|node-fetch|axios|undici|okhttp|Java\/|Apache-HttpClient|libwww-perl|PostmanRuntime|Scrapy|Ruby|PHP)/i],
+  // Generic: "...bot", crawler, spider (not the CUBOT phone brand)
+  ['Other bot', /(?<!cu)bot\b|crawler|spider|scraper/i]
+];
+
+function detectBot(userAgent) {
+  const ua = String(userAgent || '');
+  const signature = ua ? BOT_SIGNATURES.find(([, pattern]) => pattern.test(ua)) : null;
+  return signature ? { name: signature[0] } : null;
+}
+
+// Drops the rollups of days that still have raw hits and rewinds the rollup state, so the next run
+// aggregates them again; days whose raw hits were compacted keep their rollups as they are
+function resetRollups(db) {
+  db.exec(`
+    CREATE TEMP TABLE raw_days AS SELECT DISTINCT site_slug, DATE(created_at) as day FROM traffic_hits;
+
+    DELETE FROM traffic_rollup_hourly WHERE (site_slug, substr(hour, 1, 10)) IN (SELECT site_slug, day FROM raw_days);
+    DELETE FROM traffic_rollup_daily WHERE (site_slug, day) IN (SELECT site_slug, day FROM raw_days);
+    DELETE FROM traffic_rollup_dimensions WHERE (site_slug, day) IN (SELECT site_slug, day FROM raw_days);
+    UPDATE traffic_rollup_state SET last_hit_id = 0, updated_at = CURRENT_TIMESTAMP WHERE id = 1;
+
+    DROP TABLE raw_days;
+  `);
+}
+
+// Hits from crawlers, monitors and scripts are flagged (is_bot, with the robot's name or the
+// heuristic that caught it) and left out of the stats. Existing hits are classified by User-Agent
+// only, then their days are rolled up again without the bots.
+export function up(db) {
+  db.exec(`
+    ALTER TABLE traffic_hits ADD COLUMN is_bot INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE traffic_hits ADD COLUMN bot_name TEXT;
+    ALTER TABLE traffic_hits ADD COLUMN bot_reason TEXT; -- signature, no_user_agent, no_beacon, burst
+  `);
+
+  const flag = db.prepare('UPDATE traffic_hits SET is_bot = 1, bot_name = ?, bot_reason = ? WHERE id = ?');
+  for (const hit of db.prepare('SELECT id, user_agent FROM traffic_hits').all()) {
+    const bot = detectBot(hit.user_agent);
+    if (bot) flag.run(bot.name, 'signature', hit.id);
+    else if (!String(hit.user_agent || '').trim()) flag.run(null, 'no_user_agent', hit.id);
+  }
+
+  resetRollups(db);
+}
+
+export function down(db) {
+  db.exec(`
+    ALTER TABLE traffic_hits DROP COLUMN bot_reason;
+    ALTER TABLE traffic_hits DROP COLUMN bot_name;
+    ALTER TABLE traffic_hits DROP COLUMN is_bot;
+  `);
+
+  resetRollups(db);
+}
@@ -0,0 +1,45 @@
+export const name = 'lead_fts';
+
+const INDEXED = 'name, email, phone, phone_normalized, message';
+
+// Full-text index over the lead fields searched by q. The trigram tokenizer matches any part of a
+// word (a piece of an email or of a phone number) and ignores accents and case; the index holds no
+// copy of the text (content=leads) and triggers keep it in step with every insert, edit and delete.
+export function up(db) {
+  db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS leads_fts USING fts5(
+      ${INDEXED},
+      content = 'leads',
+      content_rowid = 'id',
+      tokenize = 'trigram remove_diacritics 1'
+    );
+
+    CREATE TRIGGER IF NOT EXISTS leads_fts_insert AFTER INSERT ON leads BEGIN
+      INSERT INTO leads_fts (rowid, ${INDEXED})
+      VALUES (new.id, new.name, new.email, new.phone, new.phone_normalized, new.message);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS leads_fts_delete AFTER DELETE ON leads BEGIN
+      INSERT INTO leads_fts (leads_fts, rowid, ${INDEXED})
+      VALUES ('delete', old.id, old.name, old.email, old.phone, old.phone_normalized, old.message);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS leads_fts_update AFTER UPDATE OF ${INDEXED} ON leads BEGIN
+      INSERT INTO leads_fts (leads_fts, rowid, ${INDEXED})
+      VALUES ('delete', old.id, old.name, old.email, old.phone, old.phone_normalized, old.message);
+      INSERT INTO leads_fts (rowid, ${INDEXED})
+      VALUES (new.id, new.name, new.email, new.phone, new.phone_normalized, new.message);
+    END;
+
+    INSERT INTO leads_fts (leads_fts) VALUES ('rebuild');
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TRIGGER IF EXISTS leads_fts_update;
+    DROP TRIGGER IF EXISTS leads_fts_delete;
+    DROP TRIGGER IF EXISTS leads_fts_insert;
+    DROP TABLE IF EXISTS leads_fts;
+  `);
+}
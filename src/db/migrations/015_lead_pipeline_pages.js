@@ -0,0 +1,14 @@
+export const name = 'lead_pipeline_pages';
+
+// Pipeline columns are read newest first, a page at a time, within one stage
+export function up(db) {
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_leads_site_status_created ON leads(site_slug, status, created_at, id);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_leads_site_status_created;
+  `);
+}
@@ -0,0 +1,163 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// 001_baseline.js, 002_lead_pipeline.js... each exports name, up(db) and usually down(db)
+const MIGRATION_FILE = /^(\d+)_[\w-]+\.js$/;
+
+export async function loadMigrations() {
+  const files = (await fs.readdir(MIGRATIONS_DIR)).filter(file => MIGRATION_FILE.test(file)).sort();
+  const migrations = [];
+
+  for (const file of files) {
+    const module = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+    migrations.push({
+      version: parseInt(file.match(MIGRATION_FILE)[1]),
+      name: module.name || file.replace(/\.js$/, ''),
+      up: module.up,
+      down: module.down || null,
+      adopt: module.adopt || null
+    });
+  }
+
+  return migrations;
+}
+
+export function label(migration) {
+  return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+function tableExists(db, table) {
+  return Boolean(db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?").get(table));
+}
+
+function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+export function getAppliedMigrations(db) {
+  if (!tableExists(db, 'schema_migrations')) return [];
+  return db.prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC').all();
+}
+
+// Table rebuilds drop and recreate tables, which foreign keys would block mid-migration
+function withForeignKeysOff(db, fn) {
+  db.pragma('foreign_keys = OFF');
+  try {
+    return fn();
+  } finally {
+    db.pragma('foreign_keys = ON');
+  }
+}
+
+function applyMigration(db, migration, step) {
+  withForeignKeysOff(db, () => {
+    db.transaction(() => {
+      step(db);
+      const violations = db.pragma('foreign_key_check');
+      if (violations.length > 0) {
+        throw new Error(`migration ${label(migration)} left ${violations.length} foreign key violations`);
+      }
+    })();
+  });
+}
+
+export async function getStatus(db) {
+  const migrations = await loadMigrations();
+  const applied = getAppliedMigrations(db);
+  const appliedVersions = new Set(applied.map(row => row.version));
+  const knownVersions = new Set(migrations.map(m => m.version));
+  const latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+
+  return {
+    current: applied.length > 0 ? applied[applied.length - 1].version : 0,
+    latest,
+    applied,
+    pending: migrations.filter(m => !appliedVersions.has(m.version)).map(m => ({ version: m.version, name: m.name })),
+    // Applied by a newer build: this code does not know how to read that schema
+    unknown: applied.filter(row => !knownVersions.has(row.version) || row.version > latest)
+  };
+}
+
+export async function assertNotAhead(db) {
+  const status = await getStatus(db);
+
+  if (status.unknown.length > 0) {
+    const versions = status.unknown.map(label).join(', ');
+    const error = new Error(`database_ahead_of_code: applied migrations ${versions} are not in this build (latest ${status.latest})`);
+    error.code = 'DATABASE_AHEAD_OF_CODE';
+    throw error;
+  }
+
+  return status;
+}
+
+// Applies pending migrations in order, each in its own transaction. `to` stops at that version.
+export async function migrate(db, { to = null } = {}) {
+  const migrations = await loadMigrations();
+  await assertNotAhead(db);
+
+  // A database with tables but no migrations table predates migrations: adopt it as the baseline
+  const isUnversioned = !tableExists(db, 'schema_migrations') && tableExists(db, 'sites');
+  ensureMigrationsTable(db);
+
+  const appliedVersions = new Set(getAppliedMigrations(db).map(row => row.version));
+  const record = db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)');
+  const applied = [];
+
+  for (const migration of migrations) {
+    if (appliedVersions.has(migration.version)) continue;
+    if (to !== null && migration.version > to) break;
+
+    const step = isUnversioned && applied.length === 0 && migration.adopt ? migration.adopt : migration.up;
+    applyMigration(db, migration, database => {
+      step(database);
+      record.run(migration.version, migration.name);
+    });
+
+    console.log(`🔧 Applied migration ${label(migration)}`);
+    applied.push({ version: migration.version, name: migration.name });
+  }
+
+  return { applied, ...(await getStatus(db)) };
+}
+
+// Reverts the last `steps` migrations (or down to version `to`, exclusive), newest first
+export async function rollback(db, { steps = 1, to = null } = {}) {
+  const migrations = await loadMigrations();
+  await assertNotAhead(db);
+
+  const byVersion = new Map(migrations.map(m => [m.version, m]));
+  const applied = getAppliedMigrations(db).reverse();
+  const targets = to !== null ? applied.filter(row => row.version > to) : applied.slice(0, steps);
+  const remove = db.prepare('DELETE FROM schema_migrations WHERE version = ?');
+  const rolledBack = [];
+
+  for (const row of targets) {
+    const migration = byVersion.get(row.version);
+    if (!migration.down) {
+      throw new Error(`irreversible_migration: ${label(migration)} has no down step`);
+    }
+
+    applyMigration(db, migration, database => {
+      migration.down(database);
+      remove.run(migration.version);
+    });
+
+    console.log(`↩️  Rolled back migration ${label(migration)}`);
+    rolledBack.push({ version: migration.version, name: migration.name });
+  }
+
+  return { rolledBack, ...(await getStatus(db)) };
+}
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+// Traffic rollups CLI (run from the project root, next to data/elevea.db):
+//   npm run db:rollups                       rebuild rollups from raw hits (--site SLUG, --days N to narrow it)
+//   node src/db/rollups.js run               aggregate hits recorded since the last run
+//   node src/db/rollups.js compact           delete raw hits past TRAFFIC_RETENTION_DAYS that are rolled up
+//   node src/db/rollups.js status            show how far the rollups are
+import { openDatabase, closeDatabase } from './database.js';
+import { TrafficRollupService } from '../services/trafficRollupService.js';
+
+function readOption(args, name) {
+  const index = args.indexOf(`--${name}`);
+  if (index === -1) return null;
+  return args[index + 1] ?? null;
+}
+
+function readNumber(args, name) {
+  const value = readOption(args, name);
+  if (value === null) return null;
+  const number = parseInt(value);
+  if (isNaN(number) || number < 1) {
+    throw new Error(`--${name} expects a positive number`);
+  }
+  return number;
+}
+
+function printStatus(state) {
+  console.log(`Rolled up to hit #${state.lastHitId} (latest #${state.latestHitId}), ${state.pending} pending`);
+  if (state.updatedAt) console.log(`Last run: ${state.updatedAt}`);
+}
+
+async function main() {
+  const [command = 'status', ...args] = process.argv.slice(2);
+  await openDatabase();
+
+  try {
+    if (command === 'backfill') {
+      const result = await TrafficRollupService.rebuild({
+        siteSlug: readOption(args, 'site'),
+        days: readNumber(args, 'days')
+      });
+      console.log(`Rebuilt ${result.days} site-days`);
+      printStatus(TrafficRollupService.getState());
+    } else if (command === 'run') {
+      const result = await TrafficRollupService.rollUpPending({ maxBatches: Infinity });
+      console.log(`Aggregated ${result.aggregated} hits`);
+      printStatus(TrafficRollupService.getState());
+    } else if (command === 'compact') {
+      const result = await TrafficRollupService.compactRawHits(readNumber(args, 'days') ?? undefined);
+      console.log(result.retentionDays
+        ? `Removed ${result.compacted} raw hits older than ${result.retentionDays} days`
+        : 'Retention disabled (TRAFFIC_RETENTION_DAYS=0), nothing removed');
+    } else if (command === 'status') {
+      printStatus(TrafficRollupService.getState());
+    } else {
+      throw new Error(`unknown command "${command}" (use backfill, run, compact or status)`);
+    }
+  } finally {
+    closeDatabase();
+  }
+}
+
+main().catch(error => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,115 @@
+import { SiteService } from '../services/siteService.js';
+import { SettingsService } from '../services/settingsService.js';
+import { LeadService } from '../services/leadService.js';
+import { FeedbackService } from '../services/feedbackService.js';
+import { TrafficService } from '../services/trafficService.js';
+import { AssetService } from '../services/assetService.js';
+import { SubscriptionService } from '../services/subscriptionService.js';
+
+// IStorage: what the public site API (sign-up, onboarding, hits, status) needs from
+// persistence. SqliteStorage implements it on top of the services, so users, billing,
+// PIN checks, settings history and asset key aliases behave the same behind every route.
+export class SqliteStorage {
+  // Sites
+  async getSite(siteSlug) {
+    const site = await SiteService.getSite(siteSlug);
+    if (!site) return null;
+
+    return {
+      siteSlug: site.slug,
+      email: site.email,
+      fullName: site.full_name,
+      company: site.company,
+      phone: site.phone,
+      document: site.document,
+      plan: await SiteService.getSitePlan(site.slug),
+      status: site.active ? 'active' : 'blocked',
+      active: Boolean(site.active),
+      createdAt: site.created_at
+    };
+  }
+
+  async createSite(data) {
+    const site = await SiteService.createSite({
+      slug: data.siteSlug,
+      email: data.email,
+      fullName: data.fullName,
+      company: data.company,
+      phone: data.phone,
+      document: data.document
+    });
+    return this.getSite(site.slug);
+  }
+
+  async getSiteSettings(siteSlug) {
+    return SettingsService.getSettings(siteSlug);
+  }
+
+  // Every save is a new settings_kv snapshot, so onboarding shows up in the history
+  async updateSiteSettings(siteSlug, settings) {
+    return SettingsService.saveSettings(siteSlug, settings);
+  }
+
+  async listSites() {
+    const sites = await SiteService.listSites();
+    return sites.map(site => site.slug);
+  }
+
+  // Leads
+  async createLead(data) {
+    return LeadService.createLead(data);
+  }
+
+  async listLeads(siteSlug, page = 1, pageSize = 20) {
+    return LeadService.getLeads(siteSlug, page, pageSize);
+  }
+
+  // Feedbacks
+  async createFeedback(data) {
+    return FeedbackService.createFeedback(data);
+  }
+
+  async listFeedbacks(siteSlug, page = 1, pageSize = 20, onlyPublic = false) {
+    return FeedbackService.getFeedbacks(siteSlug, page, pageSize, { onlyApproved: true, onlyPublic });
+  }
+
+  async updateFeedbackApproval(id, approved, isPublic = null, userId = null) {
+    return FeedbackService.approveFeedback(id, approved, userId, isPublic);
+  }
+
+  // Traffic
+  async recordHit(data) {
+    return TrafficService.recordHit(data);
+  }
+
+  async getTrafficStats(siteSlug, days = 30) {
+    const stats = await TrafficService.getDailyStats(siteSlug, `${days}d`);
+    return {
+      totalHits: stats.summary.totalHits,
+      uniqueVisitors: stats.summary.uniqueVisitors,
+      sessions: stats.summary.sessions,
+      topPages: stats.topPages.map(page => ({ path: page.path, hits: page.hits })),
+      dailyHits: stats.dailyHits
+    };
+  }
+
+  // Assets
+  async createAsset(siteSlug, key, file) {
+    return AssetService.createAsset(siteSlug, AssetService.resolveMediaKey(key), file);
+  }
+
+  async listAssets(siteSlug) {
+    return AssetService.getAssets(siteSlug);
+  }
+
+  async deleteAsset(siteSlug, key) {
+    return AssetService.deleteAsset(siteSlug, key);
+  }
+
+  // Billing
+  async getSubscription(siteSlug, email = null) {
+    return SubscriptionService.getSubscriptionStatus(siteSlug, email);
+  }
+}
+
+export const storage = new SqliteStorage();
@@ -1,4 +1,5 @@
 import { useEffect, useState } from "react";
+import { getSessionUser, signOut } from "@/lib/auth";
 
 export type SessionUser = {
   email: string;
@@ -6,17 +7,6 @@ export type SessionUser = {
   siteSlug?: string;
 };
 
-type MeResp = {
-  ok?: boolean;
-  user?: SessionUser;
-  error?: string;
-  message?: string;
-};
-
-const AUTH_BASE  = "/.netlify/functions/auth-session";
-const ME_URL     = `${AUTH_BASE}?action=me`;
-const LOGOUT_URL = `${AUTH_BASE}?action=logout`;
-
 function usePathname() {
   return typeof window !== "undefined" ? window.location.pathname : "/";
 }
@@ -34,11 +24,9 @@ export function useAuth() {
       try {
         setLoading(true);
         setError(null);
-        const r = await fetch(ME_URL, { credentials: "include", cache: "no-store" });
-        const data: MeResp = await r.json().catch(() => ({} as any));
+        const me = await getSessionUser();
         if (!alive) return;
-        if (data?.ok && data.user) setUser(data.user);
-        else setUser(null);
+        setUser(me ? { email: me.email, role: me.role, siteSlug: me.siteSlug } : null);
       } catch (e: any) {
         if (!alive) return;
         setError(e?.message || "Falha ao carregar sessão");
@@ -88,7 +76,7 @@ export function useAuth() {
   }
 
   async function logout(to?: string) {
-    try { await fetch(LOGOUT_URL, { credentials: "include" }); } catch {}
+    try { await signOut(); } catch { /* logout é best-effort: o usuário sai mesmo se a API falhar */ }
     go(to || "/login");
   }
 
@@ -1,4 +1,5 @@
 import { useEffect, useState } from "react";
+import { getSessionUser } from "@/lib/auth";
 
 export type User = {
   email: string;
@@ -7,8 +8,6 @@ export type User = {
   plan?: "vip" | "essential" | string;
 };
 
-const ME_URL = "/.netlify/functions/auth-session?action=me";
-
 function readAuth(): User | null {
   try {
     const raw = localStorage.getItem("auth");
@@ -30,17 +29,16 @@ export function useSession() {
 
     (async () => {
       try {
-        const r = await fetch(ME_URL, { credentials: "include" });
-        const data = await r.json().catch(() => ({} as any));
+        const me = await getSessionUser();
 
         if (!alive) return;
 
-        if (data?.ok && data.user) {
+        if (me) {
           const merged: User = {
-            email: data.user.email,
-            role: data.user.role,
-            siteSlug: (data.user as any).siteSlug || "",
-            plan: (data.user as any).plan || "",
+            email: me.email,
+            role: me.role,
+            siteSlug: me.siteSlug || "",
+            plan: me.plan || "",
           };
           setUser(merged);
           try { localStorage.setItem("auth", JSON.stringify(merged)); } catch {}
@@ -8,6 +8,89 @@ export const API_BASE_URL =
 
 export const APPS_ENDPOINT = API_BASE_URL; // Compatibilidade
 
+// === SESSÃO (access token curto + refresh token rotativo de /api/auth) ===
+
+export type SessionTokens = {
+  token: string;
+  refreshToken: string;
+  expiresAt: number; // ms; o access token é renovado um pouco antes disso
+};
+
+const SESSION_KEY = "elevea_session";
+const REFRESH_MARGIN_MS = 30_000;
+
+export function readSessionTokens(): SessionTokens | null {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(SESSION_KEY) || "null");
+    return parsed?.token && parsed?.refreshToken ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/** Guarda o par devolvido por /api/auth/login ou /api/auth/refresh */
+export function saveSessionTokens(data: { token: string; refreshToken: string; expiresIn: number }): SessionTokens {
+  const tokens = { token: data.token, refreshToken: data.refreshToken, expiresAt: Date.now() + data.expiresIn * 1000 };
+  try { localStorage.setItem(SESSION_KEY, JSON.stringify(tokens)); } catch { /* storage indisponível (modo privado, cota): os tokens não persistem */ }
+  return tokens;
+}
+
+export function clearSessionTokens() {
+  try { localStorage.removeItem(SESSION_KEY); } catch { /* storage indisponível: não há o que limpar */ }
+}
+
+let refreshing: Promise<SessionTokens | null> | null = null;
+
+// Cada refresh token vale uma vez e reapresentar um já trocado derruba a sessão: as chamadas
+// simultâneas esperam a mesma renovação, e se outra aba já renovou usa-se o par que ela gravou
+async function renewSession(stale: SessionTokens): Promise<SessionTokens | null> {
+  const current = readSessionTokens();
+  if (!current) return null;
+  if (current.refreshToken !== stale.refreshToken) return current;
+
+  const r = await fetch(`${API_BASE_URL}/api/auth/refresh`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ refreshToken: current.refreshToken }),
+  });
+  const data = await r.json().catch(() => ({}));
+  if (r.ok && data?.ok) return saveSessionTokens(data);
+
+  // Sessão revogada, expirada ou conta suspensa: só um novo login resolve
+  if (r.status === 401 || r.status === 403) clearSessionTokens();
+  return null;
+}
+
+export function refreshSession(stale: SessionTokens): Promise<SessionTokens | null> {
+  if (!refreshing) {
+    refreshing = renewSession(stale).finally(() => { refreshing = null; });
+  }
+  return refreshing;
+}
+
+function withBearer(init: RequestInit, token: string | undefined): RequestInit {
+  const headers = new Headers(init.headers);
+  if (token) headers.set("Authorization", `Bearer ${token}`);
+  return { ...init, headers };
+}
+
+/**
+ * fetch autenticado no backend: envia o access token e, se ele estiver vencendo ou a API
+ * responder 401, renova com o refresh token e repete a chamada uma vez.
+ */
+export async function authFetch(url: string, init: RequestInit = {}): Promise<Response> {
+  let tokens = readSessionTokens();
+  if (tokens && tokens.expiresAt - Date.now() < REFRESH_MARGIN_MS) {
+    tokens = (await refreshSession(tokens)) || readSessionTokens();
+  }
+
+  const r = await fetch(url, withBearer(init, tokens?.token));
+  if (r.status !== 401 || !tokens) return r;
+
+  const renewed = await refreshSession(tokens);
+  return renewed ? fetch(url, withBearer(init, renewed.token)) : r;
+}
+
 export type UploadResp = {
   ok?: boolean;
   error?: string;
@@ -92,6 +175,20 @@ export async function uploadToDrive(params: {
 
 // === NOVAS FUNÇÕES PARA API NATIVA ===
 
+// Token de tempo de preenchimento: busque ao exibir o formulário e envie como `_ft`;
+// `_hp` é o campo oculto (honeypot) que deve chegar vazio
+export async function getFormToken(siteSlug: string): Promise<{
+  ok: boolean;
+  token?: string;
+  tokenField?: string;
+  honeypotField?: string;
+  minFillSeconds?: number;
+  error?: string;
+}> {
+  const r = await fetch(`${API_BASE_URL}/api/form-token?site=${encodeURIComponent(siteSlug)}`);
+  return r.json();
+}
+
 export async function createLead(data: {
   siteSlug: string;
   name: string;
@@ -99,6 +196,8 @@ export async function createLead(data: {
   phone?: string;
   message?: string;
   source?: string;
+  _ft?: string;
+  _hp?: string;
 }) {
   const r = await fetch(`${API_BASE_URL}/api/leads`, {
     method: "POST",
@@ -114,6 +213,10 @@ export async function createFeedback(data: {
   comment: string;
   name?: string;
   email?: string;
+  // false: o autor não autoriza exibir o depoimento no site
+  isPublic?: boolean;
+  _ft?: string;
+  _hp?: string;
 }) {
   const r = await fetch(`${API_BASE_URL}/api/feedbacks`, {
     method: "POST",
@@ -123,9 +226,12 @@ export async function createFeedback(data: {
   return r.json();
 }
 
+// path pode levar a query string da página: utm_* e gclid viram origem/campanha no painel
 export async function recordHit(data: {
   siteSlug: string;
   path?: string;
+  referrer?: string;
+  language?: string;
   metadata?: Record<string, any>;
 }) {
   const r = await fetch(`${API_BASE_URL}/api/hit`, {
@@ -161,18 +267,496 @@ export async function getLeads(siteSlug: string, page = 1, pageSize = 20) {
   return r.json();
 }
 
+/** Busca com filtros e paginação por cursor (passe o nextCursor da resposta anterior) */
+export async function searchLeads(
+  siteSlug: string,
+  params: {
+    q?: string;
+    status?: string;
+    source?: string;
+    from?: string;
+    to?: string;
+    sort?: string;
+    cursor?: string | null;
+    limit?: number;
+  } = {}
+) {
+  const qs = new URLSearchParams({ site: siteSlug, cursor: params.cursor || "" });
+  for (const key of ["q", "status", "source", "from", "to", "sort"] as const) {
+    if (params[key]) qs.set(key, params[key] as string);
+  }
+  if (params.limit) qs.set("limit", String(params.limit));
+  const r = await authFetch(`${API_BASE_URL}/api/leads?${qs.toString()}`);
+  return r.json();
+}
+
+export type LeadExportFormat = "csv" | "xlsx" | "vcf";
+
+export type LeadExportFilters = { q?: string; status?: string; source?: string; from?: string; to?: string; sort?: string };
+
+function leadExportUrl(
+  siteSlug: string,
+  format: LeadExportFormat,
+  filters: LeadExportFilters = {}
+) {
+  const qs = new URLSearchParams({ site: siteSlug, format });
+  for (const [key, value] of Object.entries(filters)) {
+    if (value) qs.set(key, value);
+  }
+  // Excel em pt-BR abre CSV separado por ponto e vírgula
+  if (format === "csv") qs.set("delimiter", "semicolon");
+  return `${API_BASE_URL}/api/leads/export?${qs.toString()}`;
+}
+
+/**
+ * Baixa a exportação de leads (aceita os mesmos filtros da busca). Um link comum não leva o
+ * Authorization, então o arquivo vem por authFetch e é salvo a partir do Blob.
+ */
+export async function downloadLeadExport(siteSlug: string, format: LeadExportFormat, filters: LeadExportFilters = {}) {
+  const r = await authFetch(leadExportUrl(siteSlug, format, filters));
+  if (!r.ok) {
+    const data = await r.json().catch(() => ({}));
+    throw new Error(data?.error || `Falha na exportação (${r.status})`);
+  }
+
+  const blob = await r.blob();
+  const disposition = r.headers.get("Content-Disposition") || "";
+  const filename = /filename="([^"]+)"/.exec(disposition)?.[1] || `leads.${format}`;
+
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Importa leads de CSV/XLSX. Por padrão é só prévia (dryRun): a resposta traz o relatório por linha
+ * (válida, duplicada ou inválida); chame de novo com dryRun=false para gravar.
+ */
+export async function importLeads(
+  siteSlug: string,
+  file: File,
+  options: { mapping?: Record<string, string | number | null>; dryRun?: boolean } = {}
+) {
+  const fd = new FormData();
+  fd.set("site", siteSlug);
+  fd.set("file", file);
+  fd.set("dryRun", options.dryRun === false ? "0" : "1");
+  if (options.mapping) fd.set("mapping", JSON.stringify(options.mapping));
+
+  const r = await authFetch(`${API_BASE_URL}/api/leads/import`, {
+    method: "POST",
+    body: fd,
+  });
+  return r.json();
+}
+
 export async function getFeedbacks(siteSlug: string, page = 1, pageSize = 20, onlyPublic = false) {
   const publicParam = onlyPublic ? '&public=1' : '';
   const r = await fetch(`${API_BASE_URL}/api/feedbacks?site=${encodeURIComponent(siteSlug)}&page=${page}&pageSize=${pageSize}${publicParam}`);
   return r.json();
 }
 
+export type TestimonialsLayout = "carousel" | "grid" | "badge";
+
+/** URL do widget de depoimentos: "js" para <script src>, "html" para <iframe src> */
+export function testimonialsWidgetUrl(
+  siteSlug: string,
+  format: "js" | "html",
+  options: { layout?: TestimonialsLayout; limit?: number; primary?: string; text?: string; background?: string } = {}
+) {
+  const qs = new URLSearchParams();
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined && value !== "") qs.set(key, String(value));
+  }
+  const path = `${API_BASE_URL}/api/widgets/testimonials/${encodeURIComponent(siteSlug)}${format === "js" ? "/embed.js" : ""}`;
+  return qs.toString() ? `${path}?${qs.toString()}` : path;
+}
+
+// === MODERAÇÃO DE FEEDBACKS ===
+
+export type FeedbackStatus = "pending" | "approved" | "rejected" | "hidden";
+
+export async function getFeedbackQueue(siteSlug: string, status: FeedbackStatus = "pending", page = 1, pageSize = 20) {
+  const qs = new URLSearchParams({ site: siteSlug, status, page: String(page), pageSize: String(pageSize) });
+  const r = await authFetch(`${API_BASE_URL}/api/feedbacks?${qs.toString()}`);
+  return r.json();
+}
+
+export async function moderateFeedback(
+  id: number,
+  changes: { status?: FeedbackStatus; reason?: string; isPublic?: boolean }
+) {
+  const r = await authFetch(`${API_BASE_URL}/api/feedbacks/${id}/moderation`, {
+    method: "PATCH",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(changes),
+  });
+  return r.json();
+}
+
+export async function bulkModerateFeedbacks(siteSlug: string, action: "approve" | "reject", ids: number[], reason?: string) {
+  const r = await authFetch(`${API_BASE_URL}/api/feedbacks/bulk/${action}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ site: siteSlug, ids, reason }),
+  });
+  return r.json();
+}
+
+export async function editFeedback(id: number, changes: { name?: string; comment?: string }) {
+  const r = await authFetch(`${API_BASE_URL}/api/feedbacks/${id}`, {
+    method: "PATCH",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(changes),
+  });
+  return r.json();
+}
+
+// Resposta pública do dono do site; texto vazio remove a resposta
+export async function replyToFeedback(id: number, reply: string) {
+  const r = await authFetch(`${API_BASE_URL}/api/feedbacks/${id}/reply`, {
+    method: "PUT",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ reply }),
+  });
+  return r.json();
+}
+
+// === PEDIDOS DE AVALIAÇÃO ===
+
+export type ReviewChannel = "email" | "whatsapp" | "link";
+export type ReviewRequestStatus = "pending" | "opened" | "submitted" | "expired" | "revoked";
+
+export type ReviewRequest = {
+  id: number;
+  siteSlug: string;
+  leadId: number | null;
+  name: string | null;
+  email: string | null;
+  phone: string | null;
+  channel: ReviewChannel;
+  status: ReviewRequestStatus;
+  expiresAt: string;
+  sentAt: string | null;
+  openedAt: string | null;
+  openCount: number;
+  submittedAt: string | null;
+  feedbackId: number | null;
+  createdAt: string;
+};
+
+// O link só volta aqui; com channel "whatsapp" vem também whatsappUrl para abrir a conversa
+export async function createReviewRequest(
+  siteSlug: string,
+  data: { channel: ReviewChannel; leadId?: number; name?: string; email?: string; phone?: string; message?: string }
+) {
+  const r = await authFetch(`${API_BASE_URL}/api/review-requests`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ site: siteSlug, ...data }),
+  });
+  return r.json();
+}
+
+export async function getReviewRequests(
+  siteSlug: string,
+  filters: { status?: ReviewRequestStatus; leadId?: number; page?: number; pageSize?: number } = {}
+) {
+  const qs = new URLSearchParams({ site: siteSlug });
+  for (const [key, value] of Object.entries(filters)) {
+    if (value !== undefined) qs.set(key, String(value));
+  }
+  const r = await authFetch(`${API_BASE_URL}/api/review-requests?${qs.toString()}`);
+  return r.json();
+}
+
+export async function getReviewRequestStats(siteSlug: string, days = 30) {
+  const r = await authFetch(`${API_BASE_URL}/api/review-requests/stats?site=${encodeURIComponent(siteSlug)}&days=${days}`);
+  return r.json();
+}
+
+export async function revokeReviewRequest(id: number) {
+  const r = await authFetch(`${API_BASE_URL}/api/review-requests/${id}`, { method: "DELETE" });
+  return r.json();
+}
+
+// Página pública /avaliar: cada carregamento conta como abertura
+export async function openReviewRequest(token: string) {
+  const r = await fetch(`${API_BASE_URL}/api/review-requests/open?token=${encodeURIComponent(token)}`);
+  return r.json();
+}
+
+export async function submitReviewRequest(data: {
+  token: string;
+  rating: number;
+  comment: string;
+  name?: string;
+  isPublic?: boolean;
+}) {
+  const r = await fetch(`${API_BASE_URL}/api/review-requests/submit`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(data),
+  });
+  return r.json();
+}
+
+// Resumo do painel: exige sessão com traffic:read no site
 export async function getTrafficStats(siteSlug: string, range = '30d') {
-  const r = await fetch(`${API_BASE_URL}/api/traffic?site=${encodeURIComponent(siteSlug)}&range=${range}`);
+  const r = await authFetch(`${API_BASE_URL}/api/traffic?site=${encodeURIComponent(siteSlug)}&range=${range}`);
   return r.json();
 }
 
+/** Visita da página atual (para as landing pages): caminho com UTM, referrer e idioma do navegador */
+export function trackPageView(siteSlug: string) {
+  return recordHit({
+    siteSlug,
+    path: window.location.pathname + window.location.search,
+    referrer: document.referrer || undefined,
+    language: navigator.language,
+  });
+}
+
+export type TrafficShare<K extends string> = { [key in K]: string } & { hits: number; percentage: number };
+
+export type TrafficSources = {
+  days: number;
+  totalHits: number;
+  sources: Array<TrafficShare<"source"> & { medium: string }>;
+  mediums: TrafficShare<"medium">[];
+  referrers: TrafficShare<"host">[];
+};
+
+export type TrafficCampaigns = {
+  days: number;
+  campaigns: Array<{ campaign: string; source: string; medium: string; hits: number; visitors: number; firstDay: string; lastDay: string }>;
+  contents: Array<{ campaign: string; content: string | null; term: string | null; hits: number }>;
+};
+
+export type TrafficDevices = {
+  days: number;
+  totalHits: number;
+  devices: TrafficShare<"device">[];
+  browsers: TrafficShare<"browser">[];
+  os: TrafficShare<"os">[];
+  languages: TrafficShare<"language">[];
+};
+
+// Robôs: nome da assinatura (Googlebot, UptimeRobot...) ou a heurística que pegou o acesso
+// (no_user_agent, no_beacon, burst)
+export type TrafficCrawlers = {
+  days: number;
+  totalHits: number;
+  crawlers: Array<TrafficShare<"crawler"> & { kind: string; pages: number; lastDay: string }>;
+  crawler: string;
+  pages: Array<{ path: string; hits: number; firstDay: string; lastDay: string }>;
+  daily: Array<{ date: string; hits: number }>;
+};
+
+async function getTrafficAggregate(
+  endpoint: "sources" | "campaigns" | "devices" | "crawlers",
+  siteSlug: string,
+  days: number,
+  extra = ""
+) {
+  const r = await authFetch(`${API_BASE_URL}/api/traffic/${endpoint}?site=${encodeURIComponent(siteSlug)}&days=${days}${extra}`);
+  return r.json();
+}
+
+export async function getTrafficSources(siteSlug: string, days = 30): Promise<{ ok: boolean } & TrafficSources> {
+  return getTrafficAggregate("sources", siteSlug, days);
+}
+
+export async function getTrafficCampaigns(siteSlug: string, days = 30): Promise<{ ok: boolean } & TrafficCampaigns> {
+  return getTrafficAggregate("campaigns", siteSlug, days);
+}
+
+export async function getTrafficDevices(siteSlug: string, days = 30): Promise<{ ok: boolean } & TrafficDevices> {
+  return getTrafficAggregate("devices", siteSlug, days);
+}
+
+export async function getTrafficCrawlers(siteSlug: string, days = 30, crawler = "Googlebot"): Promise<{ ok: boolean } & TrafficCrawlers> {
+  return getTrafficAggregate("crawlers", siteSlug, days, `&crawler=${encodeURIComponent(crawler)}`);
+}
+
 export async function getAssets(siteSlug: string) {
   const r = await fetch(`${API_BASE_URL}/api/assets?site=${encodeURIComponent(siteSlug)}`);
   return r.json();
 }
+
+// === PIPELINE DE LEADS ===
+
+export type LeadStatus = "new" | "contacted" | "negotiating" | "won" | "lost";
+
+export async function getLeadPipeline(siteSlug: string) {
+  const r = await authFetch(`${API_BASE_URL}/api/leads/pipeline?site=${encodeURIComponent(siteSlug)}`);
+  return r.json();
+}
+
+// Próxima página de uma etapa do quadro (cursor = nextCursor da etapa)
+export async function getLeadPipelineStage(siteSlug: string, status: LeadStatus, cursor: string) {
+  const r = await authFetch(
+    `${API_BASE_URL}/api/leads/pipeline?site=${encodeURIComponent(siteSlug)}&status=${status}&cursor=${encodeURIComponent(cursor)}`
+  );
+  return r.json();
+}
+
+export async function updateLead(
+  id: number,
+  changes: { status?: LeadStatus; assignedTo?: number | null; followUpAt?: string | null; quarantined?: boolean }
+) {
+  const r = await authFetch(`${API_BASE_URL}/api/leads/${id}`, {
+    method: "PATCH",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(changes),
+  });
+  return r.json();
+}
+
+export async function getLeadNotes(id: number) {
+  const r = await authFetch(`${API_BASE_URL}/api/leads/${id}/notes`);
+  return r.json();
+}
+
+export async function addLeadNote(id: number, body: string) {
+  const r = await authFetch(`${API_BASE_URL}/api/leads/${id}/notes`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ body }),
+  });
+  return r.json();
+}
+
+// Grupos de leads com o mesmo e-mail ou telefone (normalizado)
+export async function getLeadDuplicates(siteSlug: string) {
+  const r = await authFetch(`${API_BASE_URL}/api/leads/duplicates?site=${encodeURIComponent(siteSlug)}`);
+  return r.json();
+}
+
+// Junta leadIds no lead principal; os demais são removidos e ficam no histórico de mesclagens
+export async function mergeLeads(primaryId: number, leadIds: number[]) {
+  const r = await authFetch(`${API_BASE_URL}/api/leads/merge`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ primaryId, leadIds }),
+  });
+  return r.json();
+}
+
+// === NOTIFICAÇÕES DE LEADS ===
+
+export type LeadEmailMode = "instant" | "hourly" | "daily";
+
+export type NotificationSettings = {
+  siteSlug: string;
+  email: { enabled: boolean; mode: LeadEmailMode; recipients: string[] };
+  webhook: { enabled: boolean; url: string | null; hasSecret: boolean; secret?: string };
+  lastDigestAt: string | null;
+};
+
+export async function getNotificationSettings(siteSlug: string) {
+  const r = await authFetch(`${API_BASE_URL}/api/notifications/settings?site=${encodeURIComponent(siteSlug)}`);
+  return r.json();
+}
+
+// `webhook.secret` só vem na resposta quando o segredo é criado ou trocado (rotateSecret)
+export async function updateNotificationSettings(
+  siteSlug: string,
+  changes: {
+    email?: Partial<NotificationSettings["email"]>;
+    webhook?: { enabled?: boolean; url?: string | null; rotateSecret?: boolean };
+  }
+) {
+  const r = await authFetch(`${API_BASE_URL}/api/notifications/settings`, {
+    method: "PUT",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ site: siteSlug, ...changes }),
+  });
+  return r.json();
+}
+
+export async function getNotificationDeliveries(siteSlug: string, status?: string) {
+  const qs = new URLSearchParams({ site: siteSlug });
+  if (status) qs.set("status", status);
+  const r = await authFetch(`${API_BASE_URL}/api/notifications/deliveries?${qs.toString()}`);
+  return r.json();
+}
+
+// === WEBHOOKS DO SITE ===
+
+export type SiteHookEvent = "lead.created" | "feedback.created" | "feedback.approved" | "site.toggled" | "billing.changed";
+
+export type SiteHook = {
+  id: number;
+  siteSlug: string;
+  url: string;
+  events: Array<SiteHookEvent | "*">;
+  active: boolean;
+  notes: string | null;
+  hasSecret: boolean;
+  secret?: string;
+  createdAt: string;
+  updatedAt: string;
+};
+
+export async function getSiteHooks(siteSlug: string) {
+  const r = await authFetch(`${API_BASE_URL}/api/hooks?site=${encodeURIComponent(siteSlug)}`);
+  return r.json();
+}
+
+// `hook.secret` só vem na criação e quando o segredo é trocado (rotateSecret)
+export async function createSiteHook(
+  siteSlug: string,
+  hook: { url: string; events: Array<SiteHookEvent | "*">; notes?: string; active?: boolean }
+) {
+  const r = await authFetch(`${API_BASE_URL}/api/hooks`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ site: siteSlug, ...hook }),
+  });
+  return r.json();
+}
+
+export async function updateSiteHook(
+  id: number,
+  changes: Partial<Pick<SiteHook, "url" | "events" | "active" | "notes">> & { rotateSecret?: boolean }
+) {
+  const r = await authFetch(`${API_BASE_URL}/api/hooks/${id}`, {
+    method: "PATCH",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(changes),
+  });
+  return r.json();
+}
+
+export async function deleteSiteHook(id: number) {
+  const r = await authFetch(`${API_BASE_URL}/api/hooks/${id}`, { method: "DELETE" });
+  return r.json();
+}
+
+export async function testSiteHook(id: number) {
+  const r = await authFetch(`${API_BASE_URL}/api/hooks/${id}/test`, { method: "POST" });
+  return r.json();
+}
+
+export async function getSiteHookDeliveries(id: number, status?: string) {
+  const qs = new URLSearchParams();
+  if (status) qs.set("status", status);
+  const r = await authFetch(`${API_BASE_URL}/api/hooks/${id}/deliveries?${qs.toString()}`);
+  return r.json();
+}
+
+export async function retrySiteHookDelivery(deliveryId: number) {
+  const r = await authFetch(`${API_BASE_URL}/api/hooks/deliveries/${deliveryId}/retry`, { method: "POST" });
+  return r.json();
+}
+
+export async function getSiteMembers(siteSlug: string) {
+  const r = await authFetch(`${API_BASE_URL}/api/site-members?site=${encodeURIComponent(siteSlug)}`);
+  return r.json();
+}
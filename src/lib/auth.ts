@@ -1,36 +1,165 @@
 // src/lib/auth.ts
+import {
+  API_BASE_URL,
+  authFetch,
+  readSessionTokens,
+  saveSessionTokens,
+  clearSessionTokens,
+} from "@/lib/api";
 
 /**
- * Solicita reset de senha.
- * O backend (/.netlify/functions/reset-dispatch) dispara e-mail com o link.
+ * Backend do reset de senha:
+ * - "netlify" (padrão): /.netlify/functions/reset-dispatch (GAS + Resend)
+ * - "express": backend nativo, /api/auth/password-reset/*
  */
-export async function requestPasswordReset(email: string) {
-  const r = await fetch("/.netlify/functions/reset-dispatch", {
+export const AUTH_BACKEND: "netlify" | "express" =
+  import.meta.env.VITE_AUTH_BACKEND === "express" ? "express" : "netlify";
+
+/** Tamanho mínimo de senha aceito pelo backend ativo. */
+export const PASSWORD_MIN_LENGTH = AUTH_BACKEND === "express" ? 8 : 6;
+
+const RESET_DISPATCH_URL = "/.netlify/functions/reset-dispatch";
+
+async function postJson(url: string, body: unknown, fallbackError: string) {
+  const r = await fetch(url, {
     method: "POST",
     headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ type: "password_reset_request", email }),
+    body: JSON.stringify(body),
   });
 
   const data = await r.json().catch(() => ({}));
   if (!r.ok || data?.ok === false) {
-    throw new Error(data?.error || "Falha ao solicitar reset");
+    throw new Error(data?.error || fallbackError);
   }
   return data;
 }
 
+/**
+ * Solicita reset de senha.
+ * O backend dispara e-mail com o link para /reset?email=...&token=...
+ */
+export async function requestPasswordReset(email: string) {
+  if (AUTH_BACKEND === "express") {
+    return postJson(
+      `${API_BASE_URL}/api/auth/password-reset/request`,
+      { email },
+      "Falha ao solicitar reset"
+    );
+  }
+
+  return postJson(
+    RESET_DISPATCH_URL,
+    { type: "password_reset_request", email },
+    "Falha ao solicitar reset"
+  );
+}
+
 /**
  * Confirma reset de senha (define nova senha).
  */
 export async function confirmPasswordReset(email: string, token: string, password: string) {
-  const r = await fetch("/.netlify/functions/reset-dispatch", {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ type: "password_reset_confirm", email, token, password }),
-  });
+  if (AUTH_BACKEND === "express") {
+    return postJson(
+      `${API_BASE_URL}/api/auth/password-reset/confirm`,
+      { email, token, password },
+      "Falha ao confirmar reset"
+    );
+  }
+
+  return postJson(
+    RESET_DISPATCH_URL,
+    { type: "password_reset_confirm", email, token, password },
+    "Falha ao confirmar reset"
+  );
+}
+
+export type SiteInvitation = {
+  siteSlug: string;
+  email: string;
+  role: "editor" | "viewer";
+  expiresAt: string;
+  accountExists: boolean;
+};
+
+/**
+ * Convites para o painel de um site (só no backend nativo).
+ * O e-mail do convite aponta para /convite?token=...
+ */
+export async function getSiteInvitation(token: string): Promise<SiteInvitation> {
+  const r = await fetch(
+    `${API_BASE_URL}/api/site-members/invitations/preview?token=${encodeURIComponent(token)}`
+  );
 
   const data = await r.json().catch(() => ({}));
   if (!r.ok || data?.ok === false) {
-    throw new Error(data?.error || "Falha ao confirmar reset");
+    throw new Error(data?.error || "Convite inválido ou expirado");
   }
-  return data;
+  return data.invitation;
+}
+
+/**
+ * Aceita o convite: senha da conta existente ou senha da conta nova.
+ */
+export async function acceptSiteInvitation(token: string, password: string) {
+  return postJson(
+    `${API_BASE_URL}/api/site-members/invitations/accept`,
+    { token, password },
+    "Falha ao aceitar convite"
+  );
+}
+
+// === SESSÃO DO PAINEL ===
+
+export type SessionUser = {
+  id: number;
+  email: string;
+  // papel do painel: a equipe (designer, support, finance) usa o painel admin e a API confere as capacidades
+  role: "admin" | "client";
+  staffRole: string;
+  siteSlug?: string;
+  plan?: string;
+};
+
+function toSessionUser(user: { id: number; email: string; role: string; siteSlug?: string | null; plan?: string | null }): SessionUser {
+  return {
+    id: user.id,
+    email: user.email,
+    role: user.role === "client" ? "client" : "admin",
+    staffRole: user.role,
+    siteSlug: user.siteSlug || "",
+    plan: user.plan || "",
+  };
+}
+
+/**
+ * Login no backend: abre uma sessão revogável (GET /api/auth/sessions) e guarda o par de tokens.
+ */
+export async function signIn(email: string, password: string): Promise<SessionUser> {
+  const data = await postJson(
+    `${API_BASE_URL}/api/auth/login`,
+    { email: email.trim().toLowerCase(), password },
+    "Falha no login"
+  );
+  saveSessionTokens(data);
+  return toSessionUser(data.user);
+}
+
+/** Usuário da sessão atual, ou null se não houver sessão válida (revogada, expirada...). */
+export async function getSessionUser(): Promise<SessionUser | null> {
+  if (!readSessionTokens()) return null;
+
+  const r = await authFetch(`${API_BASE_URL}/api/auth/me`, { cache: "no-store" });
+  const data = await r.json().catch(() => ({}));
+  if (r.ok && data?.ok && data.user) return toSessionUser(data.user);
+
+  if (r.status === 401 || r.status === 403) clearSessionTokens();
+  return null;
+}
+
+/** Encerra a sessão no servidor; com allDevices, todas as sessões do usuário. */
+export async function signOut(allDevices = false) {
+  if (readSessionTokens()) {
+    await authFetch(`${API_BASE_URL}/api/auth/${allDevices ? "logout-all" : "logout"}`, { method: "POST" }).catch(() => null);
+  }
+  clearSessionTokens();
 }
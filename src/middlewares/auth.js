@@ -3,17 +3,75 @@ import { getDatabase } from '../db/database.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'elevea-dev-secret-change-in-production';
 
-export function generateToken(user) {
+// Capabilities granted to each role ('*' = everything). Clients get no global
+// capability: they reach the sites they are members of, see canAccessSite.
+export const ROLE_CAPABILITIES = {
+  admin: ['*'],
+  designer: ['sites:read', 'settings:read', 'settings:edit', 'assets:edit', 'feedbacks:read', 'traffic:read'],
+  support: ['sites:read', 'sites:toggle', 'leads:read', 'feedbacks:read', 'feedbacks:moderate', 'traffic:read', 'users:read'],
+  finance: ['sites:read', 'billing:read', 'billing:edit', 'users:read'],
+  client: []
+};
+
+export const ROLES = Object.keys(ROLE_CAPABILITIES);
+
+export const CAPABILITIES = [
+  'sites:read', 'sites:toggle', 'sites:manage',
+  'settings:read', 'settings:edit', 'assets:edit',
+  'leads:read', 'leads:edit', 'leads:export', 'leads:delete',
+  'feedbacks:read', 'feedbacks:moderate',
+  'traffic:read',
+  'billing:read', 'billing:edit',
+  'webhooks:manage',
+  'members:manage',
+  'users:read', 'users:manage', 'roles:assign'
+];
+
+// Capabilities a site member holds on that site only (see site_members)
+export const SITE_ROLE_CAPABILITIES = {
+  owner: ['*'],
+  editor: ['sites:read', 'settings:read', 'settings:edit', 'assets:edit', 'leads:read', 'leads:edit', 'leads:export', 'leads:delete', 'feedbacks:read', 'feedbacks:moderate', 'traffic:read'],
+  viewer: ['sites:read', 'settings:read', 'leads:read', 'feedbacks:read', 'traffic:read']
+};
+
+export const SITE_ROLES = Object.keys(SITE_ROLE_CAPABILITIES);
+
+export function hasPermission(user, capability) {
+  const granted = ROLE_CAPABILITIES[user?.role] || [];
+  return granted.includes('*') || granted.includes(capability);
+}
+
+export function getSiteRole(user, site) {
+  if (!user?.id || !site) return null;
+  const member = getDatabase()
+    .prepare('SELECT role FROM site_members WHERE site_slug = ? AND user_id = ?')
+    .get(String(site).trim().toUpperCase(), user.id);
+  return member ? member.role : null;
+}
+
+// Staff with the capability reach every site; anyone else needs a membership whose role grants it
+export function canAccessSite(user, site, capability) {
+  if (!user || !site) return false;
+  if (hasPermission(user, capability)) return true;
+  const granted = SITE_ROLE_CAPABILITIES[getSiteRole(user, site)] || [];
+  return granted.includes('*') || granted.includes(capability);
+}
+
+// Access tokens are short-lived; clients renew them with the session's refresh token
+export const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS || '900');
+
+export function generateToken(user, sessionId) {
   return jwt.sign(
     { 
       id: user.id, 
       email: user.email, 
       role: user.role,
       siteSlug: user.site_slug,
-      plan: user.plan 
+      plan: user.plan,
+      sid: sessionId
     }, 
     JWT_SECRET, 
-    { expiresIn: '30d' }
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
   );
 }
 
@@ -29,13 +87,44 @@ export function verifyToken(req, res, next) {
 
   try {
     const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
+
+    // Tokens outlive account changes: deleted users, suspended users and revoked sessions are rejected here
+    const account = getDatabase().prepare(`
+      SELECT u.status, u.role, u.site_slug, u.plan, s.revoked_at, s.expires_at
+      FROM users u
+      LEFT JOIN sessions s ON s.id = ? AND s.user_id = u.id
+      WHERE u.id = ?
+    `).get(decoded.sid || '', decoded.id);
+
+    if (!account || !account.expires_at) {
+      return res.status(401).json({ ok: false, error: 'invalid_token' });
+    }
+    if (account.revoked_at || new Date(account.expires_at) < new Date()) {
+      return res.status(401).json({ ok: false, error: 'session_revoked' });
+    }
+    if (account.status === 'suspended') {
+      return res.status(403).json({ ok: false, error: 'account_suspended' });
+    }
+
+    // Role and site come from the database so changes apply without a new login
+    req.user = {
+      ...decoded,
+      role: account.role,
+      siteSlug: account.site_slug,
+      plan: account.plan
+    };
     next();
   } catch (error) {
     return res.status(401).json({ ok: false, error: 'invalid_token' });
   }
 }
 
+// Routes that also serve anonymous callers (public forms, onboarding) check req.user themselves
+export function optionalAuth(req, res, next) {
+  if (!req.headers.authorization) return next();
+  return verifyToken(req, res, next);
+}
+
 export function requireRole(role) {
   return (req, res, next) => {
     if (!req.user) {
@@ -54,15 +143,29 @@ export function requireAdmin(req, res, next) {
   return requireRole('admin')(req, res, next);
 }
 
+export function requirePermission(capability) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ ok: false, error: 'authentication_required' });
+    }
+
+    if (!hasPermission(req.user, capability)) {
+      return res.status(403).json({ ok: false, error: 'insufficient_permissions' });
+    }
+
+    next();
+  };
+}
+
 export function requireVipOrAdmin(req, res, next) {
   if (!req.user) {
     return res.status(401).json({ ok: false, error: 'authentication_required' });
   }
 
-  const isAdmin = req.user.role === 'admin';
+  const isStaff = hasPermission(req.user, 'assets:edit');
   const isVip = req.user.plan === 'vip' || isActiveBillingStatus(req.user.billing_status);
 
-  if (!isAdmin && !isVip) {
+  if (!isStaff && !isVip) {
     return res.status(403).json({ ok: false, error: 'vip_or_admin_required' });
   }
 
@@ -0,0 +1,57 @@
+import { SiteService } from '../services/siteService.js';
+
+const FORM_RATE_WINDOW_MINUTES = parseInt(process.env.FORM_RATE_WINDOW_MINUTES || '10');
+const FORM_RATE_MAX_PER_IP = parseInt(process.env.FORM_RATE_MAX_PER_IP || '5');
+const FORM_RATE_MAX_PER_SITE = parseInt(process.env.FORM_RATE_MAX_PER_SITE || '60');
+
+// Fixed-window counters kept in memory: enough for a single API process. Requests whose key
+// comes back empty are not counted (the route answers them with its own 400).
+export function rateLimit({ name, windowMs, max, key }) {
+  const hits = new Map();
+
+  return (req, res, next) => {
+    const id = key(req);
+    if (!id) return next();
+
+    const now = Date.now();
+    let entry = hits.get(id);
+    if (!entry || entry.resetAt <= now) {
+      // Expired windows are dropped as traffic comes in, so the map stays small
+      for (const [k, e] of hits) {
+        if (e.resetAt <= now) hits.delete(k);
+      }
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(id, entry);
+    }
+
+    entry.count += 1;
+    if (entry.count > max) {
+      const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+      console.warn(`Rate limit ${name} hit for ${id}`);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        ok: false,
+        error: 'rate_limited',
+        retryAfter
+      });
+    }
+
+    next();
+  };
+}
+
+// Per-IP and per-site limits for a public form endpoint; `scope` keeps leads and feedbacks apart
+export function publicFormLimits(scope) {
+  const windowMs = FORM_RATE_WINDOW_MINUTES * 60 * 1000;
+  const site = req => req.body?.site || req.body?.siteSlug;
+
+  return [
+    rateLimit({ name: `${scope}:ip`, windowMs, max: FORM_RATE_MAX_PER_IP, key: req => req.ip }),
+    rateLimit({
+      name: `${scope}:site`,
+      windowMs,
+      max: FORM_RATE_MAX_PER_SITE,
+      key: req => (site(req) ? SiteService.normalizeSiteSlug(String(site(req))) : null)
+    })
+  ];
+}
@@ -1,5 +1,6 @@
 // src/admin/AdminDashboard.tsx
 import React, { useEffect, useMemo, useState } from "react";
+import { downloadLeadExport, type LeadExportFormat } from "@/lib/api";
 
 /** Endpoints (Netlify Functions do PAINEL Elevea) */
 const APPS_ENDPOINT = "/.netlify/functions/sheets-proxy";
@@ -486,6 +487,14 @@ function RowDetails({
   feedbacks: Feedback[];
   traffic: TrafficPoint[];
 }) {
+  async function exportLeads(format: LeadExportFormat) {
+    try {
+      await downloadLeadExport(slug, format);
+    } catch (e) {
+      alert(e instanceof Error ? e.message : "Não foi possível exportar os leads.");
+    }
+  }
+
   return (
     <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
       {/* Financeiro */}
@@ -528,6 +537,11 @@ function RowDetails({
       <section className="rounded-xl border bg-white p-4">
         <div className="flex items-center justify-between">
           <h3 className="font-semibold">Leads (últimos)</h3>
+          <div className="flex items-center gap-2 text-xs">
+            <button onClick={() => exportLeads("csv")} className="underline">CSV</button>
+            <button onClick={() => exportLeads("xlsx")} className="underline">XLSX</button>
+            <button onClick={() => exportLeads("vcf")} className="underline">vCard</button>
+          </div>
         </div>
         <div className="mt-2 space-y-2 max-h-60 overflow-auto pr-1">
           {(!leads || leads.length === 0) && <div className="text-sm text-slate-500">Sem leads.</div>}
@@ -1,19 +1,20 @@
 import React, { useEffect, useMemo, useState } from "react";
+import { requestPasswordReset, signIn, getSessionUser } from "@/lib/auth";
 
-// 👉 usa SEMPRE a mesma função (edge): auth-session
-const AUTH_BASE = "/.netlify/functions/auth-session";
-const LOGIN_URL = `${AUTH_BASE}?action=login`;
-const ME_URL    = `${AUTH_BASE}?action=me`;
-const RESET_URL = "/.netlify/functions/reset-dispatch";
+// Login no backend (/api/auth): sessão com access token curto e refresh token revogável
 
 type ApiResp = {
   ok?: boolean;
   error?: string;
   message?: string;
-  user?: { email: string; role: "admin" | "client"; siteSlug?: string };
   link?: string;
 };
 
+const LOGIN_ERRORS: Record<string, string> = {
+  invalid_credentials: "Credenciais inválidas",
+  account_suspended: "Conta suspensa. Fale com o suporte.",
+};
+
 export default function LoginPage() {
   const [email, setEmail] = useState("");
   const [pass, setPass] = useState("");
@@ -39,9 +40,8 @@ export default function LoginPage() {
   useEffect(() => {
     (async () => {
       try {
-        const r = await fetch(ME_URL, { credentials: "include", cache: "no-store" });
-        const data: ApiResp = await r.json().catch(() => ({} as any));
-        if (data?.ok && data.user) redirectByRole(data.user.role, next);
+        const me = await getSessionUser();
+        if (me) redirectByRole(me.role, next);
       } catch {}
     })();
   }, [next]);
@@ -59,30 +59,10 @@ export default function LoginPage() {
     setErr(null); setMsg(null); setLoading(true);
 
     try {
-      const emailLc = email.trim().toLowerCase();
-      const r = await fetch(LOGIN_URL, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        credentials: "include",
-        body: JSON.stringify({ email: emailLc, password: pass }),
-      });
-
-      // ajuda a diagnosticar 5xx
-      if (r.status >= 500) {
-        const txt = await r.text().catch(() => "");
-        setErr(`Servidor indisponível (${r.status}). ${txt || ""}`.trim());
-        return;
-      }
-
-      const data: ApiResp = await r.json().catch(() => ({} as any));
-      if (!r.ok || data.ok === false) {
-        setErr(data.error || data.message || `Falha no login (${r.status})`);
-        return;
-      }
-      if (!data.user?.role) { setErr("Resposta inválida do servidor."); return; }
-      redirectByRole(data.user.role, next);
+      const user = await signIn(email, pass);
+      redirectByRole(user.role, next);
     } catch (e: any) {
-      setErr(e?.message || "Erro de rede");
+      setErr(LOGIN_ERRORS[e?.message] || e?.message || "Erro de rede");
     } finally {
       setLoading(false);
     }
@@ -92,19 +72,7 @@ export default function LoginPage() {
     e.preventDefault();
     setErr(null); setMsg(null);
     try {
-      const r = await fetch(RESET_URL, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          type: "password_reset_request",
-          email: forgotEmail.trim().toLowerCase()
-        }),
-      });
-      const data: ApiResp = await r.json().catch(() => ({} as any));
-      if (!r.ok || data.ok === false) {
-        setErr(data.error || data.message || `Falha no reset (${r.status})`);
-        return;
-      }
+      const data: ApiResp = await requestPasswordReset(forgotEmail.trim().toLowerCase());
       if (data.link) setMsg(`Link de reset: ${data.link}`);
       else setMsg("Se o e-mail existir, enviamos um link de reset.");
       setForgotOpen(false);
@@ -0,0 +1,139 @@
+// src/pages/avaliar.tsx
+import React, { useEffect, useState } from "react";
+import { openReviewRequest, submitReviewRequest } from "@/lib/api";
+
+type ReviewPage = {
+  siteSlug: string;
+  siteName: string;
+  name: string | null;
+};
+
+const INVALID_LINK = "Este link de avaliação é inválido, expirou ou já foi usado.";
+
+export default function ReviewRequestPage() {
+  const [token, setToken] = useState("");
+  const [request, setRequest] = useState<ReviewPage | null>(null);
+  const [rating, setRating] = useState(0);
+  const [comment, setComment] = useState("");
+  const [name, setName] = useState("");
+  const [isPublic, setIsPublic] = useState(true);
+  const [loading, setLoading] = useState(true);
+  const [err, setErr] = useState<string | null>(null);
+  const [success, setSuccess] = useState(false);
+
+  useEffect(() => {
+    const t = new URLSearchParams(window.location.search).get("token") || "";
+    setToken(t);
+    if (!t) {
+      setErr(INVALID_LINK);
+      setLoading(false);
+      return;
+    }
+    openReviewRequest(t)
+      .then((data) => {
+        if (!data?.ok) throw new Error(data?.error);
+        setRequest(data.request);
+        setName(data.request.name || "");
+      })
+      .catch(() => setErr(INVALID_LINK))
+      .finally(() => setLoading(false));
+  }, []);
+
+  async function onSubmit(e: React.FormEvent<HTMLFormElement>) {
+    e.preventDefault();
+    if (!request) return;
+    setErr(null);
+
+    if (!rating) {
+      setErr("Escolha de 1 a 5 estrelas.");
+      return;
+    }
+    if (!comment.trim()) {
+      setErr("Conte um pouco sobre a sua experiência.");
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const data = await submitReviewRequest({ token, rating, comment, name, isPublic });
+      if (!data?.ok) {
+        setErr(data?.error === "invalid_or_expired_review_request" ? INVALID_LINK : "Não foi possível enviar. Tente novamente.");
+        return;
+      }
+      setSuccess(true);
+    } catch {
+      setErr("Erro de rede");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-100 flex items-center justify-center p-6">
+      <div className="w-full max-w-md bg-white rounded-2xl shadow p-8">
+        <h1 className="text-2xl font-bold mb-2">Avaliação</h1>
+
+        {request && !success && (
+          <p className="text-gray-600 mb-6">
+            Como foi sua experiência com <b>{request.siteName}</b>?
+          </p>
+        )}
+
+        {request && !success && (
+          <form className="space-y-4" onSubmit={onSubmit}>
+            <div className="flex gap-1 text-3xl" role="radiogroup" aria-label="Nota">
+              {[1, 2, 3, 4, 5].map((n) => (
+                <button
+                  key={n}
+                  type="button"
+                  role="radio"
+                  aria-checked={rating === n}
+                  aria-label={`${n} estrela${n > 1 ? "s" : ""}`}
+                  className={n <= rating ? "text-yellow-500" : "text-gray-300"}
+                  onClick={() => setRating(n)}
+                  disabled={loading}
+                >
+                  ★
+                </button>
+              ))}
+            </div>
+            <textarea
+              className="w-full border rounded-xl px-4 py-3 min-h-[120px]"
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+              placeholder="Seu comentário"
+              disabled={loading}
+            />
+            <input
+              className="w-full border rounded-xl px-4 py-3"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Seu nome"
+              disabled={loading}
+            />
+            <label className="flex items-center gap-2 text-sm text-gray-600">
+              <input type="checkbox" checked={isPublic} onChange={(e) => setIsPublic(e.target.checked)} />
+              Autorizo exibir meu depoimento no site
+            </label>
+            <button
+              className="w-full bg-black text-white rounded-xl py-3 disabled:opacity-50"
+              disabled={loading}
+            >
+              {loading ? "Enviando..." : "Enviar avaliação"}
+            </button>
+          </form>
+        )}
+
+        {loading && !request && !err && <p className="text-gray-500">Carregando…</p>}
+
+        {err && <div className="mt-4 text-red-600">{err}</div>}
+
+        {success && (
+          <div className="mt-4 text-green-600">
+            <p>Obrigado pela avaliação!</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
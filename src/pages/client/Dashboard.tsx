@@ -1,5 +1,13 @@
 import React, { useEffect, useRef, useState } from "react";
 import { useSession } from "@/hooks/useSession";
+import { signOut } from "@/lib/auth";
+import {
+  getLeadPipeline, getLeadPipelineStage, updateLead, getLeadNotes, addLeadNote, getSiteMembers, downloadLeadExport, type LeadExportFormat, type LeadStatus,
+  getNotificationSettings, updateNotificationSettings, type LeadEmailMode, type NotificationSettings,
+  getTrafficSources, getTrafficCampaigns, getTrafficDevices, getTrafficCrawlers,
+  type TrafficSources, type TrafficCampaigns, type TrafficDevices, type TrafficCrawlers,
+} from "@/lib/api";
+import { ResponsiveContainer, BarChart, Bar, XAxis, YAxis, Tooltip, PieChart, Pie, Cell } from "recharts";
 
 /* ================= CONFIG ================= */
 const PLAN_TIMEOUT_MS = 7000;         // descobrir VIP
@@ -16,6 +24,24 @@ const PALETAS = [
   { name: "Laranja Energia", colors: ["#7c2d12", "#f97316", "#fb923c"] },
 ];
 
+/* Etapas do pipeline de leads (mesma ordem do backend) */
+const LEAD_STAGES: Array<{ status: LeadStatus; label: string }> = [
+  { status: "new", label: "Novos" },
+  { status: "contacted", label: "Contatados" },
+  { status: "negotiating", label: "Negociando" },
+  { status: "won", label: "Ganhos" },
+  { status: "lost", label: "Perdidos" },
+];
+
+/* Cores dos gráficos de tráfego */
+const CHART_COLORS = ["#3b82f6", "#10b981", "#f97316", "#8b5cf6", "#eab308", "#ec4899", "#14b8a6", "#94a3b8"];
+const DEVICE_LABEL: Record<string, string> = { mobile: "Celular", desktop: "Computador", tablet: "Tablet", unknown: "Outros" };
+const CRAWLER_LABEL: Record<string, string> = {
+  no_user_agent: "Sem identificação",
+  no_beacon: "Acesso sem página (script)",
+  burst: "Rajada de acessos",
+};
+
 /* ================= Tipos ================= */
 type StatusResp = {
   ok: boolean;
@@ -43,6 +69,23 @@ type Feedback = {
   approved?: boolean;
 };
 
+type PipelineLead = {
+  id: number;
+  name: string;
+  email: string;
+  phone?: string | null;
+  status: LeadStatus;
+  assigned_to?: number | null;
+  assigned_email?: string | null;
+  follow_up_at?: string | null;
+  notes_count?: number;
+  created_at: string;
+};
+type PipelineStage = { status: LeadStatus; count: number; leads: PipelineLead[]; nextCursor?: string | null };
+type FollowUp = PipelineLead & { overdue: boolean };
+type LeadNote = { id: number; author?: string | null; body: string; createdAt: string };
+type SiteMember = { userId: number; email: string; role: string };
+
 /* ================= Helpers ================= */
 const norm = (s?: string) => String(s ?? "").trim().toLowerCase();
 const looksVip = (p?: string) => !!p && (norm(p) === "vip" || norm(p).includes("vip"));
@@ -126,6 +169,12 @@ export default function ClientDashboard() {
   );
   const [loadingAssets, setLoadingAssets] = useState(true);
 
+  const [stages, setStages] = useState<PipelineStage[]>([]);
+  const [followUps, setFollowUps] = useState<FollowUp[]>([]);
+  const [members, setMembers] = useState<SiteMember[]>([]);
+  const [loadingPipeline, setLoadingPipeline] = useState(true);
+  const [pipelineTick, setPipelineTick] = useState(0); // recarrega após mover/atribuir
+
   const [vipPin, setVipPin] = useState("");
   const [saving, setSaving] = useState(false);
 
@@ -292,6 +341,28 @@ export default function ClientDashboard() {
     return () => { alive = false; };
   }, [canQuery, user?.siteSlug, user?.email]);
 
+  /* 3) Pipeline de leads (backend nativo) */
+  const pipelineSite = user?.siteSlug || "";
+  useEffect(() => {
+    if (!canQuery || !pipelineSite) return;
+    let alive = true;
+
+    Promise.all([
+      getLeadPipeline(pipelineSite).catch(() => ({ ok: false })),
+      getSiteMembers(pipelineSite).catch(() => ({ ok: false })),
+    ]).then(([p, m]) => {
+      if (!alive) return;
+      if (p?.ok) {
+        setStages(p.stages || []);
+        setFollowUps(p.followUps || []);
+      }
+      if (m?.ok) setMembers(m.members || []);
+      setLoadingPipeline(false);
+    });
+
+    return () => { alive = false; };
+  }, [canQuery, pipelineSite, pipelineTick]);
+
   /* Ações */
   async function saveSettings(partial: Partial<ClientSettings>) {
     if (!canQuery) return;
@@ -341,7 +412,43 @@ export default function ClientDashboard() {
     }
   }
 
-  function logout() {
+  async function changeLead(
+    id: number,
+    changes: { status?: LeadStatus; assignedTo?: number | null; followUpAt?: string | null }
+  ) {
+    const res = await updateLead(id, changes).catch(() => ({ ok: false }));
+    if (!res?.ok) {
+      alert(res?.error || "Não foi possível atualizar o lead.");
+      return;
+    }
+    setPipelineTick((n) => n + 1);
+  }
+
+  // Cada etapa vem só com os leads mais recentes; o restante é carregado sob demanda
+  async function loadMoreLeads(stage: PipelineStage) {
+    if (!stage.nextCursor) return;
+    const res = await getLeadPipelineStage(pipelineSite, stage.status, stage.nextCursor).catch(() => ({ ok: false }));
+    if (!res?.ok) {
+      alert(res?.error || "Não foi possível carregar mais leads.");
+      return;
+    }
+    setStages((current) => current.map((st) =>
+      st.status === stage.status
+        ? { ...st, leads: [...st.leads, ...(res.leads || [])], nextCursor: res.nextCursor }
+        : st
+    ));
+  }
+
+  async function exportLeads(format: LeadExportFormat) {
+    try {
+      await downloadLeadExport(user?.siteSlug || "", format);
+    } catch (e) {
+      alert(e instanceof Error ? e.message : "Não foi possível exportar os leads.");
+    }
+  }
+
+  async function logout(allDevices = false) {
+    await signOut(allDevices).catch(() => {});
     try { localStorage.removeItem("auth"); } catch {}
     window.location.href = "/login";
   }
@@ -391,9 +498,16 @@ export default function ClientDashboard() {
                 </button>
               </div>
             )}
-            <button onClick={logout} className="rounded-xl bg-slate-900 text-white px-4 py-2 text-sm hover:opacity-90">
+            <button onClick={() => logout()} className="rounded-xl bg-slate-900 text-white px-4 py-2 text-sm hover:opacity-90">
               Sair
             </button>
+            <button
+              onClick={() => logout(true)}
+              className="rounded-xl border border-slate-300 px-3 py-2 text-xs hover:bg-slate-100"
+              title="Encerra a sessão em todos os navegadores e celulares"
+            >
+              Sair de todos
+            </button>
           </div>
         </header>
 
@@ -414,6 +528,65 @@ export default function ClientDashboard() {
           }/>
         </section>
 
+        {/* PIPELINE DE LEADS */}
+        <section className="rounded-2xl border border-white/10 bg-white/[0.03] p-6 space-y-4">
+          <div className="flex items-center justify-between">
+            <h3 className="font-semibold">Pipeline de Leads</h3>
+            <div className="flex items-center gap-3 text-xs text-white/60">
+              <span>{loadingPipeline ? "Carregando…" : `${stages.reduce((n, st) => n + st.count, 0)} leads`}</span>
+              <span>Exportar:</span>
+              <button onClick={() => exportLeads("csv")} className="underline hover:text-white">CSV</button>
+              <button onClick={() => exportLeads("xlsx")} className="underline hover:text-white">Excel</button>
+              <button onClick={() => exportLeads("vcf")} className="underline hover:text-white" title="Contatos para o celular">vCard</button>
+            </div>
+          </div>
+
+          {followUps.length > 0 ? (
+            <div className="rounded-xl border border-yellow-700/50 bg-yellow-900/20 p-3 space-y-1">
+              <div className="text-sm font-medium text-yellow-100">Follow-ups da semana</div>
+              {followUps.map((f) => (
+                <div key={f.id} className="text-xs text-yellow-100/80 flex flex-wrap gap-x-2">
+                  <span className={f.overdue ? "text-red-300 font-medium" : ""}>
+                    {fmtDateTime(f.follow_up_at)}{f.overdue ? " • atrasado" : ""}
+                  </span>
+                  <span>• {f.name}</span>
+                  {f.assigned_email ? <span className="text-white/60">• {f.assigned_email}</span> : null}
+                </div>
+              ))}
+            </div>
+          ) : null}
+
+          <div className="grid md:grid-cols-5 gap-3">
+            {LEAD_STAGES.map((stage) => {
+              const column = stages.find((st) => st.status === stage.status);
+              return (
+                <div key={stage.status} className="rounded-xl border border-white/10 bg-white/5 p-3 space-y-2">
+                  <div className="flex items-center justify-between text-sm">
+                    <span className="font-medium">{stage.label}</span>
+                    <span className="text-white/60">{column?.count ?? 0}</span>
+                  </div>
+                  {(column?.leads || []).map((lead) => (
+                    <LeadCard key={lead.id} lead={lead} members={members} onChange={changeLead} />
+                  ))}
+                  {column?.nextCursor ? (
+                    <button
+                      onClick={() => loadMoreLeads(column)}
+                      className="w-full text-xs text-white/60 underline hover:text-white"
+                    >
+                      Carregar mais ({column.count - column.leads.length})
+                    </button>
+                  ) : null}
+                </div>
+              );
+            })}
+          </div>
+        </section>
+
+        {pipelineSite ? <LeadNotificationsCard siteSlug={pipelineSite} /> : null}
+
+        {pipelineSite ? <TrafficSourcesCard siteSlug={pipelineSite} /> : null}
+        {pipelineSite ? <CrawlerActivityCard siteSlug={pipelineSite} /> : null}
+
         {/* GATE VIP */}
         <VipGate
           enabled={vipEnabled}
@@ -694,3 +867,382 @@ function ImageCard({
     </div>
   );
 }
+
+function LeadCard({
+  lead, members, onChange,
+}: {
+  lead: PipelineLead;
+  members: SiteMember[];
+  onChange: (id: number, changes: { status?: LeadStatus; assignedTo?: number | null; followUpAt?: string | null }) => Promise<void>;
+}) {
+  const [open, setOpen] = useState(false);
+  const [notes, setNotes] = useState<LeadNote[] | null>(null);
+  const [draft, setDraft] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  async function toggleNotes() {
+    const next = !open;
+    setOpen(next);
+    if (next && notes === null) {
+      const r = await getLeadNotes(lead.id).catch(() => ({ ok: false }));
+      setNotes(r?.ok ? r.notes : []);
+    }
+  }
+
+  async function saveNote() {
+    if (!draft.trim()) return;
+    setBusy(true);
+    try {
+      const r = await addLeadNote(lead.id, draft.trim());
+      if (!r?.ok) throw new Error(r?.error || "Falha ao salvar nota");
+      setNotes((prev) => [r.note, ...(prev || [])]);
+      setDraft("");
+    } catch (e) {
+      alert(e instanceof Error ? e.message : "Falha ao salvar nota");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="rounded-lg border border-white/10 bg-black/30 p-2 space-y-2 text-xs">
+      <div>
+        <div className="text-sm font-medium">{lead.name}</div>
+        <div className="text-white/60 break-all">{lead.email}{lead.phone ? ` • ${lead.phone}` : ""}</div>
+      </div>
+      <select
+        value={lead.status}
+        onChange={(e) => onChange(lead.id, { status: e.target.value as LeadStatus })}
+        className="w-full rounded bg-white/10 px-2 py-1"
+      >
+        {LEAD_STAGES.map((st) => <option key={st.status} value={st.status} className="text-black">{st.label}</option>)}
+      </select>
+      <select
+        value={lead.assigned_to ?? ""}
+        onChange={(e) => onChange(lead.id, { assignedTo: e.target.value ? Number(e.target.value) : null })}
+        className="w-full rounded bg-white/10 px-2 py-1"
+      >
+        <option value="" className="text-black">Sem responsável</option>
+        {members.map((m) => <option key={m.userId} value={m.userId} className="text-black">{m.email}</option>)}
+      </select>
+      <input
+        type="date"
+        value={lead.follow_up_at ? lead.follow_up_at.slice(0, 10) : ""}
+        onChange={(e) => onChange(lead.id, { followUpAt: e.target.value ? `${e.target.value}T12:00:00` : null })}
+        className="w-full rounded bg-white/10 px-2 py-1"
+        title="Data de follow-up"
+      />
+      <button onClick={toggleNotes} className="text-white/70 hover:text-white">
+        {open ? "Ocultar notas" : `Notas (${notes?.length ?? lead.notes_count ?? 0})`}
+      </button>
+      {open ? (
+        <div className="space-y-1">
+          {(notes || []).map((n) => (
+            <div key={n.id} className="rounded bg-white/5 p-1.5">
+              <div className="text-white/50">{fmtDateTime(n.createdAt)}{n.author ? ` • ${n.author}` : ""}</div>
+              <div className="text-white/80 whitespace-pre-wrap">{n.body}</div>
+            </div>
+          ))}
+          <textarea
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            placeholder="Nova nota"
+            className="w-full rounded bg-white/10 px-2 py-1 min-h-[50px]"
+          />
+          <button
+            onClick={saveNote}
+            disabled={busy || !draft.trim()}
+            className="rounded bg-white text-black px-2 py-1 font-medium disabled:opacity-60"
+          >
+            {busy ? "Salvando…" : "Adicionar nota"}
+          </button>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+/* Avisos de novos leads: e-mail (na hora ou resumo) e webhook assinado */
+function LeadNotificationsCard({ siteSlug }: { siteSlug: string }) {
+  const [settings, setSettings] = useState<NotificationSettings | null>(null);
+  const [saved, setSaved] = useState<NotificationSettings | null>(null);
+  const [secret, setSecret] = useState<string | null>(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    let alive = true;
+    getNotificationSettings(siteSlug)
+      .catch(() => ({ ok: false }))
+      .then((r) => { if (alive && r?.ok) { setSettings(r.settings); setSaved(r.settings); } });
+    return () => { alive = false; };
+  }, [siteSlug]);
+
+  async function save(rotateSecret = false) {
+    if (!settings) return;
+    // O webhook só vai quando mudou: alterá-lo exige a permissão webhooks:manage
+    const webhookChanged = rotateSecret ||
+      settings.webhook.enabled !== saved?.webhook.enabled ||
+      (settings.webhook.url || null) !== (saved?.webhook.url || null);
+    setBusy(true);
+    try {
+      const r = await updateNotificationSettings(siteSlug, {
+        email: { enabled: settings.email.enabled, mode: settings.email.mode },
+        ...(webhookChanged
+          ? { webhook: { enabled: settings.webhook.enabled, url: settings.webhook.url || null, rotateSecret } }
+          : {}),
+      });
+      if (!r?.ok) throw new Error(r?.error || "Falha ao salvar");
+      setSettings(r.settings);
+      setSaved(r.settings);
+      if (r.settings.webhook.secret) setSecret(r.settings.webhook.secret);
+    } catch (e) {
+      alert(e instanceof Error ? e.message : "Falha ao salvar");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  if (!settings) return null;
+
+  return (
+    <section className="rounded-2xl border border-white/10 bg-white/[0.03] p-6 space-y-3 text-sm">
+      <h3 className="font-semibold">Avisos de novos leads</h3>
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={settings.email.enabled}
+            onChange={(e) => setSettings({ ...settings, email: { ...settings.email, enabled: e.target.checked } })}
+          />
+          E-mail
+        </label>
+        <select
+          value={settings.email.mode}
+          onChange={(e) => setSettings({ ...settings, email: { ...settings.email, mode: e.target.value as LeadEmailMode } })}
+          className="rounded bg-white/10 px-2 py-1"
+        >
+          <option value="instant" className="text-black">A cada lead</option>
+          <option value="hourly" className="text-black">Resumo por hora</option>
+          <option value="daily" className="text-black">Resumo diário</option>
+        </select>
+      </div>
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={settings.webhook.enabled}
+            onChange={(e) => setSettings({ ...settings, webhook: { ...settings.webhook, enabled: e.target.checked } })}
+          />
+          Webhook
+        </label>
+        <input
+          type="url"
+          value={settings.webhook.url || ""}
+          onChange={(e) => setSettings({ ...settings, webhook: { ...settings.webhook, url: e.target.value } })}
+          placeholder="https://hooks.exemplo.com/leads"
+          className="flex-1 min-w-[240px] rounded bg-white/10 px-2 py-1"
+        />
+        {settings.webhook.hasSecret ? (
+          <button onClick={() => save(true)} disabled={busy} className="text-xs text-white/70 hover:text-white">
+            Trocar segredo
+          </button>
+        ) : null}
+      </div>
+      {secret ? (
+        <div className="rounded-lg border border-yellow-700/50 bg-yellow-900/20 p-2 text-xs text-yellow-100 break-all">
+          Segredo do webhook (guarde agora, ele não será exibido de novo): <code>{secret}</code>
+        </div>
+      ) : null}
+      <button
+        onClick={() => save()}
+        disabled={busy}
+        className="rounded bg-white text-black px-3 py-1.5 font-medium disabled:opacity-60"
+      >
+        {busy ? "Salvando…" : "Salvar avisos"}
+      </button>
+    </section>
+  );
+}
+
+/* Origem das visitas: fontes (Google, Instagram, anúncios...), campanhas UTM e dispositivos */
+function TrafficSourcesCard({ siteSlug }: { siteSlug: string }) {
+  const [days, setDays] = useState(30);
+  const [sources, setSources] = useState<TrafficSources | null>(null);
+  const [campaigns, setCampaigns] = useState<TrafficCampaigns | null>(null);
+  const [devices, setDevices] = useState<TrafficDevices | null>(null);
+
+  useEffect(() => {
+    let alive = true;
+    Promise.all([
+      getTrafficSources(siteSlug, days).catch(() => null),
+      getTrafficCampaigns(siteSlug, days).catch(() => null),
+      getTrafficDevices(siteSlug, days).catch(() => null),
+    ]).then(([s, c, d]) => {
+      if (!alive) return;
+      setSources(s?.ok ? s : null);
+      setCampaigns(c?.ok ? c : null);
+      setDevices(d?.ok ? d : null);
+    });
+    return () => { alive = false; };
+  }, [siteSlug, days]);
+
+  if (!sources) return null;
+
+  const sourceBars = sources.sources.slice(0, 8).map((row) => ({
+    label: row.medium === "direct" ? "direto" : `${row.source} / ${row.medium}`,
+    hits: row.hits,
+  }));
+
+  return (
+    <section className="rounded-2xl border border-white/10 bg-white/[0.03] p-6 space-y-4 text-sm">
+      <div className="flex items-center justify-between">
+        <h3 className="font-semibold">Origem das visitas</h3>
+        <div className="flex items-center gap-3 text-xs text-white/60">
+          <span>{sources.totalHits} visitas</span>
+          <select value={days} onChange={(e) => setDays(Number(e.target.value))} className="rounded bg-white/10 px-2 py-1">
+            <option value={7} className="text-black">7 dias</option>
+            <option value={30} className="text-black">30 dias</option>
+            <option value={90} className="text-black">90 dias</option>
+          </select>
+        </div>
+      </div>
+
+      {sources.totalHits === 0 ? (
+        <div className="text-white/60">Nenhuma visita registrada no período.</div>
+      ) : (
+        <div className="grid md:grid-cols-2 gap-6">
+          <div>
+            <div className="text-xs text-white/60 mb-2">Fontes</div>
+            <ResponsiveContainer width="100%" height={Math.max(120, sourceBars.length * 32)}>
+              <BarChart data={sourceBars} layout="vertical" margin={{ left: 8, right: 16 }}>
+                <XAxis type="number" hide allowDecimals={false} />
+                <YAxis type="category" dataKey="label" width={140} tick={{ fill: "#cbd5e1", fontSize: 12 }} />
+                <Tooltip contentStyle={{ background: "#0B1220", border: "1px solid rgba(255,255,255,.1)" }} />
+                <Bar dataKey="hits" name="Visitas" fill="#3b82f6" radius={[0, 4, 4, 0]} />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div>
+            <div className="text-xs text-white/60 mb-2">Dispositivos</div>
+            <div className="flex items-center gap-4">
+              <ResponsiveContainer width="50%" height={160}>
+                <PieChart>
+                  <Pie data={devices?.devices || []} dataKey="hits" nameKey="device" innerRadius={40} outerRadius={70}>
+                    {(devices?.devices || []).map((row, i) => (
+                      <Cell key={row.device} fill={CHART_COLORS[i % CHART_COLORS.length]} />
+                    ))}
+                  </Pie>
+                  <Tooltip formatter={(value, name) => [value, DEVICE_LABEL[String(name)] || name]} />
+                </PieChart>
+              </ResponsiveContainer>
+              <div className="space-y-1 text-xs">
+                {(devices?.devices || []).map((row, i) => (
+                  <div key={row.device} className="flex items-center gap-2">
+                    <span className="inline-block h-2 w-2 rounded-full" style={{ background: CHART_COLORS[i % CHART_COLORS.length] }} />
+                    {DEVICE_LABEL[row.device] || row.device} • {row.percentage}%
+                  </div>
+                ))}
+                <div className="pt-2 text-white/60">
+                  {(devices?.browsers || []).slice(0, 3).map((row) => `${row.browser} ${row.percentage}%`).join(" • ")}
+                </div>
+                <div className="text-white/60">
+                  {(devices?.languages || []).slice(0, 3).map((row) => `${row.language} ${row.percentage}%`).join(" • ")}
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {campaigns && campaigns.campaigns.length > 0 ? (
+        <div>
+          <div className="text-xs text-white/60 mb-2">Campanhas (UTM)</div>
+          <table className="w-full text-xs">
+            <thead className="text-white/60 text-left">
+              <tr>
+                <th className="py-1 font-normal">Campanha</th>
+                <th className="py-1 font-normal">Fonte / meio</th>
+                <th className="py-1 font-normal text-right">Visitas</th>
+                <th className="py-1 font-normal text-right">Visitantes</th>
+              </tr>
+            </thead>
+            <tbody>
+              {campaigns.campaigns.map((row) => (
+                <tr key={`${row.campaign}|${row.source}|${row.medium}`} className="border-t border-white/5">
+                  <td className="py-1">{row.campaign}</td>
+                  <td className="py-1 text-white/70">{row.source} / {row.medium}</td>
+                  <td className="py-1 text-right">{row.hits}</td>
+                  <td className="py-1 text-right">{row.visitors}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div className="text-xs text-white/50">
+          Dica: marque os links dos anúncios com <code>utm_source</code>, <code>utm_medium</code> e <code>utm_campaign</code> para
+          comparar campanhas (ex.: <code>?utm_source=instagram&amp;utm_medium=cpc&amp;utm_campaign=promo</code>).
+        </div>
+      )}
+    </section>
+  );
+}
+
+/* Robôs e buscadores: acessos fora das estatísticas e as páginas que o Googlebot visitou */
+function CrawlerActivityCard({ siteSlug }: { siteSlug: string }) {
+  const [report, setReport] = useState<TrafficCrawlers | null>(null);
+
+  useEffect(() => {
+    let alive = true;
+    getTrafficCrawlers(siteSlug, 30)
+      .then((data) => { if (alive) setReport(data?.ok ? data : null); })
+      .catch(() => { if (alive) setReport(null); });
+    return () => { alive = false; };
+  }, [siteSlug]);
+
+  if (!report || report.totalHits === 0) return null;
+
+  return (
+    <section className="rounded-2xl border border-white/10 bg-white/[0.03] p-6 space-y-4 text-sm">
+      <div className="flex items-center justify-between">
+        <h3 className="font-semibold">Robôs e buscadores</h3>
+        <span className="text-xs text-white/60">{report.totalHits} acessos em 30 dias, fora das estatísticas</span>
+      </div>
+
+      <div className="flex flex-wrap gap-2 text-xs">
+        {report.crawlers.map((row) => (
+          <span key={row.crawler} className="rounded-full bg-white/10 px-3 py-1">
+            {CRAWLER_LABEL[row.crawler] || row.crawler} • {row.hits}
+          </span>
+        ))}
+      </div>
+
+      <div>
+        <div className="text-xs text-white/60 mb-2">Páginas visitadas pelo {report.crawler}</div>
+        {report.pages.length === 0 ? (
+          <div className="text-xs text-white/50">O {report.crawler} não passou pelo site nos últimos 30 dias.</div>
+        ) : (
+          <table className="w-full text-xs">
+            <thead className="text-white/60 text-left">
+              <tr>
+                <th className="py-1 font-normal">Página</th>
+                <th className="py-1 font-normal text-right">Visitas</th>
+                <th className="py-1 font-normal text-right">Última</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.pages.map((row) => (
+                <tr key={row.path} className="border-t border-white/5">
+                  <td className="py-1">{row.path}</td>
+                  <td className="py-1 text-right">{row.hits}</td>
+                  <td className="py-1 text-right text-white/70">{row.lastDay.split("-").reverse().join("/")}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,131 @@
+// src/pages/convite.tsx
+import React, { useEffect, useState } from "react";
+import {
+  PASSWORD_MIN_LENGTH,
+  acceptSiteInvitation,
+  getSiteInvitation,
+  type SiteInvitation,
+} from "@/lib/auth";
+
+const LOGIN_URL = "/login";
+
+const ROLE_LABEL: Record<SiteInvitation["role"], string> = {
+  editor: "editor",
+  viewer: "visualização",
+};
+
+export default function AcceptInvitation() {
+  const [token, setToken] = useState("");
+  const [invitation, setInvitation] = useState<SiteInvitation | null>(null);
+  const [pass1, setPass1] = useState("");
+  const [pass2, setPass2] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [err, setErr] = useState<string | null>(null);
+  const [success, setSuccess] = useState(false);
+
+  useEffect(() => {
+    const t = new URLSearchParams(window.location.search).get("token") || "";
+    setToken(t);
+    if (!t) {
+      setErr("Convite inválido ou expirado.");
+      setLoading(false);
+      return;
+    }
+    getSiteInvitation(t)
+      .then(setInvitation)
+      .catch(() => setErr("Convite inválido ou expirado."))
+      .finally(() => setLoading(false));
+  }, []);
+
+  async function onSubmit(e: React.FormEvent<HTMLFormElement>) {
+    e.preventDefault();
+    if (!invitation) return;
+    setErr(null);
+
+    // conta nova: define a senha; conta existente: confirma a senha atual
+    if (!invitation.accountExists) {
+      if (!pass1 || pass1.length < PASSWORD_MIN_LENGTH) {
+        setErr(`A senha deve ter ao menos ${PASSWORD_MIN_LENGTH} caracteres.`);
+        return;
+      }
+      if (pass1 !== pass2) {
+        setErr("As senhas não conferem.");
+        return;
+      }
+    }
+
+    try {
+      setLoading(true);
+      await acceptSiteInvitation(token, pass1);
+      setSuccess(true);
+    } catch (e) {
+      const message = e instanceof Error ? e.message : "";
+      setErr(message === "invalid_password" ? "Senha incorreta." : message || "Erro de rede");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-100 flex items-center justify-center p-6">
+      <div className="w-full max-w-md bg-white rounded-2xl shadow p-8">
+        <h1 className="text-2xl font-bold mb-2">Convite</h1>
+
+        {invitation && (
+          <p className="text-gray-600 mb-6">
+            Acesso de <b>{ROLE_LABEL[invitation.role]}</b> ao painel do site{" "}
+            <b>{invitation.siteSlug}</b>.
+          </p>
+        )}
+
+        {invitation && !success && (
+          <form className="space-y-4" onSubmit={onSubmit}>
+            <input
+              className="w-full border rounded-xl px-4 py-3 bg-gray-100 text-gray-600"
+              value={invitation.email}
+              disabled
+            />
+            <input
+              className="w-full border rounded-xl px-4 py-3"
+              type="password"
+              value={pass1}
+              onChange={(e) => setPass1(e.target.value)}
+              placeholder={invitation.accountExists ? "Sua senha" : "Crie uma senha"}
+              disabled={loading}
+            />
+            {!invitation.accountExists && (
+              <input
+                className="w-full border rounded-xl px-4 py-3"
+                type="password"
+                value={pass2}
+                onChange={(e) => setPass2(e.target.value)}
+                placeholder="Repita a senha"
+                disabled={loading}
+              />
+            )}
+            <button
+              className="w-full bg-black text-white rounded-xl py-3 disabled:opacity-50"
+              disabled={loading}
+            >
+              {loading ? "Aceitando..." : "Aceitar convite"}
+            </button>
+          </form>
+        )}
+
+        {err && <div className="mt-4 text-red-600">{err}</div>}
+
+        {success && (
+          <div className="mt-4 text-green-600 space-y-2">
+            <p>Convite aceito! Você já pode acessar o painel.</p>
+            <button
+              className="w-full mt-2 border border-black text-black rounded-xl py-3 hover:bg-black hover:text-white transition"
+              onClick={() => window.location.assign(LOGIN_URL)}
+            >
+              Ir para o login
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
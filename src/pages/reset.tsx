@@ -1,6 +1,6 @@
 // src/pages/reset.tsx
 import React, { useEffect, useState } from "react";
-import { confirmPasswordReset } from "@/lib/auth";
+import { AUTH_BACKEND, PASSWORD_MIN_LENGTH, confirmPasswordReset } from "@/lib/auth";
 import { sendCustomEmail } from "@/lib/email";
 
 type ApiResp = { ok?: boolean; error?: string; message?: string };
@@ -45,8 +45,8 @@ export default function ResetPassword() {
       setErr("Link inválido ou expirado.");
       return;
     }
-    if (!pass1 || pass1.length < 6) {
-      setErr("A nova senha deve ter ao menos 6 caracteres.");
+    if (!pass1 || pass1.length < PASSWORD_MIN_LENGTH) {
+      setErr(`A nova senha deve ter ao menos ${PASSWORD_MIN_LENGTH} caracteres.`);
       return;
     }
     if (pass1 !== pass2) {
@@ -75,7 +75,8 @@ export default function ResetPassword() {
       setSuccess(true);
       setSeconds(5);
 
-      // E-mail de confirmação (opcional)
+      // E-mail de confirmação (opcional); o backend nativo já envia o seu
+      if (AUTH_BACKEND === "express") return;
       try {
         await sendCustomEmail(
           email,
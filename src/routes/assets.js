@@ -1,14 +1,17 @@
 import express from 'express';
 import multer from 'multer';
 import { AssetService } from '../services/assetService.js';
-import { verifyToken, requireVipOrAdmin } from '../middlewares/auth.js';
+import { SiteService } from '../services/siteService.js';
+import { storage } from '../db/storage.js';
+import { verifyToken, optionalAuth, requireVipOrAdmin, canAccessSite } from '../middlewares/auth.js';
 
 const router = express.Router();
 
+const MAX_FILES_PER_UPLOAD = 10;
+
 // Configure multer for file uploads
-const storage = multer.memoryStorage();
 const upload = multer({ 
-  storage,
+  storage: multer.memoryStorage(),
   limits: {
     fileSize: 10 * 1024 * 1024 // 10MB limit
   },
@@ -54,7 +57,59 @@ router.get('/', async (req, res) => {
   }
 });
 
-// PUT /api/assets (VIP or Admin only)
+// POST /api/assets (assets:edit, or the sign-up email while onboarding)
+// Files without a key go to the lowest free media_N slots
+router.post('/', optionalAuth, upload.array('files', MAX_FILES_PER_UPLOAD), async (req, res) => {
+  try {
+    const { site = req.body.siteSlug, email } = req.body;
+    const files = req.files || [];
+    
+    if (!site || files.length === 0) {
+      return res.status(400).json({
+        ok: false,
+        error: 'site_and_files_required'
+      });
+    }
+    
+    const allowed = req.user
+      ? canAccessSite(req.user, site, 'assets:edit')
+      : await SiteService.isOnboarding(site, email);
+    
+    if (!allowed) {
+      return res.status(403).json({
+        ok: false,
+        error: 'access_denied'
+      });
+    }
+    
+    const keys = AssetService.getFreeMediaKeys(site, files.length);
+    const assets = [];
+    
+    for (let i = 0; i < files.length; i++) {
+      const asset = await storage.createAsset(site, keys[i], {
+        buffer: files[i].buffer,
+        originalname: files[i].originalname,
+        mimetype: files[i].mimetype,
+        size: files[i].size
+      });
+      assets.push({ ...asset, filename: asset.url.split('/').pop() });
+    }
+    
+    res.json({
+      ok: true,
+      uploaded: assets.length,
+      assets
+    });
+  } catch (error) {
+    console.error('Upload assets error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// PUT /api/assets (VIP site editor or assets:edit)
 router.put('/', verifyToken, requireVipOrAdmin, upload.single('file'), async (req, res) => {
   try {
     const { site, key } = req.body;
@@ -67,6 +122,14 @@ router.put('/', verifyToken, requireVipOrAdmin, upload.single('file'), async (re
       });
     }
     
+    // Check if user can edit this site's media
+    if (!canAccessSite(req.user, site, 'assets:edit')) {
+      return res.status(403).json({
+        ok: false,
+        error: 'access_denied'
+      });
+    }
+    
     // Resolve media key (handle aliases)
     const resolvedKey = AssetService.resolveMediaKey(key);
     
@@ -90,7 +153,7 @@ router.put('/', verifyToken, requireVipOrAdmin, upload.single('file'), async (re
   }
 });
 
-// POST /api/assets/upload_base64 (VIP or Admin only)
+// POST /api/assets/upload_base64 (VIP site editor or assets:edit)
 router.post('/upload_base64', verifyToken, requireVipOrAdmin, async (req, res) => {
   try {
     const { site, logo, fotos } = req.body;
@@ -102,6 +165,14 @@ router.post('/upload_base64', verifyToken, requireVipOrAdmin, async (req, res) =
       });
     }
     
+    // Check if user can edit this site's media
+    if (!canAccessSite(req.user, site, 'assets:edit')) {
+      return res.status(403).json({
+        ok: false,
+        error: 'access_denied'
+      });
+    }
+    
     const uploadedAssets = [];
     
     // Handle logo upload
@@ -162,7 +233,7 @@ router.post('/upload_base64', verifyToken, requireVipOrAdmin, async (req, res) =
   }
 });
 
-// DELETE /api/assets/:key?site=SLUG (VIP or Admin only)
+// DELETE /api/assets/:key?site=SLUG (VIP site editor or assets:edit)
 router.delete('/:key', verifyToken, requireVipOrAdmin, async (req, res) => {
   try {
     const { key } = req.params;
@@ -175,6 +246,14 @@ router.delete('/:key', verifyToken, requireVipOrAdmin, async (req, res) => {
       });
     }
     
+    // Check if user can edit this site's media
+    if (!canAccessSite(req.user, site, 'assets:edit')) {
+      return res.status(403).json({
+        ok: false,
+        error: 'access_denied'
+      });
+    }
+    
     const result = await AssetService.deleteAsset(site, key);
     
     res.json({
@@ -1,6 +1,8 @@
 import express from 'express';
 import { AuthService } from '../services/authService.js';
-import { verifyToken } from '../middlewares/auth.js';
+import { SessionService } from '../services/sessionService.js';
+import { SiteMemberService } from '../services/siteMemberService.js';
+import { verifyToken, ROLE_CAPABILITIES } from '../middlewares/auth.js';
 
 const router = express.Router();
 
@@ -16,11 +18,17 @@ router.post('/login', async (req, res) => {
       });
     }
     
-    const result = await AuthService.login(email, password);
+    const result = await AuthService.login(email, password, {
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
     
     res.json({
       ok: true,
       token: result.token,
+      refreshToken: result.refreshToken,
+      expiresIn: result.expiresIn,
+      sessionId: result.sessionId,
       user: result.user
     });
   } catch (error) {
@@ -33,6 +41,13 @@ router.post('/login', async (req, res) => {
       });
     }
     
+    if (error.message === 'account_suspended') {
+      return res.status(403).json({
+        ok: false,
+        error: 'account_suspended'
+      });
+    }
+    
     res.status(500).json({
       ok: false,
       error: 'internal_error'
@@ -54,14 +69,9 @@ router.get('/me', verifyToken, async (req, res) => {
     
     res.json({
       ok: true,
-      user: {
-        id: user.id,
-        email: user.email,
-        role: user.role,
-        siteSlug: user.site_slug,
-        plan: user.plan,
-        billingStatus: user.billing_status
-      }
+      user: AuthService.formatUser(user),
+      capabilities: ROLE_CAPABILITIES[user.role] || [],
+      sites: await SiteMemberService.listSitesForUser(user.id)
     });
   } catch (error) {
     console.error('Get user error:', error);
@@ -72,4 +82,376 @@ router.get('/me', verifyToken, async (req, res) => {
   }
 });
 
+// POST /api/auth/password
+router.post('/password', verifyToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        ok: false,
+        error: 'current_and_new_password_required'
+      });
+    }
+    
+    const result = await AuthService.changePassword(req.user.id, currentPassword, newPassword, req.user.sid);
+    
+    res.json({
+      ok: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    
+    if (error.message === 'weak_password') {
+      return res.status(400).json({
+        ok: false,
+        error: 'weak_password'
+      });
+    }
+    
+    if (error.message === 'invalid_password') {
+      return res.status(401).json({
+        ok: false,
+        error: 'invalid_password'
+      });
+    }
+    
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// POST /api/auth/email (sends a confirmation link to the new address)
+router.post('/email', verifyToken, async (req, res) => {
+  try {
+    const { newEmail, password } = req.body;
+    
+    if (!newEmail || !password) {
+      return res.status(400).json({
+        ok: false,
+        error: 'new_email_and_password_required'
+      });
+    }
+    
+    const baseUrl = process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`;
+    const result = await AuthService.requestEmailChange(
+      req.user.id,
+      newEmail,
+      password,
+      `${baseUrl}/api/auth/email/confirm`
+    );
+    
+    res.json({
+      ok: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Request email change error:', error);
+    
+    if (['invalid_email', 'email_unchanged'].includes(error.message)) {
+      return res.status(400).json({
+        ok: false,
+        error: error.message
+      });
+    }
+    
+    if (error.message === 'invalid_password') {
+      return res.status(401).json({
+        ok: false,
+        error: 'invalid_password'
+      });
+    }
+    
+    if (error.message === 'email_already_exists') {
+      return res.status(409).json({
+        ok: false,
+        error: 'email_already_exists'
+      });
+    }
+    
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// GET|POST /api/auth/email/confirm?token=... (Public - link from the confirmation email)
+async function confirmEmail(req, res) {
+  try {
+    const token = req.body?.token || req.query.token;
+    
+    if (!token) {
+      return res.status(400).json({
+        ok: false,
+        error: 'token_required'
+      });
+    }
+    
+    const result = await AuthService.confirmEmailChange(String(token));
+    
+    res.json({
+      ok: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Confirm email change error:', error);
+    
+    if (error.message === 'invalid_or_expired_token') {
+      return res.status(400).json({
+        ok: false,
+        error: 'invalid_or_expired_token'
+      });
+    }
+    
+    if (error.message === 'email_already_exists') {
+      return res.status(409).json({
+        ok: false,
+        error: 'email_already_exists'
+      });
+    }
+    
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+}
+
+router.get('/email/confirm', confirmEmail);
+router.post('/email/confirm', confirmEmail);
+
+// DELETE /api/auth/me (password required; siteAction: keep | deactivate | delete)
+router.delete('/me', verifyToken, async (req, res) => {
+  try {
+    const { password, siteAction = 'deactivate' } = req.body || {};
+    
+    if (!password) {
+      return res.status(400).json({
+        ok: false,
+        error: 'password_required'
+      });
+    }
+    
+    await AuthService.verifyPassword(req.user.id, password);
+    const result = await AuthService.deleteUser(req.user.id, siteAction);
+    
+    res.json({
+      ok: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    
+    if (['invalid_site_action', 'last_admin', 'transfer_ownership_first'].includes(error.message)) {
+      return res.status(400).json({
+        ok: false,
+        error: error.message
+      });
+    }
+    
+    if (error.message === 'invalid_password') {
+      return res.status(401).json({
+        ok: false,
+        error: 'invalid_password'
+      });
+    }
+    
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// POST /api/auth/password-reset/request (Public)
+router.post('/password-reset/request', async (req, res) => {
+  try {
+    const { email } = req.body;
+    
+    if (!email) {
+      return res.status(400).json({
+        ok: false,
+        error: 'email_required'
+      });
+    }
+    
+    await AuthService.requestPasswordReset(email, req.ip);
+    
+    res.json({
+      ok: true,
+      message: 'Se o e-mail existir, enviamos um link de redefinição.'
+    });
+  } catch (error) {
+    console.error('Password reset request error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// POST /api/auth/password-reset/confirm (Public)
+router.post('/password-reset/confirm', async (req, res) => {
+  try {
+    const { email, token, password } = req.body;
+    
+    if (!email || !token || !password) {
+      return res.status(400).json({
+        ok: false,
+        error: 'email_token_and_password_required'
+      });
+    }
+    
+    const result = await AuthService.confirmPasswordReset(email, token, password);
+    
+    res.json({
+      ok: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Password reset confirm error:', error);
+    
+    if (['weak_password', 'invalid_or_expired_token'].includes(error.message)) {
+      return res.status(400).json({
+        ok: false,
+        error: error.message
+      });
+    }
+    
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// POST /api/auth/refresh (Public - exchanges a refresh token for a new token pair)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    if (!refreshToken) {
+      return res.status(400).json({
+        ok: false,
+        error: 'refresh_token_required'
+      });
+    }
+    
+    const result = await SessionService.refresh(refreshToken, {
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+    
+    res.json({
+      ok: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    
+    if (['invalid_refresh_token', 'refresh_token_reused'].includes(error.message)) {
+      return res.status(401).json({
+        ok: false,
+        error: error.message
+      });
+    }
+    
+    if (error.message === 'account_suspended') {
+      return res.status(403).json({
+        ok: false,
+        error: 'account_suspended'
+      });
+    }
+    
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// POST /api/auth/logout (revokes the current session)
+router.post('/logout', verifyToken, async (req, res) => {
+  try {
+    const result = await SessionService.revokeSession(req.user.sid, req.user.id, 'logout');
+    
+    res.json({
+      ok: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// POST /api/auth/logout-all (revokes every session of the user, including the current one)
+router.post('/logout-all', verifyToken, async (req, res) => {
+  try {
+    const result = await SessionService.revokeAllSessions(req.user.id, 'logout_all');
+    
+    res.json({
+      ok: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// GET /api/auth/sessions
+router.get('/sessions', verifyToken, async (req, res) => {
+  try {
+    const sessions = await SessionService.listSessions(req.user.id, req.user.sid);
+    
+    res.json({
+      ok: true,
+      sessions
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// DELETE /api/auth/sessions/:id
+router.delete('/sessions/:id', verifyToken, async (req, res) => {
+  try {
+    const result = await SessionService.revokeSession(req.params.id, req.user.id, 'revoked_by_user');
+    
+    res.json({
+      ok: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    
+    if (error.message === 'session_not_found') {
+      return res.status(404).json({
+        ok: false,
+        error: 'session_not_found'
+      });
+    }
+    
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
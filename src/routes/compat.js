@@ -0,0 +1,193 @@
+import express from 'express';
+import { storage } from '../db/storage.js';
+import { SpamService } from '../services/spamService.js';
+import { verifyToken, hasPermission } from '../middlewares/auth.js';
+
+const router = express.Router();
+
+// Endpoints the site frontend (src/lib/api.ts) calls outside the resource routers
+
+// POST /api/hit (Public - from landing pages; same body as POST /api/traffic/hit)
+router.post('/hit', async (req, res) => {
+  try {
+    const { siteSlug, site, path = '/', referrer, language, metadata = {} } = req.body;
+    const slug = siteSlug || site;
+
+    if (!slug) {
+      return res.status(400).json({
+        ok: false,
+        error: 'site_required'
+      });
+    }
+
+    const hit = await storage.recordHit({
+      siteSlug: slug,
+      path,
+      ip: req.ip || '',
+      userAgent: req.get('User-Agent') || '',
+      referrer: referrer || req.get('Referer') || null,
+      metadata: typeof metadata === 'object' && metadata !== null ? metadata : {},
+      language: language || req.get('Accept-Language') || null,
+      origin: req.get('Origin') || null,
+      // As in POST /api/traffic/hit: requests not made by a page's script count as robots
+      fromPage: Boolean(req.get('Origin') || req.get('Referer') || req.get('Sec-Fetch-Site'))
+    });
+
+    res.json({
+      ok: true,
+      hit
+    });
+  } catch (error) {
+    console.error('Record hit error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// GET /api/form-token?site=SLUG (Public)
+// Landing pages fetch this when the form is shown and send it back as _ft with the submission
+router.get('/form-token', (req, res) => {
+  const { site } = req.query;
+
+  if (!site) {
+    return res.status(400).json({
+      ok: false,
+      error: 'site_required'
+    });
+  }
+
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    ok: true,
+    ...SpamService.getFormSettings(String(site))
+  });
+});
+
+// GET /api/status?site=SLUG (Public)
+router.get('/status', async (req, res) => {
+  try {
+    const { site } = req.query;
+
+    if (!site) {
+      return res.status(400).json({
+        ok: false,
+        error: 'site_required'
+      });
+    }
+
+    const found = await storage.getSite(site);
+    if (!found) {
+      return res.status(404).json({
+        ok: false,
+        error: 'site_not_found'
+      });
+    }
+
+    res.json({
+      ok: true,
+      siteSlug: found.siteSlug,
+      status: found.status,
+      plan: found.plan,
+      active: found.active
+    });
+  } catch (error) {
+    console.error('Get status error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// GET /api/client-plan?email=EMAIL (Public)
+router.get('/client-plan', async (req, res) => {
+  try {
+    const { email } = req.query;
+
+    if (!email) {
+      return res.status(400).json({
+        ok: false,
+        error: 'email_required'
+      });
+    }
+
+    const subscription = await storage.getSubscription(null, String(email));
+
+    res.json({
+      ok: true,
+      plan: subscription.plan,
+      status: subscription.status,
+      siteSlug: subscription.siteSlug,
+      features: {
+        leads: true,
+        feedbacks: true,
+        traffic: true,
+        assets: subscription.isVip
+      }
+    });
+  } catch (error) {
+    if (error.message === 'user_not_found') {
+      return res.status(404).json({
+        ok: false,
+        error: 'user_not_found'
+      });
+    }
+
+    console.error('Client plan error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// GET /api/client-billing?email=EMAIL (own account or billing:read)
+router.get('/client-billing', verifyToken, async (req, res) => {
+  try {
+    const { email } = req.query;
+
+    if (!email) {
+      return res.status(400).json({
+        ok: false,
+        error: 'email_required'
+      });
+    }
+
+    const isOwnAccount = String(email).toLowerCase().trim() === req.user.email?.toLowerCase();
+    if (!isOwnAccount && !hasPermission(req.user, 'billing:read')) {
+      return res.status(403).json({
+        ok: false,
+        error: 'access_denied'
+      });
+    }
+
+    const subscription = await storage.getSubscription(null, String(email));
+
+    res.json({
+      ok: true,
+      plan: subscription.plan,
+      status: subscription.status,
+      provider: subscription.provider,
+      next_renewal: subscription.nextCharge,
+      amount: subscription.amount,
+      currency: subscription.currency
+    });
+  } catch (error) {
+    if (error.message === 'user_not_found') {
+      return res.status(404).json({
+        ok: false,
+        error: 'user_not_found'
+      });
+    }
+
+    console.error('Client billing error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+export default router;
@@ -1,14 +1,19 @@
 import express from 'express';
-import { FeedbackService } from '../services/feedbackService.js';
+import { FeedbackService, FEEDBACK_STATUSES } from '../services/feedbackService.js';
 import { SiteService } from '../services/siteService.js';
-import { verifyToken } from '../middlewares/auth.js';
+import { storage } from '../db/storage.js';
+import { SpamService } from '../services/spamService.js';
+import { verifyToken, optionalAuth, canAccessSite } from '../middlewares/auth.js';
+import { publicFormLimits } from '../middlewares/rateLimit.js';
 
 const router = express.Router();
 
-// POST /api/feedbacks (Public - from landing pages)
-router.post('/', async (req, res) => {
+// POST /api/feedbacks (Public - from landing pages, rate limited per IP and per site)
+// Suspected spam gets the same answer as a real feedback but lands in quarantine.
+// isPublic: false means the author does not want the testimonial shown on the site.
+router.post('/', ...publicFormLimits('feedbacks'), async (req, res) => {
   try {
-    const { site, name, email, phone, rating, comment } = req.body;
+    const { site = req.body.siteSlug, name, email, phone, rating, comment, isPublic } = req.body;
     
     if (!site || !rating || !comment) {
       return res.status(400).json({
@@ -17,13 +22,32 @@ router.post('/', async (req, res) => {
       });
     }
     
+    const duplicateId = SpamService.findRecentDuplicate('feedback', site, { email, comment, ip: req.ip });
+    if (duplicateId) {
+      return res.json({
+        ok: true,
+        duplicate: true,
+        feedback: { id: duplicateId }
+      });
+    }
+    
+    const spam = await SpamService.inspect(req.body, {
+      kind: 'feedback',
+      siteSlug: site,
+      ip: req.ip,
+      userAgent: req.get('User-Agent') || ''
+    });
+    
     const feedback = await FeedbackService.createFeedback({
       siteSlug: site,
       name,
       email,
       phone,
       rating,
-      comment
+      comment,
+      isPublic: isPublic !== false,
+      spam,
+      submitterIp: req.ip || null
     });
     
     res.json({
@@ -54,10 +78,12 @@ router.post('/', async (req, res) => {
   }
 });
 
-// GET /api/feedbacks?site=SLUG&page=1&pageSize=20
-router.get('/', async (req, res) => {
+// GET /api/feedbacks?site=SLUG&page=1&pageSize=20&public=1 (status=pending|approved|rejected|hidden and quarantined=1 for moderators)
+// Visitors only get approved feedbacks marked public
+router.get('/', optionalAuth, async (req, res) => {
   try {
     const { site, page = 1, pageSize = 20, pin } = req.query;
+    const onlyPublic = req.query.public === '1';
     
     if (!site) {
       return res.status(400).json({
@@ -70,32 +96,17 @@ router.get('/', async (req, res) => {
     let includePrivateInfo = false;
     let onlyApproved = true;
     
-    // Check if user is authenticated
-    const authHeader = req.headers.authorization;
-    if (authHeader) {
-      try {
-        const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
-        if (token) {
-          const jwt = await import('jsonwebtoken');
-          const decoded = jwt.verify(token, process.env.JWT_SECRET || 'elevea-dev-secret-change-in-production');
-          
-          // Admin can see everything
-          if (decoded.role === 'admin') {
-            includePrivateInfo = true;
-            onlyApproved = false;
-          }
-          // VIP user with correct PIN can see everything
-          else if (decoded.plan === 'vip' && pin) {
-            const isValidPin = await SiteService.validateVipPin(site, pin);
-            if (isValidPin) {
-              includePrivateInfo = true;
-              onlyApproved = false;
-            }
-          }
-        }
-      } catch (error) {
-        // Invalid token, treat as public request
-        console.warn('Invalid token in feedback request:', error.message);
+    // Staff with feedbacks:read and members of the site can see everything
+    if (canAccessSite(req.user, site, 'feedbacks:read')) {
+      includePrivateInfo = true;
+      onlyApproved = false;
+    }
+    // VIP user with correct PIN can see everything
+    else if (req.user?.plan === 'vip' && pin) {
+      const isValidPin = await SiteService.validateVipPin(site, pin);
+      if (isValidPin) {
+        includePrivateInfo = true;
+        onlyApproved = false;
       }
     }
     
@@ -105,7 +116,10 @@ router.get('/', async (req, res) => {
       parseInt(pageSize),
       {
         onlyApproved,
-        includePrivateInfo
+        onlyPublic: onlyPublic || !includePrivateInfo,
+        includePrivateInfo,
+        quarantined: includePrivateInfo && req.query.quarantined === '1',
+        status: includePrivateInfo && FEEDBACK_STATUSES.includes(req.query.status) ? req.query.status : null
       }
     );
     
@@ -122,10 +136,10 @@ router.get('/', async (req, res) => {
   }
 });
 
-// POST /api/feedbacks/approve (VIP with PIN or Admin)
-router.post('/approve', async (req, res) => {
+// POST /api/feedbacks/approve (VIP with PIN or feedbacks:moderate)
+router.post('/approve', optionalAuth, async (req, res) => {
   try {
-    const { site, id, approved, pin } = req.body;
+    const { site, id, approved, isPublic = null, pin } = req.body;
     
     if (!site || !id || typeof approved !== 'boolean') {
       return res.status(400).json({
@@ -135,27 +149,14 @@ router.post('/approve', async (req, res) => {
     }
     
     // Check authentication and permissions
-    const authHeader = req.headers.authorization;
     let isAuthorized = false;
     
-    if (authHeader) {
-      try {
-        const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
-        if (token) {
-          const jwt = await import('jsonwebtoken');
-          const decoded = jwt.verify(token, process.env.JWT_SECRET || 'elevea-dev-secret-change-in-production');
-          
-          if (decoded.role === 'admin') {
-            isAuthorized = true;
-          } else if (decoded.plan === 'vip' && pin) {
-            const isValidPin = await SiteService.validateVipPin(site, pin);
-            if (isValidPin) {
-              isAuthorized = true;
-            }
-          }
-        }
-      } catch (error) {
-        console.warn('Invalid token in feedback approval:', error.message);
+    if (canAccessSite(req.user, site, 'feedbacks:moderate')) {
+      isAuthorized = true;
+    } else if (req.user?.plan === 'vip' && pin) {
+      const isValidPin = await SiteService.validateVipPin(site, pin);
+      if (isValidPin) {
+        isAuthorized = true;
       }
     }
     
@@ -166,7 +167,16 @@ router.post('/approve', async (req, res) => {
       });
     }
     
-    const result = await FeedbackService.approveFeedback(parseInt(id), approved);
+    // The permission above is for `site`; a feedback from another site is treated as missing
+    const feedback = await FeedbackService.getFeedback(parseInt(id));
+    if (feedback.site_slug !== SiteService.normalizeSiteSlug(site)) {
+      return res.status(404).json({
+        ok: false,
+        error: 'feedback_not_found'
+      });
+    }
+    
+    const result = await FeedbackService.approveFeedback(feedback.id, approved, req.user.id, isPublic);
     
     res.json({
       ok: true,
@@ -189,6 +199,268 @@ router.post('/approve', async (req, res) => {
   }
 });
 
+// PATCH /api/feedbacks/:id/approval (feedbacks:moderate on the feedback's site)
+router.patch('/:id/approval', verifyToken, async (req, res) => {
+  try {
+    const { approved, isPublic = null } = req.body;
+    
+    if (typeof approved !== 'boolean') {
+      return res.status(400).json({
+        ok: false,
+        error: 'approved_required'
+      });
+    }
+    
+    const feedback = await FeedbackService.getFeedback(parseInt(req.params.id));
+    
+    if (!canAccessSite(req.user, feedback.site_slug, 'feedbacks:moderate')) {
+      return res.status(403).json({
+        ok: false,
+        error: 'access_denied'
+      });
+    }
+    
+    const result = await storage.updateFeedbackApproval(feedback.id, approved, isPublic, req.user.id);
+    
+    res.json({
+      ok: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Update feedback approval error:', error);
+    
+    if (error.message === 'feedback_not_found') {
+      return res.status(404).json({
+        ok: false,
+        error: 'feedback_not_found'
+      });
+    }
+    
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// PATCH /api/feedbacks/:id/moderation { status?, reason?, isPublic? } (feedbacks:moderate on the feedback's site)
+router.patch('/:id/moderation', verifyToken, async (req, res) => {
+  try {
+    const { status = null, reason = null, isPublic = null } = req.body;
+    
+    const feedback = await FeedbackService.getFeedback(parseInt(req.params.id));
+    
+    if (!canAccessSite(req.user, feedback.site_slug, 'feedbacks:moderate')) {
+      return res.status(403).json({
+        ok: false,
+        error: 'access_denied'
+      });
+    }
+    
+    const result = await FeedbackService.moderateFeedback(feedback.id, { status, reason, isPublic }, req.user.id);
+    
+    res.json({
+      ok: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Moderate feedback error:', error);
+    
+    if (['status_or_visibility_required', 'invalid_status'].includes(error.message)) {
+      return res.status(400).json({
+        ok: false,
+        error: error.message
+      });
+    }
+    
+    if (error.message === 'feedback_not_found') {
+      return res.status(404).json({
+        ok: false,
+        error: 'feedback_not_found'
+      });
+    }
+    
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// POST /api/feedbacks/bulk/approve { site, ids } and /bulk/reject { site, ids, reason } (feedbacks:moderate)
+for (const [action, status] of [['approve', 'approved'], ['reject', 'rejected']]) {
+  router.post(`/bulk/${action}`, verifyToken, async (req, res) => {
+    try {
+      const { site, ids, reason = null } = req.body;
+      
+      if (!site) {
+        return res.status(400).json({
+          ok: false,
+          error: 'site_required'
+        });
+      }
+      
+      if (!canAccessSite(req.user, site, 'feedbacks:moderate')) {
+        return res.status(403).json({
+          ok: false,
+          error: 'access_denied'
+        });
+      }
+      
+      const result = await FeedbackService.moderateMany(site, ids, { status, reason }, req.user.id);
+      
+      res.json({
+        ok: true,
+        ...result
+      });
+    } catch (error) {
+      console.error(`Bulk ${action} feedbacks error:`, error);
+      
+      if (['ids_required', 'too_many_ids'].includes(error.message)) {
+        return res.status(400).json({
+          ok: false,
+          error: error.message
+        });
+      }
+      
+      res.status(500).json({
+        ok: false,
+        error: 'internal_error'
+      });
+    }
+  });
+}
+
+// PATCH /api/feedbacks/:id { name?, comment? } - typo fixes (feedbacks:moderate on the feedback's site)
+router.patch('/:id', verifyToken, async (req, res) => {
+  try {
+    const { name, comment } = req.body;
+    
+    const feedback = await FeedbackService.getFeedback(parseInt(req.params.id));
+    
+    if (!canAccessSite(req.user, feedback.site_slug, 'feedbacks:moderate')) {
+      return res.status(403).json({
+        ok: false,
+        error: 'access_denied'
+      });
+    }
+    
+    const result = await FeedbackService.editFeedback(feedback.id, { name, comment }, req.user.id);
+    
+    res.json({
+      ok: true,
+      feedback: result
+    });
+  } catch (error) {
+    console.error('Edit feedback error:', error);
+    
+    if (error.message === 'comment_required') {
+      return res.status(400).json({
+        ok: false,
+        error: 'comment_required'
+      });
+    }
+    
+    if (error.message === 'feedback_not_found') {
+      return res.status(404).json({
+        ok: false,
+        error: 'feedback_not_found'
+      });
+    }
+    
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// PUT /api/feedbacks/:id/reply { reply } - the owner's public answer, empty to remove (feedbacks:moderate)
+router.put('/:id/reply', verifyToken, async (req, res) => {
+  try {
+    const feedback = await FeedbackService.getFeedback(parseInt(req.params.id));
+    
+    if (!canAccessSite(req.user, feedback.site_slug, 'feedbacks:moderate')) {
+      return res.status(403).json({
+        ok: false,
+        error: 'access_denied'
+      });
+    }
+    
+    const result = await FeedbackService.setReply(feedback.id, req.body.reply, req.user.id);
+    
+    res.json({
+      ok: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Reply feedback error:', error);
+    
+    if (error.message === 'reply_too_long') {
+      return res.status(400).json({
+        ok: false,
+        error: 'reply_too_long'
+      });
+    }
+    
+    if (error.message === 'feedback_not_found') {
+      return res.status(404).json({
+        ok: false,
+        error: 'feedback_not_found'
+      });
+    }
+    
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// PATCH /api/feedbacks/:id/quarantine { quarantined } (feedbacks:moderate on the feedback's site)
+router.patch('/:id/quarantine', verifyToken, async (req, res) => {
+  try {
+    const { quarantined } = req.body;
+    
+    if (typeof quarantined !== 'boolean') {
+      return res.status(400).json({
+        ok: false,
+        error: 'quarantined_required'
+      });
+    }
+    
+    const feedback = await FeedbackService.getFeedback(parseInt(req.params.id));
+    
+    if (!canAccessSite(req.user, feedback.site_slug, 'feedbacks:moderate')) {
+      return res.status(403).json({
+        ok: false,
+        error: 'access_denied'
+      });
+    }
+    
+    const result = await FeedbackService.setQuarantined(feedback.id, quarantined);
+    
+    res.json({
+      ok: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Update feedback quarantine error:', error);
+    
+    if (error.message === 'feedback_not_found') {
+      return res.status(404).json({
+        ok: false,
+        error: 'feedback_not_found'
+      });
+    }
+    
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
 // GET /api/feedbacks/stats?site=SLUG (Auth required)
 router.get('/stats', verifyToken, async (req, res) => {
   try {
@@ -202,7 +474,7 @@ router.get('/stats', verifyToken, async (req, res) => {
     }
     
     // Check if user can access this site
-    if (req.user.role !== 'admin' && req.user.siteSlug !== site.toUpperCase()) {
+    if (!canAccessSite(req.user, site, 'feedbacks:read')) {
       return res.status(403).json({
         ok: false,
         error: 'access_denied'
@@ -0,0 +1,47 @@
+import authRoutes from './auth.js';
+import subscriptionRoutes from './subscription.js';
+import settingsRoutes from './settings.js';
+import assetsRoutes from './assets.js';
+import leadsRoutes from './leads.js';
+import leadImportRoutes from './leadImport.js';
+import feedbacksRoutes from './feedbacks.js';
+import trafficRoutes from './traffic.js';
+import sitesRoutes from './sites.js';
+import paymentsRoutes from './payments.js';
+import webhooksRoutes from './webhooks.js';
+import usersRoutes from './users.js';
+import siteMembersRoutes from './siteMembers.js';
+import notificationsRoutes from './notifications.js';
+import siteHooksRoutes from './siteHooks.js';
+import widgetsRoutes from './widgets.js';
+import reviewRequestsRoutes from './reviewRequests.js';
+import compatRoutes from './compat.js';
+
+// The single route table: server.mjs and src/server.js both mount it
+export const API_ROUTES = [
+  ['/api/auth', authRoutes],
+  ['/api/subscription', subscriptionRoutes],
+  ['/api/settings', settingsRoutes],
+  ['/api/assets', assetsRoutes],
+  ['/api/leads/import', leadImportRoutes],
+  ['/api/leads', leadsRoutes],
+  ['/api/feedbacks', feedbacksRoutes],
+  ['/api/traffic', trafficRoutes],
+  ['/api/payments', paymentsRoutes],
+  ['/api/admin/webhooks', webhooksRoutes],
+  ['/api/admin/users', usersRoutes],
+  ['/api/site-members', siteMembersRoutes],
+  ['/api/notifications', notificationsRoutes],
+  ['/api/hooks', siteHooksRoutes],
+  ['/api/widgets', widgetsRoutes],
+  ['/api/review-requests', reviewRequestsRoutes],
+  // Root level: /api/sites, /api/site-status, /api/hit, /api/status, /api/client-plan...
+  ['/api', sitesRoutes],
+  ['/api', compatRoutes]
+];
+
+export function mountApiRoutes(app) {
+  for (const [prefix, router] of API_ROUTES) {
+    app.use(prefix, router);
+  }
+}
@@ -0,0 +1,89 @@
+import express from 'express';
+import multer from 'multer';
+import { LeadImportService } from '../services/leadImportService.js';
+import { verifyToken, canAccessSite } from '../middlewares/auth.js';
+
+const router = express.Router();
+
+// Spreadsheets are parsed in memory; LEAD_IMPORT_MAX_ROWS caps the row count
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    // Browsers send CSV under several types (Excel on Windows uses application/vnd.ms-excel)
+    const allowedTypes = [
+      'text/csv', 'text/plain', 'application/csv', 'application/vnd.ms-excel',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    ];
+
+    if (allowedTypes.includes(file.mimetype) || /\.(csv|xlsx)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('File type not allowed'), false);
+    }
+  }
+});
+
+// POST /api/leads/import (leads:edit) multipart: site, file, mapping (JSON), dryRun
+// dryRun defaults to on: the report shows what would be imported; send dryRun=0 to commit
+router.post('/', verifyToken, upload.single('file'), async (req, res) => {
+  try {
+    const { site = req.body.siteSlug, dryRun = '1' } = req.body;
+
+    if (!site || !req.file) {
+      return res.status(400).json({
+        ok: false,
+        error: 'site_and_file_required'
+      });
+    }
+
+    if (!canAccessSite(req.user, site, 'leads:edit')) {
+      return res.status(403).json({
+        ok: false,
+        error: 'access_denied'
+      });
+    }
+
+    let mapping = {};
+    if (req.body.mapping) {
+      try {
+        mapping = JSON.parse(req.body.mapping);
+        if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) throw new Error('invalid_mapping');
+      } catch {
+        return res.status(400).json({
+          ok: false,
+          error: 'invalid_mapping'
+        });
+      }
+    }
+
+    const result = await LeadImportService.importLeads(site, req.file, {
+      mapping,
+      dryRun: !['0', 'false'].includes(String(dryRun).toLowerCase()),
+      filename: req.file.originalname
+    });
+
+    res.json({
+      ok: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Import leads error:', error);
+
+    if (['unreadable_file', 'empty_file', 'too_many_rows', 'invalid_mapping', 'name_and_email_columns_required'].includes(error.message)) {
+      return res.status(400).json({
+        ok: false,
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+export default router;
@@ -1,13 +1,18 @@
 import express from 'express';
 import { LeadService } from '../services/leadService.js';
-import { verifyToken } from '../middlewares/auth.js';
+import { LeadExportService, EXPORT_FORMATS } from '../services/leadExportService.js';
+import { LeadMergeService } from '../services/leadMergeService.js';
+import { SpamService } from '../services/spamService.js';
+import { verifyToken, canAccessSite } from '../middlewares/auth.js';
+import { publicFormLimits } from '../middlewares/rateLimit.js';
 
 const router = express.Router();
 
-// POST /api/leads (Public - from landing pages)
-router.post('/', async (req, res) => {
+// POST /api/leads (Public - from landing pages, rate limited per IP and per site)
+// Suspected spam gets the same answer as a real lead but lands in quarantine
+router.post('/', ...publicFormLimits('leads'), async (req, res) => {
   try {
-    const { site, name, email, phone, message, source } = req.body;
+    const { site = req.body.siteSlug, name, email, phone, message, source } = req.body;
     
     if (!site || !name || !email) {
       return res.status(400).json({
@@ -16,13 +21,31 @@ router.post('/', async (req, res) => {
       });
     }
     
+    const duplicateId = SpamService.findRecentDuplicate('lead', site, { email, message });
+    if (duplicateId) {
+      return res.json({
+        ok: true,
+        duplicate: true,
+        lead: { id: duplicateId }
+      });
+    }
+    
+    const spam = await SpamService.inspect(req.body, {
+      kind: 'lead',
+      siteSlug: site,
+      ip: req.ip,
+      userAgent: req.get('User-Agent') || ''
+    });
+    
     const lead = await LeadService.createLead({
       siteSlug: site,
       name,
       email,
       phone,
       message,
-      source: source || 'website'
+      source: source || 'website',
+      spam,
+      submitterIp: req.ip || null
     });
     
     res.json({
@@ -46,10 +69,13 @@ router.post('/', async (req, res) => {
   }
 });
 
-// GET /api/leads?site=SLUG&page=1&pageSize=20 (Auth required)
+// GET /api/leads?site=SLUG (Auth required)
+// Filters: q (name/email/phone/message), status, source, assignedTo, from, to; sort=name|-created_at|relevance...
+// quarantined=1 lists the suspected spam instead
+// Pages with page/pageSize, or with cursor/limit (pass cursor= empty for the first page)
 router.get('/', verifyToken, async (req, res) => {
   try {
-    const { site, page = 1, pageSize = 20 } = req.query;
+    const { site, page = 1, pageSize = 20, status, assignedTo, q, source, from, to, sort, cursor, limit, quarantined } = req.query;
     
     if (!site) {
       return res.status(400).json({
@@ -59,25 +85,279 @@ router.get('/', verifyToken, async (req, res) => {
     }
     
     // Check if user can access this site
-    if (req.user.role !== 'admin' && req.user.siteSlug !== site.toUpperCase()) {
+    if (!canAccessSite(req.user, site, 'leads:read')) {
+      return res.status(403).json({
+        ok: false,
+        error: 'access_denied'
+      });
+    }
+    
+    const filters = {
+      q,
+      status,
+      source,
+      from,
+      to,
+      sort,
+      assignedTo: assignedTo ? parseInt(assignedTo) : null,
+      quarantined: quarantined === '1'
+    };
+    
+    const result = cursor !== undefined || limit !== undefined
+      ? await LeadService.searchLeads(site, filters, { cursor, limit })
+      : await LeadService.getLeads(site, parseInt(page), parseInt(pageSize), filters);
+    
+    res.json({
+      ok: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Get leads error:', error);
+    
+    if (['invalid_lead_status', 'invalid_sort_key', 'invalid_date_range', 'invalid_cursor'].includes(error.message)) {
+      return res.status(400).json({
+        ok: false,
+        error: error.message
+      });
+    }
+    
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// GET /api/leads/export?site=SLUG&format=csv|xlsx|vcf (leads:export)
+// Same filters and sort as GET /api/leads; CSV takes delimiter=semicolon for Excel in pt-BR
+router.get('/export', verifyToken, async (req, res) => {
+  try {
+    const { site, format = 'csv', delimiter, status, assignedTo, q, source, from, to, sort } = req.query;
+    
+    if (!site) {
+      return res.status(400).json({
+        ok: false,
+        error: 'site_required'
+      });
+    }
+    
+    if (!canAccessSite(req.user, site, 'leads:export')) {
       return res.status(403).json({
         ok: false,
         error: 'access_denied'
       });
     }
     
-    const result = await LeadService.getLeads(
+    if (!LeadExportService.isSupportedFormat(format)) {
+      return res.status(400).json({
+        ok: false,
+        error: 'invalid_export_format'
+      });
+    }
+    
+    res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${LeadExportService.getFilename(site, format)}"`);
+    res.setHeader('Cache-Control', 'no-store');
+    
+    await LeadExportService.exportLeads(
       site,
-      parseInt(page),
-      parseInt(pageSize)
+      { q, status, source, from, to, sort, assignedTo: assignedTo ? parseInt(assignedTo) : null },
+      format,
+      res,
+      { delimiter: delimiter === 'semicolon' ? ';' : ',' }
     );
+  } catch (error) {
+    console.error('Export leads error:', error);
+    
+    // Mid-stream failures can only cut the download short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    
+    // The export type was set up front and res.json() keeps an existing Content-Type
+    res.removeHeader('Content-Disposition');
+    res.type('json');
+    
+    if (['invalid_lead_status', 'invalid_sort_key', 'invalid_date_range'].includes(error.message)) {
+      return res.status(400).json({
+        ok: false,
+        error: error.message
+      });
+    }
+    
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// GET /api/leads/pipeline?site=SLUG&limit=25 (leads:read)
+// Each stage brings its count and newest leads; status=STAGE&cursor= pages through one stage
+router.get('/pipeline', verifyToken, async (req, res) => {
+  try {
+    const { site, status, cursor, limit } = req.query;
+    
+    if (!site) {
+      return res.status(400).json({
+        ok: false,
+        error: 'site_required'
+      });
+    }
+    
+    if (!canAccessSite(req.user, site, 'leads:read')) {
+      return res.status(403).json({
+        ok: false,
+        error: 'access_denied'
+      });
+    }
+    
+    if (status) {
+      const stage = LeadService.getPipelineStage(site, status, { cursor, limit });
+      return res.json({
+        ok: true,
+        status,
+        ...stage
+      });
+    }
+    
+    const pipeline = await LeadService.getPipeline(site, { limit });
+    
+    res.json({
+      ok: true,
+      ...pipeline
+    });
+  } catch (error) {
+    console.error('Get lead pipeline error:', error);
+    
+    if (['invalid_lead_status', 'invalid_cursor'].includes(error.message)) {
+      return res.status(400).json({
+        ok: false,
+        error: error.message
+      });
+    }
+    
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// GET /api/leads/follow-ups?site=SLUG&days=7 (leads:read)
+router.get('/follow-ups', verifyToken, async (req, res) => {
+  try {
+    const { site, days } = req.query;
+    
+    if (!site) {
+      return res.status(400).json({
+        ok: false,
+        error: 'site_required'
+      });
+    }
+    
+    if (!canAccessSite(req.user, site, 'leads:read')) {
+      return res.status(403).json({
+        ok: false,
+        error: 'access_denied'
+      });
+    }
+    
+    const followUps = await LeadService.getDueFollowUps(site, days ? parseInt(days) : undefined);
+    
+    res.json({
+      ok: true,
+      followUps
+    });
+  } catch (error) {
+    console.error('Get lead follow-ups error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// GET /api/leads/duplicates?site=SLUG (leads:read)
+// Groups of leads sharing an email or a phone (normalized: DDD, 9th digit, +55)
+router.get('/duplicates', verifyToken, async (req, res) => {
+  try {
+    const { site } = req.query;
+    
+    if (!site) {
+      return res.status(400).json({
+        ok: false,
+        error: 'site_required'
+      });
+    }
+    
+    if (!canAccessSite(req.user, site, 'leads:read')) {
+      return res.status(403).json({
+        ok: false,
+        error: 'access_denied'
+      });
+    }
+    
+    const result = await LeadMergeService.findDuplicates(site);
     
     res.json({
       ok: true,
       ...result
     });
   } catch (error) {
-    console.error('Get leads error:', error);
+    console.error('Get lead duplicates error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// POST /api/leads/merge { primaryId, leadIds } (leads:edit)
+// leadIds are folded into primaryId and deleted; GET /api/leads/:id lists the merges
+router.post('/merge', verifyToken, async (req, res) => {
+  try {
+    const { primaryId, leadIds } = req.body;
+    
+    if (!primaryId || !Array.isArray(leadIds) || leadIds.length === 0) {
+      return res.status(400).json({
+        ok: false,
+        error: 'merge_ids_required'
+      });
+    }
+    
+    const primary = await LeadService.getLead(parseInt(primaryId));
+    
+    if (!canAccessSite(req.user, primary.site_slug, 'leads:edit')) {
+      return res.status(403).json({
+        ok: false,
+        error: 'access_denied'
+      });
+    }
+    
+    const result = await LeadMergeService.mergeLeads(primary.id, leadIds, req.user.id);
+    
+    res.json({
+      ok: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Merge leads error:', error);
+    
+    if (error.message === 'lead_not_found') {
+      return res.status(404).json({
+        ok: false,
+        error: 'lead_not_found'
+      });
+    }
+    
+    if (['merge_ids_required', 'leads_from_different_sites'].includes(error.message)) {
+      return res.status(400).json({
+        ok: false,
+        error: error.message
+      });
+    }
+    
     res.status(500).json({
       ok: false,
       error: 'internal_error'
@@ -93,16 +373,21 @@ router.get('/:id', verifyToken, async (req, res) => {
     const lead = await LeadService.getLead(parseInt(id));
     
     // Check if user can access this lead
-    if (req.user.role !== 'admin' && req.user.siteSlug !== lead.site_slug) {
+    if (!canAccessSite(req.user, lead.site_slug, 'leads:read')) {
       return res.status(403).json({
         ok: false,
         error: 'access_denied'
       });
     }
     
+    const notes = await LeadService.listNotes(lead.id);
+    const merges = await LeadMergeService.listMerges(lead.id);
+    
     res.json({
       ok: true,
-      lead
+      lead,
+      notes,
+      merges
     });
   } catch (error) {
     console.error('Get lead error:', error);
@@ -121,6 +406,128 @@ router.get('/:id', verifyToken, async (req, res) => {
   }
 });
 
+// PATCH /api/leads/:id { status, assignedTo, followUpAt, quarantined } (leads:edit)
+router.patch('/:id', verifyToken, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { status, assignedTo, followUpAt, quarantined } = req.body;
+    
+    const lead = await LeadService.getLead(id);
+    
+    if (!canAccessSite(req.user, lead.site_slug, 'leads:edit')) {
+      return res.status(403).json({
+        ok: false,
+        error: 'access_denied'
+      });
+    }
+    
+    const updated = await LeadService.updateLead(id, { status, assignedTo, followUpAt, quarantined });
+    
+    res.json({
+      ok: true,
+      lead: updated
+    });
+  } catch (error) {
+    console.error('Update lead error:', error);
+    
+    if (error.message === 'lead_not_found') {
+      return res.status(404).json({
+        ok: false,
+        error: 'lead_not_found'
+      });
+    }
+    
+    if (['invalid_lead_status', 'assignee_not_member', 'invalid_follow_up_date'].includes(error.message)) {
+      return res.status(400).json({
+        ok: false,
+        error: error.message
+      });
+    }
+    
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// GET /api/leads/:id/notes (leads:read)
+router.get('/:id/notes', verifyToken, async (req, res) => {
+  try {
+    const lead = await LeadService.getLead(parseInt(req.params.id));
+    
+    if (!canAccessSite(req.user, lead.site_slug, 'leads:read')) {
+      return res.status(403).json({
+        ok: false,
+        error: 'access_denied'
+      });
+    }
+    
+    const notes = await LeadService.listNotes(lead.id);
+    
+    res.json({
+      ok: true,
+      notes
+    });
+  } catch (error) {
+    console.error('Get lead notes error:', error);
+    
+    if (error.message === 'lead_not_found') {
+      return res.status(404).json({
+        ok: false,
+        error: 'lead_not_found'
+      });
+    }
+    
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// POST /api/leads/:id/notes { body } (leads:edit)
+router.post('/:id/notes', verifyToken, async (req, res) => {
+  try {
+    const lead = await LeadService.getLead(parseInt(req.params.id));
+    
+    if (!canAccessSite(req.user, lead.site_slug, 'leads:edit')) {
+      return res.status(403).json({
+        ok: false,
+        error: 'access_denied'
+      });
+    }
+    
+    const note = await LeadService.addNote(lead.id, req.user.id, req.body.body);
+    
+    res.status(201).json({
+      ok: true,
+      note
+    });
+  } catch (error) {
+    console.error('Add lead note error:', error);
+    
+    if (error.message === 'lead_not_found') {
+      return res.status(404).json({
+        ok: false,
+        error: 'lead_not_found'
+      });
+    }
+    
+    if (error.message === 'note_body_required') {
+      return res.status(400).json({
+        ok: false,
+        error: 'note_body_required'
+      });
+    }
+    
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
 // DELETE /api/leads/:id (Auth required)
 router.delete('/:id', verifyToken, async (req, res) => {
   try {
@@ -130,7 +537,7 @@ router.delete('/:id', verifyToken, async (req, res) => {
     const lead = await LeadService.getLead(parseInt(id));
     
     // Check if user can delete this lead
-    if (req.user.role !== 'admin' && req.user.siteSlug !== lead.site_slug) {
+    if (!canAccessSite(req.user, lead.site_slug, 'leads:delete')) {
       return res.status(403).json({
         ok: false,
         error: 'access_denied'
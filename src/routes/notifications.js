@@ -0,0 +1,170 @@
+import express from 'express';
+import { NotificationService } from '../services/notificationService.js';
+import { verifyToken, canAccessSite } from '../middlewares/auth.js';
+
+const router = express.Router();
+
+// GET /api/notifications/settings?site=SLUG (settings:read)
+router.get('/settings', verifyToken, async (req, res) => {
+  try {
+    const { site } = req.query;
+
+    if (!site) {
+      return res.status(400).json({
+        ok: false,
+        error: 'site_required'
+      });
+    }
+
+    if (!canAccessSite(req.user, site, 'settings:read')) {
+      return res.status(403).json({
+        ok: false,
+        error: 'access_denied'
+      });
+    }
+
+    const settings = await NotificationService.getSettings(site);
+
+    res.json({
+      ok: true,
+      settings
+    });
+  } catch (error) {
+    console.error('Get notification settings error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// PUT /api/notifications/settings { site, email: { enabled, mode, recipients }, webhook: { enabled, url, rotateSecret } } (settings:edit)
+// Both channels carry every new lead: changing e-mail also needs leads:read, the webhook needs
+// webhooks:manage. The webhook secret comes back only when it is created or rotated
+router.put('/settings', verifyToken, async (req, res) => {
+  try {
+    const { site, email, webhook } = req.body;
+
+    if (!site) {
+      return res.status(400).json({
+        ok: false,
+        error: 'site_required'
+      });
+    }
+
+    const allowed = canAccessSite(req.user, site, 'settings:edit') &&
+      (email === undefined || canAccessSite(req.user, site, 'leads:read')) &&
+      (webhook === undefined || canAccessSite(req.user, site, 'webhooks:manage'));
+
+    if (!allowed) {
+      return res.status(403).json({
+        ok: false,
+        error: 'access_denied'
+      });
+    }
+
+    const settings = await NotificationService.updateSettings(site, { email, webhook });
+
+    res.json({
+      ok: true,
+      settings
+    });
+  } catch (error) {
+    console.error('Update notification settings error:', error);
+
+    if (['invalid_email_mode', 'invalid_recipients', 'invalid_webhook_url', 'webhook_url_required'].includes(error.message)) {
+      return res.status(400).json({
+        ok: false,
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// GET /api/notifications/deliveries?site=SLUG&status=failed&page=1&pageSize=20 (leads:read, payloads hold the lead)
+router.get('/deliveries', verifyToken, async (req, res) => {
+  try {
+    const { site, status, page = 1, pageSize = 20 } = req.query;
+
+    if (!site) {
+      return res.status(400).json({
+        ok: false,
+        error: 'site_required'
+      });
+    }
+
+    if (!canAccessSite(req.user, site, 'leads:read')) {
+      return res.status(403).json({
+        ok: false,
+        error: 'access_denied'
+      });
+    }
+
+    const result = await NotificationService.listDeliveries(site, {
+      status: status || null,
+      page: parseInt(page),
+      pageSize: Math.min(parseInt(pageSize), 100)
+    });
+
+    res.json({
+      ok: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('List notification deliveries error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// POST /api/notifications/deliveries/:id/retry (settings:edit and leads:read on the delivery's site)
+router.post('/deliveries/:id/retry', verifyToken, async (req, res) => {
+  try {
+    const delivery = await NotificationService.getDelivery(parseInt(req.params.id));
+
+    if (!canAccessSite(req.user, delivery.site_slug, 'settings:edit') ||
+        !canAccessSite(req.user, delivery.site_slug, 'leads:read')) {
+      return res.status(403).json({
+        ok: false,
+        error: 'access_denied'
+      });
+    }
+
+    const result = await NotificationService.retryDelivery(delivery.id);
+
+    res.json({
+      ok: true,
+      delivery: result
+    });
+  } catch (error) {
+    console.error('Retry notification delivery error:', error);
+
+    if (error.message === 'delivery_not_found') {
+      return res.status(404).json({
+        ok: false,
+        error: 'delivery_not_found'
+      });
+    }
+
+    if (error.message === 'delivery_already_sent') {
+      return res.status(409).json({
+        ok: false,
+        error: 'delivery_already_sent'
+      });
+    }
+
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,74 @@
+import express from 'express';
+import { PaymentService } from '../services/paymentService.js';
+import { WebhookInboxService } from '../services/webhookInboxService.js';
+import { verifyToken, hasPermission } from '../middlewares/auth.js';
+
+const router = express.Router();
+
+// POST /api/payments/webhook (Public - Mercado Pago notifications)
+router.post('/webhook', async (req, res) => {
+  try {
+    // IPN notifications send topic/id in the query string
+    const body = { ...req.query, ...req.body };
+    const { event, duplicate, rejected } = await WebhookInboxService.receive('mercadopago', req.headers, body);
+
+    if (rejected) {
+      return res.status(401).json({
+        ok: false,
+        error: 'invalid_signature',
+        eventId: event.id
+      });
+    }
+
+    // Stored in the inbox: failures are retried by the worker, so the provider gets a 2xx
+    res.json({
+      ok: true,
+      eventId: event.id,
+      status: event.status,
+      duplicate
+    });
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// GET /api/payments?page=1&pageSize=20&userId=ID (Auth required, userId needs billing:read)
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const { page = 1, pageSize = 20, userId } = req.query;
+
+    let targetUserId = req.user.id;
+    if (userId && parseInt(userId) !== req.user.id) {
+      if (!hasPermission(req.user, 'billing:read')) {
+        return res.status(403).json({
+          ok: false,
+          error: 'access_denied'
+        });
+      }
+      targetUserId = parseInt(userId);
+    }
+
+    const result = await PaymentService.listPayments(
+      targetUserId,
+      parseInt(page),
+      parseInt(pageSize)
+    );
+
+    res.json({
+      ok: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('List payments error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+export default router;
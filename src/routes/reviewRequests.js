@@ -0,0 +1,201 @@
+import express from 'express';
+import { ReviewRequestService } from '../services/reviewRequestService.js';
+import { verifyToken, canAccessSite } from '../middlewares/auth.js';
+import { rateLimit } from '../middlewares/rateLimit.js';
+
+const router = express.Router();
+
+// Shared by every handler below: service errors to 400/404/502, anything else to 500
+function sendReviewError(res, error, label) {
+  console.error(label, error);
+
+  if ([
+    'invalid_channel', 'invalid_email', 'invalid_phone', 'message_too_long', 'invalid_status',
+    'invalid_or_expired_review_request', 'rating_and_comment_required', 'rating_must_be_between_1_and_5'
+  ].includes(error.message)) {
+    return res.status(400).json({
+      ok: false,
+      error: error.message
+    });
+  }
+
+  if (['site_not_found', 'lead_not_found', 'review_request_not_found'].includes(error.message)) {
+    return res.status(404).json({
+      ok: false,
+      error: error.message
+    });
+  }
+
+  if (error.message === 'review_email_failed') {
+    return res.status(502).json({
+      ok: false,
+      error: 'review_email_failed'
+    });
+  }
+
+  res.status(500).json({
+    ok: false,
+    error: 'internal_error'
+  });
+}
+
+function denyUnlessAllowed(req, res, site, capability) {
+  if (canAccessSite(req.user, site, capability)) return false;
+  res.status(403).json({
+    ok: false,
+    error: 'access_denied'
+  });
+  return true;
+}
+
+// Tokens are unguessable; this only keeps the public endpoints from being hammered
+const publicLimit = rateLimit({ name: 'review-requests:ip', windowMs: 10 * 60 * 1000, max: 60, key: req => req.ip });
+
+// GET /api/review-requests/open?token=... (Public; the rating page, counts an open)
+router.get('/open', publicLimit, async (req, res) => {
+  try {
+    const request = await ReviewRequestService.openRequest(req.query.token);
+
+    res.json({
+      ok: true,
+      request
+    });
+  } catch (error) {
+    sendReviewError(res, error, 'Open review request error:');
+  }
+});
+
+// POST /api/review-requests/submit { token, rating, comment, name?, isPublic? } (Public, single use)
+router.post('/submit', publicLimit, async (req, res) => {
+  try {
+    const { token, rating, comment, name, isPublic } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        ok: false,
+        error: 'token_required'
+      });
+    }
+
+    const result = await ReviewRequestService.submitRequest(
+      token,
+      { rating, comment, name, isPublic: isPublic !== false },
+      req.ip || null
+    );
+
+    res.json({
+      ok: true,
+      ...result
+    });
+  } catch (error) {
+    sendReviewError(res, error, 'Submit review request error:');
+  }
+});
+
+// GET /api/review-requests?site=SLUG&status=pending|opened|submitted|expired|revoked&leadId=&page=1&pageSize=20 (feedbacks:read)
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const { site, status, leadId } = req.query;
+
+    if (!site) {
+      return res.status(400).json({
+        ok: false,
+        error: 'site_required'
+      });
+    }
+
+    if (denyUnlessAllowed(req, res, site, 'feedbacks:read')) return;
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(req.query.pageSize) || 20));
+    const result = await ReviewRequestService.listRequests(site, {
+      status: status || null,
+      leadId: leadId ? parseInt(leadId) : null,
+      page,
+      pageSize
+    });
+
+    res.json({
+      ok: true,
+      ...result
+    });
+  } catch (error) {
+    sendReviewError(res, error, 'List review requests error:');
+  }
+});
+
+// GET /api/review-requests/stats?site=SLUG&days=30 (feedbacks:read)
+router.get('/stats', verifyToken, async (req, res) => {
+  try {
+    const { site } = req.query;
+
+    if (!site) {
+      return res.status(400).json({
+        ok: false,
+        error: 'site_required'
+      });
+    }
+
+    if (denyUnlessAllowed(req, res, site, 'feedbacks:read')) return;
+
+    const days = Math.min(365, Math.max(1, parseInt(req.query.days) || 30));
+    const stats = await ReviewRequestService.getStats(site, days);
+
+    res.json({
+      ok: true,
+      stats
+    });
+  } catch (error) {
+    sendReviewError(res, error, 'Review request stats error:');
+  }
+});
+
+// POST /api/review-requests { site, channel: email|whatsapp|link, leadId? | name?, email?, phone?, message? } (feedbacks:moderate)
+// The link (and the prefilled WhatsApp URL) comes back only here
+router.post('/', verifyToken, async (req, res) => {
+  try {
+    const { site, channel, leadId, name, email, phone, message } = req.body;
+
+    if (!site) {
+      return res.status(400).json({
+        ok: false,
+        error: 'site_required'
+      });
+    }
+
+    if (denyUnlessAllowed(req, res, site, 'feedbacks:moderate')) return;
+
+    const result = await ReviewRequestService.createRequest(
+      site,
+      { channel, leadId, name, email, phone, message },
+      req.user.id
+    );
+
+    res.status(201).json({
+      ok: true,
+      ...result
+    });
+  } catch (error) {
+    sendReviewError(res, error, 'Create review request error:');
+  }
+});
+
+// DELETE /api/review-requests/:id (feedbacks:moderate; submitted requests stay)
+router.delete('/:id', verifyToken, async (req, res) => {
+  try {
+    const request = ReviewRequestService.getRequestRow(parseInt(req.params.id));
+
+    if (denyUnlessAllowed(req, res, request.site_slug, 'feedbacks:moderate')) return;
+
+    const result = await ReviewRequestService.revokeRequest(request.id);
+
+    res.json({
+      ok: true,
+      ...result
+    });
+  } catch (error) {
+    sendReviewError(res, error, 'Revoke review request error:');
+  }
+});
+
+export default router;
@@ -1,7 +1,8 @@
 import express from 'express';
 import { SettingsService } from '../services/settingsService.js';
 import { SiteService } from '../services/siteService.js';
-import { verifyToken, requireAdmin } from '../middlewares/auth.js';
+import { storage } from '../db/storage.js';
+import { verifyToken, optionalAuth, requirePermission, hasPermission } from '../middlewares/auth.js';
 
 const router = express.Router();
 
@@ -32,10 +33,10 @@ router.get('/', async (req, res) => {
   }
 });
 
-// POST /api/settings
-router.post('/', verifyToken, async (req, res) => {
+// POST /api/settings (settings:edit, VIP with PIN, or the sign-up email while onboarding)
+router.post('/', optionalAuth, async (req, res) => {
   try {
-    const { site, settings, pin } = req.body;
+    const { site = req.body.siteSlug, settings, pin, email } = req.body;
     
     if (!site || !settings) {
       return res.status(400).json({
@@ -44,11 +45,27 @@ router.post('/', verifyToken, async (req, res) => {
       });
     }
     
-    const isAdmin = req.user.role === 'admin';
+    if (!req.user) {
+      if (!(await SiteService.isOnboarding(site, email))) {
+        return res.status(401).json({
+          ok: false,
+          error: 'token_required'
+        });
+      }
+      
+      const result = await storage.updateSiteSettings(site, settings);
+      return res.json({
+        ok: true,
+        ...result
+      });
+    }
+    
+    // Staff with settings:edit skip the PIN; VIP clients must provide it
+    const isStaff = hasPermission(req.user, 'settings:edit');
     const isVip = req.user.plan === 'vip';
-    const requirePin = !isAdmin && isVip;
+    const requirePin = !isStaff && isVip;
     
-    if (!isAdmin && !isVip) {
+    if (!isStaff && !isVip) {
       return res.status(403).json({
         ok: false,
         error: 'vip_or_admin_required'
@@ -90,8 +107,7 @@ router.post('/sections/upsert-defs', verifyToken, async (req, res) => {
       });
     }
     
-    const isAdmin = req.user.role === 'admin';
-    const requirePin = !isAdmin;
+    const requirePin = !hasPermission(req.user, 'settings:edit');
     
     const result = await SettingsService.upsertSectionDefs(site, defs, pin, requirePin);
     
@@ -116,8 +132,8 @@ router.post('/sections/upsert-defs', verifyToken, async (req, res) => {
   }
 });
 
-// GET /api/settings/history?site=SLUG
-router.get('/history', verifyToken, requireAdmin, async (req, res) => {
+// GET /api/settings/history?site=SLUG (settings:read)
+router.get('/history', verifyToken, requirePermission('settings:read'), async (req, res) => {
   try {
     const { site, limit = 10 } = req.query;
     
@@ -0,0 +1,220 @@
+import express from 'express';
+import { SiteHookService, HOOK_EVENTS } from '../services/siteHookService.js';
+import { verifyToken, canAccessSite } from '../middlewares/auth.js';
+
+const router = express.Router();
+
+// Shared by every handler below: service errors to 400/404/409, anything else to 500
+function sendHookError(res, error, label) {
+  console.error(label, error);
+
+  if (['url_required', 'invalid_webhook_url', 'invalid_events', 'too_many_hooks'].includes(error.message)) {
+    return res.status(400).json({
+      ok: false,
+      error: error.message
+    });
+  }
+
+  if (['hook_not_found', 'delivery_not_found', 'site_not_found'].includes(error.message)) {
+    return res.status(404).json({
+      ok: false,
+      error: error.message
+    });
+  }
+
+  if (error.message === 'delivery_already_sent') {
+    return res.status(409).json({
+      ok: false,
+      error: 'delivery_already_sent'
+    });
+  }
+
+  res.status(500).json({
+    ok: false,
+    error: 'internal_error'
+  });
+}
+
+// Loads the hook in :id and checks webhooks:manage on its site (answers the 403 itself)
+async function loadHook(req, res) {
+  const hook = await SiteHookService.getHook(parseInt(req.params.id));
+
+  if (!canAccessSite(req.user, hook.siteSlug, 'webhooks:manage')) {
+    res.status(403).json({
+      ok: false,
+      error: 'access_denied'
+    });
+    return null;
+  }
+
+  return hook;
+}
+
+// GET /api/hooks/events
+router.get('/events', verifyToken, (req, res) => {
+  res.json({
+    ok: true,
+    events: HOOK_EVENTS
+  });
+});
+
+// GET /api/hooks?site=SLUG (webhooks:manage)
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const { site } = req.query;
+
+    if (!site) {
+      return res.status(400).json({
+        ok: false,
+        error: 'site_required'
+      });
+    }
+
+    if (!canAccessSite(req.user, site, 'webhooks:manage')) {
+      return res.status(403).json({
+        ok: false,
+        error: 'access_denied'
+      });
+    }
+
+    const hooks = await SiteHookService.listHooks(site);
+
+    res.json({
+      ok: true,
+      hooks
+    });
+  } catch (error) {
+    sendHookError(res, error, 'List site hooks error:');
+  }
+});
+
+// POST /api/hooks { site, url, events: ['lead.created', ...] | ['*'], notes?, active? } (webhooks:manage)
+// The signing secret comes back only here and when rotated
+router.post('/', verifyToken, async (req, res) => {
+  try {
+    const { site, url, events, notes, active } = req.body;
+
+    if (!site) {
+      return res.status(400).json({
+        ok: false,
+        error: 'site_required'
+      });
+    }
+
+    if (!canAccessSite(req.user, site, 'webhooks:manage')) {
+      return res.status(403).json({
+        ok: false,
+        error: 'access_denied'
+      });
+    }
+
+    const hook = await SiteHookService.createHook(site, { url, events, notes, active }, req.user.id);
+
+    res.status(201).json({
+      ok: true,
+      hook
+    });
+  } catch (error) {
+    sendHookError(res, error, 'Create site hook error:');
+  }
+});
+
+// POST /api/hooks/deliveries/:id/retry (webhooks:manage on the delivery's site)
+router.post('/deliveries/:id/retry', verifyToken, async (req, res) => {
+  try {
+    const delivery = await SiteHookService.getDelivery(parseInt(req.params.id));
+
+    if (!canAccessSite(req.user, delivery.site_slug, 'webhooks:manage')) {
+      return res.status(403).json({
+        ok: false,
+        error: 'access_denied'
+      });
+    }
+
+    const result = await SiteHookService.retryDelivery(delivery.id);
+
+    res.json({
+      ok: true,
+      delivery: result
+    });
+  } catch (error) {
+    sendHookError(res, error, 'Retry site hook delivery error:');
+  }
+});
+
+// PATCH /api/hooks/:id { url?, events?, active?, notes?, rotateSecret? } (webhooks:manage)
+router.patch('/:id', verifyToken, async (req, res) => {
+  try {
+    const hook = await loadHook(req, res);
+    if (!hook) return;
+
+    const { url, events, active, notes, rotateSecret } = req.body;
+    const updated = await SiteHookService.updateHook(hook.id, { url, events, active, notes, rotateSecret });
+
+    res.json({
+      ok: true,
+      hook: updated
+    });
+  } catch (error) {
+    sendHookError(res, error, 'Update site hook error:');
+  }
+});
+
+// DELETE /api/hooks/:id (webhooks:manage)
+router.delete('/:id', verifyToken, async (req, res) => {
+  try {
+    const hook = await loadHook(req, res);
+    if (!hook) return;
+
+    const result = await SiteHookService.deleteHook(hook.id);
+
+    res.json({
+      ok: true,
+      ...result
+    });
+  } catch (error) {
+    sendHookError(res, error, 'Delete site hook error:');
+  }
+});
+
+// POST /api/hooks/:id/test (webhooks:manage) - sends a "ping" event right away
+router.post('/:id/test', verifyToken, async (req, res) => {
+  try {
+    const hook = await loadHook(req, res);
+    if (!hook) return;
+
+    const delivery = await SiteHookService.sendTest(hook.id);
+
+    res.json({
+      ok: true,
+      delivered: delivery.status === 'delivered',
+      delivery
+    });
+  } catch (error) {
+    sendHookError(res, error, 'Test site hook error:');
+  }
+});
+
+// GET /api/hooks/:id/deliveries?status=failed&page=1&pageSize=20 (webhooks:manage)
+router.get('/:id/deliveries', verifyToken, async (req, res) => {
+  try {
+    const hook = await loadHook(req, res);
+    if (!hook) return;
+
+    const { status, page = 1, pageSize = 20 } = req.query;
+    const result = await SiteHookService.listDeliveries(hook.id, {
+      status: status || null,
+      page: parseInt(page),
+      pageSize: Math.min(parseInt(pageSize), 100)
+    });
+
+    res.json({
+      ok: true,
+      ...result
+    });
+  } catch (error) {
+    sendHookError(res, error, 'List site hook deliveries error:');
+  }
+});
+
+export default router;
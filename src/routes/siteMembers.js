@@ -0,0 +1,381 @@
+import express from 'express';
+import { SiteMemberService } from '../services/siteMemberService.js';
+import { verifyToken, optionalAuth, canAccessSite, getSiteRole } from '../middlewares/auth.js';
+
+const router = express.Router();
+
+function denyUnlessAllowed(req, res, site, capability) {
+  if (canAccessSite(req.user, site, capability)) return false;
+  res.status(403).json({
+    ok: false,
+    error: 'access_denied'
+  });
+  return true;
+}
+
+// GET /api/site-members/invitations/preview?token=... (Public)
+router.get('/invitations/preview', async (req, res) => {
+  try {
+    const invitation = await SiteMemberService.getInvitation(req.query.token);
+
+    res.json({
+      ok: true,
+      invitation
+    });
+  } catch (error) {
+    if (error.message === 'invalid_or_expired_invitation') {
+      return res.status(400).json({
+        ok: false,
+        error: 'invalid_or_expired_invitation'
+      });
+    }
+
+    console.error('Preview invitation error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// POST /api/site-members/invitations/accept (Public with password, or authenticated; invited email must match)
+router.post('/invitations/accept', optionalAuth, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        ok: false,
+        error: 'token_required'
+      });
+    }
+
+    if (!req.user && !password) {
+      return res.status(400).json({
+        ok: false,
+        error: 'password_required'
+      });
+    }
+
+    const result = await SiteMemberService.acceptInvitation(token, {
+      userId: req.user?.id,
+      password
+    });
+
+    res.json({
+      ok: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+
+    if (['invalid_or_expired_invitation', 'weak_password'].includes(error.message)) {
+      return res.status(400).json({
+        ok: false,
+        error: error.message
+      });
+    }
+
+    if (error.message === 'invalid_password') {
+      return res.status(401).json({
+        ok: false,
+        error: 'invalid_password'
+      });
+    }
+
+    if (['invitation_email_mismatch', 'account_suspended'].includes(error.message)) {
+      return res.status(403).json({
+        ok: false,
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// GET /api/site-members/invitations?site=SLUG (site owner or members:manage)
+router.get('/invitations', verifyToken, async (req, res) => {
+  try {
+    const { site } = req.query;
+
+    if (!site) {
+      return res.status(400).json({
+        ok: false,
+        error: 'site_required'
+      });
+    }
+
+    if (denyUnlessAllowed(req, res, site, 'members:manage')) return;
+
+    const invitations = await SiteMemberService.listInvitations(site);
+
+    res.json({
+      ok: true,
+      invitations
+    });
+  } catch (error) {
+    console.error('List invitations error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// POST /api/site-members/invitations (site owner or members:manage)
+router.post('/invitations', verifyToken, async (req, res) => {
+  try {
+    const { site, email, role = 'viewer' } = req.body;
+
+    if (!site || !email) {
+      return res.status(400).json({
+        ok: false,
+        error: 'site_and_email_required'
+      });
+    }
+
+    if (denyUnlessAllowed(req, res, site, 'members:manage')) return;
+
+    const invitation = await SiteMemberService.invite(site, email, role, req.user.id);
+
+    res.status(201).json({
+      ok: true,
+      invitation
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+
+    if (['invalid_email', 'invalid_site_role'].includes(error.message)) {
+      return res.status(400).json({
+        ok: false,
+        error: error.message
+      });
+    }
+
+    if (error.message === 'site_not_found') {
+      return res.status(404).json({
+        ok: false,
+        error: 'site_not_found'
+      });
+    }
+
+    if (error.message === 'already_member') {
+      return res.status(409).json({
+        ok: false,
+        error: 'already_member'
+      });
+    }
+
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// DELETE /api/site-members/invitations/:id?site=SLUG (site owner or members:manage)
+router.delete('/invitations/:id', verifyToken, async (req, res) => {
+  try {
+    const { site } = req.query;
+
+    if (!site) {
+      return res.status(400).json({
+        ok: false,
+        error: 'site_required'
+      });
+    }
+
+    if (denyUnlessAllowed(req, res, site, 'members:manage')) return;
+
+    const result = await SiteMemberService.revokeInvitation(site, parseInt(req.params.id));
+
+    res.json({
+      ok: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+
+    if (error.message === 'invitation_not_found') {
+      return res.status(404).json({
+        ok: false,
+        error: 'invitation_not_found'
+      });
+    }
+
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// POST /api/site-members/transfer (site owner or members:manage)
+router.post('/transfer', verifyToken, async (req, res) => {
+  try {
+    const { site, userId } = req.body;
+
+    if (!site || !userId) {
+      return res.status(400).json({
+        ok: false,
+        error: 'site_and_user_id_required'
+      });
+    }
+
+    if (denyUnlessAllowed(req, res, site, 'members:manage')) return;
+
+    const result = await SiteMemberService.transferOwnership(site, parseInt(userId));
+
+    res.json({
+      ok: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Transfer ownership error:', error);
+
+    if (error.message === 'member_not_found') {
+      return res.status(404).json({
+        ok: false,
+        error: 'member_not_found'
+      });
+    }
+
+    if (['already_owner', 'target_owns_another_site'].includes(error.message)) {
+      return res.status(409).json({
+        ok: false,
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// GET /api/site-members?site=SLUG (site members or sites:read)
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const { site } = req.query;
+
+    if (!site) {
+      return res.status(400).json({
+        ok: false,
+        error: 'site_required'
+      });
+    }
+
+    if (denyUnlessAllowed(req, res, site, 'sites:read')) return;
+
+    const members = await SiteMemberService.listMembers(site);
+
+    res.json({
+      ok: true,
+      members,
+      myRole: getSiteRole(req.user, site)
+    });
+  } catch (error) {
+    console.error('List members error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// PUT /api/site-members/:userId?site=SLUG (site owner or members:manage)
+router.put('/:userId', verifyToken, async (req, res) => {
+  try {
+    const { site } = req.query;
+    const { role } = req.body;
+
+    if (!site || !role) {
+      return res.status(400).json({
+        ok: false,
+        error: 'site_and_role_required'
+      });
+    }
+
+    if (denyUnlessAllowed(req, res, site, 'members:manage')) return;
+
+    const result = await SiteMemberService.updateMemberRole(site, parseInt(req.params.userId), role);
+
+    res.json({
+      ok: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Update member role error:', error);
+
+    if (error.message === 'member_not_found') {
+      return res.status(404).json({
+        ok: false,
+        error: 'member_not_found'
+      });
+    }
+
+    if (['invalid_site_role', 'transfer_ownership_first'].includes(error.message)) {
+      return res.status(400).json({
+        ok: false,
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// DELETE /api/site-members/:userId?site=SLUG (site owner or members:manage; members may leave)
+router.delete('/:userId', verifyToken, async (req, res) => {
+  try {
+    const { site } = req.query;
+    const userId = parseInt(req.params.userId);
+
+    if (!site) {
+      return res.status(400).json({
+        ok: false,
+        error: 'site_required'
+      });
+    }
+
+    if (userId !== req.user.id && denyUnlessAllowed(req, res, site, 'members:manage')) return;
+
+    const result = await SiteMemberService.removeMember(site, userId);
+
+    res.json({
+      ok: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Remove member error:', error);
+
+    if (error.message === 'member_not_found') {
+      return res.status(404).json({
+        ok: false,
+        error: 'member_not_found'
+      });
+    }
+
+    if (error.message === 'transfer_ownership_first') {
+      return res.status(400).json({
+        ok: false,
+        error: 'transfer_ownership_first'
+      });
+    }
+
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+export default router;
@@ -1,9 +1,13 @@
 import express from 'express';
 import { SiteService } from '../services/siteService.js';
-import { verifyToken, requireAdmin } from '../middlewares/auth.js';
+import { storage } from '../db/storage.js';
+import { verifyToken, requirePermission } from '../middlewares/auth.js';
 
 const router = express.Router();
 
+const SIGNUP_SLUG_REGEX = /^[a-z0-9-]{3,30}$/i;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
 // GET /api/site-status?site=SLUG (Public)
 router.get('/site-status', async (req, res) => {
   try {
@@ -39,8 +43,8 @@ router.get('/site-status', async (req, res) => {
   }
 });
 
-// POST /api/site/toggle (Admin only)
-router.post('/site/toggle', verifyToken, requireAdmin, async (req, res) => {
+// POST /api/site/toggle (sites:toggle)
+router.post('/site/toggle', verifyToken, requirePermission('sites:toggle'), async (req, res) => {
   try {
     const { site, active } = req.body;
     
@@ -74,8 +78,8 @@ router.post('/site/toggle', verifyToken, requireAdmin, async (req, res) => {
   }
 });
 
-// POST /api/site/create (Admin only)
-router.post('/site/create', verifyToken, requireAdmin, async (req, res) => {
+// POST /api/site/create (sites:manage)
+router.post('/site/create', verifyToken, requirePermission('sites:manage'), async (req, res) => {
   try {
     const { slug, active = true, notes, vipPin } = req.body;
     
@@ -114,8 +118,50 @@ router.post('/site/create', verifyToken, requireAdmin, async (req, res) => {
   }
 });
 
-// GET /api/sites (Admin only)
-router.get('/sites', verifyToken, requireAdmin, async (req, res) => {
+// POST /api/sites (Public - sign-up form)
+router.post('/sites', async (req, res) => {
+  try {
+    const { siteSlug, email, fullName, company, phone, document } = req.body;
+
+    if (!siteSlug || !SIGNUP_SLUG_REGEX.test(siteSlug)) {
+      return res.status(400).json({
+        ok: false,
+        error: 'invalid_site_slug'
+      });
+    }
+
+    if (!email || !EMAIL_REGEX.test(String(email).trim())) {
+      return res.status(400).json({
+        ok: false,
+        error: 'invalid_email'
+      });
+    }
+
+    const site = await storage.createSite({ siteSlug, email, fullName, company, phone, document });
+
+    res.status(201).json({
+      ok: true,
+      site
+    });
+  } catch (error) {
+    console.error('Sign-up site error:', error);
+
+    if (error.message === 'site_slug_already_exists') {
+      return res.status(409).json({
+        ok: false,
+        error: 'site_slug_already_exists'
+      });
+    }
+
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// GET /api/sites (sites:read)
+router.get('/sites', verifyToken, requirePermission('sites:read'), async (req, res) => {
   try {
     const sites = await SiteService.listSites();
     
@@ -132,8 +178,8 @@ router.get('/sites', verifyToken, requireAdmin, async (req, res) => {
   }
 });
 
-// POST /api/site/set-pin (Admin only)
-router.post('/site/set-pin', verifyToken, requireAdmin, async (req, res) => {
+// POST /api/site/set-pin (sites:manage)
+router.post('/site/set-pin', verifyToken, requirePermission('sites:manage'), async (req, res) => {
   try {
     const { site, pin } = req.body;
     
@@ -1,6 +1,7 @@
 import express from 'express';
 import { SubscriptionService } from '../services/subscriptionService.js';
-import { verifyToken, requireAdmin } from '../middlewares/auth.js';
+import { DunningService } from '../services/dunningService.js';
+import { verifyToken, requirePermission } from '../middlewares/auth.js';
 
 const router = express.Router();
 
@@ -39,8 +40,8 @@ router.get('/status', async (req, res) => {
   }
 });
 
-// POST /api/subscription/update-billing (Admin only)
-router.post('/update-billing', verifyToken, requireAdmin, async (req, res) => {
+// POST /api/subscription/update-billing (billing:edit)
+router.post('/update-billing', verifyToken, requirePermission('billing:edit'), async (req, res) => {
   try {
     const { userId, status, nextDate, amount, currency, provider } = req.body;
     
@@ -123,8 +124,8 @@ router.post('/upgrade-plan', verifyToken, async (req, res) => {
   }
 });
 
-// GET /api/subscription/active (Admin only)
-router.get('/active', verifyToken, requireAdmin, async (req, res) => {
+// GET /api/subscription/active (billing:read)
+router.get('/active', verifyToken, requirePermission('billing:read'), async (req, res) => {
   try {
     const subscriptions = await SubscriptionService.getAllActiveSubscriptions();
     
@@ -142,4 +143,131 @@ router.get('/active', verifyToken, requireAdmin, async (req, res) => {
   }
 });
 
+// GET /api/subscription/dunning/preview?date=YYYY-MM-DD (billing:read - dry run)
+router.get('/dunning/preview', verifyToken, requirePermission('billing:read'), async (req, res) => {
+  try {
+    const now = req.query.date ? new Date(req.query.date) : new Date();
+    
+    if (Number.isNaN(now.getTime())) {
+      return res.status(400).json({
+        ok: false,
+        error: 'invalid_date'
+      });
+    }
+    
+    const result = await DunningService.run({ dryRun: true, now });
+    
+    res.json({
+      ok: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Dunning preview error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// POST /api/subscription/dunning/run (billing:edit)
+router.post('/dunning/run', verifyToken, requirePermission('billing:edit'), async (req, res) => {
+  try {
+    const result = await DunningService.run();
+    
+    res.json({
+      ok: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Dunning run error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// GET /api/subscription/dunning/policies (billing:read)
+router.get('/dunning/policies', verifyToken, requirePermission('billing:read'), async (req, res) => {
+  try {
+    const policies = await DunningService.listPolicies();
+    
+    res.json({
+      ok: true,
+      policies
+    });
+  } catch (error) {
+    console.error('List dunning policies error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// PUT /api/subscription/dunning/policies/:plan (billing:edit)
+router.put('/dunning/policies/:plan', verifyToken, requirePermission('billing:edit'), async (req, res) => {
+  try {
+    const { reminderOffsets, suspendAfterDays, archiveAfterDays } = req.body;
+    
+    const policy = await DunningService.savePolicy(req.params.plan, {
+      reminderOffsets,
+      suspendAfterDays,
+      archiveAfterDays
+    });
+    
+    res.json({
+      ok: true,
+      policy
+    });
+  } catch (error) {
+    console.error('Update dunning policy error:', error);
+    
+    if (error.message === 'invalid_plan' || error.message === 'invalid_policy') {
+      return res.status(400).json({
+        ok: false,
+        error: error.message
+      });
+    }
+    
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// GET /api/subscription/dunning/history?userId=ID&page=1&pageSize=50 (billing:read)
+router.get('/dunning/history', verifyToken, requirePermission('billing:read'), async (req, res) => {
+  try {
+    const { userId, page = 1, pageSize = 50 } = req.query;
+    
+    if (!userId) {
+      return res.status(400).json({
+        ok: false,
+        error: 'user_id_required'
+      });
+    }
+    
+    const result = await DunningService.getHistory(
+      parseInt(userId),
+      parseInt(page),
+      parseInt(pageSize)
+    );
+    
+    res.json({
+      ok: true,
+      dunningState: DunningService.getCase(parseInt(userId)).state,
+      ...result
+    });
+  } catch (error) {
+    console.error('Dunning history error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
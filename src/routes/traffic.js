@@ -1,13 +1,15 @@
 import express from 'express';
 import { TrafficService } from '../services/trafficService.js';
-import { verifyToken } from '../middlewares/auth.js';
+import { storage } from '../db/storage.js';
+import { verifyToken, canAccessSite } from '../middlewares/auth.js';
 
 const router = express.Router();
 
-// POST /api/traffic/hit (Public - from landing pages)
+// POST /api/traffic/hit { site, path, referrer?, language?, metadata? } (Public - from landing pages)
+// path may include the query string: utm_* tags and ad click ids (gclid...) there are recorded
 router.post('/hit', async (req, res) => {
   try {
-    const { site, path = '/' } = req.body;
+    const { site = req.body.siteSlug, path = '/', referrer, language, metadata = {} } = req.body;
     
     if (!site) {
       return res.status(400).json({
@@ -24,7 +26,13 @@ router.post('/hit', async (req, res) => {
       siteSlug: site,
       path,
       ip,
-      userAgent
+      userAgent,
+      referrer: referrer || req.get('Referer') || null,
+      metadata: typeof metadata === 'object' && metadata !== null ? metadata : {},
+      language: language || req.get('Accept-Language') || null,
+      origin: req.get('Origin') || null,
+      // Sent by a page's script (browsers add these to fetch requests); bare requests are robots
+      fromPage: Boolean(req.get('Origin') || req.get('Referer') || req.get('Sec-Fetch-Site'))
     });
     
     res.json({
@@ -40,6 +48,41 @@ router.post('/hit', async (req, res) => {
   }
 });
 
+// GET /api/traffic?site=SLUG&range=30d (Auth required; dashboard summary, getTrafficStats sends the token)
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const { site, range = '30d' } = req.query;
+    
+    if (!site) {
+      return res.status(400).json({
+        ok: false,
+        error: 'site_required'
+      });
+    }
+    
+    if (!canAccessSite(req.user, site, 'traffic:read')) {
+      return res.status(403).json({
+        ok: false,
+        error: 'access_denied'
+      });
+    }
+    
+    const days = parseInt(String(range).replace('d', '')) || 30;
+    const stats = await storage.getTrafficStats(site, days);
+    
+    res.json({
+      ok: true,
+      ...stats
+    });
+  } catch (error) {
+    console.error('Get traffic summary error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
 // GET /api/traffic/daily?site=SLUG&range=7d|30d|all (Auth required)
 router.get('/daily', verifyToken, async (req, res) => {
   try {
@@ -53,7 +96,7 @@ router.get('/daily', verifyToken, async (req, res) => {
     }
     
     // Check if user can access this site
-    if (req.user.role !== 'admin' && req.user.siteSlug !== site.toUpperCase()) {
+    if (!canAccessSite(req.user, site, 'traffic:read')) {
       return res.status(403).json({
         ok: false,
         error: 'access_denied'
@@ -88,7 +131,7 @@ router.get('/hourly', verifyToken, async (req, res) => {
     }
     
     // Check if user can access this site
-    if (req.user.role !== 'admin' && req.user.siteSlug !== site.toUpperCase()) {
+    if (!canAccessSite(req.user, site, 'traffic:read')) {
       return res.status(403).json({
         ok: false,
         error: 'access_denied'
@@ -123,7 +166,7 @@ router.get('/referrers', verifyToken, async (req, res) => {
     }
     
     // Check if user can access this site
-    if (req.user.role !== 'admin' && req.user.siteSlug !== site.toUpperCase()) {
+    if (!canAccessSite(req.user, site, 'traffic:read')) {
       return res.status(403).json({
         ok: false,
         error: 'access_denied'
@@ -145,7 +188,52 @@ router.get('/referrers', verifyToken, async (req, res) => {
   }
 });
 
-// GET /api/traffic/recent?site=SLUG&limit=50 (Auth required)
+// GET /api/traffic/sources?site=SLUG&days=30 (traffic:read) - sources with medium, mediums and referrer hosts
+// GET /api/traffic/campaigns?site=SLUG&days=30 (traffic:read) - UTM campaigns by source/medium, with content/term
+// GET /api/traffic/devices?site=SLUG&days=30 (traffic:read) - devices, browsers, OS and languages
+// GET /api/traffic/crawlers?site=SLUG&days=30&crawler=Googlebot (traffic:read) - bot hits per robot, and per page for one
+for (const [endpoint, aggregate] of [
+  ['sources', (site, days) => TrafficService.getSources(site, days)],
+  ['campaigns', (site, days) => TrafficService.getCampaigns(site, days)],
+  ['devices', (site, days) => TrafficService.getDevices(site, days)],
+  ['crawlers', (site, days, query) => TrafficService.getCrawlerActivity(site, days, String(query.crawler || 'Googlebot'))]
+]) {
+  router.get(`/${endpoint}`, verifyToken, async (req, res) => {
+    try {
+      const { site } = req.query;
+      
+      if (!site) {
+        return res.status(400).json({
+          ok: false,
+          error: 'site_required'
+        });
+      }
+      
+      if (!canAccessSite(req.user, site, 'traffic:read')) {
+        return res.status(403).json({
+          ok: false,
+          error: 'access_denied'
+        });
+      }
+      
+      const days = Math.min(365, Math.max(1, parseInt(req.query.days) || 30));
+      const stats = await aggregate(site, days, req.query);
+      
+      res.json({
+        ok: true,
+        ...stats
+      });
+    } catch (error) {
+      console.error(`Get traffic ${endpoint} error:`, error);
+      res.status(500).json({
+        ok: false,
+        error: 'internal_error'
+      });
+    }
+  });
+}
+
+// GET /api/traffic/recent?site=SLUG&limit=50&bots=1 (Auth required; bots=1 includes bot hits)
 router.get('/recent', verifyToken, async (req, res) => {
   try {
     const { site, limit = 50 } = req.query;
@@ -158,14 +246,14 @@ router.get('/recent', verifyToken, async (req, res) => {
     }
     
     // Check if user can access this site
-    if (req.user.role !== 'admin' && req.user.siteSlug !== site.toUpperCase()) {
+    if (!canAccessSite(req.user, site, 'traffic:read')) {
       return res.status(403).json({
         ok: false,
         error: 'access_denied'
       });
     }
     
-    const recentHits = await TrafficService.getRecentHits(site, parseInt(limit));
+    const recentHits = await TrafficService.getRecentHits(site, parseInt(limit), req.query.bots === '1');
     
     res.json({
       ok: true,
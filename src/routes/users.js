@@ -0,0 +1,281 @@
+import express from 'express';
+import { AuthService } from '../services/authService.js';
+import { SessionService } from '../services/sessionService.js';
+import { verifyToken, requirePermission, ROLES, ROLE_CAPABILITIES, hasPermission } from '../middlewares/auth.js';
+
+const router = express.Router();
+
+// GET /api/admin/users/roles (users:read - roles and their capabilities)
+router.get('/roles', verifyToken, requirePermission('users:read'), (req, res) => {
+  res.json({
+    ok: true,
+    roles: ROLES.map(role => ({
+      role,
+      capabilities: ROLE_CAPABILITIES[role]
+    }))
+  });
+});
+
+// GET /api/admin/users?role=client&status=active&search=...&page=1&pageSize=20 (users:read)
+router.get('/', verifyToken, requirePermission('users:read'), async (req, res) => {
+  try {
+    const { role, status, search, page = 1, pageSize = 20 } = req.query;
+    
+    const result = await AuthService.listUsers(
+      { role, status, search },
+      parseInt(page),
+      parseInt(pageSize)
+    );
+    
+    res.json({
+      ok: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('List users error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// POST /api/admin/users (users:manage; staff roles also need roles:assign)
+router.post('/', verifyToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { email, password, role, siteSlug, plan, createSite } = req.body;
+    
+    if (!email || !password) {
+      return res.status(400).json({
+        ok: false,
+        error: 'email_and_password_required'
+      });
+    }
+    
+    if (role && !ROLES.includes(role)) {
+      return res.status(400).json({
+        ok: false,
+        error: 'invalid_role'
+      });
+    }
+    
+    if (role && role !== 'client' && !hasPermission(req.user, 'roles:assign')) {
+      return res.status(403).json({
+        ok: false,
+        error: 'insufficient_permissions'
+      });
+    }
+    
+    if (plan && !['essential', 'vip'].includes(plan)) {
+      return res.status(400).json({
+        ok: false,
+        error: 'invalid_plan'
+      });
+    }
+    
+    const user = await AuthService.adminCreateUser({
+      email,
+      password,
+      role,
+      siteSlug,
+      plan,
+      createSite: createSite !== false
+    });
+    
+    res.status(201).json({
+      ok: true,
+      user
+    });
+  } catch (error) {
+    console.error('Create user error:', error);
+    
+    if (['invalid_email', 'weak_password'].includes(error.message)) {
+      return res.status(400).json({
+        ok: false,
+        error: error.message
+      });
+    }
+    
+    if (error.message === 'email_already_exists') {
+      return res.status(409).json({
+        ok: false,
+        error: 'email_already_exists'
+      });
+    }
+    
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+async function setStatus(req, res, status) {
+  try {
+    const userId = parseInt(req.params.id);
+    
+    if (userId === req.user.id) {
+      return res.status(400).json({
+        ok: false,
+        error: 'cannot_change_own_status'
+      });
+    }
+    
+    const result = await AuthService.setUserStatus(userId, status);
+    
+    res.json({
+      ok: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Set user status error:', error);
+    
+    if (error.message === 'user_not_found') {
+      return res.status(404).json({
+        ok: false,
+        error: 'user_not_found'
+      });
+    }
+    
+    if (error.message === 'last_admin') {
+      return res.status(400).json({
+        ok: false,
+        error: 'last_admin'
+      });
+    }
+    
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+}
+
+// POST /api/admin/users/:id/suspend (users:manage)
+router.post('/:id/suspend', verifyToken, requirePermission('users:manage'), (req, res) => setStatus(req, res, 'suspended'));
+
+// POST /api/admin/users/:id/reactivate (users:manage)
+router.post('/:id/reactivate', verifyToken, requirePermission('users:manage'), (req, res) => setStatus(req, res, 'active'));
+
+// DELETE /api/admin/users/:id?siteAction=keep|deactivate|delete (users:manage)
+router.delete('/:id', verifyToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { siteAction = 'deactivate' } = req.query;
+    
+    const result = await AuthService.deleteUser(parseInt(req.params.id), siteAction);
+    
+    res.json({
+      ok: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Delete user error:', error);
+    
+    if (error.message === 'user_not_found') {
+      return res.status(404).json({
+        ok: false,
+        error: 'user_not_found'
+      });
+    }
+    
+    if (['invalid_site_action', 'last_admin', 'transfer_ownership_first'].includes(error.message)) {
+      return res.status(400).json({
+        ok: false,
+        error: error.message
+      });
+    }
+    
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// GET /api/admin/users/:id/sessions (users:manage)
+router.get('/:id/sessions', verifyToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const sessions = await SessionService.listSessions(parseInt(req.params.id));
+    
+    res.json({
+      ok: true,
+      sessions
+    });
+  } catch (error) {
+    console.error('List user sessions error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// POST /api/admin/users/:id/logout-all (users:manage - cuts every active session of the user)
+router.post('/:id/logout-all', verifyToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const result = await SessionService.revokeAllSessions(parseInt(req.params.id), 'revoked_by_admin');
+    
+    res.json({
+      ok: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Revoke user sessions error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// PUT /api/admin/users/:id/role (roles:assign)
+router.put('/:id/role', verifyToken, requirePermission('roles:assign'), async (req, res) => {
+  try {
+    const { role } = req.body;
+    const userId = parseInt(req.params.id);
+    
+    if (!role) {
+      return res.status(400).json({
+        ok: false,
+        error: 'role_required'
+      });
+    }
+    
+    if (userId === req.user.id) {
+      return res.status(400).json({
+        ok: false,
+        error: 'cannot_change_own_role'
+      });
+    }
+    
+    const result = await AuthService.assignRole(userId, role);
+    
+    res.json({
+      ok: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Assign role error:', error);
+    
+    if (error.message === 'user_not_found') {
+      return res.status(404).json({
+        ok: false,
+        error: 'user_not_found'
+      });
+    }
+    
+    if (['invalid_role', 'last_admin'].includes(error.message)) {
+      return res.status(400).json({
+        ok: false,
+        error: error.message
+      });
+    }
+    
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,83 @@
+import express from 'express';
+import { WebhookInboxService } from '../services/webhookInboxService.js';
+import { verifyToken, requirePermission } from '../middlewares/auth.js';
+
+const router = express.Router();
+
+// GET /api/admin/webhooks?status=failed&provider=mercadopago&page=1&pageSize=20 (webhooks:manage)
+router.get('/', verifyToken, requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const { status, provider, signatureStatus, page = 1, pageSize = 20 } = req.query;
+    
+    const result = await WebhookInboxService.listEvents(
+      { status, provider, signatureStatus },
+      parseInt(page),
+      parseInt(pageSize)
+    );
+    
+    res.json({
+      ok: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('List webhook events error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// GET /api/admin/webhooks/:id (webhooks:manage)
+router.get('/:id', verifyToken, requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const event = await WebhookInboxService.getEvent(parseInt(req.params.id));
+    
+    res.json({
+      ok: true,
+      event
+    });
+  } catch (error) {
+    console.error('Get webhook event error:', error);
+    
+    if (error.message === 'webhook_event_not_found') {
+      return res.status(404).json({
+        ok: false,
+        error: 'webhook_event_not_found'
+      });
+    }
+    
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+// POST /api/admin/webhooks/:id/replay (webhooks:manage)
+router.post('/:id/replay', verifyToken, requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const event = await WebhookInboxService.replayEvent(parseInt(req.params.id));
+    
+    res.json({
+      ok: true,
+      event
+    });
+  } catch (error) {
+    console.error('Replay webhook event error:', error);
+    
+    if (error.message === 'webhook_event_not_found') {
+      return res.status(404).json({
+        ok: false,
+        error: 'webhook_event_not_found'
+      });
+    }
+    
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,55 @@
+import express from 'express';
+import { TestimonialWidgetService } from '../services/testimonialWidgetService.js';
+
+const router = express.Router();
+
+const CACHE_SECONDS = parseInt(process.env.WIDGET_CACHE_SECONDS || '300');
+
+// GET /api/widgets/testimonials/:site/embed.js?layout=carousel|grid|badge&limit=9&primary=%23hex (Public)
+// <script src=".../embed.js" async></script> renders right after the tag, or into data-target="#selector"
+router.get('/testimonials/:site/embed.js', async (req, res) => {
+  try {
+    const script = await TestimonialWidgetService.render(req.params.site, 'js', req.query);
+
+    res.type('application/javascript');
+    res.set('Cache-Control', `public, max-age=${CACHE_SECONDS}`);
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+
+    if (!script) {
+      return res.status(404).send('/* elevea: site_not_found */');
+    }
+
+    res.send(script);
+  } catch (error) {
+    console.error('Testimonials widget script error:', error);
+    res.status(500).type('application/javascript').send('/* elevea: internal_error */');
+  }
+});
+
+// GET /api/widgets/testimonials/:site?layout=carousel|grid|badge&limit=9&primary=%23hex (Public)
+// Page for <iframe> embeds; any site may frame it
+router.get('/testimonials/:site', async (req, res) => {
+  try {
+    const page = await TestimonialWidgetService.render(req.params.site, 'html', req.query);
+
+    if (!page) {
+      return res.status(404).json({
+        ok: false,
+        error: 'site_not_found'
+      });
+    }
+
+    res.removeHeader('X-Frame-Options');
+    res.set('Content-Security-Policy', 'frame-ancestors *');
+    res.set('Cache-Control', `public, max-age=${CACHE_SECONDS}`);
+    res.type('html').send(page);
+  } catch (error) {
+    console.error('Testimonials widget page error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'internal_error'
+    });
+  }
+});
+
+export default router;
@@ -10,16 +10,14 @@ import { initDatabase, closeDatabase } from './db/database.js';
 
 // Import services  
 import { SubscriptionService } from './services/subscriptionService.js';
+import { WebhookInboxService } from './services/webhookInboxService.js';
+import { SessionService } from './services/sessionService.js';
+import { NotificationService } from './services/notificationService.js';
+import { SiteHookService } from './services/siteHookService.js';
+import { TrafficRollupService } from './services/trafficRollupService.js';
 
 // Import routes
-import authRoutes from './routes/auth.js';
-import subscriptionRoutes from './routes/subscription.js';
-import settingsRoutes from './routes/settings.js';
-import assetsRoutes from './routes/assets.js';
-import leadsRoutes from './routes/leads.js';
-import feedbacksRoutes from './routes/feedbacks.js';
-import trafficRoutes from './routes/traffic.js';
-import sitesRoutes from './routes/sites.js';
+import { mountApiRoutes } from './routes/index.js';
 
 // Import utilities
 import { seedDatabase } from './utils/seed.js';
@@ -48,15 +46,17 @@ async function createApp() {
   // Create Express app
   const app = express();
   
-  // Trust proxy (for proper IP detection)
-  app.set('trust proxy', true);
+  // Trust only the proxies in front of the API (1 behind Netlify), so a client-supplied
+  // X-Forwarded-For cannot change req.ip and dodge the per-IP limits
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS || '1'));
   
   // Middleware
   app.use(cors({
     origin: true, // Allow all origins in development
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+    exposedHeaders: ['Content-Disposition'] // Export filenames, read by downloads made with fetch
   }));
   
   app.use(express.json({ limit: '10mb' }));
@@ -106,67 +106,8 @@ async function createApp() {
     });
   });
   
-  // API Routes with /api prefix
-  app.use('/api/auth', authRoutes);
-  app.use('/api/subscription', subscriptionRoutes);
-  app.use('/api/settings', settingsRoutes);
-  app.use('/api/assets', assetsRoutes);
-  app.use('/api/leads', leadsRoutes);
-  app.use('/api/feedbacks', feedbacksRoutes);
-  app.use('/api/traffic', trafficRoutes);
-  app.use('/api', sitesRoutes); // Sites routes are at root level (/api/site-status, etc.)
-  
-  // Legacy compatibility routes (for existing integrations)
-  app.get('/api/client-plan', async (req, res) => {
-    try {
-      const { email } = req.query;
-      if (!email) {
-        return res.status(400).json({ ok: false, error: 'email_required' });
-      }
-      
-      const status = await SubscriptionService.getSubscriptionStatus(null, email);
-      
-      res.json({
-        ok: true,
-        plan: status.plan,
-        status: status.status,
-        siteSlug: status.siteSlug,
-        features: {
-          leads: true,
-          feedbacks: true,
-          traffic: true,
-          assets: status.isVip
-        }
-      });
-    } catch (error) {
-      console.error('Legacy client-plan error:', error);
-      res.status(500).json({ ok: false, error: 'internal_error' });
-    }
-  });
-  
-  app.get('/api/client-billing', async (req, res) => {
-    try {
-      const { email } = req.query;
-      if (!email) {
-        return res.status(400).json({ ok: false, error: 'email_required' });
-      }
-      
-      const status = await SubscriptionService.getSubscriptionStatus(null, email);
-      
-      res.json({
-        ok: true,
-        plan: status.plan,
-        status: status.status,
-        provider: status.provider,
-        next_renewal: status.nextCharge,
-        amount: status.amount,
-        currency: status.currency
-      });
-    } catch (error) {
-      console.error('Legacy client-billing error:', error);
-      res.status(500).json({ ok: false, error: 'internal_error' });
-    }
-  });
+  // API Routes with /api prefix (see routes/index.js)
+  mountApiRoutes(app);
   
   // Frontend integration (if needed)
   if (!isDev) {
@@ -263,7 +204,7 @@ async function startServer() {
         try {
           const result = await SubscriptionService.processGracePeriodCheck();
           if (result.processed > 0) {
-            console.log(`⏰ Grace period check: ${result.processed} accounts processed`);
+            console.log(`⏰ Dunning check: ${result.processed} accounts processed`);
           }
         } catch (error) {
           console.error('Grace period check error:', error);
@@ -271,6 +212,79 @@ async function startServer() {
       }, 24 * 60 * 60 * 1000); // 24 hours
     }
     
+    // Retry failed webhook notifications from the inbox
+    setInterval(async () => {
+      try {
+        const result = await WebhookInboxService.processDueEvents();
+        if (result.attempted > 0) {
+          console.log(`📬 Webhook retry: ${result.processed}/${result.attempted} events processed`);
+        }
+      } catch (error) {
+        console.error('Webhook retry error:', error);
+      }
+    }, 60 * 1000); // 1 minute
+    
+    // Retry failed lead notifications and send hourly/daily digests
+    setInterval(async () => {
+      try {
+        const retried = await NotificationService.processDueDeliveries();
+        if (retried.attempted > 0) {
+          console.log(`🔔 Notification retry: ${retried.sent}/${retried.attempted} deliveries sent`);
+        }
+        const digests = await NotificationService.sendDueDigests();
+        if (digests.queued > 0) {
+          console.log(`🔔 Lead digests: ${digests.queued} emails queued`);
+        }
+      } catch (error) {
+        console.error('Notification retry error:', error);
+      }
+    }, 60 * 1000); // 1 minute
+    
+    // Retry failed site hook deliveries (exponential backoff)
+    setInterval(async () => {
+      try {
+        const result = await SiteHookService.processDueDeliveries();
+        if (result.attempted > 0) {
+          console.log(`🪝 Site hooks retry: ${result.delivered}/${result.attempted} deliveries delivered`);
+        }
+      } catch (error) {
+        console.error('Site hooks retry error:', error);
+      }
+    }, 60 * 1000); // 1 minute
+    
+    // Purge expired and long-revoked sessions
+    setInterval(async () => {
+      try {
+        const result = await SessionService.purgeExpiredSessions();
+        if (result.purged > 0) {
+          console.log(`🧹 Sessions purge: ${result.purged} sessions removed`);
+        }
+      } catch (error) {
+        console.error('Sessions purge error:', error);
+      }
+    }, 24 * 60 * 60 * 1000); // 24 hours
+    
+    // Aggregate new traffic hits into the rollups
+    setInterval(async () => {
+      try {
+        await TrafficRollupService.rollUpPending();
+      } catch (error) {
+        console.error('Traffic rollup error:', error);
+      }
+    }, 60 * 1000); // 1 minute
+    
+    // Compact raw traffic hits past TRAFFIC_RETENTION_DAYS once rolled up
+    setInterval(async () => {
+      try {
+        const result = await TrafficRollupService.compactRawHits();
+        if (result.compacted > 0) {
+          console.log(`🧹 Traffic compaction: ${result.compacted} raw hits older than ${result.retentionDays} days removed`);
+        }
+      } catch (error) {
+        console.error('Traffic compaction error:', error);
+      }
+    }, 24 * 60 * 60 * 1000); // 24 hours
+    
     // Graceful shutdown
     process.on('SIGTERM', async () => {
       console.log('🛑 Received SIGTERM, shutting down gracefully...');
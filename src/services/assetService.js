@@ -139,6 +139,21 @@ export class AssetService {
     return { deleted: true, key, url: asset.url };
   }
 
+  // media_N keys not used yet, lowest first (multi-file uploads without explicit keys)
+  static getFreeMediaKeys(siteSlug, count) {
+    const db = getDatabase();
+    const normalizedSlug = SiteService.normalizeSiteSlug(siteSlug);
+    const used = new Set(
+      db.prepare("SELECT key FROM assets WHERE site_slug = ? AND key LIKE 'media_%'").all(normalizedSlug).map(a => a.key)
+    );
+
+    const keys = [];
+    for (let n = 1; keys.length < count; n++) {
+      if (!used.has(`media_${n}`)) keys.push(`media_${n}`);
+    }
+    return keys;
+  }
+
   static resolveMediaKey(key) {
     // If it's an alias, find the original media key
     for (const [mediaKey, aliases] of Object.entries(MEDIA_ALIASES)) {
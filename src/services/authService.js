@@ -1,9 +1,21 @@
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
 import { getDatabase } from '../db/database.js';
-import { generateToken } from '../middlewares/auth.js';
+import { ROLES } from '../middlewares/auth.js';
+import { SiteService } from './siteService.js';
+import { SessionService } from './sessionService.js';
+import { MailService } from './mailService.js';
+import { SiteMemberService } from './siteMemberService.js';
+
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_CHANGE_TTL_HOURS = 24;
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const PASSWORD_RESET_MAX_PER_HOUR = 5;
+const SITE_BASE_URL = process.env.SITE_BASE_URL || 'https://eleveaagencia.netlify.app';
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
 export class AuthService {
-  static async login(email, password) {
+  static async login(email, password, meta = {}) {
     const db = getDatabase();
     
     // Find user by email (case insensitive)
@@ -20,11 +32,15 @@ export class AuthService {
       throw new Error('invalid_credentials');
     }
 
-    // Generate JWT token
-    const token = generateToken(user);
+    if (user.status === 'suspended') {
+      throw new Error('account_suspended');
+    }
+
+    // Open a session: short-lived access token plus a rotating refresh token
+    const session = await SessionService.createSession(user, meta);
 
     return {
-      token,
+      ...session,
       user: {
         id: user.id,
         email: user.email,
@@ -40,6 +56,18 @@ export class AuthService {
     const db = getDatabase();
     const { email, password, role = 'client', siteSlug, plan = 'essential' } = userData;
 
+    if (!email || !EMAIL_REGEX.test(email.trim())) {
+      throw new Error('invalid_email');
+    }
+
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error('weak_password');
+    }
+
+    if (!ROLES.includes(role)) {
+      throw new Error('invalid_role');
+    }
+
     // Hash password
     const saltRounds = 12;
     const passwordHash = await bcrypt.hash(password, saltRounds);
@@ -55,15 +83,21 @@ export class AuthService {
         email.toLowerCase().trim(),
         passwordHash,
         role,
-        siteSlug || null,
+        siteSlug ? SiteService.normalizeSiteSlug(siteSlug) : null,
         plan
       );
 
+      // Clients linked to a site become its owner, or an editor when it already has one
+      if (siteSlug && role === 'client') {
+        const memberRole = SiteMemberService.getOwner(siteSlug) ? 'editor' : 'owner';
+        await SiteMemberService.addMember(siteSlug, result.lastInsertRowid, memberRole);
+      }
+
       return {
         id: result.lastInsertRowid,
-        email,
+        email: email.toLowerCase().trim(),
         role,
-        siteSlug,
+        siteSlug: siteSlug ? SiteService.normalizeSiteSlug(siteSlug) : null,
         plan
       };
     } catch (error) {
@@ -90,4 +124,376 @@ export class AuthService {
     
     return stmt.run(status, nextDate, amount, userId);
   }
+
+  static formatUser(user) {
+    return {
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      siteSlug: user.site_slug,
+      plan: user.plan,
+      status: user.status,
+      billingStatus: user.billing_status,
+      createdAt: user.created_at
+    };
+  }
+
+  static async listUsers(filters = {}, page = 1, pageSize = 20) {
+    const db = getDatabase();
+    const { role, status, search } = filters;
+    const offset = (page - 1) * pageSize;
+
+    let whereClause = 'WHERE 1 = 1';
+    const params = [];
+
+    if (role) {
+      whereClause += ' AND role = ?';
+      params.push(role);
+    }
+
+    if (status) {
+      whereClause += ' AND status = ?';
+      params.push(status);
+    }
+
+    if (search) {
+      whereClause += ' AND (email LIKE ? OR site_slug LIKE ?)';
+      params.push(`%${search}%`, `%${search}%`);
+    }
+
+    const { total } = db.prepare(`SELECT COUNT(*) as total FROM users ${whereClause}`).get(...params);
+
+    const users = db.prepare(`
+      SELECT * FROM users
+      ${whereClause}
+      ORDER BY created_at DESC, id DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, pageSize, offset);
+
+    return {
+      users: users.map(user => this.formatUser(user)),
+      pagination: {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  // Admin-driven creation; creates the linked site when it does not exist yet
+  static async adminCreateUser(userData) {
+    const { siteSlug, createSite = true } = userData;
+
+    if (siteSlug && createSite && !(await SiteService.getSite(siteSlug))) {
+      await SiteService.createSite({ slug: siteSlug });
+    }
+
+    const created = await this.createUser(userData);
+    return this.formatUser(await this.getUserById(created.id));
+  }
+
+  static async verifyPassword(userId, password) {
+    const user = await this.getUserById(userId);
+    if (!user) {
+      throw new Error('user_not_found');
+    }
+
+    const isValid = await bcrypt.compare(password || '', user.password_hash);
+    if (!isValid) {
+      throw new Error('invalid_password');
+    }
+
+    return user;
+  }
+
+  static async changePassword(userId, currentPassword, newPassword, currentSessionId = null) {
+    const db = getDatabase();
+
+    if (!newPassword || newPassword.length < MIN_PASSWORD_LENGTH) {
+      throw new Error('weak_password');
+    }
+
+    await this.verifyPassword(userId, currentPassword);
+
+    const passwordHash = await bcrypt.hash(newPassword, 12);
+    db.prepare('UPDATE users SET password_hash = ? WHERE id = ?').run(passwordHash, userId);
+
+    // Other devices have to log in again with the new password
+    const { revoked } = await SessionService.revokeAllSessions(userId, 'password_changed', currentSessionId);
+
+    return { updated: true, userId, revokedSessions: revoked };
+  }
+
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Sends a confirmation link to the new address; the email only changes once it is confirmed
+  static async requestEmailChange(userId, newEmail, password, confirmUrl) {
+    const db = getDatabase();
+    const email = (newEmail || '').toLowerCase().trim();
+
+    if (!EMAIL_REGEX.test(email)) {
+      throw new Error('invalid_email');
+    }
+
+    const user = await this.verifyPassword(userId, password);
+
+    if (user.email.toLowerCase() === email) {
+      throw new Error('email_unchanged');
+    }
+
+    const taken = db.prepare('SELECT id FROM users WHERE LOWER(email) = LOWER(?)').get(email);
+    if (taken) {
+      throw new Error('email_already_exists');
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + EMAIL_CHANGE_TTL_HOURS * 60 * 60 * 1000).toISOString();
+
+    // A new request replaces any pending one
+    db.prepare('DELETE FROM email_change_tokens WHERE user_id = ? AND used_at IS NULL').run(userId);
+    db.prepare(`
+      INSERT INTO email_change_tokens (user_id, new_email, token_hash, expires_at)
+      VALUES (?, ?, ?, ?)
+    `).run(userId, email, this.hashToken(token), expiresAt);
+
+    const link = `${confirmUrl}?token=${encodeURIComponent(token)}`;
+    await MailService.send({
+      to: email,
+      subject: 'Confirme seu novo e-mail - Elevea',
+      html: `
+        <div style="font-family:system-ui,-apple-system,Segoe UI,Roboto,sans-serif;line-height:1.5;">
+          <h2>Confirmação de e-mail</h2>
+          <p>Recebemos um pedido para usar este endereço na sua conta Elevea.</p>
+          <p><a href="${link}" style="display:inline-block;padding:10px 16px;border-radius:8px;background:#111;color:#fff;text-decoration:none;">Confirmar e-mail</a></p>
+          <p>O link expira em ${EMAIL_CHANGE_TTL_HOURS} horas. Se não foi você, ignore esta mensagem.</p>
+          <p><b>Equipe Elevea</b></p>
+        </div>
+      `,
+      text: `Confirme seu novo e-mail na Elevea: ${link} (expira em ${EMAIL_CHANGE_TTL_HOURS} horas)`
+    });
+
+    return { requested: true, userId, newEmail: email, expiresAt };
+  }
+
+  static async confirmEmailChange(token) {
+    const db = getDatabase();
+
+    const pending = db.prepare(`
+      SELECT * FROM email_change_tokens
+      WHERE token_hash = ? AND used_at IS NULL
+    `).get(this.hashToken(token || ''));
+
+    if (!pending || new Date(pending.expires_at) < new Date()) {
+      throw new Error('invalid_or_expired_token');
+    }
+
+    const taken = db.prepare('SELECT id FROM users WHERE LOWER(email) = LOWER(?) AND id != ?').get(pending.new_email, pending.user_id);
+    if (taken) {
+      throw new Error('email_already_exists');
+    }
+
+    db.transaction(() => {
+      db.prepare('UPDATE users SET email = ? WHERE id = ?').run(pending.new_email, pending.user_id);
+      db.prepare('UPDATE email_change_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ?').run(pending.id);
+    })();
+
+    return { updated: true, userId: pending.user_id, email: pending.new_email };
+  }
+
+  static async setUserStatus(userId, status) {
+    const db = getDatabase();
+
+    if (!['active', 'suspended'].includes(status)) {
+      throw new Error('invalid_status');
+    }
+
+    const user = await this.getUserById(userId);
+    if (!user) {
+      throw new Error('user_not_found');
+    }
+
+    if (status === 'suspended' && user.role === 'admin' && this.countActiveAdmins() <= 1) {
+      throw new Error('last_admin');
+    }
+
+    db.prepare('UPDATE users SET status = ? WHERE id = ?').run(status, userId);
+
+    if (status === 'suspended') {
+      await SessionService.revokeAllSessions(userId, 'account_suspended');
+    }
+
+    return { updated: true, userId, status };
+  }
+
+  static async assignRole(userId, role) {
+    const db = getDatabase();
+
+    if (!ROLES.includes(role)) {
+      throw new Error('invalid_role');
+    }
+
+    const user = await this.getUserById(userId);
+    if (!user) {
+      throw new Error('user_not_found');
+    }
+
+    if (user.role === 'admin' && role !== 'admin' && user.status === 'active' && this.countActiveAdmins() <= 1) {
+      throw new Error('last_admin');
+    }
+
+    db.prepare('UPDATE users SET role = ? WHERE id = ?').run(role, userId);
+
+    return { updated: true, userId, role, previousRole: user.role };
+  }
+
+  static countActiveAdmins() {
+    const db = getDatabase();
+    const { total } = db.prepare(`SELECT COUNT(*) as total FROM users WHERE role = 'admin' AND status = 'active'`).get();
+    return total;
+  }
+
+  // siteAction decides what happens to the sites the user owns: 'keep', 'deactivate' or 'delete'.
+  // A site with other members is never deactivated or deleted; its ownership must be transferred first.
+  static async deleteUser(userId, siteAction = 'deactivate') {
+    const db = getDatabase();
+
+    if (!['keep', 'deactivate', 'delete'].includes(siteAction)) {
+      throw new Error('invalid_site_action');
+    }
+
+    const user = await this.getUserById(userId);
+    if (!user) {
+      throw new Error('user_not_found');
+    }
+
+    if (user.role === 'admin' && user.status === 'active' && this.countActiveAdmins() <= 1) {
+      throw new Error('last_admin');
+    }
+
+    const owned = db.prepare(`
+      SELECT m.site_slug,
+        (SELECT COUNT(*) FROM site_members o WHERE o.site_slug = m.site_slug AND o.user_id != m.user_id) as others
+      FROM site_members m
+      WHERE m.user_id = ? AND m.role = 'owner'
+    `).all(userId);
+
+    if (owned.some(entry => entry.others > 0)) {
+      throw new Error('transfer_ownership_first');
+    }
+
+    const sites = [];
+    if (siteAction !== 'keep') {
+      for (const { site_slug: slug } of owned) {
+        if (!(await SiteService.getSite(slug))) continue;
+
+        if (siteAction === 'delete') {
+          await SiteService.deleteSite(slug);
+        } else {
+          await SiteService.toggleSite(slug, false);
+        }
+        sites.push({ slug, action: siteAction });
+      }
+    }
+
+    db.prepare('DELETE FROM users WHERE id = ?').run(userId);
+
+    return { deleted: true, userId, site: sites[0] || null, sites };
+  }
+
+  // Always resolves the same way so the response does not reveal which emails exist
+  static async requestPasswordReset(email, requestedIp = null) {
+    const db = getDatabase();
+    const normalizedEmail = (email || '').toLowerCase().trim();
+    const user = db.prepare('SELECT * FROM users WHERE LOWER(email) = LOWER(?)').get(normalizedEmail);
+
+    if (!user || user.status === 'suspended') {
+      return { requested: true };
+    }
+
+    const { recent } = db.prepare(`
+      SELECT COUNT(*) as recent FROM password_reset_tokens
+      WHERE user_id = ? AND created_at > datetime('now', '-1 hour')
+    `).get(user.id);
+
+    if (recent >= PASSWORD_RESET_MAX_PER_HOUR) {
+      console.warn(`Password reset throttled for user ${user.id}`);
+      return { requested: true };
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000).toISOString();
+
+    // Only the newest link works
+    db.prepare('UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL').run(user.id);
+    db.prepare(`
+      INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip)
+      VALUES (?, ?, ?, ?)
+    `).run(user.id, this.hashToken(token), expiresAt, requestedIp);
+
+    const link = `${SITE_BASE_URL}/reset?email=${encodeURIComponent(user.email)}&token=${encodeURIComponent(token)}`;
+    await MailService.send({
+      to: user.email,
+      subject: 'Redefinição de senha - Elevea',
+      html: `
+        <div style="font-family:system-ui,-apple-system,Segoe UI,Roboto,sans-serif;line-height:1.5;">
+          <h2>Redefinição de senha</h2>
+          <p>Recebemos uma solicitação para redefinir sua senha.</p>
+          <p><a href="${link}" style="display:inline-block;padding:10px 16px;border-radius:8px;background:#111;color:#fff;text-decoration:none;">Redefinir senha</a></p>
+          <p>O link expira em ${PASSWORD_RESET_TTL_MINUTES} minutos e só pode ser usado uma vez. Se não foi você, ignore esta mensagem.</p>
+          <p><b>Equipe Elevea</b></p>
+        </div>
+      `,
+      text: `Redefina sua senha da Elevea: ${link} (expira em ${PASSWORD_RESET_TTL_MINUTES} minutos)`
+    });
+
+    return { requested: true };
+  }
+
+  static async confirmPasswordReset(email, token, newPassword) {
+    const db = getDatabase();
+
+    if (!newPassword || newPassword.length < MIN_PASSWORD_LENGTH) {
+      throw new Error('weak_password');
+    }
+
+    const reset = db.prepare(`
+      SELECT t.*, u.email FROM password_reset_tokens t
+      JOIN users u ON u.id = t.user_id
+      WHERE t.token_hash = ? AND t.used_at IS NULL
+    `).get(this.hashToken(token || ''));
+
+    if (
+      !reset ||
+      new Date(reset.expires_at) < new Date() ||
+      reset.email.toLowerCase() !== (email || '').toLowerCase().trim()
+    ) {
+      throw new Error('invalid_or_expired_token');
+    }
+
+    const passwordHash = await bcrypt.hash(newPassword, 12);
+
+    db.transaction(() => {
+      db.prepare('UPDATE users SET password_hash = ? WHERE id = ?').run(passwordHash, reset.user_id);
+      db.prepare('UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL').run(reset.user_id);
+    })();
+
+    await SessionService.revokeAllSessions(reset.user_id, 'password_reset');
+
+    await MailService.send({
+      to: reset.email,
+      subject: 'Sua senha foi alterada - Elevea',
+      html: `
+        <p>Olá,</p>
+        <p>Confirmamos que sua senha foi alterada com sucesso.</p>
+        <p>Se não foi você, responda este e-mail imediatamente.</p>
+        <p>— Elevea</p>
+      `,
+      text: 'Sua senha da Elevea foi alterada. Se não foi você, responda este e-mail imediatamente.'
+    }).catch(error => console.error('Password changed notice failed:', error));
+
+    return { updated: true, userId: reset.user_id };
+  }
 }
\ No newline at end of file
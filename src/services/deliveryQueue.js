@@ -0,0 +1,160 @@
+import { getDatabase } from '../db/database.js';
+
+const BASE_RETRY_DELAY_MS = 60 * 1000; // 1 minute, doubled on every attempt
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000; // 6 hours
+const STALE_AFTER = '-10 minutes';
+
+// Outgoing delivery log with exponential backoff, shared by lead notifications and site hooks.
+// Each table has id, status, attempts, last_error, next_attempt_at, payload_json, created_at and
+// updated_at, plus `${doneStatus}_at` for the moment the delivery went through.
+export class DeliveryQueue {
+  // send(delivery, payload) performs the delivery and may return { status } from the receiver;
+  // isRetryable(delivery, error) can mark a failure as final before maxAttempts.
+  constructor({ table, label, maxAttempts, doneStatus = 'sent', recordsResponseStatus = false, send, isRetryable = () => true }) {
+    this.table = table;
+    this.label = label;
+    this.maxAttempts = maxAttempts;
+    this.doneStatus = doneStatus;
+    this.recordsResponseStatus = recordsResponseStatus;
+    this.send = send;
+    this.isRetryable = isRetryable;
+  }
+
+  getRetryDelay(attempts) {
+    return Math.min(BASE_RETRY_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY_MS);
+  }
+
+  // columns are fixed by the calling service, never taken from a request
+  queue(columns, payload) {
+    const db = getDatabase();
+    const names = [...Object.keys(columns), 'payload_json'];
+    return db.prepare(`
+      INSERT INTO ${this.table} (${names.join(', ')})
+      VALUES (${names.map(() => '?').join(', ')})
+    `).run(...Object.values(columns), JSON.stringify(payload)).lastInsertRowid;
+  }
+
+  async processDelivery(id) {
+    const db = getDatabase();
+    const delivery = db.prepare(`SELECT * FROM ${this.table} WHERE id = ?`).get(id);
+
+    if (!delivery) {
+      throw new Error('delivery_not_found');
+    }
+
+    const attempts = delivery.attempts + 1;
+    db.prepare(`UPDATE ${this.table} SET status = 'processing', attempts = ? WHERE id = ?`).run(attempts, id);
+
+    const responseColumn = this.recordsResponseStatus ? 'response_status = ?, ' : '';
+
+    try {
+      const response = await this.send(delivery, JSON.parse(delivery.payload_json));
+
+      db.prepare(`
+        UPDATE ${this.table}
+        SET status = ?, ${responseColumn}last_error = NULL, next_attempt_at = NULL, ${this.doneStatus}_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(this.doneStatus, ...(this.recordsResponseStatus ? [response?.status ?? null] : []), id);
+    } catch (error) {
+      console.error(`${this.label} ${id} (${delivery.channel || delivery.event}) failed (attempt ${attempts}):`, error.message);
+
+      const exhausted = attempts >= this.maxAttempts || !this.isRetryable(delivery, error);
+      const nextAttempt = exhausted
+        ? null
+        : new Date(Date.now() + this.getRetryDelay(attempts)).toISOString();
+
+      db.prepare(`
+        UPDATE ${this.table}
+        SET status = ?, ${responseColumn}last_error = ?, next_attempt_at = ?
+        WHERE id = ?
+      `).run(
+        exhausted ? 'dead' : 'failed',
+        ...(this.recordsResponseStatus ? [error.status || null] : []),
+        String(error.message || error),
+        nextAttempt,
+        id
+      );
+    }
+
+    return this.getDelivery(id);
+  }
+
+  // Failed deliveries whose backoff elapsed, plus ones left mid-flight by a crash.
+  // Returns { attempted, failed } and the count under doneStatus ({ sent } or { delivered }).
+  async processDueDeliveries(limit = 20) {
+    const db = getDatabase();
+    const due = db.prepare(`
+      SELECT id FROM ${this.table}
+      WHERE (status = 'failed' AND next_attempt_at <= ?)
+         OR (status IN ('pending', 'processing') AND updated_at <= datetime('now', ?))
+      ORDER BY id ASC
+      LIMIT ?
+    `).all(new Date().toISOString(), STALE_AFTER, limit);
+
+    let done = 0;
+    let failed = 0;
+    for (const { id } of due) {
+      const delivery = await this.processDelivery(id);
+      if (delivery.status === this.doneStatus) done++;
+      else failed++;
+    }
+
+    return { attempted: due.length, [this.doneStatus]: done, failed };
+  }
+
+  formatDelivery(row) {
+    const { payload_json, ...delivery } = row;
+    return { ...delivery, payload: JSON.parse(payload_json || '{}') };
+  }
+
+  async getDelivery(id) {
+    const db = getDatabase();
+    const row = db.prepare(`SELECT * FROM ${this.table} WHERE id = ?`).get(id);
+
+    if (!row) {
+      throw new Error('delivery_not_found');
+    }
+
+    return this.formatDelivery(row);
+  }
+
+  // filter is one fixed column, e.g. { site_slug } or { hook_id }
+  async listDeliveries(filter, { status = null, page = 1, pageSize = 20 } = {}) {
+    const db = getDatabase();
+    const [[column, value]] = Object.entries(filter);
+    let where = `${column} = ?`;
+    const params = [value];
+
+    if (status) {
+      where += ' AND status = ?';
+      params.push(status);
+    }
+
+    const { total } = db.prepare(`SELECT COUNT(*) as total FROM ${this.table} WHERE ${where}`).get(...params);
+    const deliveries = db.prepare(`
+      SELECT * FROM ${this.table}
+      WHERE ${where}
+      ORDER BY id DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, pageSize, (page - 1) * pageSize);
+
+    return {
+      deliveries: deliveries.map(row => this.formatDelivery(row)),
+      pagination: {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  // Manual retry from the delivery log; also revives dead deliveries
+  async retryDelivery(id) {
+    const delivery = await this.getDelivery(id);
+    if (delivery.status === this.doneStatus) {
+      throw new Error('delivery_already_sent');
+    }
+    return this.processDelivery(id);
+  }
+}
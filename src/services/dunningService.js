@@ -0,0 +1,378 @@
+import { getDatabase } from '../db/database.js';
+import { SiteService } from './siteService.js';
+import { MailService } from './mailService.js';
+import { SiteHookService } from './siteHookService.js';
+import { SubscriptionService } from './subscriptionService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Used when a plan has no row in dunning_policies
+const DEFAULT_POLICY = {
+  reminderOffsets: [0, 3, 7],
+  suspendAfterDays: 10,
+  archiveAfterDays: 30
+};
+
+const STATE_ORDER = ['current', 'overdue', 'suspended', 'archived'];
+
+export class DunningService {
+  static formatPolicy(row) {
+    return {
+      plan: row.plan,
+      reminderOffsets: JSON.parse(row.reminder_offsets || '[]'),
+      suspendAfterDays: row.suspend_after_days,
+      archiveAfterDays: row.archive_after_days,
+      updatedAt: row.updated_at
+    };
+  }
+
+  static async listPolicies() {
+    const db = getDatabase();
+    const rows = db.prepare('SELECT * FROM dunning_policies ORDER BY plan').all();
+    return rows.map(row => this.formatPolicy(row));
+  }
+
+  static async getPolicy(plan) {
+    const db = getDatabase();
+    const row = db.prepare('SELECT * FROM dunning_policies WHERE plan = ?').get(plan || 'essential');
+    return row ? this.formatPolicy(row) : { plan, ...DEFAULT_POLICY };
+  }
+
+  static async savePolicy(plan, policyData) {
+    const db = getDatabase();
+    const { reminderOffsets, suspendAfterDays, archiveAfterDays } = policyData;
+
+    if (!['essential', 'vip'].includes(plan)) {
+      throw new Error('invalid_plan');
+    }
+
+    const offsets = Array.isArray(reminderOffsets) ? reminderOffsets.map(Number) : null;
+    const suspend = Number(suspendAfterDays);
+    const archive = Number(archiveAfterDays);
+
+    if (
+      !offsets ||
+      offsets.some(offset => !Number.isInteger(offset) || offset < 0) ||
+      !Number.isInteger(suspend) || !Number.isInteger(archive) ||
+      suspend < 0 || archive <= suspend
+    ) {
+      throw new Error('invalid_policy');
+    }
+
+    const sortedOffsets = [...new Set(offsets)].sort((a, b) => a - b);
+
+    db.prepare(`
+      INSERT INTO dunning_policies (plan, reminder_offsets, suspend_after_days, archive_after_days, updated_at)
+      VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(plan) DO UPDATE SET
+        reminder_offsets = excluded.reminder_offsets,
+        suspend_after_days = excluded.suspend_after_days,
+        archive_after_days = excluded.archive_after_days,
+        updated_at = CURRENT_TIMESTAMP
+    `).run(plan, JSON.stringify(sortedOffsets), suspend, archive);
+
+    return this.getPolicy(plan);
+  }
+
+  static getCase(userId) {
+    const db = getDatabase();
+    const row = db.prepare('SELECT * FROM dunning_cases WHERE user_id = ?').get(userId);
+
+    return row
+      ? { ...row, reminders_sent: JSON.parse(row.reminders_sent || '[]') }
+      : { user_id: userId, state: 'current', due_date: null, reminders_sent: [] };
+  }
+
+  static getDaysOverdue(dueDate, now = new Date()) {
+    if (!dueDate) return null;
+    const due = new Date(dueDate);
+    if (Number.isNaN(due.getTime())) return null;
+    return Math.floor((now.getTime() - due.getTime()) / DAY_MS);
+  }
+
+  // An active subscription with a charge approved on or after the due date has paid that cycle,
+  // even if billing_next was not moved forward (provider without a next date, manual update)
+  static isCycleSettled(user) {
+    if (!SubscriptionService.isActiveBillingStatus(user.billing_status) || !user.last_paid_at) return false;
+    const paidAt = new Date(user.last_paid_at);
+    const due = new Date(user.billing_next);
+    return !Number.isNaN(paidAt.getTime()) && !Number.isNaN(due.getTime()) && paidAt >= due;
+  }
+
+  // Pure decision step: what should happen to this user today
+  static planForUser(user, policy, dunningCase, now = new Date()) {
+    const daysOverdue = this.getDaysOverdue(user.billing_next, now);
+    const actions = [];
+    const fromState = dunningCase.state;
+
+    // Not due, paid ahead or paid for this cycle: anything in progress is resolved
+    if (daysOverdue === null || daysOverdue < 0 || this.isCycleSettled(user)) {
+      if (fromState !== 'current') {
+        actions.push({ action: 'recover', fromState, toState: 'current' });
+      }
+      return { daysOverdue, targetState: 'current', actions };
+    }
+
+    let targetState = 'overdue';
+    if (daysOverdue >= policy.archiveAfterDays) targetState = 'archived';
+    else if (daysOverdue >= policy.suspendAfterDays) targetState = 'suspended';
+
+    // States only move forward until the user pays
+    if (STATE_ORDER.indexOf(targetState) < STATE_ORDER.indexOf(fromState)) {
+      targetState = fromState;
+    }
+
+    // A new due date restarts the reminder sequence
+    const sameCycle = dunningCase.due_date === user.billing_next;
+    const alreadySent = sameCycle ? dunningCase.reminders_sent : [];
+
+    if (fromState === 'current') {
+      actions.push({ action: 'overdue', fromState, toState: 'overdue' });
+    }
+
+    if (targetState !== 'archived') {
+      // Only the most recent reminder goes out when several became due at once
+      const dueOffsets = policy.reminderOffsets.filter(offset => offset <= daysOverdue && !alreadySent.includes(offset));
+      if (dueOffsets.length > 0) {
+        actions.push({
+          action: 'reminder',
+          offset: Math.max(...dueOffsets),
+          skippedOffsets: dueOffsets.slice(0, -1)
+        });
+      }
+    }
+
+    if (targetState === 'suspended' && fromState !== 'suspended') {
+      actions.push({ action: 'suspend', fromState: 'overdue', toState: 'suspended' });
+    }
+
+    if (targetState === 'archived' && fromState !== 'archived') {
+      actions.push({ action: 'archive', fromState: fromState === 'suspended' ? 'suspended' : 'overdue', toState: 'archived' });
+    }
+
+    return { daysOverdue, targetState, actions };
+  }
+
+  static findCandidates() {
+    const db = getDatabase();
+
+    // Clients with a due date plus anyone with an open case (to detect recovery);
+    // whether they are actually overdue is decided by planForUser
+    return db.prepare(`
+      SELECT u.id, u.email, u.site_slug, u.plan, u.billing_status, u.billing_next,
+        (SELECT MAX(COALESCE(p.paid_at, p.updated_at)) FROM payments p
+         WHERE p.user_id = u.id AND p.resource = 'payment' AND p.status = 'approved') as last_paid_at
+      FROM users u
+      LEFT JOIN dunning_cases d ON d.user_id = u.id
+      WHERE u.role = 'client'
+        AND (u.billing_next IS NOT NULL OR (d.state IS NOT NULL AND d.state != 'current'))
+      ORDER BY u.billing_next ASC
+    `).all();
+  }
+
+  static async run(options = {}) {
+    const { dryRun = false, now = new Date() } = options;
+    const users = this.findCandidates();
+    const policies = new Map();
+    const plan = [];
+
+    for (const user of users) {
+      if (!policies.has(user.plan)) {
+        policies.set(user.plan, await this.getPolicy(user.plan));
+      }
+      const policy = policies.get(user.plan);
+      const dunningCase = this.getCase(user.id);
+      const decision = this.planForUser(user, policy, dunningCase, now);
+
+      if (decision.actions.length === 0) continue;
+
+      plan.push({
+        userId: user.id,
+        email: user.email,
+        siteSlug: user.site_slug,
+        plan: user.plan,
+        dueDate: user.billing_next,
+        daysOverdue: decision.daysOverdue,
+        currentState: dunningCase.state,
+        targetState: decision.targetState,
+        actions: decision.actions
+      });
+
+      if (!dryRun) {
+        await this.applyDecision(user, policy, dunningCase, decision);
+      }
+    }
+
+    return {
+      dryRun,
+      evaluatedAt: now.toISOString(),
+      evaluated: users.length,
+      changed: plan.length,
+      plan
+    };
+  }
+
+  static async applyDecision(user, policy, dunningCase, decision) {
+    const db = getDatabase();
+    let remindersSent = dunningCase.due_date === user.billing_next ? [...dunningCase.reminders_sent] : [];
+
+    for (const step of decision.actions) {
+      const details = {};
+
+      if (step.action === 'reminder') {
+        try {
+          await this.sendReminder(user, policy, step.offset, decision.daysOverdue);
+          details.offset = step.offset;
+        } catch (error) {
+          // Retried on the next run since the offset is not marked as sent
+          console.error(`Dunning reminder failed for user ${user.id}:`, error);
+          continue;
+        }
+        remindersSent = [...new Set([...remindersSent, ...step.skippedOffsets, step.offset])];
+      }
+
+      if (step.action === 'suspend' && user.site_slug) {
+        await this.setSiteActive(user.site_slug, false);
+      }
+
+      if (step.action === 'archive') {
+        if (user.site_slug) {
+          await this.setSiteActive(user.site_slug, false);
+        }
+        db.prepare(`UPDATE users SET billing_status = 'cancelled' WHERE id = ?`).run(user.id);
+        if (user.site_slug && user.billing_status !== 'cancelled') {
+          await SiteHookService.emit(user.site_slug, 'billing.changed', {
+            status: 'cancelled',
+            previousStatus: user.billing_status || null,
+            nextDate: user.billing_next || null,
+            reason: 'dunning_archived'
+          });
+        }
+      }
+
+      if (step.action === 'recover') {
+        remindersSent = [];
+        if (user.site_slug) {
+          await this.setSiteActive(user.site_slug, true);
+        }
+      }
+
+      this.recordHistory(user, step, decision.daysOverdue, details);
+    }
+
+    const state = decision.targetState;
+    db.prepare(`
+      INSERT INTO dunning_cases (user_id, state, due_date, reminders_sent, state_changed_at)
+      VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(user_id) DO UPDATE SET
+        state_changed_at = CASE WHEN dunning_cases.state != excluded.state THEN CURRENT_TIMESTAMP ELSE dunning_cases.state_changed_at END,
+        state = excluded.state,
+        due_date = excluded.due_date,
+        reminders_sent = excluded.reminders_sent
+    `).run(user.id, state, state === 'current' ? null : user.billing_next, JSON.stringify(remindersSent));
+  }
+
+  // Called when a payment brings the account back in good standing
+  static async resolve(userId, reason = 'payment') {
+    const db = getDatabase();
+    const dunningCase = this.getCase(userId);
+
+    if (dunningCase.state === 'current') {
+      return { resolved: false, userId };
+    }
+
+    const user = db.prepare('SELECT id, site_slug FROM users WHERE id = ?').get(userId);
+    if (!user) {
+      throw new Error('user_not_found');
+    }
+
+    this.recordHistory(user, { action: 'recover', fromState: dunningCase.state, toState: 'current' }, null, { reason });
+    db.prepare(`
+      UPDATE dunning_cases
+      SET state = 'current', due_date = NULL, reminders_sent = '[]', state_changed_at = CURRENT_TIMESTAMP
+      WHERE user_id = ?
+    `).run(userId);
+
+    return { resolved: true, userId, fromState: dunningCase.state };
+  }
+
+  static async setSiteActive(siteSlug, active) {
+    try {
+      await SiteService.toggleSite(siteSlug, active);
+      console.log(`${active ? 'Reactivated' : 'Deactivated'} site ${siteSlug} (dunning)`);
+    } catch (error) {
+      console.error(`Error toggling site ${siteSlug}:`, error);
+    }
+  }
+
+  static recordHistory(user, step, daysOverdue, details = {}) {
+    const db = getDatabase();
+    db.prepare(`
+      INSERT INTO dunning_history (user_id, site_slug, action, from_state, to_state, days_overdue, details)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      user.id,
+      user.site_slug || null,
+      step.action,
+      step.fromState || null,
+      step.toState || null,
+      daysOverdue,
+      JSON.stringify(details)
+    );
+  }
+
+  static async getHistory(userId, page = 1, pageSize = 50) {
+    const db = getDatabase();
+    const offset = (page - 1) * pageSize;
+
+    const { total } = db.prepare('SELECT COUNT(*) as total FROM dunning_history WHERE user_id = ?').get(userId);
+
+    const rows = db.prepare(`
+      SELECT * FROM dunning_history
+      WHERE user_id = ?
+      ORDER BY created_at DESC, id DESC
+      LIMIT ? OFFSET ?
+    `).all(userId, pageSize, offset);
+
+    return {
+      history: rows.map(row => ({
+        ...row,
+        details: JSON.parse(row.details || '{}')
+      })),
+      pagination: {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  static async sendReminder(user, policy, offset, daysOverdue) {
+    const dueDate = new Date(user.billing_next).toLocaleDateString('pt-BR');
+    const daysToSuspend = policy.suspendAfterDays - daysOverdue;
+    const daysToArchive = policy.archiveAfterDays - daysOverdue;
+
+    let warning;
+    if (daysToSuspend > 0) {
+      warning = `Se o pagamento não for identificado em ${daysToSuspend} dia(s), seu site será suspenso temporariamente.`;
+    } else {
+      warning = `Seu site está suspenso. Você ainda tem ${daysToArchive} dia(s) para regularizar antes de o site ser removido do ar.`;
+    }
+
+    return MailService.send({
+      to: user.email,
+      subject: 'Pagamento pendente - Elevea',
+      html: `
+        <div style="font-family:system-ui,-apple-system,Segoe UI,Roboto,sans-serif;line-height:1.5;">
+          <h2>Identificamos um pagamento pendente</h2>
+          <p>A mensalidade do site <b>${user.site_slug || ''}</b> venceu em ${dueDate}.</p>
+          <p>${warning}</p>
+          <p>Se você já pagou, desconsidere esta mensagem.</p>
+          <p><b>Equipe Elevea</b></p>
+        </div>
+      `,
+      text: `A mensalidade do site ${user.site_slug || ''} venceu em ${dueDate}. ${warning}`
+    });
+  }
+}
@@ -1,10 +1,27 @@
 import { getDatabase } from '../db/database.js';
 import { SiteService } from './siteService.js';
+import { SiteHookService } from './siteHookService.js';
+import { TestimonialWidgetService } from './testimonialWidgetService.js';
+
+// pending: awaiting moderation; approved: counts in the rating and is listed when is_public;
+// rejected: refused (with a reason); hidden: taken off the site without being judged
+export const FEEDBACK_STATUSES = ['pending', 'approved', 'rejected', 'hidden'];
+const MAX_REPLY_LENGTH = 2000;
+const MAX_REASON_LENGTH = 500;
+const MAX_BULK_IDS = 200;
+
+// Public fields, plus the owner's reply; moderators also get contact, spam and moderation details
+const PUBLIC_FIELDS = 'id, name, rating, comment, status, approved, is_public, reply, replied_at, created_at';
+const PRIVATE_FIELDS = `email, phone, spam_score, spam_reasons, quarantined_at, moderation_reason, moderated_by,
+  moderated_at, original_comment, edited_by, edited_at, replied_by, lead_id`;
 
 export class FeedbackService {
+  // `spam` is SpamService.inspect's verdict for public submissions; quarantined feedbacks wait apart from the moderation queue.
+  // `isPublic` is the author's consent to have the testimonial shown once approved (default yes).
+  // `leadId` links feedbacks sent through a review request to the lead it was requested from.
   static async createFeedback(feedbackData) {
     const db = getDatabase();
-    const { siteSlug, name, email, phone, rating, comment } = feedbackData;
+    const { siteSlug, name, email, phone, rating, comment, isPublic = true, spam = null, submitterIp = null, leadId = null } = feedbackData;
     const normalizedSlug = SiteService.normalizeSiteSlug(siteSlug);
     
     // Validate required fields
@@ -17,8 +34,9 @@ export class FeedbackService {
     }
     
     const stmt = db.prepare(`
-      INSERT INTO feedbacks (site_slug, name, email, phone, rating, comment, approved)
-      VALUES (?, ?, ?, ?, ?, ?, 0)
+      INSERT INTO feedbacks (site_slug, name, email, phone, rating, comment, approved, status, is_public,
+        spam_score, spam_reasons, quarantined_at, submitter_ip, lead_id)
+      VALUES (?, ?, ?, ?, ?, ?, 0, 'pending', ?, ?, ?, ?, ?, ?)
     `);
     
     const result = stmt.run(
@@ -27,10 +45,16 @@ export class FeedbackService {
       email?.toLowerCase().trim() || null,
       phone?.trim() || null,
       rating,
-      comment.trim()
+      comment.trim(),
+      isPublic ? 1 : 0,
+      spam?.score || 0,
+      spam?.reasons?.length ? JSON.stringify(spam.reasons) : null,
+      spam?.quarantined ? new Date().toISOString() : null,
+      submitterIp,
+      leadId
     );
     
-    return {
+    const feedback = {
       id: result.lastInsertRowid,
       siteSlug: normalizedSlug,
       name,
@@ -38,23 +62,42 @@ export class FeedbackService {
       phone,
       rating,
       comment,
+      status: 'pending',
       approved: false,
+      isPublic: Boolean(isPublic),
+      leadId,
       createdAt: new Date().toISOString()
     };
+    
+    if (!spam?.quarantined) {
+      await SiteHookService.emit(normalizedSlug, 'feedback.created', { feedback: { ...feedback, id: Number(feedback.id) } });
+    }
+    
+    return feedback;
   }
 
   static async getFeedbacks(siteSlug, page = 1, pageSize = 20, options = {}) {
     const db = getDatabase();
     const normalizedSlug = SiteService.normalizeSiteSlug(siteSlug);
-    const { onlyApproved = false, includePrivateInfo = false } = options;
+    const { onlyApproved = false, onlyPublic = false, includePrivateInfo = false, quarantined = false, status = null } = options;
     const offset = (page - 1) * pageSize;
     
-    // Build WHERE clause
-    let whereClause = 'WHERE site_slug = ?';
+    // Build WHERE clause; quarantined (suspected spam) feedbacks are listed only on request
+    let whereClause = `WHERE site_slug = ? AND quarantined_at IS ${quarantined ? 'NOT NULL' : 'NULL'}`;
     const params = [normalizedSlug];
     
     if (onlyApproved) {
-      whereClause += ' AND approved = 1';
+      whereClause += " AND status = 'approved'";
+    }
+    
+    if (onlyPublic) {
+      whereClause += " AND status = 'approved' AND is_public = 1";
+    }
+    
+    // Moderation queue filters (pending, rejected...)
+    if (status) {
+      whereClause += ' AND status = ?';
+      params.push(status);
     }
     
     // Get total count
@@ -62,9 +105,9 @@ export class FeedbackService {
     const { total } = countStmt.get(...params);
     
     // Select fields based on privacy settings
-    let selectFields = 'id, name, rating, comment, approved, created_at';
+    let selectFields = PUBLIC_FIELDS;
     if (includePrivateInfo) {
-      selectFields += ', email, phone';
+      selectFields += `, ${PRIVATE_FIELDS}`;
     }
     
     // Get paginated feedbacks
@@ -76,7 +119,9 @@ export class FeedbackService {
       LIMIT ? OFFSET ?
     `);
     
-    const feedbacks = stmt.all(...params, pageSize, offset);
+    const feedbacks = stmt.all(...params, pageSize, offset).map(feedback => (
+      includePrivateInfo ? { ...feedback, spam_reasons: JSON.parse(feedback.spam_reasons || '[]') } : feedback
+    ));
     
     return {
       feedbacks,
@@ -89,27 +134,194 @@ export class FeedbackService {
     };
   }
 
-  static async approveFeedback(id, approved, userId = null) {
+  // Moves a feedback through the moderation workflow, recording who, when and why; `isPublic`
+  // alone only changes whether an approved testimonial is shown. Approving also releases quarantine.
+  static async moderateFeedback(id, { status = null, reason = null, isPublic = null } = {}, userId = null) {
     const db = getDatabase();
     
-    const stmt = db.prepare('UPDATE feedbacks SET approved = ? WHERE id = ?');
-    const result = stmt.run(approved ? 1 : 0, id);
+    if (status === null && isPublic === null) {
+      throw new Error('status_or_visibility_required');
+    }
     
-    if (result.changes === 0) {
-      throw new Error('feedback_not_found');
+    if (status !== null && !FEEDBACK_STATUSES.includes(status)) {
+      throw new Error('invalid_status');
     }
     
-    // Get updated feedback
-    const getStmt = db.prepare('SELECT * FROM feedbacks WHERE id = ?');
-    const feedback = getStmt.get(id);
+    const previous = await this.getFeedback(id);
+    
+    db.transaction(() => {
+      if (status !== null) {
+        db.prepare(`
+          UPDATE feedbacks
+          SET status = ?, approved = ?, moderation_reason = ?, moderated_by = ?, moderated_at = CURRENT_TIMESTAMP,
+            quarantined_at = CASE WHEN ? = 1 THEN NULL ELSE quarantined_at END
+          WHERE id = ?
+        `).run(
+          status,
+          status === 'approved' ? 1 : 0,
+          reason ? String(reason).trim().slice(0, MAX_REASON_LENGTH) : null,
+          userId,
+          status === 'approved' ? 1 : 0,
+          id
+        );
+      }
+      
+      if (isPublic !== null) {
+        db.prepare('UPDATE feedbacks SET is_public = ? WHERE id = ?').run(isPublic ? 1 : 0, id);
+      }
+    })();
+    
+    const feedback = await this.getFeedback(id);
+    TestimonialWidgetService.invalidate(feedback.site_slug);
+    
+    if (feedback.status === 'approved' && previous.status !== 'approved') {
+      await SiteHookService.emit(feedback.site_slug, 'feedback.approved', {
+        feedback: {
+          id: feedback.id,
+          name: feedback.name,
+          rating: feedback.rating,
+          comment: feedback.comment,
+          isPublic: Boolean(feedback.is_public),
+          createdAt: feedback.created_at
+        }
+      });
+    }
     
     return {
       id: feedback.id,
+      status: feedback.status,
       approved: Boolean(feedback.approved),
+      isPublic: Boolean(feedback.is_public),
+      moderationReason: feedback.moderation_reason,
+      moderatedBy: feedback.moderated_by,
+      moderatedAt: feedback.moderated_at,
       updatedAt: new Date().toISOString()
     };
   }
 
+  // Bulk approve/reject from the queue; ids that are not feedbacks of the site are reported, not touched
+  static async moderateMany(siteSlug, ids, changes, userId = null) {
+    const db = getDatabase();
+    const normalizedSlug = SiteService.normalizeSiteSlug(siteSlug);
+    const unique = [...new Set((Array.isArray(ids) ? ids : []).map(id => parseInt(id)))].filter(Number.isInteger);
+    
+    if (unique.length === 0) {
+      throw new Error('ids_required');
+    }
+    
+    if (unique.length > MAX_BULK_IDS) {
+      throw new Error('too_many_ids');
+    }
+    
+    if (!FEEDBACK_STATUSES.includes(changes.status)) {
+      throw new Error('invalid_status');
+    }
+    
+    const placeholders = unique.map(() => '?').join(', ');
+    const found = db.prepare(`SELECT id FROM feedbacks WHERE site_slug = ? AND id IN (${placeholders})`)
+      .all(normalizedSlug, ...unique)
+      .map(row => row.id);
+    
+    const updated = [];
+    for (const id of found) {
+      updated.push(await this.moderateFeedback(id, changes, userId));
+    }
+    
+    return {
+      updated,
+      notFound: unique.filter(id => !found.includes(id))
+    };
+  }
+
+  // Older approve/reject toggle (VIP PIN route, storage); visibility only changes when isPublic is given
+  static async approveFeedback(id, approved, userId = null, isPublic = null) {
+    return this.moderateFeedback(id, { status: approved ? 'approved' : 'rejected', isPublic }, userId);
+  }
+
+  // Typo fixes by moderators; the first edit keeps the author's text in original_comment
+  static async editFeedback(id, changes = {}, userId = null) {
+    const db = getDatabase();
+    const feedback = await this.getFeedback(id);
+    const sets = [];
+    const params = [];
+    
+    if (changes.comment !== undefined) {
+      const comment = String(changes.comment || '').trim();
+      if (!comment) {
+        throw new Error('comment_required');
+      }
+      if (comment !== feedback.comment) {
+        sets.push('comment = ?', 'original_comment = COALESCE(original_comment, ?)');
+        params.push(comment, feedback.comment);
+      }
+    }
+    
+    if (changes.name !== undefined) {
+      sets.push('name = ?');
+      params.push(changes.name?.trim() || null);
+    }
+    
+    if (sets.length > 0) {
+      db.prepare(`UPDATE feedbacks SET ${sets.join(', ')}, edited_by = ?, edited_at = CURRENT_TIMESTAMP WHERE id = ?`)
+        .run(...params, userId, id);
+    }
+    
+    const updated = await this.getFeedback(id);
+    TestimonialWidgetService.invalidate(updated.site_slug);
+    return {
+      id: updated.id,
+      name: updated.name,
+      comment: updated.comment,
+      originalComment: updated.original_comment,
+      editedBy: updated.edited_by,
+      editedAt: updated.edited_at
+    };
+  }
+
+  // The owner's public answer, shown under the testimonial; an empty reply removes it
+  static async setReply(id, reply, userId = null) {
+    const db = getDatabase();
+    const text = String(reply ?? '').trim();
+    
+    if (text.length > MAX_REPLY_LENGTH) {
+      throw new Error('reply_too_long');
+    }
+    
+    await this.getFeedback(id);
+    db.prepare(`
+      UPDATE feedbacks
+      SET reply = ?, replied_by = ?, replied_at = CASE WHEN ? IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END
+      WHERE id = ?
+    `).run(text || null, text ? userId : null, text || null, id);
+    
+    const feedback = await this.getFeedback(id);
+    TestimonialWidgetService.invalidate(feedback.site_slug);
+    return {
+      id: feedback.id,
+      reply: feedback.reply,
+      repliedBy: feedback.replied_by,
+      repliedAt: feedback.replied_at
+    };
+  }
+
+  // Sends a feedback to quarantine (back to pending, off the site) or releases it to the moderation queue
+  static async setQuarantined(id, quarantined) {
+    const db = getDatabase();
+    const result = db.prepare(`
+      UPDATE feedbacks
+      SET quarantined_at = ?, approved = CASE WHEN ? = 1 THEN 0 ELSE approved END,
+        status = CASE WHEN ? = 1 THEN 'pending' ELSE status END
+      WHERE id = ?
+    `).run(quarantined ? new Date().toISOString() : null, quarantined ? 1 : 0, quarantined ? 1 : 0, id);
+    
+    if (result.changes === 0) {
+      throw new Error('feedback_not_found');
+    }
+    
+    TestimonialWidgetService.invalidate((await this.getFeedback(id)).site_slug);
+    return { id, quarantined: Boolean(quarantined) };
+  }
+
   static async getFeedback(id) {
     const db = getDatabase();
     const stmt = db.prepare('SELECT * FROM feedbacks WHERE id = ?');
@@ -124,13 +336,11 @@ export class FeedbackService {
 
   static async deleteFeedback(id) {
     const db = getDatabase();
+    const feedback = await this.getFeedback(id);
     const stmt = db.prepare('DELETE FROM feedbacks WHERE id = ?');
-    const result = stmt.run(id);
-    
-    if (result.changes === 0) {
-      throw new Error('feedback_not_found');
-    }
+    stmt.run(id);
     
+    TestimonialWidgetService.invalidate(feedback.site_slug);
     return { deleted: true, id };
   }
 
@@ -141,15 +351,19 @@ export class FeedbackService {
     const stmt = db.prepare(`
       SELECT 
         COUNT(*) as total,
-        COUNT(CASE WHEN approved = 1 THEN 1 END) as approved,
+        COUNT(CASE WHEN status = 'approved' THEN 1 END) as approved,
+        COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending,
+        COUNT(CASE WHEN status = 'rejected' THEN 1 END) as rejected,
+        COUNT(CASE WHEN status = 'hidden' THEN 1 END) as hidden,
         AVG(CAST(rating AS FLOAT)) as averageRating,
+        AVG(CASE WHEN status = 'approved' THEN CAST(rating AS FLOAT) END) as approvedAverageRating,
         COUNT(CASE WHEN rating = 5 THEN 1 END) as rating5,
         COUNT(CASE WHEN rating = 4 THEN 1 END) as rating4,
         COUNT(CASE WHEN rating = 3 THEN 1 END) as rating3,
         COUNT(CASE WHEN rating = 2 THEN 1 END) as rating2,
         COUNT(CASE WHEN rating = 1 THEN 1 END) as rating1
       FROM feedbacks 
-      WHERE site_slug = ?
+      WHERE site_slug = ? AND quarantined_at IS NULL
     `);
     
     const stats = stmt.get(normalizedSlug);
@@ -157,8 +371,15 @@ export class FeedbackService {
     return {
       total: stats.total,
       approved: stats.approved,
-      pending: stats.total - stats.approved,
+      pending: stats.pending,
+      rejected: stats.rejected,
+      hidden: stats.hidden,
       averageRating: Math.round(stats.averageRating * 10) / 10 || 0,
+      // What the public sees (widget, AggregateRating): approved feedbacks only, listed or not
+      publicRating: {
+        average: Math.round(stats.approvedAverageRating * 10) / 10 || 0,
+        count: stats.approved
+      },
       ratingDistribution: {
         5: stats.rating5,
         4: stats.rating4,
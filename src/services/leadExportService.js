@@ -0,0 +1,210 @@
+import ExcelJS from 'exceljs';
+import { LeadService } from './leadService.js';
+import { SiteService } from './siteService.js';
+import { SiteMemberService } from './siteMemberService.js';
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  vcf: { contentType: 'text/vcard; charset=utf-8', extension: 'vcf' }
+};
+
+const STATUS_LABELS = {
+  new: 'Novo',
+  contacted: 'Contatado',
+  negotiating: 'Negociando',
+  won: 'Ganho',
+  lost: 'Perdido'
+};
+
+const COLUMNS = [
+  { header: 'ID', value: lead => lead.id, width: 8 },
+  { header: 'Nome', value: lead => lead.name, width: 28 },
+  { header: 'E-mail', value: lead => lead.email, width: 30 },
+  { header: 'Telefone', value: lead => lead.phone, width: 18 },
+  { header: 'Mensagem', value: lead => lead.message, width: 50 },
+  { header: 'Origem', value: lead => lead.source, width: 14 },
+  { header: 'Etapa', value: lead => STATUS_LABELS[lead.status] || lead.status, width: 12 },
+  { header: 'Responsável', value: lead => lead.assignee, width: 28 },
+  { header: 'Follow-up', value: lead => lead.follow_up_at, width: 22 },
+  { header: 'Criado em', value: lead => lead.created_at, width: 20 }
+];
+
+const UTF8_BOM = '\uFEFF';
+
+// Waits for the socket to drain; a closed connection resolves too, and the loop stops there
+function write(stream, chunk) {
+  if (stream.write(chunk)) return Promise.resolve();
+
+  return new Promise(resolve => {
+    const done = () => {
+      stream.off('drain', done);
+      stream.off('close', done);
+      resolve();
+    };
+    stream.on('drain', done);
+    stream.on('close', done);
+  });
+}
+
+// exceljs zips in the background: give it a turn of the event loop and respect backpressure
+async function flush(stream) {
+  await new Promise(resolve => setImmediate(resolve));
+  if (stream.writableNeedDrain) await write(stream, '');
+}
+
+// Spreadsheet apps run cells starting with these as formulas; phone numbers ('+55 11 ...') are left alone
+function neutralizeFormula(text) {
+  if (/^\+?[\d\s().-]+$/.test(text)) return text;
+  return /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+}
+
+function csvCell(value, delimiter) {
+  if (value === null || value === undefined) return '';
+  const text = neutralizeFormula(String(value));
+  if (text.includes('"') || text.includes(delimiter) || /[\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+// vCard 3.0 text values escape backslash, comma, semicolon and newlines
+function vcardText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/,/g, '\\,')
+    .replace(/;/g, '\\;')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space (RFC 2425)
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf-8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char, 'utf-8');
+    if (size + charSize > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function toVcard(lead, siteSlug) {
+  const words = String(lead.name || '').trim().split(/\s+/);
+  const family = words.length > 1 ? words.pop() : '';
+  const given = words.join(' ');
+  const note = [lead.message, `Etapa: ${STATUS_LABELS[lead.status] || lead.status}`].filter(Boolean).join('\n');
+
+  const lines = [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `FN:${vcardText(lead.name)}`,
+    `N:${vcardText(family)};${vcardText(given)};;;`,
+    lead.email ? `EMAIL;TYPE=INTERNET:${vcardText(lead.email)}` : null,
+    lead.phone ? `TEL;TYPE=CELL:${vcardText(lead.phone)}` : null,
+    `CATEGORIES:${vcardText(`Leads ${siteSlug}`)}`,
+    note ? `NOTE:${vcardText(note)}` : null,
+    'END:VCARD'
+  ];
+
+  return lines.filter(Boolean).map(foldLine).join('\r\n') + '\r\n';
+}
+
+export class LeadExportService {
+  static isSupportedFormat(format) {
+    return Object.hasOwn(EXPORT_FORMATS, format);
+  }
+
+  static getFilename(siteSlug, format) {
+    const date = new Date().toISOString().slice(0, 10);
+    return `leads-${SiteService.normalizeSiteSlug(siteSlug)}-${date}.${EXPORT_FORMATS[format].extension}`;
+  }
+
+  // Leads are read in batches and written as they come, so memory stays flat on large sites
+  static leadsWithAssignee(siteSlug, filters) {
+    const batches = LeadService.iterateLeads(siteSlug, filters);
+
+    return (async function* () {
+      const members = await SiteMemberService.listMembers(siteSlug);
+      const emailById = new Map(members.map(member => [member.userId, member.email]));
+
+      for await (const batch of batches) {
+        yield batch.map(lead => ({ ...lead, assignee: emailById.get(lead.assigned_to) || '' }));
+      }
+    })();
+  }
+
+  // Invalid filters throw before anything is written, so the route can still answer with JSON
+  static async exportLeads(siteSlug, filters, format, stream, options = {}) {
+    if (!this.isSupportedFormat(format)) {
+      throw new Error('invalid_export_format');
+    }
+
+    const leads = this.leadsWithAssignee(siteSlug, filters);
+
+    if (format === 'xlsx') return this.writeXlsx(leads, stream);
+    if (format === 'vcf') return this.writeVcard(leads, SiteService.normalizeSiteSlug(siteSlug), stream);
+    return this.writeCsv(leads, stream, options);
+  }
+
+  // The BOM makes Excel read the file as UTF-8; Excel set to pt-BR expects ';' as delimiter
+  static async writeCsv(leads, stream, { delimiter = ',' } = {}) {
+    let count = 0;
+    await write(stream, UTF8_BOM + COLUMNS.map(column => csvCell(column.header, delimiter)).join(delimiter) + '\r\n');
+
+    for await (const batch of leads) {
+      if (stream.destroyed) break;
+      const lines = batch.map(lead => COLUMNS.map(column => csvCell(column.value(lead), delimiter)).join(delimiter));
+      await write(stream, lines.join('\r\n') + '\r\n');
+      count += batch.length;
+    }
+
+    stream.end();
+    return { exported: count };
+  }
+
+  static async writeXlsx(leads, stream) {
+    let count = 0;
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true, useSharedStrings: false });
+    const sheet = workbook.addWorksheet('Leads');
+    sheet.columns = COLUMNS.map(column => ({ header: column.header, width: column.width }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.getRow(1).commit();
+
+    for await (const batch of leads) {
+      if (stream.destroyed) break;
+      for (const lead of batch) {
+        sheet.addRow(COLUMNS.map(column => column.value(lead) ?? null)).commit();
+      }
+      count += batch.length;
+      await flush(stream);
+    }
+
+    sheet.commit();
+    await workbook.commit();
+    return { exported: count };
+  }
+
+  static async writeVcard(leads, siteSlug, stream) {
+    let count = 0;
+
+    for await (const batch of leads) {
+      if (stream.destroyed) break;
+      await write(stream, batch.map(lead => toVcard(lead, siteSlug)).join(''));
+      count += batch.length;
+    }
+
+    stream.end();
+    return { exported: count };
+  }
+}
@@ -0,0 +1,275 @@
+import ExcelJS from 'exceljs';
+import { getDatabase } from '../db/database.js';
+import { LeadService, LEAD_STATUSES } from './leadService.js';
+import { SiteService } from './siteService.js';
+import { normalizePhone } from '../utils/phone.js';
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_IMPORT_ROWS = parseInt(process.env.LEAD_IMPORT_MAX_ROWS || '5000');
+
+export const IMPORT_FIELDS = ['name', 'email', 'phone', 'message', 'source', 'status'];
+
+// Header names (lowercase, no accents) recognised for each field when no mapping is given
+const HEADER_ALIASES = {
+  name: ['name', 'nome', 'nome completo', 'full name', 'cliente', 'contato'],
+  email: ['email', 'e-mail', 'mail', 'endereco de email'],
+  phone: ['phone', 'telefone', 'celular', 'whatsapp', 'fone', 'tel', 'mobile'],
+  message: ['message', 'mensagem', 'observacoes', 'observacao', 'obs', 'notes', 'notas'],
+  source: ['source', 'origem', 'canal'],
+  status: ['status', 'etapa', 'estagio', 'stage']
+};
+
+// Pipeline stages as they appear in our own exports
+const STATUS_ALIASES = {
+  novo: 'new',
+  contatado: 'contacted',
+  negociando: 'negotiating',
+  ganho: 'won',
+  perdido: 'lost'
+};
+
+function normalizeHeader(header) {
+  return String(header ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+}
+
+function phoneDigits(phone) {
+  return String(phone || '').replace(/\D/g, '');
+}
+
+// RFC 4180 CSV: quoted fields may hold delimiters, doubled quotes and line breaks.
+// The delimiter is whichever of , ; or tab appears most in the header line.
+function parseCsv(text) {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.slice(0, content.search(/\r?\n|$/));
+  const delimiter = [',', ';', '\t']
+    .map(char => [char, firstLine.split(char).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    const values = [];
+    for (let col = 1; col <= sheet.columnCount; col++) {
+      const cell = row.getCell(col);
+      // Hyperlinks and rich text come back as objects; cell.text is what the user sees
+      values.push(cell.value === null || cell.value === undefined ? '' : cell.text);
+    }
+    rows[rowNumber - 1] = values;
+  });
+
+  return Array.from(rows, row => row || []);
+}
+
+export class LeadImportService {
+  static async parseFile(file) {
+    const isXlsx = /\.xlsx$/i.test(file.originalname || '')
+      || file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+    let rows;
+    try {
+      rows = isXlsx ? await parseXlsx(file.buffer) : parseCsv(file.buffer.toString('utf-8'));
+    } catch (error) {
+      throw new Error('unreadable_file');
+    }
+
+    // Blank rows are skipped but keep their numbers, so the report matches the spreadsheet
+    const nonEmpty = rows
+      .map((values, index) => ({ rowNumber: index + 1, values }))
+      .filter(row => row.values.some(value => String(value).trim() !== ''));
+    if (nonEmpty.length < 2) {
+      throw new Error('empty_file');
+    }
+
+    const [header, ...data] = nonEmpty;
+    if (data.length > MAX_IMPORT_ROWS) {
+      throw new Error('too_many_rows');
+    }
+
+    return { headers: header.values.map(value => String(value).trim()), rows: data };
+  }
+
+  // Mapping is { field: column header or 0-based column index }; fields left out are guessed from the headers
+  static resolveMapping(headers, mapping = {}) {
+    const normalizedHeaders = headers.map(normalizeHeader);
+    const resolved = {};
+
+    for (const field of IMPORT_FIELDS) {
+      const wanted = mapping[field];
+
+      if (wanted === null || wanted === '') continue;
+
+      if (wanted !== undefined) {
+        const index = Number.isInteger(wanted) ? wanted : normalizedHeaders.indexOf(normalizeHeader(wanted));
+        if (index < 0 || index >= headers.length) {
+          throw new Error('invalid_mapping');
+        }
+        resolved[field] = index;
+        continue;
+      }
+
+      const index = normalizedHeaders.findIndex(header => HEADER_ALIASES[field].includes(header));
+      if (index !== -1) resolved[field] = index;
+    }
+
+    if (resolved.email === undefined || resolved.name === undefined) {
+      throw new Error('name_and_email_columns_required');
+    }
+
+    return resolved;
+  }
+
+  static validateRow(values, mapping) {
+    const pick = field => (mapping[field] === undefined ? '' : String(values[mapping[field]] ?? '').trim());
+    const errors = [];
+
+    const lead = {
+      name: pick('name'),
+      email: pick('email').toLowerCase(),
+      phone: pick('phone') || null,
+      message: pick('message') || null,
+      source: pick('source') || 'import',
+      status: pick('status').toLowerCase() || 'new'
+    };
+
+    if (!lead.name) errors.push('name_required');
+
+    if (!lead.email) {
+      errors.push('email_required');
+    } else if (!EMAIL_REGEX.test(lead.email)) {
+      errors.push('invalid_email');
+    }
+
+    // Brazilian numbers: 10-11 digits, 12-13 with the country code
+    if (lead.phone) {
+      const digits = phoneDigits(lead.phone);
+      if (digits.length < 10 || digits.length > 13) errors.push('invalid_phone');
+    }
+
+    lead.status = STATUS_ALIASES[normalizeHeader(lead.status)] || lead.status;
+    if (!LEAD_STATUSES.includes(lead.status)) errors.push('invalid_status');
+
+    return { lead, errors };
+  }
+
+  // Builds the per-row report; with dryRun nothing is written. Duplicates (same email or phone
+  // as an existing lead or an earlier row of the file) are reported and skipped.
+  static async importLeads(siteSlug, file, { mapping = {}, dryRun = true, filename = null } = {}) {
+    const db = getDatabase();
+    const normalizedSlug = SiteService.normalizeSiteSlug(siteSlug);
+    const { headers, rows } = await this.parseFile(file);
+    const columns = this.resolveMapping(headers, mapping);
+
+    const byEmail = new Map();
+    const byPhone = new Map();
+    // Quarantined spam does not count: a real contact may share an address a bot used
+    const existing = db.prepare(`
+      SELECT id, email, phone_normalized FROM leads WHERE site_slug = ? AND quarantined_at IS NULL
+    `).all(normalizedSlug);
+    for (const lead of existing) {
+      byEmail.set(lead.email.toLowerCase(), { leadId: lead.id });
+      if (lead.phone_normalized) byPhone.set(lead.phone_normalized, { leadId: lead.id });
+    }
+
+    const report = [];
+    const toInsert = [];
+
+    rows.forEach(({ rowNumber: row, values }) => {
+      const { lead, errors } = this.validateRow(values, columns);
+
+      if (errors.length > 0) {
+        report.push({ row, status: 'invalid', errors, lead });
+        return;
+      }
+
+      const phoneKey = normalizePhone(lead.phone);
+      const duplicate = byEmail.get(lead.email) || (phoneKey && byPhone.get(phoneKey));
+      if (duplicate) {
+        report.push({
+          row,
+          status: 'duplicate',
+          matchedBy: byEmail.has(lead.email) ? 'email' : 'phone',
+          duplicateOf: duplicate,
+          lead
+        });
+        return;
+      }
+
+      byEmail.set(lead.email, { row });
+      if (phoneKey) byPhone.set(phoneKey, { row });
+
+      const entry = { row, status: dryRun ? 'valid' : 'imported', lead };
+      report.push(entry);
+      toInsert.push(entry);
+    });
+
+    if (!dryRun && toInsert.length > 0) {
+      const metadata = { importedAt: new Date().toISOString(), ...(filename ? { importFile: filename } : {}) };
+      const ids = await LeadService.createLeads(
+        normalizedSlug,
+        toInsert.map(entry => ({ ...entry.lead, metadata }))
+      );
+      toInsert.forEach((entry, i) => { entry.leadId = Number(ids[i]); });
+    }
+
+    const count = status => report.filter(entry => entry.status === status).length;
+
+    return {
+      dryRun,
+      headers,
+      mapping: Object.fromEntries(Object.entries(columns).map(([field, index]) => [field, headers[index]])),
+      summary: {
+        total: rows.length,
+        [dryRun ? 'valid' : 'imported']: toInsert.length,
+        duplicates: count('duplicate'),
+        invalid: count('invalid')
+      },
+      rows: report
+    };
+  }
+}
@@ -0,0 +1,173 @@
+import { getDatabase } from '../db/database.js';
+import { LeadService } from './leadService.js';
+import { SiteService } from './siteService.js';
+
+const MESSAGE_SEPARATOR = '\n\n---\n\n';
+
+// Union-find over lead ids: leads sharing an email or a normalized phone end up in one group
+function groupLeads(leads) {
+  const parent = new Map(leads.map(lead => [lead.id, lead.id]));
+  const find = id => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+
+  const matches = new Map();
+  const firstByKey = new Map();
+  for (const lead of leads) {
+    const keys = [['email', lead.email], ['phone', lead.phone_normalized]].filter(([, value]) => value);
+    for (const [field, value] of keys) {
+      const key = `${field}:${value}`;
+      if (!firstByKey.has(key)) {
+        firstByKey.set(key, lead.id);
+        continue;
+      }
+      const root = find(firstByKey.get(key));
+      parent.set(find(lead.id), root);
+      matches.set(key, true);
+    }
+  }
+
+  const groups = new Map();
+  for (const lead of leads) {
+    const root = find(lead.id);
+    if (!groups.has(root)) groups.set(root, { leads: [], matchedBy: new Set() });
+    const group = groups.get(root);
+    group.leads.push(lead);
+    if (matches.has(`email:${lead.email}`)) group.matchedBy.add('email');
+    if (lead.phone_normalized && matches.has(`phone:${lead.phone_normalized}`)) group.matchedBy.add('phone');
+  }
+
+  return [...groups.values()].filter(group => group.leads.length > 1);
+}
+
+// Messages from the merged leads are appended to the primary's, each tagged with its date and source
+function mergeMessages(primary, others) {
+  const parts = primary.message ? [primary.message] : [];
+  for (const lead of others) {
+    if (lead.message && !parts.some(part => part.endsWith(lead.message))) {
+      parts.push(`[${lead.created_at} · ${lead.source || 'website'}] ${lead.message}`);
+    }
+  }
+  return parts.length > 0 ? parts.join(MESSAGE_SEPARATOR) : null;
+}
+
+export class LeadMergeService {
+  // Suspected duplicates of a site, newest activity first; quarantined leads are left out
+  static async findDuplicates(siteSlug) {
+    const db = getDatabase();
+    const normalizedSlug = SiteService.normalizeSiteSlug(siteSlug);
+
+    const leads = db.prepare(`
+      SELECT id, name, email, phone, phone_normalized, message, source, status, assigned_to, created_at
+      FROM leads
+      WHERE site_slug = ? AND quarantined_at IS NULL
+      ORDER BY created_at ASC, id ASC
+    `).all(normalizedSlug);
+
+    const groups = groupLeads(leads).map(group => ({
+      matchedBy: [...group.matchedBy],
+      leads: group.leads
+    }));
+    const latest = group => group.leads[group.leads.length - 1].created_at;
+    groups.sort((a, b) => latest(b).localeCompare(latest(a)));
+
+    return {
+      siteSlug: normalizedSlug,
+      groups,
+      total: groups.length
+    };
+  }
+
+  // Folds leadIds into primaryId: messages and metadata are combined, notes, feedbacks and review
+  // requests move over, the primary keeps the earliest creation date and the merged rows are
+  // deleted after a snapshot of each one is written to lead_merges
+  static async mergeLeads(primaryId, leadIds, userId = null) {
+    const db = getDatabase();
+    const ids = [...new Set((Array.isArray(leadIds) ? leadIds : []).map(id => parseInt(id)))]
+      .filter(id => Number.isInteger(id) && id !== primaryId);
+
+    if (!Number.isInteger(primaryId) || ids.length === 0) {
+      throw new Error('merge_ids_required');
+    }
+
+    const primary = await LeadService.getLead(primaryId);
+    const others = [];
+    for (const id of ids) {
+      const lead = await LeadService.getLead(id);
+      if (lead.site_slug !== primary.site_slug) {
+        throw new Error('leads_from_different_sites');
+      }
+      others.push(lead);
+    }
+    others.sort((a, b) => a.created_at.localeCompare(b.created_at) || a.id - b.id);
+
+    const firstOf = field => primary[field] ?? others.find(lead => lead[field] !== null && lead[field] !== undefined)?.[field] ?? null;
+    const earliest = [primary, ...others].reduce((min, lead) => (lead.created_at < min ? lead.created_at : min), primary.created_at);
+    const followUps = [primary, ...others].map(lead => lead.follow_up_at).filter(Boolean).sort();
+    const metadata = Object.assign({}, ...others.map(lead => lead.metadata), primary.metadata);
+    const phone = firstOf('phone');
+
+    const notesOf = db.prepare('SELECT id, user_id, body, created_at FROM lead_notes WHERE lead_id = ?');
+    const insertMerge = db.prepare(`
+      INSERT INTO lead_merges (site_slug, primary_lead_id, merged_lead_id, merged_by, snapshot)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+
+    db.transaction(() => {
+      for (const lead of others) {
+        insertMerge.run(
+          primary.site_slug,
+          primary.id,
+          lead.id,
+          userId,
+          JSON.stringify({ lead, notes: notesOf.all(lead.id) })
+        );
+      }
+
+      const placeholders = ids.map(() => '?').join(', ');
+      db.prepare(`UPDATE lead_notes SET lead_id = ? WHERE lead_id IN (${placeholders})`).run(primary.id, ...ids);
+      db.prepare(`UPDATE feedbacks SET lead_id = ? WHERE lead_id IN (${placeholders})`).run(primary.id, ...ids);
+      db.prepare(`UPDATE review_requests SET lead_id = ? WHERE lead_id IN (${placeholders})`).run(primary.id, ...ids);
+      // Earlier merges into the folded leads now belong to the primary's history
+      db.prepare(`UPDATE lead_merges SET primary_lead_id = ? WHERE primary_lead_id IN (${placeholders})`).run(primary.id, ...ids);
+      db.prepare(`DELETE FROM leads WHERE id IN (${placeholders})`).run(...ids);
+
+      db.prepare(`
+        UPDATE leads
+        SET phone = ?, phone_normalized = ?, message = ?, metadata = ?, assigned_to = ?, follow_up_at = ?,
+          created_at = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(
+        phone,
+        phone === primary.phone ? primary.phone_normalized : others.find(lead => lead.phone === phone).phone_normalized,
+        mergeMessages(primary, others),
+        JSON.stringify(metadata),
+        firstOf('assigned_to'),
+        primary.follow_up_at ?? followUps[0] ?? null,
+        earliest,
+        primary.id
+      );
+    })();
+
+    return {
+      lead: await LeadService.getLead(primary.id),
+      merged: ids
+    };
+  }
+
+  // Audit trail of a lead: every lead folded into it, with who merged and the snapshot taken
+  static async listMerges(leadId) {
+    const db = getDatabase();
+    return db.prepare(`
+      SELECT m.id, m.merged_lead_id, m.merged_by, u.email as merged_by_email, m.snapshot, m.created_at
+      FROM lead_merges m
+      LEFT JOIN users u ON u.id = m.merged_by
+      WHERE m.primary_lead_id = ?
+      ORDER BY m.created_at DESC, m.id DESC
+    `).all(leadId).map(merge => ({ ...merge, snapshot: JSON.parse(merge.snapshot) }));
+  }
+}
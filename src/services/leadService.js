@@ -1,10 +1,201 @@
 import { getDatabase } from '../db/database.js';
 import { SiteService } from './siteService.js';
+import { SiteMemberService } from './siteMemberService.js';
+import { NotificationService, leadPayload } from './notificationService.js';
+import { SiteHookService } from './siteHookService.js';
+import { normalizePhone } from '../utils/phone.js';
+
+// Pipeline stages, in board order; won and lost close the lead
+export const LEAD_STATUSES = ['new', 'contacted', 'negotiating', 'won', 'lost'];
+const CLOSED_STATUSES = ['won', 'lost'];
+
+const FOLLOW_UP_WINDOW_DAYS = parseInt(process.env.LEAD_FOLLOW_UP_WINDOW_DAYS || '7');
+
+const LEAD_COLUMNS = `id, name, email, phone, message, source, metadata, status, assigned_to,
+        follow_up_at, status_changed_at, created_at, updated_at, spam_score, spam_reasons, quarantined_at`;
+
+const MAX_SEARCH_LIMIT = 100;
+const PIPELINE_STAGE_LIMIT = 25;
+
+// Sort keys clients may ask for (`name`, `-created_at`...). Nullable columns are coalesced so
+// the keyset comparison in searchLeads never meets a NULL.
+const SORT_EXPRESSIONS = {
+  created_at: 'created_at',
+  updated_at: 'COALESCE(updated_at, created_at)',
+  name: 'name COLLATE NOCASE',
+  email: 'email',
+  source: "COALESCE(source, '')",
+  status: `CASE status ${LEAD_STATUSES.map((status, i) => `WHEN '${status}' THEN ${i}`).join(' ')} END`,
+  follow_up_at: "COALESCE(follow_up_at, '')",
+  // bm25 score of the q search (lower is a better match), see buildLeadFilters
+  relevance: 'search.search_rank'
+};
+
+const DEFAULT_SORT = '-created_at';
+const RELEVANCE_SORT = 'relevance';
+
+// Searches with full-text terms default to relevance; without them there is nothing to rank by
+function resolveSort(sort, ranked = false) {
+  let value = String(sort || (ranked ? RELEVANCE_SORT : DEFAULT_SORT)).trim();
+  if (!ranked && value.replace(/^[-+]/, '') === RELEVANCE_SORT) value = DEFAULT_SORT;
+  const direction = value.startsWith('-') ? 'DESC' : 'ASC';
+  const key = value.replace(/^[-+]/, '');
+  const expression = Object.hasOwn(SORT_EXPRESSIONS, key) ? SORT_EXPRESSIONS[key] : null;
+  
+  if (!expression) {
+    throw new Error('invalid_sort_key');
+  }
+  
+  return {
+    key: value.startsWith('-') ? `-${key}` : key,
+    direction,
+    expression,
+    // id breaks ties so every row has a stable position
+    orderBy: `${expression} ${direction}, id ${direction}`
+  };
+}
+
+function encodeCursor(sort, value, id) {
+  return Buffer.from(JSON.stringify({ s: sort, v: value, id })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf-8'));
+    if (position.s === sort && Number.isInteger(position.id)) return { value: position.v, id: position.id };
+  } catch {
+    // fall through
+  }
+  throw new Error('invalid_cursor');
+}
+
+// created_at is stored as SQLite's CURRENT_TIMESTAMP text ('YYYY-MM-DD HH:MM:SS', UTC);
+// a bare date as `to` covers that whole day
+function toSqliteTimestamp(value, endOfDay = false) {
+  const text = String(value).trim();
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(text)) return `${text} 23:59:59`;
+  
+  const date = new Date(text);
+  if (isNaN(date.getTime())) {
+    throw new Error('invalid_date_range');
+  }
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// The trigram index (migration 014) only matches terms of 3+ characters
+const MIN_INDEXED_TERM_LENGTH = 3;
+
+// Weights of name, email, phone, phone_normalized and message in the relevance score
+const SEARCH_RANK_SQL = 'bm25(leads_fts, 10.0, 6.0, 4.0, 4.0, 1.0)';
+
+function escapeLike(term) {
+  return term.replace(/[\\%_]/g, char => `\\${char}`);
+}
+
+function ftsPhrase(term) {
+  return `"${term.replace(/"/g, '""')}"`;
+}
+
+// Shared FROM and WHERE clauses for listing, searching and exporting a site's leads; `ranked`
+// tells whether q went through the full-text index and the relevance sort is available.
+// Quarantined (suspected spam) leads only show up when asked for with `quarantined`.
+function buildLeadFilters(siteSlug, filters = {}) {
+  const conditions = ['site_slug = ?', filters.quarantined ? 'quarantined_at IS NOT NULL' : 'quarantined_at IS NULL'];
+  const params = [SiteService.normalizeSiteSlug(siteSlug)];
+  
+  if (filters.status) {
+    if (!LEAD_STATUSES.includes(filters.status)) {
+      throw new Error('invalid_lead_status');
+    }
+    conditions.push('status = ?');
+    params.push(filters.status);
+  }
+  
+  if (filters.assignedTo) {
+    conditions.push('assigned_to = ?');
+    params.push(filters.assignedTo);
+  }
+  
+  if (filters.source) {
+    conditions.push('source = ?');
+    params.push(filters.source);
+  }
+  
+  if (filters.from) {
+    conditions.push('created_at >= ?');
+    params.push(toSqliteTimestamp(filters.from));
+  }
+  
+  if (filters.to) {
+    conditions.push('created_at <= ?');
+    params.push(toSqliteTimestamp(filters.to, true));
+  }
+  
+  // Every word must appear in name, email, phone or message; phones also match on digits only
+  // (phone_normalized). Words too short for the index fall back to LIKE.
+  const terms = String(filters.q || '').trim().split(/\s+/).filter(Boolean);
+  const phrases = [];
+  for (const term of terms) {
+    if (term.length >= MIN_INDEXED_TERM_LENGTH) {
+      const digits = term.replace(/\D/g, '');
+      phrases.push(digits.length >= MIN_INDEXED_TERM_LENGTH && digits !== term
+        ? `(${ftsPhrase(term)} OR ${ftsPhrase(digits)})`
+        : ftsPhrase(term));
+      continue;
+    }
+    
+    const pattern = `%${escapeLike(term.toLowerCase())}%`;
+    conditions.push(`(${['name', 'email', 'phone', 'message'].map(field => `LOWER(${field}) LIKE ? ESCAPE '\\'`).join(' OR ')})`);
+    params.push(pattern, pattern, pattern, pattern);
+  }
+  
+  if (phrases.length === 0) {
+    return { from: 'leads', where: conditions.join(' AND '), params, ranked: false };
+  }
+  
+  return {
+    from: `leads JOIN (
+      SELECT rowid as lead_id, ${SEARCH_RANK_SQL} as search_rank FROM leads_fts WHERE leads_fts MATCH ?
+    ) search ON search.lead_id = leads.id`,
+    where: conditions.join(' AND '),
+    params: [phrases.join(' AND '), ...params],
+    ranked: true
+  };
+}
+
+// Rows after `position` ({ value, id } of the previous page's last row) in `sort` order
+function selectLeadPage(db, { from, where, params }, sort, position, limit) {
+  const conditions = [where];
+  const pageParams = [...params];
+  
+  if (position) {
+    const op = sort.direction === 'DESC' ? '<' : '>';
+    conditions.push(`(${sort.expression} ${op} ? OR (${sort.expression} = ? AND id ${op} ?))`);
+    pageParams.push(position.value, position.value, position.id);
+  }
+  
+  return db.prepare(`
+    SELECT ${LEAD_COLUMNS}, ${sort.expression} as sort_value
+    FROM ${from}
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY ${sort.orderBy}
+    LIMIT ?
+  `).all(...pageParams, limit);
+}
 
 export class LeadService {
+  static formatLead(row) {
+    return {
+      ...row,
+      metadata: JSON.parse(row.metadata || '{}'),
+      spam_reasons: JSON.parse(row.spam_reasons || '[]')
+    };
+  }
+
+  // `spam` is SpamService.inspect's verdict for public submissions; quarantined leads stay out of the pipeline
   static async createLead(leadData) {
     const db = getDatabase();
-    const { siteSlug, name, email, phone, message, source = 'website', metadata = {} } = leadData;
+    const { siteSlug, name, email, phone, message, source = 'website', metadata = {}, spam = null, submitterIp = null } = leadData;
     const normalizedSlug = SiteService.normalizeSiteSlug(siteSlug);
     
     // Validate required fields
@@ -13,8 +204,9 @@ export class LeadService {
     }
     
     const stmt = db.prepare(`
-      INSERT INTO leads (site_slug, name, email, phone, message, source, metadata)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO leads (site_slug, name, email, phone, phone_normalized, message, source, metadata,
+        spam_score, spam_reasons, quarantined_at, submitter_ip)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
     
     const result = stmt.run(
@@ -22,12 +214,17 @@ export class LeadService {
       name.trim(),
       email.toLowerCase().trim(),
       phone?.trim() || null,
+      normalizePhone(phone),
       message?.trim() || null,
       source,
-      JSON.stringify(metadata)
+      JSON.stringify(metadata),
+      spam?.score || 0,
+      spam?.reasons?.length ? JSON.stringify(spam.reasons) : null,
+      spam?.quarantined ? new Date().toISOString() : null,
+      submitterIp
     );
     
-    return {
+    const lead = {
       id: result.lastInsertRowid,
       siteSlug: normalizedSlug,
       name,
@@ -38,33 +235,73 @@ export class LeadService {
       metadata,
       createdAt: new Date().toISOString()
     };
+    
+    // Quarantined leads stay silent until someone releases them
+    if (!spam?.quarantined) {
+      await this.notify(lead);
+    }
+    
+    return lead;
+  }
+
+  // A failed notification never fails the lead itself; deliveries are retried from their log
+  static async notify(lead) {
+    try {
+      await NotificationService.notifyNewLead(lead);
+    } catch (error) {
+      console.error('Lead notification error:', error);
+    }
+    await SiteHookService.emit(lead.siteSlug || lead.site_slug, 'lead.created', { lead: leadPayload(lead) });
   }
 
-  static async getLeads(siteSlug, page = 1, pageSize = 20) {
+  // Bulk insert in one transaction (imports); rows are already validated
+  static async createLeads(siteSlug, leads) {
     const db = getDatabase();
     const normalizedSlug = SiteService.normalizeSiteSlug(siteSlug);
+    
+    const stmt = db.prepare(`
+      INSERT INTO leads (site_slug, name, email, phone, phone_normalized, message, source, metadata, status,
+        status_changed_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+    `);
+    
+    return db.transaction(() => leads.map(lead => stmt.run(
+      normalizedSlug,
+      lead.name.trim(),
+      lead.email.toLowerCase().trim(),
+      lead.phone?.trim() || null,
+      normalizePhone(lead.phone),
+      lead.message?.trim() || null,
+      lead.source || 'import',
+      JSON.stringify(lead.metadata || {}),
+      lead.status || 'new'
+    ).lastInsertRowid))();
+  }
+
+  // Offset pages (page/pageSize); large sites should page with searchLeads' cursor instead
+  static async getLeads(siteSlug, page = 1, pageSize = 20, filters = {}) {
+    const db = getDatabase();
     const offset = (page - 1) * pageSize;
+    const { from, where, params, ranked } = buildLeadFilters(siteSlug, filters);
+    const { orderBy } = resolveSort(filters.sort, ranked);
     
     // Get total count
-    const countStmt = db.prepare('SELECT COUNT(*) as total FROM leads WHERE site_slug = ?');
-    const { total } = countStmt.get(normalizedSlug);
+    const countStmt = db.prepare(`SELECT COUNT(*) as total FROM ${from} WHERE ${where}`);
+    const { total } = countStmt.get(...params);
     
     // Get paginated leads
     const stmt = db.prepare(`
-      SELECT id, name, email, phone, message, source, metadata, created_at
-      FROM leads 
-      WHERE site_slug = ? 
-      ORDER BY created_at DESC 
+      SELECT ${LEAD_COLUMNS}
+      FROM ${from} 
+      WHERE ${where} 
+      ORDER BY ${orderBy} 
       LIMIT ? OFFSET ?
     `);
     
-    const leads = stmt.all(normalizedSlug, pageSize, offset);
+    const leads = stmt.all(...params, pageSize, offset);
     
     return {
-      leads: leads.map(lead => ({
-        ...lead,
-        metadata: JSON.parse(lead.metadata || '{}')
-      })),
+      leads: leads.map(lead => this.formatLead(lead)),
       pagination: {
         page,
         pageSize,
@@ -74,6 +311,57 @@ export class LeadService {
     };
   }
 
+  // Keyset pagination: the cursor holds the last row's sort value and id, so deep pages
+  // cost the same as the first one and rows inserted meanwhile do not shift the results
+  static async searchLeads(siteSlug, filters = {}, { cursor = null, limit = 50 } = {}) {
+    const db = getDatabase();
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_SEARCH_LIMIT);
+    const query = buildLeadFilters(siteSlug, filters);
+    const sort = resolveSort(filters.sort, query.ranked);
+    const { total } = db.prepare(`SELECT COUNT(*) as total FROM ${query.from} WHERE ${query.where}`).get(...query.params);
+    
+    const position = cursor ? decodeCursor(cursor, sort.key) : null;
+    
+    // One extra row tells whether another page exists
+    const rows = selectLeadPage(db, query, sort, position, pageSize + 1);
+    
+    const hasMore = rows.length > pageSize;
+    const page = rows.slice(0, pageSize);
+    const last = page[page.length - 1];
+    
+    return {
+      leads: page.map(({ sort_value, ...lead }) => this.formatLead(lead)),
+      total,
+      sort: sort.key,
+      nextCursor: hasMore ? encodeCursor(sort.key, last.sort_value, last.id) : null
+    };
+  }
+
+  // Every matching lead, in batches, for exports. Each batch is its own query, so callers can
+  // await between batches (a live better-sqlite3 iterator would block the connection).
+  // Filters are checked here, before the first batch is read.
+  static iterateLeads(siteSlug, filters = {}, batchSize = 500) {
+    const db = getDatabase();
+    const query = buildLeadFilters(siteSlug, filters);
+    const sort = resolveSort(filters.sort, query.ranked);
+    const formatLead = lead => this.formatLead(lead);
+    
+    return (async function* () {
+      let position = null;
+      
+      while (true) {
+        const rows = selectLeadPage(db, query, sort, position, batchSize);
+        if (rows.length === 0) return;
+        
+        yield rows.map(({ sort_value, ...lead }) => formatLead(lead));
+        
+        if (rows.length < batchSize) return;
+        const last = rows[rows.length - 1];
+        position = { value: last.sort_value, id: last.id };
+      }
+    })();
+  }
+
   static async getLead(id) {
     const db = getDatabase();
     const stmt = db.prepare('SELECT * FROM leads WHERE id = ?');
@@ -83,12 +371,188 @@ export class LeadService {
       throw new Error('lead_not_found');
     }
     
+    return this.formatLead(lead);
+  }
+
+  // Partial update: only the fields present in `changes` are touched, null clears assignee and follow-up.
+  // quarantined: false releases a lead flagged as spam, true sends it to quarantine.
+  static async updateLead(id, changes = {}) {
+    const db = getDatabase();
+    const lead = await this.getLead(id);
+    const sets = [];
+    const params = [];
+    
+    if (changes.status !== undefined && changes.status !== lead.status) {
+      if (!LEAD_STATUSES.includes(changes.status)) {
+        throw new Error('invalid_lead_status');
+      }
+      sets.push('status = ?', 'status_changed_at = ?');
+      params.push(changes.status, new Date().toISOString());
+    }
+    
+    if (changes.assignedTo !== undefined) {
+      const assignedTo = changes.assignedTo === null ? null : parseInt(changes.assignedTo);
+      if (assignedTo !== null && !SiteMemberService.getMember(lead.site_slug, assignedTo)) {
+        throw new Error('assignee_not_member');
+      }
+      sets.push('assigned_to = ?');
+      params.push(assignedTo);
+    }
+    
+    if (changes.followUpAt !== undefined) {
+      const followUpAt = changes.followUpAt === null ? null : new Date(changes.followUpAt);
+      if (followUpAt !== null && isNaN(followUpAt.getTime())) {
+        throw new Error('invalid_follow_up_date');
+      }
+      sets.push('follow_up_at = ?');
+      params.push(followUpAt ? followUpAt.toISOString() : null);
+    }
+    
+    if (changes.quarantined !== undefined && Boolean(changes.quarantined) !== Boolean(lead.quarantined_at)) {
+      sets.push('quarantined_at = ?');
+      params.push(changes.quarantined ? new Date().toISOString() : null);
+    }
+    
+    if (sets.length === 0) {
+      return lead;
+    }
+    
+    db.prepare(`UPDATE leads SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`)
+      .run(...params, id);
+    
+    const updated = await this.getLead(id);
+    
+    // Released from quarantine: the owner hears about it as a new lead
+    if (lead.quarantined_at && !updated.quarantined_at) {
+      await this.notify(updated);
+    }
+    
+    return updated;
+  }
+
+  static async addNote(leadId, userId, body) {
+    const db = getDatabase();
+    const text = String(body || '').trim();
+    
+    if (!text) {
+      throw new Error('note_body_required');
+    }
+    
+    await this.getLead(leadId);
+    
+    const result = db.prepare('INSERT INTO lead_notes (lead_id, user_id, body) VALUES (?, ?, ?)')
+      .run(leadId, userId, text);
+    db.prepare('UPDATE leads SET updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(leadId);
+    
+    return this.getNote(result.lastInsertRowid);
+  }
+
+  static getNote(noteId) {
+    const db = getDatabase();
+    return db.prepare(`
+      SELECT n.id, n.lead_id as leadId, n.user_id as userId, u.email as author, n.body, n.created_at as createdAt
+      FROM lead_notes n
+      LEFT JOIN users u ON u.id = n.user_id
+      WHERE n.id = ?
+    `).get(noteId);
+  }
+
+  // Newest first
+  static async listNotes(leadId) {
+    const db = getDatabase();
+    return db.prepare(`
+      SELECT n.id, n.lead_id as leadId, n.user_id as userId, u.email as author, n.body, n.created_at as createdAt
+      FROM lead_notes n
+      LEFT JOIN users u ON u.id = n.user_id
+      WHERE n.lead_id = ?
+      ORDER BY n.created_at DESC, n.id DESC
+    `).all(leadId);
+  }
+
+  // Board columns with their full counts but only the newest `limit` leads each, plus open
+  // follow-ups due within the window; a column's nextCursor loads the rest through getPipelineStage
+  static async getPipeline(siteSlug, { limit = PIPELINE_STAGE_LIMIT } = {}) {
+    const db = getDatabase();
+    const normalizedSlug = SiteService.normalizeSiteSlug(siteSlug);
+    
+    const counts = Object.fromEntries(db.prepare(`
+      SELECT status, COUNT(*) as count FROM leads
+      WHERE site_slug = ? AND quarantined_at IS NULL
+      GROUP BY status
+    `).all(normalizedSlug).map(row => [row.status, row.count]));
+    
+    const stages = LEAD_STATUSES.map(status => ({
+      status,
+      count: counts[status] || 0,
+      ...this.getPipelineStage(normalizedSlug, status, { limit })
+    }));
+    
+    return {
+      siteSlug: normalizedSlug,
+      stages,
+      followUps: await this.getDueFollowUps(normalizedSlug)
+    };
+  }
+
+  // One pipeline column, newest first, paged with the same cursor as searchLeads' -created_at
+  static getPipelineStage(siteSlug, status, { cursor = null, limit = PIPELINE_STAGE_LIMIT } = {}) {
+    if (!LEAD_STATUSES.includes(status)) {
+      throw new Error('invalid_lead_status');
+    }
+    
+    const db = getDatabase();
+    const sort = resolveSort('-created_at');
+    const pageSize = Math.min(Math.max(parseInt(limit) || PIPELINE_STAGE_LIMIT, 1), MAX_SEARCH_LIMIT);
+    const position = cursor ? decodeCursor(cursor, sort.key) : null;
+    const conditions = ['l.site_slug = ?', 'l.quarantined_at IS NULL', 'l.status = ?'];
+    const params = [SiteService.normalizeSiteSlug(siteSlug), status];
+    
+    if (position) {
+      conditions.push('(l.created_at < ? OR (l.created_at = ? AND l.id < ?))');
+      params.push(position.value, position.value, position.id);
+    }
+    
+    const rows = db.prepare(`
+      SELECT l.id, l.name, l.email, l.phone, l.source, l.status, l.assigned_to, u.email as assigned_email,
+        l.follow_up_at, l.status_changed_at, l.created_at, l.updated_at,
+        (SELECT COUNT(*) FROM lead_notes n WHERE n.lead_id = l.id) as notes_count
+      FROM leads l
+      LEFT JOIN users u ON u.id = l.assigned_to
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY l.created_at DESC, l.id DESC
+      LIMIT ?
+    `).all(...params, pageSize + 1);
+    
+    const leads = rows.slice(0, pageSize);
+    const last = leads[leads.length - 1];
+    
     return {
-      ...lead,
-      metadata: JSON.parse(lead.metadata || '{}')
+      leads,
+      nextCursor: rows.length > pageSize ? encodeCursor(sort.key, last.created_at, last.id) : null
     };
   }
 
+  // Open leads whose follow-up is overdue or falls within the next `days`
+  static async getDueFollowUps(siteSlug, days = FOLLOW_UP_WINDOW_DAYS) {
+    const db = getDatabase();
+    const now = new Date();
+    const until = new Date(now.getTime() + days * 24 * 60 * 60 * 1000).toISOString();
+    
+    const rows = db.prepare(`
+      SELECT l.id, l.name, l.email, l.phone, l.status, l.assigned_to, u.email as assigned_email, l.follow_up_at
+      FROM leads l
+      LEFT JOIN users u ON u.id = l.assigned_to
+      WHERE l.site_slug = ?
+        AND l.quarantined_at IS NULL
+        AND l.follow_up_at IS NOT NULL
+        AND l.follow_up_at <= ?
+        AND l.status NOT IN (${CLOSED_STATUSES.map(() => '?').join(', ')})
+      ORDER BY l.follow_up_at ASC
+    `).all(SiteService.normalizeSiteSlug(siteSlug), until, ...CLOSED_STATUSES);
+    
+    return rows.map(row => ({ ...row, overdue: new Date(row.follow_up_at) < now }));
+  }
+
   static async deleteLead(id) {
     const db = getDatabase();
     const stmt = db.prepare('DELETE FROM leads WHERE id = ?');
@@ -103,22 +567,15 @@ export class LeadService {
 
   static async getLeadsByDateRange(siteSlug, startDate, endDate) {
     const db = getDatabase();
-    const normalizedSlug = SiteService.normalizeSiteSlug(siteSlug);
+    const { where, params } = buildLeadFilters(siteSlug, { from: startDate, to: endDate });
     
     const stmt = db.prepare(`
-      SELECT id, name, email, phone, message, source, metadata, created_at
+      SELECT ${LEAD_COLUMNS}
       FROM leads 
-      WHERE site_slug = ? 
-        AND created_at >= ? 
-        AND created_at <= ?
+      WHERE ${where}
       ORDER BY created_at DESC
     `);
     
-    const leads = stmt.all(normalizedSlug, startDate, endDate);
-    
-    return leads.map(lead => ({
-      ...lead,
-      metadata: JSON.parse(lead.metadata || '{}')
-    }));
+    return stmt.all(...params).map(lead => this.formatLead(lead));
   }
 }
\ No newline at end of file
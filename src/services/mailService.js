@@ -0,0 +1,108 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { getDatabase } from '../db/database.js';
+
+// Pluggable mail delivery: MAIL_TRANSPORT picks the transport, defaulting to
+// Resend when it is configured and to the console otherwise.
+// 'outbox' (SQLite) and 'file' (JSON lines) keep messages locally for development and tests.
+const transports = {
+  console: {
+    async send(message) {
+      console.log(`📧 [mail] to=${message.to} subject="${message.subject}"`);
+      return { id: null };
+    }
+  },
+
+  resend: {
+    async send(message) {
+      const apiKey = process.env.RESEND_API_KEY || '';
+      const from = process.env.RESEND_FROM || '';
+      if (!apiKey || !from) {
+        throw new Error('missing_resend_env');
+      }
+
+      const response = await fetch('https://api.resend.com/emails', {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          from,
+          to: [message.to],
+          subject: message.subject,
+          html: message.html,
+          text: message.text
+        })
+      });
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(`resend_error: ${data?.message || response.status}`);
+      }
+
+      return { id: data?.id || null };
+    }
+  },
+
+  outbox: {
+    async send(message) {
+      const db = getDatabase();
+      const result = db.prepare(`
+        INSERT INTO mail_outbox (to_email, subject, html, text)
+        VALUES (?, ?, ?, ?)
+      `).run(message.to, message.subject, message.html || null, message.text || null);
+
+      return { id: result.lastInsertRowid };
+    }
+  },
+
+  file: {
+    async send(message) {
+      const filePath = process.env.MAIL_OUTBOX_FILE || path.join(process.cwd(), 'data', 'mail-outbox.jsonl');
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.appendFile(filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + '\n');
+
+      return { id: null, file: filePath };
+    }
+  }
+};
+
+export class MailService {
+  static registerTransport(name, transport) {
+    transports[name] = transport;
+  }
+
+  static getTransportName() {
+    if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+    return process.env.RESEND_API_KEY ? 'resend' : 'console';
+  }
+
+  static async send({ to, subject, html, text }) {
+    if (!to || !subject || (!html && !text)) {
+      throw new Error('to_subject_and_body_required');
+    }
+
+    const name = this.getTransportName();
+    const transport = transports[name];
+    if (!transport) {
+      throw new Error(`unknown_mail_transport: ${name}`);
+    }
+
+    const result = await transport.send({ to, subject, html, text });
+    return { transport: name, ...result };
+  }
+
+  // Latest messages captured by the outbox transport, optionally for one recipient
+  static async listOutbox(to = null, limit = 20) {
+    const db = getDatabase();
+
+    if (to) {
+      return db.prepare(`
+        SELECT * FROM mail_outbox WHERE LOWER(to_email) = LOWER(?) ORDER BY id DESC LIMIT ?
+      `).all(to, limit);
+    }
+
+    return db.prepare('SELECT * FROM mail_outbox ORDER BY id DESC LIMIT ?').all(limit);
+  }
+}
@@ -0,0 +1,332 @@
+import { getDatabase } from '../db/database.js';
+import { MailService } from './mailService.js';
+import { SiteService } from './siteService.js';
+import { SiteMemberService } from './siteMemberService.js';
+import { DeliveryQueue } from './deliveryQueue.js';
+import { normalizePhone } from '../utils/phone.js';
+import { assertWebhookUrl, generateWebhookSecret, postWebhook } from '../utils/webhook.js';
+
+const SITE_BASE_URL = process.env.SITE_BASE_URL || 'https://eleveaagencia.netlify.app';
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const EMAIL_MODES = ['instant', 'hourly', 'daily'];
+const DIGEST_PERIOD_HOURS = { hourly: 1, daily: 24 };
+const DIGEST_MAX_LEADS = 50;
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Click-to-chat link to answer the lead on WhatsApp, as built by waMessage in src/lib/whatsapp.ts
+function whatsappLink(lead) {
+  const phone = normalizePhone(lead.phone);
+  if (!phone) return null;
+  const firstName = String(lead.name || '').trim().split(/\s+/)[0];
+  const text = `Olá ${firstName}! Recebemos seu contato pelo site. Como podemos ajudar?`;
+  return `https://wa.me/${phone}?text=${encodeURIComponent(text)}`;
+}
+
+// Public fields of a lead, as sent in emails and webhook payloads
+export function leadPayload(lead) {
+  return {
+    id: Number(lead.id),
+    name: lead.name,
+    email: lead.email,
+    phone: lead.phone || null,
+    message: lead.message || null,
+    source: lead.source || 'website',
+    createdAt: lead.createdAt || lead.created_at
+  };
+}
+
+function leadEmail(siteSlug, lead) {
+  const wa = whatsappLink(lead);
+  const dashboard = `${SITE_BASE_URL}/client/dashboard`;
+  const rows = [
+    ['Nome', lead.name],
+    ['E-mail', lead.email],
+    ['Telefone', lead.phone],
+    ['Mensagem', lead.message],
+    ['Origem', lead.source]
+  ].filter(([, value]) => value);
+
+  return {
+    subject: `Novo lead em ${siteSlug}: ${lead.name}`,
+    html: `
+      <div style="font-family:system-ui,-apple-system,Segoe UI,Roboto,sans-serif;line-height:1.5;">
+        <h2>Novo lead no site ${escapeHtml(siteSlug)}</h2>
+        <table cellpadding="4">
+          ${rows.map(([label, value]) => `<tr><td><b>${label}</b></td><td>${escapeHtml(value).replace(/\n/g, '<br>')}</td></tr>`).join('')}
+        </table>
+        <p>
+          ${wa ? `<a href="${escapeHtml(wa)}" style="display:inline-block;padding:10px 16px;border-radius:8px;background:#25d366;color:#fff;text-decoration:none;">Responder no WhatsApp</a>` : ''}
+          <a href="${dashboard}" style="display:inline-block;padding:10px 16px;border-radius:8px;background:#111;color:#fff;text-decoration:none;">Abrir o painel</a>
+        </p>
+      </div>
+    `,
+    text: [
+      `Novo lead no site ${siteSlug}`,
+      ...rows.map(([label, value]) => `${label}: ${value}`),
+      wa ? `Responder no WhatsApp: ${wa}` : null,
+      `Painel: ${dashboard}`
+    ].filter(Boolean).join('\n')
+  };
+}
+
+function digestEmail(siteSlug, leads, total, period) {
+  const label = period === 'hourly' ? 'na última hora' : 'nas últimas 24 horas';
+  const more = total > leads.length ? total - leads.length : 0;
+
+  return {
+    subject: `${total} novo${total > 1 ? 's' : ''} lead${total > 1 ? 's' : ''} em ${siteSlug}`,
+    html: `
+      <div style="font-family:system-ui,-apple-system,Segoe UI,Roboto,sans-serif;line-height:1.5;">
+        <h2>${total} novo${total > 1 ? 's' : ''} lead${total > 1 ? 's' : ''} ${label}</h2>
+        <ul>
+          ${leads.map(lead => {
+            const wa = whatsappLink(lead);
+            return `<li><b>${escapeHtml(lead.name)}</b> — ${escapeHtml(lead.email)}${lead.phone ? ` · ${escapeHtml(lead.phone)}` : ''}${wa ? ` · <a href="${escapeHtml(wa)}">WhatsApp</a>` : ''}</li>`;
+          }).join('')}
+        </ul>
+        ${more ? `<p>E mais ${more} no painel.</p>` : ''}
+        <p><a href="${SITE_BASE_URL}/client/dashboard" style="display:inline-block;padding:10px 16px;border-radius:8px;background:#111;color:#fff;text-decoration:none;">Abrir o painel</a></p>
+      </div>
+    `,
+    text: [
+      `${total} novo(s) lead(s) no site ${siteSlug} ${label}:`,
+      ...leads.map(lead => `- ${lead.name} <${lead.email}>${lead.phone ? ` ${lead.phone}` : ''}`),
+      more ? `E mais ${more} no painel.` : null,
+      `Painel: ${SITE_BASE_URL}/client/dashboard`
+    ].filter(Boolean).join('\n')
+  };
+}
+
+const CHANNELS = {
+  async email(delivery, payload) {
+    return MailService.send({ to: delivery.recipient, ...payload });
+  },
+
+  async webhook(delivery, payload) {
+    const settings = NotificationService.getSettingsRow(delivery.site_slug);
+    if (!settings?.webhook_secret) {
+      throw new Error('webhook_secret_missing');
+    }
+
+    return postWebhook(delivery.recipient, {
+      secret: settings.webhook_secret,
+      event: delivery.event,
+      deliveryId: delivery.id,
+      payload,
+      userAgent: 'Elevea-Notifications/1.0'
+    });
+  }
+};
+
+const deliveries = new DeliveryQueue({
+  table: 'notification_deliveries',
+  label: 'Notification',
+  maxAttempts: 6,
+  send: (delivery, payload) => CHANNELS[delivery.channel](delivery, payload)
+});
+
+export class NotificationService {
+  static getSettingsRow(siteSlug) {
+    const db = getDatabase();
+    return db.prepare('SELECT * FROM site_notification_settings WHERE site_slug = ?')
+      .get(SiteService.normalizeSiteSlug(siteSlug));
+  }
+
+  // Sites without a row get the defaults: instant email to the owner, no webhook
+  static async getSettings(siteSlug) {
+    const normalizedSlug = SiteService.normalizeSiteSlug(siteSlug);
+    const row = this.getSettingsRow(normalizedSlug);
+
+    return {
+      siteSlug: normalizedSlug,
+      email: {
+        enabled: row ? Boolean(row.email_enabled) : true,
+        mode: row?.email_mode || 'instant',
+        recipients: JSON.parse(row?.email_recipients || '[]')
+      },
+      webhook: {
+        enabled: Boolean(row?.webhook_enabled),
+        url: row?.webhook_url || null,
+        hasSecret: Boolean(row?.webhook_secret)
+      },
+      lastDigestAt: row?.last_digest_at || null
+    };
+  }
+
+  // Partial update of { email: { enabled, mode, recipients }, webhook: { enabled, url, rotateSecret } }.
+  // The webhook secret is generated on first use and only returned by the call that creates it.
+  static async updateSettings(siteSlug, changes = {}) {
+    const db = getDatabase();
+    const current = await this.getSettings(siteSlug);
+    const row = this.getSettingsRow(current.siteSlug);
+    const email = { ...current.email, ...(changes.email || {}) };
+    const webhook = { ...current.webhook, ...(changes.webhook || {}) };
+
+    if (!EMAIL_MODES.includes(email.mode)) {
+      throw new Error('invalid_email_mode');
+    }
+
+    if (!Array.isArray(email.recipients)) {
+      throw new Error('invalid_recipients');
+    }
+    const recipients = [...new Set(email.recipients.map(address => String(address).trim().toLowerCase()))];
+    if (recipients.some(address => !EMAIL_REGEX.test(address))) {
+      throw new Error('invalid_recipients');
+    }
+
+    if (webhook.url) {
+      assertWebhookUrl(webhook.url);
+    }
+    if (webhook.enabled && !webhook.url) {
+      throw new Error('webhook_url_required');
+    }
+
+    let secret = row?.webhook_secret || null;
+    let newSecret = null;
+    if ((webhook.enabled && !secret) || changes.webhook?.rotateSecret) {
+      newSecret = generateWebhookSecret();
+      secret = newSecret;
+    }
+
+    // Switching to a digest starts its window now, so old leads are not resent
+    const lastDigestAt = email.mode !== current.email.mode && email.mode !== 'instant'
+      ? null
+      : current.lastDigestAt;
+
+    db.prepare(`
+      INSERT INTO site_notification_settings
+        (site_slug, email_enabled, email_mode, email_recipients, webhook_enabled, webhook_url, webhook_secret, last_digest_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), CURRENT_TIMESTAMP)
+      ON CONFLICT(site_slug) DO UPDATE SET
+        email_enabled = excluded.email_enabled,
+        email_mode = excluded.email_mode,
+        email_recipients = excluded.email_recipients,
+        webhook_enabled = excluded.webhook_enabled,
+        webhook_url = excluded.webhook_url,
+        webhook_secret = excluded.webhook_secret,
+        last_digest_at = excluded.last_digest_at,
+        updated_at = CURRENT_TIMESTAMP
+    `).run(
+      current.siteSlug,
+      email.enabled ? 1 : 0,
+      email.mode,
+      JSON.stringify(recipients),
+      webhook.enabled ? 1 : 0,
+      webhook.url || null,
+      secret,
+      lastDigestAt
+    );
+
+    const settings = await this.getSettings(current.siteSlug);
+    return newSecret ? { ...settings, webhook: { ...settings.webhook, secret: newSecret } } : settings;
+  }
+
+  // Configured recipients, or the site owner's email
+  static getEmailRecipients(siteSlug, settings) {
+    if (settings.email.recipients.length > 0) return settings.email.recipients;
+
+    const db = getDatabase();
+    const owner = SiteMemberService.getOwner(siteSlug);
+    const user = owner && db.prepare('SELECT email FROM users WHERE id = ?').get(owner.user_id);
+    return user ? [user.email] : [];
+  }
+
+  static queue(siteSlug, channel, event, recipient, payload, leadId = null) {
+    return deliveries.queue({ site_slug: siteSlug, channel, event, lead_id: leadId, recipient }, payload);
+  }
+
+  // Called once a lead is accepted (not for quarantined ones). Deliveries are logged first and
+  // sent in the background, so the visitor's request never waits on SMTP or a slow webhook.
+  static async notifyNewLead(lead) {
+    const siteSlug = SiteService.normalizeSiteSlug(lead.siteSlug || lead.site_slug);
+    const settings = await this.getSettings(siteSlug);
+    const ids = [];
+
+    if (settings.email.enabled && settings.email.mode === 'instant') {
+      const message = leadEmail(siteSlug, lead);
+      for (const to of this.getEmailRecipients(siteSlug, settings)) {
+        ids.push(this.queue(siteSlug, 'email', 'lead.created', to, message, lead.id));
+      }
+    }
+
+    if (settings.webhook.enabled && settings.webhook.url) {
+      const payload = { event: 'lead.created', site: siteSlug, lead: leadPayload(lead), sentAt: new Date().toISOString() };
+      ids.push(this.queue(siteSlug, 'webhook', 'lead.created', settings.webhook.url, payload, lead.id));
+    }
+
+    Promise.all(ids.map(id => this.processDelivery(id))).catch(error => {
+      console.error('Lead notification error:', error);
+    });
+
+    return { queued: ids.length };
+  }
+
+  static async processDelivery(id) {
+    return deliveries.processDelivery(id);
+  }
+
+  static async processDueDeliveries(limit = 20) {
+    return deliveries.processDueDeliveries(limit);
+  }
+
+  // Hourly/daily summaries: one email per recipient with the leads created since the last digest
+  static async sendDueDigests() {
+    const db = getDatabase();
+    const sites = db.prepare(`
+      SELECT site_slug, email_mode FROM site_notification_settings
+      WHERE email_enabled = 1 AND email_mode IN ('hourly', 'daily')
+        AND (last_digest_at IS NULL OR last_digest_at <= datetime('now', '-' || CASE email_mode WHEN 'hourly' THEN 1 ELSE 24 END || ' hours'))
+    `).all();
+
+    let queued = 0;
+    for (const { site_slug: siteSlug, email_mode: mode } of sites) {
+      const settings = await this.getSettings(siteSlug);
+      const until = db.prepare("SELECT datetime('now') as now").get().now;
+      const since = settings.lastDigestAt
+        || db.prepare("SELECT datetime('now', ?) as since").get(`-${DIGEST_PERIOD_HOURS[mode]} hours`).since;
+
+      const where = 'site_slug = ? AND quarantined_at IS NULL AND created_at > ? AND created_at <= ?';
+      const { total } = db.prepare(`SELECT COUNT(*) as total FROM leads WHERE ${where}`).get(siteSlug, since, until);
+
+      if (total > 0) {
+        const leads = db.prepare(`
+          SELECT id, name, email, phone, message, source, created_at FROM leads
+          WHERE ${where}
+          ORDER BY created_at DESC
+          LIMIT ?
+        `).all(siteSlug, since, until, DIGEST_MAX_LEADS);
+
+        const message = digestEmail(siteSlug, leads, total, mode);
+        for (const to of this.getEmailRecipients(siteSlug, settings)) {
+          const id = this.queue(siteSlug, 'email', 'leads.digest', to, message);
+          await this.processDelivery(id);
+          queued++;
+        }
+      }
+
+      db.prepare('UPDATE site_notification_settings SET last_digest_at = ? WHERE site_slug = ?').run(until, siteSlug);
+    }
+
+    return { sites: sites.length, queued };
+  }
+
+  static async getDelivery(id) {
+    return deliveries.getDelivery(id);
+  }
+
+  static async listDeliveries(siteSlug, options = {}) {
+    return deliveries.listDeliveries({ site_slug: SiteService.normalizeSiteSlug(siteSlug) }, options);
+  }
+
+  static async retryDelivery(id) {
+    return deliveries.retryDelivery(id);
+  }
+}
@@ -0,0 +1,321 @@
+import crypto from 'crypto';
+import { getDatabase } from '../db/database.js';
+import { SubscriptionService } from './subscriptionService.js';
+
+const MP_API_URL = 'https://api.mercadopago.com';
+
+// Billing period per plan when the subscription terms are unknown (VIP Anual brings its own auto_recurring)
+const PLAN_PERIOD_MONTHS = { essential: 1, vip: 1 };
+
+function addPeriod(date, { frequency, unit }) {
+  const next = new Date(date);
+  if (unit === 'days') {
+    next.setUTCDate(next.getUTCDate() + frequency);
+    return next;
+  }
+
+  // Month ends clamp (Jan 31 + 1 month = Feb 28/29) instead of spilling into the next month
+  const day = next.getUTCDate();
+  next.setUTCDate(1);
+  next.setUTCMonth(next.getUTCMonth() + frequency);
+  const lastDay = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+  next.setUTCDate(Math.min(day, lastDay));
+  return next;
+}
+
+export class PaymentService {
+  // Mercado Pago sends the same notification in several shapes (webhook vs IPN)
+  static normalizeNotification(body = {}) {
+    let resource = body?.type || body?.topic || body?.entity || '';
+    if (resource === 'subscription_preapproval') resource = 'preapproval';
+    const action = body?.action || body?.topic || 'unknown';
+    const mpId = String(body?.data?.id ?? body?.['data.id'] ?? body?.id ?? '');
+
+    return { resource, action, mpId };
+  }
+
+  // Returns 'valid', 'invalid', 'missing' or 'unchecked' (no secret configured)
+  static verifySignature(headers = {}, dataId = '') {
+    const secret = process.env.MP_WEBHOOK_SECRET || '';
+    if (!secret) return 'unchecked';
+
+    const sig = headers['x-signature'];
+    const reqId = headers['x-request-id'];
+    if (!sig || !reqId) return 'missing';
+
+    // x-signature: "ts=1700000000, v1=abcdef..."
+    const parts = Object.fromEntries(
+      String(sig).split(',').map(p => p.trim().split('='))
+    );
+    if (!parts.ts || !parts.v1) return 'invalid';
+
+    // Manifest documented by Mercado Pago; alphanumeric ids are signed lowercased
+    const id = String(dataId || '').toLowerCase();
+    const manifest = `id:${id};request-id:${reqId};ts:${parts.ts};`;
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(manifest)
+      .digest('hex');
+
+    const a = Buffer.from(expected, 'hex');
+    const b = Buffer.from(parts.v1, 'hex');
+    if (a.length !== b.length) return 'invalid';
+    return crypto.timingSafeEqual(a, b) ? 'valid' : 'invalid';
+  }
+
+  static async fetchDetails(resource, mpId) {
+    const token = process.env.MP_ACCESS_TOKEN || '';
+    if (!token) return {};
+
+    let endpoint;
+    if (resource === 'preapproval') endpoint = `/preapproval/${mpId}`;
+    else if (resource === 'payment') endpoint = `/v1/payments/${mpId}`;
+    else return {};
+
+    const response = await fetch(`${MP_API_URL}${endpoint}`, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+
+    if (!response.ok) {
+      const text = await response.text();
+      throw new Error(`MP ${response.status}: ${text}`);
+    }
+
+    return response.json();
+  }
+
+  static extractPaymentData(resource, action, mpId, details = {}) {
+    const amount =
+      details?.transaction_amount ??
+      details?.auto_recurring?.transaction_amount ??
+      details?.subscription_amount ??
+      null;
+
+    return {
+      mpId,
+      resource,
+      action,
+      preapprovalId:
+        (resource === 'preapproval' ? mpId : null) ||
+        details?.subscription_id ||
+        details?.metadata?.preapproval_id ||
+        details?.payer?.preapproval_id ||
+        null,
+      status: details?.status || details?.status_detail || details?.collection_status || null,
+      payerEmail: (
+        details?.payer?.email ||
+        details?.payer_email ||
+        details?.payer_email_address ||
+        ''
+      ).toLowerCase().trim() || null,
+      amount: amount === null || amount === '' ? null : Number(amount),
+      currency: details?.currency_id || details?.auto_recurring?.currency_id || 'BRL',
+      paidAt: details?.date_approved || null,
+      nextDate: details?.next_payment_date || null
+    };
+  }
+
+  // Subscription terms: from the notification itself (preapprovals) or the stored preapproval
+  static getBillingPeriod(user, payment, details = {}) {
+    let recurring = details?.auto_recurring;
+
+    if (!recurring && payment.preapprovalId) {
+      const row = getDatabase()
+        .prepare(`SELECT raw_json FROM payments WHERE resource = 'preapproval' AND mp_id = ?`)
+        .get(payment.preapprovalId);
+      recurring = row ? JSON.parse(row.raw_json || '{}').auto_recurring : null;
+    }
+
+    const frequency = parseInt(recurring?.frequency);
+    if (frequency > 0) {
+      return { frequency, unit: recurring.frequency_type === 'days' ? 'days' : 'months' };
+    }
+    return { frequency: PLAN_PERIOD_MONTHS[user.plan] || 1, unit: 'months' };
+  }
+
+  // Payment payloads carry no next_payment_date: an approved charge moves the due date forward
+  // one period at a time until it is past the payment (a late payment clears the arrears)
+  static getNextDueDate(user, payment, details = {}) {
+    const paidAt = new Date(payment.paidAt || Date.now());
+    const period = this.getBillingPeriod(user, payment, details);
+
+    let next = user.billing_next ? new Date(user.billing_next) : paidAt;
+    if (Number.isNaN(next.getTime())) next = paidAt;
+
+    do {
+      next = addPeriod(next, period);
+    } while (next <= paidAt);
+
+    return next.toISOString();
+  }
+
+  static findUserForPayment(payment) {
+    const db = getDatabase();
+
+    if (payment.payerEmail) {
+      const user = db.prepare('SELECT * FROM users WHERE LOWER(email) = LOWER(?)').get(payment.payerEmail);
+      if (user) return user;
+    }
+
+    // Recurring charges usually come without payer email, match by the subscription
+    if (payment.preapprovalId) {
+      return db.prepare(`
+        SELECT u.* FROM payments p
+        JOIN users u ON u.id = p.user_id
+        WHERE p.preapproval_id = ? AND p.user_id IS NOT NULL
+        ORDER BY p.created_at DESC
+        LIMIT 1
+      `).get(payment.preapprovalId);
+    }
+
+    return undefined;
+  }
+
+  static async ingestNotification(body) {
+    const { resource, action, mpId } = this.normalizeNotification(body);
+
+    if (!resource || !mpId) {
+      return { ignored: true, reason: 'missing_resource_or_id' };
+    }
+
+    const details = await this.fetchDetails(resource, mpId);
+    const payment = this.extractPaymentData(resource, action, mpId, details);
+    const result = await this.recordPayment(payment, details);
+
+    // Always forwarded (even duplicates) so a replay can recover a failed forward
+    await this.forwardToSheets(payment, details);
+
+    return result;
+  }
+
+  // Keeps the Google Apps Script spreadsheet in sync while it is still used for reporting
+  static async forwardToSheets(payment, raw = {}) {
+    const url = process.env.SHEETS_WEBAPP_URL || '';
+    if (!url) return false;
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        ts: new Date().toISOString(),
+        event: payment.resource,
+        action: payment.action,
+        mp_id: payment.mpId,
+        preapproval_id: payment.preapprovalId || '',
+        status: payment.status || '',
+        payer_email: payment.payerEmail || '',
+        amount: payment.amount ?? '',
+        raw
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`sheets_forward_failed: HTTP ${response.status}`);
+    }
+
+    return true;
+  }
+
+  static async recordPayment(payment, raw = {}) {
+    const db = getDatabase();
+    const existing = db.prepare('SELECT * FROM payments WHERE mp_id = ?').get(payment.mpId);
+    const user = this.findUserForPayment(payment) || (existing?.user_id
+      ? await SubscriptionService.getUserById(existing.user_id)
+      : undefined);
+
+    // Same resource notified again without any change: nothing to do
+    if (existing && existing.status === payment.status) {
+      return { duplicate: true, paymentId: existing.id, mpId: payment.mpId, userId: existing.user_id };
+    }
+
+    let paymentId;
+    if (existing) {
+      db.prepare(`
+        UPDATE payments
+        SET user_id = ?, action = ?, preapproval_id = COALESCE(?, preapproval_id), status = ?,
+            payer_email = COALESCE(?, payer_email), amount = COALESCE(?, amount), currency = ?,
+            paid_at = COALESCE(?, paid_at), raw_json = ?
+        WHERE id = ?
+      `).run(
+        user?.id ?? existing.user_id,
+        payment.action,
+        payment.preapprovalId,
+        payment.status,
+        payment.payerEmail,
+        payment.amount,
+        payment.currency,
+        payment.paidAt,
+        JSON.stringify(raw),
+        existing.id
+      );
+      paymentId = existing.id;
+    } else {
+      const result = db.prepare(`
+        INSERT INTO payments (user_id, mp_id, resource, action, preapproval_id, status, payer_email, amount, currency, paid_at, raw_json)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        user?.id ?? null,
+        payment.mpId,
+        payment.resource,
+        payment.action,
+        payment.preapprovalId,
+        payment.status,
+        payment.payerEmail,
+        payment.amount,
+        payment.currency,
+        payment.paidAt,
+        JSON.stringify(raw)
+      );
+      paymentId = result.lastInsertRowid;
+    }
+
+    let billingUpdated = false;
+    if (user && payment.status) {
+      // Unchanged statuses returned above, so this is the first time the charge is approved
+      const approvedCharge = payment.resource === 'payment' && payment.status === 'approved';
+
+      await SubscriptionService.updateBillingStatus(user.id, {
+        status: payment.status,
+        nextDate: payment.nextDate || (approvedCharge ? this.getNextDueDate(user, payment, raw) : user.billing_next),
+        amount: payment.amount ?? user.billing_amount,
+        currency: payment.currency || user.billing_currency,
+        provider: 'mercadopago'
+      });
+      billingUpdated = true;
+    }
+
+    return {
+      duplicate: false,
+      paymentId,
+      mpId: payment.mpId,
+      userId: user?.id ?? null,
+      status: payment.status,
+      billingUpdated
+    };
+  }
+
+  static async listPayments(userId, page = 1, pageSize = 20) {
+    const db = getDatabase();
+    const offset = (page - 1) * pageSize;
+
+    const { total } = db.prepare('SELECT COUNT(*) as total FROM payments WHERE user_id = ?').get(userId);
+
+    const payments = db.prepare(`
+      SELECT id, mp_id, resource, action, preapproval_id, status, amount, currency, paid_at, created_at, updated_at
+      FROM payments
+      WHERE user_id = ?
+      ORDER BY created_at DESC, id DESC
+      LIMIT ? OFFSET ?
+    `).all(userId, pageSize, offset);
+
+    return {
+      payments,
+      pagination: {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+}
@@ -0,0 +1,363 @@
+import crypto from 'crypto';
+import { getDatabase } from '../db/database.js';
+import { SiteService } from './siteService.js';
+import { AuthService } from './authService.js';
+import { MailService } from './mailService.js';
+import { LeadService } from './leadService.js';
+import { FeedbackService } from './feedbackService.js';
+import { normalizePhone } from '../utils/phone.js';
+
+export const REVIEW_CHANNELS = ['email', 'whatsapp', 'link'];
+// pending: not opened yet; opened: the rating page was seen; submitted: the feedback arrived
+export const REVIEW_REQUEST_STATUSES = ['pending', 'opened', 'submitted', 'expired', 'revoked'];
+
+const REVIEW_REQUEST_TTL_DAYS = parseInt(process.env.REVIEW_REQUEST_TTL_DAYS || '30');
+const SITE_BASE_URL = process.env.SITE_BASE_URL || 'https://eleveaagencia.netlify.app';
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_MESSAGE_LENGTH = 1000;
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function firstName(name) {
+  return String(name || '').trim().split(/\s+/)[0];
+}
+
+// The text sent with the link; a custom message may place it with {link}, or gets it appended
+function buildMessage(template, { name, siteName, link }) {
+  if (template) {
+    return template.includes('{link}') ? template.split('{link}').join(link) : `${template.trim()} ${link}`;
+  }
+
+  const greeting = firstName(name) ? `Olá ${firstName(name)}!` : 'Olá!';
+  return `${greeting} Obrigado por escolher ${siteName}. Pode nos contar como foi o atendimento? Leva menos de um minuto: ${link}`;
+}
+
+// SQL for each status, in the order formatRequest resolves them
+const STATUS_CONDITIONS = {
+  revoked: 'revoked_at IS NOT NULL',
+  submitted: 'revoked_at IS NULL AND submitted_at IS NOT NULL',
+  expired: 'revoked_at IS NULL AND submitted_at IS NULL AND expires_at < ?',
+  opened: 'revoked_at IS NULL AND submitted_at IS NULL AND expires_at >= ? AND opened_at IS NOT NULL',
+  pending: 'revoked_at IS NULL AND submitted_at IS NULL AND expires_at >= ? AND opened_at IS NULL'
+};
+
+export class ReviewRequestService {
+  static getStatus(row) {
+    if (row.revoked_at) return 'revoked';
+    if (row.submitted_at) return 'submitted';
+    if (new Date(row.expires_at) < new Date()) return 'expired';
+    return row.opened_at ? 'opened' : 'pending';
+  }
+
+  static formatRequest(row) {
+    return {
+      id: row.id,
+      siteSlug: row.site_slug,
+      leadId: row.lead_id,
+      name: row.name,
+      email: row.email,
+      phone: row.phone,
+      channel: row.channel,
+      status: this.getStatus(row),
+      createdBy: row.created_by,
+      expiresAt: row.expires_at,
+      sentAt: row.sent_at,
+      openedAt: row.opened_at,
+      openCount: row.open_count,
+      submittedAt: row.submitted_at,
+      feedbackId: row.feedback_id,
+      revokedAt: row.revoked_at,
+      createdAt: row.created_at
+    };
+  }
+
+  static getRequestRow(id) {
+    const db = getDatabase();
+    const row = db.prepare('SELECT * FROM review_requests WHERE id = ?').get(id);
+
+    if (!row) {
+      throw new Error('review_request_not_found');
+    }
+
+    return row;
+  }
+
+  // Creates the single-use link for a lead (contact details are taken from it) or for a name,
+  // email and phone given directly. 'email' sends it now; 'whatsapp' returns a wa.me link with
+  // the message prefilled for the owner to send; 'link' only returns it. A new request for the
+  // same lead replaces the one still waiting.
+  static async createRequest(siteSlug, data = {}, userId = null) {
+    const db = getDatabase();
+    const { channel, message = null } = data;
+
+    const site = await SiteService.getSite(siteSlug);
+    if (!site) {
+      throw new Error('site_not_found');
+    }
+
+    if (!REVIEW_CHANNELS.includes(channel)) {
+      throw new Error('invalid_channel');
+    }
+
+    if (message && String(message).length > MAX_MESSAGE_LENGTH) {
+      throw new Error('message_too_long');
+    }
+
+    let lead = null;
+    if (data.leadId !== undefined && data.leadId !== null && data.leadId !== '') {
+      lead = await LeadService.getLead(parseInt(data.leadId));
+      if (lead.site_slug !== site.slug) {
+        throw new Error('lead_not_found');
+      }
+    }
+
+    const name = String(data.name ?? lead?.name ?? '').trim() || null;
+    const email = String(data.email ?? lead?.email ?? '').toLowerCase().trim() || null;
+    const phone = String(data.phone ?? lead?.phone ?? '').trim() || null;
+
+    if (channel === 'email' && !EMAIL_REGEX.test(email || '')) {
+      throw new Error('invalid_email');
+    }
+
+    const whatsappPhone = channel === 'whatsapp' ? normalizePhone(phone) : null;
+    if (channel === 'whatsapp' && !whatsappPhone) {
+      throw new Error('invalid_phone');
+    }
+
+    const token = crypto.randomBytes(24).toString('hex');
+    const expiresAt = new Date(Date.now() + REVIEW_REQUEST_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+    const result = db.transaction(() => {
+      if (lead) {
+        db.prepare(`
+          UPDATE review_requests SET revoked_at = CURRENT_TIMESTAMP
+          WHERE lead_id = ? AND submitted_at IS NULL AND revoked_at IS NULL
+        `).run(lead.id);
+      }
+
+      return db.prepare(`
+        INSERT INTO review_requests (site_slug, lead_id, name, email, phone, channel, token_hash, created_by, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(site.slug, lead?.id ?? null, name, email, phone, channel, AuthService.hashToken(token), userId, expiresAt);
+    })();
+    const id = result.lastInsertRowid;
+
+    const siteName = site.company || site.slug;
+    const link = `${SITE_BASE_URL}/avaliar?token=${encodeURIComponent(token)}`;
+    const text = buildMessage(message, { name, siteName, link });
+    let whatsappUrl = null;
+
+    if (channel === 'email') {
+      try {
+        await MailService.send({
+          to: email,
+          subject: `Como foi sua experiência com ${siteName}?`,
+          html: `
+            <div style="font-family:system-ui,-apple-system,Segoe UI,Roboto,sans-serif;line-height:1.5;">
+              <p>${escapeHtml(text).split(link).join(`<a href="${link}">${link}</a>`)}</p>
+              <p><a href="${link}" style="display:inline-block;padding:10px 16px;border-radius:8px;background:#111;color:#fff;text-decoration:none;">Avaliar agora</a></p>
+              <p style="color:#666;font-size:13px;">O link é pessoal e vale por ${REVIEW_REQUEST_TTL_DAYS} dias.</p>
+            </div>
+          `,
+          text
+        });
+      } catch (error) {
+        // An email that never left should not count as a sent request
+        db.prepare('UPDATE review_requests SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?').run(id);
+        console.error(`Review request ${id} email failed:`, error.message);
+        throw new Error('review_email_failed');
+      }
+
+      db.prepare('UPDATE review_requests SET sent_at = CURRENT_TIMESTAMP WHERE id = ?').run(id);
+    } else if (channel === 'whatsapp') {
+      // Same shape as waMessage in src/lib/whatsapp.ts, to the customer's number
+      whatsappUrl = `https://wa.me/${whatsappPhone}?text=${encodeURIComponent(text)}`;
+    }
+
+    return {
+      request: this.formatRequest(this.getRequestRow(id)),
+      link,
+      message: text,
+      whatsappUrl
+    };
+  }
+
+  static async listRequests(siteSlug, { status = null, leadId = null, page = 1, pageSize = 20 } = {}) {
+    const db = getDatabase();
+    const now = new Date().toISOString();
+    let where = 'WHERE site_slug = ?';
+    const params = [SiteService.normalizeSiteSlug(siteSlug)];
+
+    if (status) {
+      if (!STATUS_CONDITIONS[status]) {
+        throw new Error('invalid_status');
+      }
+      where += ` AND ${STATUS_CONDITIONS[status]}`;
+      if (STATUS_CONDITIONS[status].includes('?')) params.push(now);
+    }
+
+    if (leadId) {
+      where += ' AND lead_id = ?';
+      params.push(leadId);
+    }
+
+    const { total } = db.prepare(`SELECT COUNT(*) as total FROM review_requests ${where}`).get(...params);
+    const rows = db.prepare(`
+      SELECT * FROM review_requests ${where}
+      ORDER BY created_at DESC, id DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, pageSize, (page - 1) * pageSize);
+
+    return {
+      requests: rows.map(row => this.formatRequest(row)),
+      pagination: {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  // Open and submit conversion of the requests created in the last `days`, overall and per channel
+  static async getStats(siteSlug, days = 30) {
+    const db = getDatabase();
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+    const rows = db.prepare(`
+      SELECT r.channel,
+        COUNT(*) as total,
+        SUM(CASE WHEN r.opened_at IS NOT NULL THEN 1 ELSE 0 END) as opened,
+        SUM(CASE WHEN r.submitted_at IS NOT NULL THEN 1 ELSE 0 END) as submitted,
+        AVG(f.rating) as average_rating
+      FROM review_requests r
+      LEFT JOIN feedbacks f ON f.id = r.feedback_id
+      WHERE r.site_slug = ? AND r.revoked_at IS NULL AND r.created_at >= datetime(?)
+      GROUP BY r.channel
+    `).all(SiteService.normalizeSiteSlug(siteSlug), since);
+
+    const summarize = ({ total, opened, submitted }) => ({
+      total,
+      opened,
+      submitted,
+      openRate: total ? Math.round((opened / total) * 1000) / 10 : 0,
+      submitRate: total ? Math.round((submitted / total) * 1000) / 10 : 0
+    });
+
+    const byChannel = {};
+    for (const channel of REVIEW_CHANNELS) {
+      const row = rows.find(r => r.channel === channel) || { total: 0, opened: 0, submitted: 0 };
+      byChannel[channel] = summarize(row);
+    }
+
+    const totals = rows.reduce((sum, row) => ({
+      total: sum.total + row.total,
+      opened: sum.opened + row.opened,
+      submitted: sum.submitted + row.submitted
+    }), { total: 0, opened: 0, submitted: 0 });
+    const rated = rows.filter(row => row.average_rating !== null);
+    const averageRating = totals.submitted && rated.length
+      ? Math.round((rated.reduce((sum, row) => sum + row.average_rating * row.submitted, 0) / totals.submitted) * 10) / 10
+      : null;
+
+    return {
+      days,
+      ...summarize(totals),
+      averageRating,
+      byChannel
+    };
+  }
+
+  static async revokeRequest(id) {
+    const db = getDatabase();
+    const result = db.prepare(`
+      UPDATE review_requests SET revoked_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND submitted_at IS NULL AND revoked_at IS NULL
+    `).run(id);
+
+    if (result.changes === 0) {
+      throw new Error('review_request_not_found');
+    }
+
+    return { revoked: true, id };
+  }
+
+  static findOpenRequest(token) {
+    const db = getDatabase();
+    const request = db.prepare(`
+      SELECT * FROM review_requests
+      WHERE token_hash = ? AND submitted_at IS NULL AND revoked_at IS NULL
+    `).get(AuthService.hashToken(token || ''));
+
+    if (!request || new Date(request.expires_at) < new Date()) {
+      throw new Error('invalid_or_expired_review_request');
+    }
+
+    return request;
+  }
+
+  // What the rating page shows; every load counts as an open
+  static async openRequest(token) {
+    const db = getDatabase();
+    const request = this.findOpenRequest(token);
+    const site = await SiteService.getSite(request.site_slug);
+
+    db.prepare(`
+      UPDATE review_requests SET opened_at = COALESCE(opened_at, CURRENT_TIMESTAMP), open_count = open_count + 1
+      WHERE id = ?
+    `).run(request.id);
+
+    return {
+      siteSlug: request.site_slug,
+      siteName: site?.company || request.site_slug,
+      name: request.name,
+      expiresAt: request.expires_at
+    };
+  }
+
+  // The link is claimed before the feedback is written, so two submissions can't both get through;
+  // a feedback refused by validation gives it back
+  static async submitRequest(token, { rating, comment, name = null, isPublic = true } = {}, submitterIp = null) {
+    const db = getDatabase();
+    const request = this.findOpenRequest(token);
+
+    const claimed = db.prepare(`
+      UPDATE review_requests SET submitted_at = CURRENT_TIMESTAMP, opened_at = COALESCE(opened_at, CURRENT_TIMESTAMP)
+      WHERE id = ? AND submitted_at IS NULL
+    `).run(request.id);
+    if (claimed.changes === 0) {
+      throw new Error('invalid_or_expired_review_request');
+    }
+
+    let feedback;
+    try {
+      feedback = await FeedbackService.createFeedback({
+        siteSlug: request.site_slug,
+        name: String(name || '').trim() || request.name,
+        email: request.email,
+        phone: request.phone,
+        rating,
+        comment,
+        isPublic,
+        submitterIp,
+        leadId: request.lead_id
+      });
+    } catch (error) {
+      db.prepare('UPDATE review_requests SET submitted_at = NULL WHERE id = ?').run(request.id);
+      throw error;
+    }
+
+    db.prepare('UPDATE review_requests SET feedback_id = ? WHERE id = ?').run(feedback.id, request.id);
+
+    return {
+      submitted: true,
+      feedback: { id: Number(feedback.id), rating: feedback.rating, status: feedback.status }
+    };
+  }
+}
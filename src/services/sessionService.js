@@ -0,0 +1,149 @@
+import crypto from 'crypto';
+import { getDatabase } from '../db/database.js';
+import { generateToken, ACCESS_TOKEN_TTL_SECONDS } from '../middlewares/auth.js';
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+
+export class SessionService {
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  static refreshExpiry() {
+    return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  static issueTokens(user, sessionId, refreshToken) {
+    return {
+      token: generateToken(user, sessionId),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+      sessionId
+    };
+  }
+
+  static async createSession(user, meta = {}) {
+    const db = getDatabase();
+    const sessionId = crypto.randomUUID();
+    const refreshToken = crypto.randomBytes(32).toString('hex');
+
+    db.prepare(`
+      INSERT INTO sessions (id, user_id, refresh_token_hash, user_agent, ip, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(
+      sessionId,
+      user.id,
+      this.hashToken(refreshToken),
+      meta.userAgent || null,
+      meta.ip || null,
+      this.refreshExpiry()
+    );
+
+    return this.issueTokens(user, sessionId, refreshToken);
+  }
+
+  // Exchanges a refresh token for a new pair; the presented token stops working
+  static async refresh(refreshToken, meta = {}) {
+    const db = getDatabase();
+    const tokenHash = this.hashToken(refreshToken || '');
+
+    const session = db.prepare(`
+      SELECT * FROM sessions WHERE refresh_token_hash = ? OR previous_token_hash = ?
+    `).get(tokenHash, tokenHash);
+
+    if (!session || session.revoked_at) {
+      throw new Error('invalid_refresh_token');
+    }
+
+    // An already rotated token came back: someone else holds a copy, kill the session
+    if (session.previous_token_hash === tokenHash) {
+      await this.revokeSession(session.id, session.user_id, 'refresh_token_reuse');
+      throw new Error('refresh_token_reused');
+    }
+
+    if (new Date(session.expires_at) < new Date()) {
+      throw new Error('invalid_refresh_token');
+    }
+
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(session.user_id);
+    if (!user) {
+      throw new Error('invalid_refresh_token');
+    }
+    if (user.status === 'suspended') {
+      throw new Error('account_suspended');
+    }
+
+    const newRefreshToken = crypto.randomBytes(32).toString('hex');
+    db.prepare(`
+      UPDATE sessions
+      SET refresh_token_hash = ?, previous_token_hash = ?, expires_at = ?,
+          last_used_at = CURRENT_TIMESTAMP, ip = COALESCE(?, ip), user_agent = COALESCE(?, user_agent)
+      WHERE id = ?
+    `).run(
+      this.hashToken(newRefreshToken),
+      tokenHash,
+      this.refreshExpiry(),
+      meta.ip || null,
+      meta.userAgent || null,
+      session.id
+    );
+
+    return this.issueTokens(user, session.id, newRefreshToken);
+  }
+
+  static async revokeSession(sessionId, userId, reason = 'logout') {
+    const db = getDatabase();
+    const result = db.prepare(`
+      UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+      WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+    `).run(reason, sessionId, userId);
+
+    if (result.changes === 0) {
+      throw new Error('session_not_found');
+    }
+
+    return { revoked: true, sessionId };
+  }
+
+  static async revokeAllSessions(userId, reason = 'logout_all', exceptSessionId = null) {
+    const db = getDatabase();
+    const result = db.prepare(`
+      UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+      WHERE user_id = ? AND revoked_at IS NULL AND id != COALESCE(?, '')
+    `).run(reason, userId, exceptSessionId);
+
+    return { revoked: result.changes, userId };
+  }
+
+  static async listSessions(userId, currentSessionId = null) {
+    const db = getDatabase();
+    const sessions = db.prepare(`
+      SELECT id, user_agent, ip, created_at, last_used_at, expires_at
+      FROM sessions
+      WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+      ORDER BY last_used_at DESC
+    `).all(userId, new Date().toISOString());
+
+    return sessions.map(session => ({
+      id: session.id,
+      userAgent: session.user_agent,
+      ip: session.ip,
+      createdAt: session.created_at,
+      lastUsedAt: session.last_used_at,
+      expiresAt: session.expires_at,
+      current: session.id === currentSessionId
+    }));
+  }
+
+  // Removes sessions that can no longer be used, keeping revoked ones for a while for audit
+  static async purgeExpiredSessions(retentionDays = 30) {
+    const db = getDatabase();
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    const result = db.prepare(`
+      DELETE FROM sessions
+      WHERE expires_at < ? OR (revoked_at IS NOT NULL AND revoked_at < datetime('now', ?))
+    `).run(cutoff, `-${retentionDays} days`);
+
+    return { purged: result.changes };
+  }
+}
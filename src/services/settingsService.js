@@ -1,5 +1,6 @@
 import { getDatabase } from '../db/database.js';
 import { SiteService } from './siteService.js';
+import { TestimonialWidgetService } from './testimonialWidgetService.js';
 
 export class SettingsService {
   static async getSettings(siteSlug) {
@@ -66,6 +67,8 @@ export class SettingsService {
     `);
     
     const result = stmt.run(normalizedSlug, JSON.stringify(cleanSettings));
+    // The testimonials widget takes its colors from here
+    TestimonialWidgetService.invalidate(normalizedSlug);
     return { id: result.lastInsertRowid, siteSlug: normalizedSlug };
   }
 
@@ -0,0 +1,255 @@
+import { getDatabase } from '../db/database.js';
+import { SiteService } from './siteService.js';
+import { DeliveryQueue } from './deliveryQueue.js';
+import { assertWebhookUrl, generateWebhookSecret, postWebhook } from '../utils/webhook.js';
+
+export const HOOK_EVENTS = ['lead.created', 'feedback.created', 'feedback.approved', 'site.toggled', 'billing.changed'];
+const TEST_EVENT = 'ping';
+const MAX_HOOKS_PER_SITE = 10;
+
+// SQLite CURRENT_TIMESTAMP (UTC, no zone) to ISO 8601
+function toIso(timestamp) {
+  return timestamp ? new Date(`${timestamp.replace(' ', 'T')}Z`).toISOString() : null;
+}
+
+function normalizeEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new Error('invalid_events');
+  }
+
+  const unique = [...new Set(events.map(event => String(event).trim()))];
+  if (unique.some(event => event !== '*' && !HOOK_EVENTS.includes(event))) {
+    throw new Error('invalid_events');
+  }
+
+  return unique.includes('*') ? ['*'] : unique;
+}
+
+const deliveries = new DeliveryQueue({
+  table: 'site_hook_deliveries',
+  label: 'Site hook delivery',
+  maxAttempts: 8,
+  doneStatus: 'delivered',
+  recordsResponseStatus: true,
+
+  async send(delivery) {
+    const db = getDatabase();
+    const hook = db.prepare('SELECT * FROM site_hooks WHERE id = ?').get(delivery.hook_id);
+
+    // Test events go out even to a paused hook
+    if (!hook || (!hook.active && delivery.event !== TEST_EVENT)) {
+      throw new Error('hook_inactive');
+    }
+
+    return postWebhook(hook.url, {
+      secret: hook.secret,
+      event: delivery.event,
+      deliveryId: delivery.id,
+      payload: SiteHookService.buildPayload(delivery)
+    });
+  },
+
+  // Paused hooks and test events are not retried
+  isRetryable(delivery, error) {
+    return error.message !== 'hook_inactive' && delivery.event !== TEST_EVENT;
+  }
+});
+
+export class SiteHookService {
+  // The secret is never listed; it is returned once by createHook and by a rotation
+  static formatHook(row) {
+    return {
+      id: row.id,
+      siteSlug: row.site_slug,
+      url: row.url,
+      events: JSON.parse(row.events || '[]'),
+      active: Boolean(row.active),
+      notes: row.notes || null,
+      hasSecret: Boolean(row.secret),
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  static getHookRow(id) {
+    const db = getDatabase();
+    const row = db.prepare('SELECT * FROM site_hooks WHERE id = ?').get(id);
+
+    if (!row) {
+      throw new Error('hook_not_found');
+    }
+
+    return row;
+  }
+
+  static async getHook(id) {
+    return this.formatHook(this.getHookRow(id));
+  }
+
+  static async listHooks(siteSlug) {
+    const db = getDatabase();
+    return db.prepare('SELECT * FROM site_hooks WHERE site_slug = ? ORDER BY id ASC')
+      .all(SiteService.normalizeSiteSlug(siteSlug))
+      .map(row => this.formatHook(row));
+  }
+
+  static async createHook(siteSlug, { url, events, notes = null, active = true }, userId = null) {
+    const db = getDatabase();
+    const site = await SiteService.getSite(siteSlug);
+
+    if (!site) {
+      throw new Error('site_not_found');
+    }
+
+    if (!url) {
+      throw new Error('url_required');
+    }
+
+    const { total } = db.prepare('SELECT COUNT(*) as total FROM site_hooks WHERE site_slug = ?').get(site.slug);
+    if (total >= MAX_HOOKS_PER_SITE) {
+      throw new Error('too_many_hooks');
+    }
+
+    const secret = generateWebhookSecret();
+    const id = db.prepare(`
+      INSERT INTO site_hooks (site_slug, url, events, secret, active, notes, created_by, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+    `).run(
+      site.slug,
+      assertWebhookUrl(url),
+      JSON.stringify(normalizeEvents(events)),
+      secret,
+      active ? 1 : 0,
+      notes?.trim() || null,
+      userId
+    ).lastInsertRowid;
+
+    return { ...(await this.getHook(id)), secret };
+  }
+
+  // Partial update of { url, events, active, notes, rotateSecret }
+  static async updateHook(id, changes = {}) {
+    const db = getDatabase();
+    const row = this.getHookRow(id);
+    const sets = [];
+    const params = [];
+
+    if (changes.url !== undefined) {
+      sets.push('url = ?');
+      params.push(assertWebhookUrl(changes.url));
+    }
+
+    if (changes.events !== undefined) {
+      sets.push('events = ?');
+      params.push(JSON.stringify(normalizeEvents(changes.events)));
+    }
+
+    if (changes.active !== undefined) {
+      sets.push('active = ?');
+      params.push(changes.active ? 1 : 0);
+    }
+
+    if (changes.notes !== undefined) {
+      sets.push('notes = ?');
+      params.push(changes.notes?.trim() || null);
+    }
+
+    let secret = null;
+    if (changes.rotateSecret || !row.secret) {
+      secret = generateWebhookSecret();
+      sets.push('secret = ?');
+      params.push(secret);
+    }
+
+    if (sets.length > 0) {
+      db.prepare(`UPDATE site_hooks SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`)
+        .run(...params, id);
+    }
+
+    const hook = await this.getHook(id);
+    return secret ? { ...hook, secret } : hook;
+  }
+
+  static async deleteHook(id) {
+    const db = getDatabase();
+    const result = db.prepare('DELETE FROM site_hooks WHERE id = ?').run(id);
+
+    if (result.changes === 0) {
+      throw new Error('hook_not_found');
+    }
+
+    return { deleted: true, id };
+  }
+
+  static queue(hook, event, data) {
+    return deliveries.queue({ hook_id: hook.id, site_slug: hook.site_slug, event }, data);
+  }
+
+  // Fans an event out to the site's active hooks subscribed to it (or to "*"). Deliveries are
+  // logged first and sent in the background; a failing hook never fails the change that emitted it.
+  static async emit(siteSlug, event, data) {
+    try {
+      const db = getDatabase();
+      const hooks = db.prepare('SELECT * FROM site_hooks WHERE site_slug = ? AND active = 1 AND url IS NOT NULL')
+        .all(SiteService.normalizeSiteSlug(siteSlug))
+        .filter(hook => {
+          const events = JSON.parse(hook.events || '[]');
+          return events.includes('*') || events.includes(event);
+        });
+
+      const ids = hooks.map(hook => this.queue(hook, event, data));
+
+      Promise.all(ids.map(id => this.processDelivery(id))).catch(error => {
+        console.error('Site hook delivery error:', error);
+      });
+
+      return { queued: ids.length };
+    } catch (error) {
+      console.error(`Site hook emit error (${event}):`, error);
+      return { queued: 0 };
+    }
+  }
+
+  // Envelope sent to receivers; the delivery id is stable across retries so they can dedupe on it
+  static buildPayload(delivery) {
+    return {
+      id: delivery.id,
+      event: delivery.event,
+      site: delivery.site_slug,
+      createdAt: toIso(delivery.created_at),
+      data: JSON.parse(delivery.payload_json)
+    };
+  }
+
+  static async processDelivery(id) {
+    return deliveries.processDelivery(id);
+  }
+
+  static async processDueDeliveries(limit = 20) {
+    return deliveries.processDueDeliveries(limit);
+  }
+
+  // Sends a "ping" to the hook right away and returns the logged delivery
+  static async sendTest(hookId) {
+    const hook = this.getHookRow(hookId);
+    const id = this.queue(hook, TEST_EVENT, {
+      hookId: hook.id,
+      events: JSON.parse(hook.events || '[]'),
+      message: 'Evento de teste enviado pelo painel Elevea'
+    });
+    return this.processDelivery(id);
+  }
+
+  static async getDelivery(id) {
+    return deliveries.getDelivery(id);
+  }
+
+  static async listDeliveries(hookId, options = {}) {
+    return deliveries.listDeliveries({ hook_id: hookId }, options);
+  }
+
+  static async retryDelivery(id) {
+    return deliveries.retryDelivery(id);
+  }
+}
@@ -0,0 +1,340 @@
+import crypto from 'crypto';
+import { getDatabase } from '../db/database.js';
+import { SITE_ROLES } from '../middlewares/auth.js';
+import { SiteService } from './siteService.js';
+import { AuthService } from './authService.js';
+import { MailService } from './mailService.js';
+
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS || '7');
+const SITE_BASE_URL = process.env.SITE_BASE_URL || 'https://eleveaagencia.netlify.app';
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Roles an invitation can grant; ownership only changes hands through transferOwnership
+const INVITABLE_ROLES = SITE_ROLES.filter(role => role !== 'owner');
+
+export class SiteMemberService {
+  static formatMember(row) {
+    return {
+      userId: row.user_id,
+      email: row.email,
+      role: row.role,
+      status: row.status,
+      invitedBy: row.invited_by,
+      createdAt: row.created_at
+    };
+  }
+
+  static formatInvitation(row) {
+    return {
+      id: row.id,
+      siteSlug: row.site_slug,
+      email: row.email,
+      role: row.role,
+      invitedBy: row.invited_by,
+      expiresAt: row.expires_at,
+      expired: new Date(row.expires_at) < new Date(),
+      createdAt: row.created_at
+    };
+  }
+
+  static getMember(siteSlug, userId) {
+    const db = getDatabase();
+    return db.prepare('SELECT * FROM site_members WHERE site_slug = ? AND user_id = ?')
+      .get(SiteService.normalizeSiteSlug(siteSlug), userId);
+  }
+
+  static getOwner(siteSlug) {
+    const db = getDatabase();
+    return db.prepare("SELECT * FROM site_members WHERE site_slug = ? AND role = 'owner'")
+      .get(SiteService.normalizeSiteSlug(siteSlug));
+  }
+
+  static async listMembers(siteSlug) {
+    const db = getDatabase();
+
+    const rows = db.prepare(`
+      SELECT m.*, u.email, u.status
+      FROM site_members m
+      JOIN users u ON u.id = m.user_id
+      WHERE m.site_slug = ?
+      ORDER BY CASE m.role WHEN 'owner' THEN 0 WHEN 'editor' THEN 1 ELSE 2 END, m.created_at ASC
+    `).all(SiteService.normalizeSiteSlug(siteSlug));
+
+    return rows.map(row => this.formatMember(row));
+  }
+
+  static async listSitesForUser(userId) {
+    const db = getDatabase();
+
+    return db.prepare(`
+      SELECT m.site_slug as siteSlug, m.role, s.active
+      FROM site_members m
+      LEFT JOIN sites s ON s.slug = m.site_slug
+      WHERE m.user_id = ?
+      ORDER BY m.site_slug ASC
+    `).all(userId).map(row => ({ ...row, active: Boolean(row.active) }));
+  }
+
+  // An existing membership is left as is, so re-adding never downgrades someone
+  static async addMember(siteSlug, userId, role = 'viewer', invitedBy = null) {
+    const db = getDatabase();
+    const slug = SiteService.normalizeSiteSlug(siteSlug);
+
+    if (!SITE_ROLES.includes(role)) {
+      throw new Error('invalid_site_role');
+    }
+
+    db.prepare(`
+      INSERT OR IGNORE INTO site_members (site_slug, user_id, role, invited_by)
+      VALUES (?, ?, ?, ?)
+    `).run(slug, userId, role, invitedBy);
+
+    return this.getMember(slug, userId);
+  }
+
+  static async updateMemberRole(siteSlug, userId, role) {
+    const db = getDatabase();
+    const member = this.getMember(siteSlug, userId);
+
+    if (!INVITABLE_ROLES.includes(role)) {
+      throw new Error('invalid_site_role');
+    }
+
+    if (!member) {
+      throw new Error('member_not_found');
+    }
+
+    if (member.role === 'owner') {
+      throw new Error('transfer_ownership_first');
+    }
+
+    db.prepare('UPDATE site_members SET role = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(role, member.id);
+
+    return { updated: true, siteSlug: member.site_slug, userId, role };
+  }
+
+  static async removeMember(siteSlug, userId) {
+    const db = getDatabase();
+    const member = this.getMember(siteSlug, userId);
+
+    if (!member) {
+      throw new Error('member_not_found');
+    }
+
+    if (member.role === 'owner') {
+      throw new Error('transfer_ownership_first');
+    }
+
+    db.transaction(() => {
+      db.prepare('DELETE FROM site_members WHERE id = ?').run(member.id);
+      // Leads can only be assigned to members
+      db.prepare('UPDATE leads SET assigned_to = NULL WHERE site_slug = ? AND assigned_to = ?').run(member.site_slug, userId);
+      // Legacy single-site link (billing and subscription lookups follow it)
+      db.prepare('UPDATE users SET site_slug = NULL WHERE id = ? AND site_slug = ?').run(userId, member.site_slug);
+    })();
+
+    return { removed: true, siteSlug: member.site_slug, userId };
+  }
+
+  // The new owner takes over users.site_slug, which billing and subscription lookups follow
+  static async transferOwnership(siteSlug, newOwnerId) {
+    const db = getDatabase();
+    const slug = SiteService.normalizeSiteSlug(siteSlug);
+    const target = this.getMember(slug, newOwnerId);
+
+    if (!target) {
+      throw new Error('member_not_found');
+    }
+
+    if (target.role === 'owner') {
+      throw new Error('already_owner');
+    }
+
+    const targetUser = await AuthService.getUserById(newOwnerId);
+    if (targetUser.site_slug && targetUser.site_slug !== slug) {
+      throw new Error('target_owns_another_site');
+    }
+
+    const previous = this.getOwner(slug);
+
+    db.transaction(() => {
+      if (previous) {
+        db.prepare("UPDATE site_members SET role = 'editor', updated_at = CURRENT_TIMESTAMP WHERE id = ?").run(previous.id);
+        db.prepare('UPDATE users SET site_slug = NULL WHERE id = ? AND site_slug = ?').run(previous.user_id, slug);
+      }
+      db.prepare("UPDATE site_members SET role = 'owner', updated_at = CURRENT_TIMESTAMP WHERE id = ?").run(target.id);
+      db.prepare('UPDATE users SET site_slug = ? WHERE id = ?').run(slug, newOwnerId);
+    })();
+
+    return {
+      transferred: true,
+      siteSlug: slug,
+      ownerId: newOwnerId,
+      previousOwnerId: previous ? previous.user_id : null
+    };
+  }
+
+  static async listInvitations(siteSlug) {
+    const db = getDatabase();
+
+    const rows = db.prepare(`
+      SELECT * FROM site_invitations
+      WHERE site_slug = ? AND accepted_at IS NULL AND revoked_at IS NULL
+      ORDER BY created_at DESC
+    `).all(SiteService.normalizeSiteSlug(siteSlug));
+
+    return rows.map(row => this.formatInvitation(row));
+  }
+
+  // Emails a single-use link; a new invite for the same address replaces the pending one
+  static async invite(siteSlug, email, role = 'viewer', invitedBy = null) {
+    const db = getDatabase();
+    const normalizedEmail = (email || '').toLowerCase().trim();
+
+    if (!EMAIL_REGEX.test(normalizedEmail)) {
+      throw new Error('invalid_email');
+    }
+
+    if (!INVITABLE_ROLES.includes(role)) {
+      throw new Error('invalid_site_role');
+    }
+
+    const site = await SiteService.getSite(siteSlug);
+    if (!site) {
+      throw new Error('site_not_found');
+    }
+
+    const alreadyMember = db.prepare(`
+      SELECT m.id FROM site_members m
+      JOIN users u ON u.id = m.user_id
+      WHERE m.site_slug = ? AND LOWER(u.email) = LOWER(?)
+    `).get(site.slug, normalizedEmail);
+    if (alreadyMember) {
+      throw new Error('already_member');
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+    const result = db.transaction(() => {
+      db.prepare(`
+        UPDATE site_invitations SET revoked_at = CURRENT_TIMESTAMP
+        WHERE site_slug = ? AND LOWER(email) = LOWER(?) AND accepted_at IS NULL AND revoked_at IS NULL
+      `).run(site.slug, normalizedEmail);
+
+      return db.prepare(`
+        INSERT INTO site_invitations (site_slug, email, role, token_hash, invited_by, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(site.slug, normalizedEmail, role, AuthService.hashToken(token), invitedBy, expiresAt);
+    })();
+
+    const link = `${SITE_BASE_URL}/convite?token=${encodeURIComponent(token)}`;
+    await MailService.send({
+      to: normalizedEmail,
+      subject: `Convite para gerenciar ${site.slug} - Elevea`,
+      html: `
+        <div style="font-family:system-ui,-apple-system,Segoe UI,Roboto,sans-serif;line-height:1.5;">
+          <h2>Você foi convidado</h2>
+          <p>Você recebeu acesso ao painel do site <b>${site.slug}</b> na Elevea.</p>
+          <p><a href="${link}" style="display:inline-block;padding:10px 16px;border-radius:8px;background:#111;color:#fff;text-decoration:none;">Aceitar convite</a></p>
+          <p>O convite expira em ${INVITATION_TTL_DAYS} dias. Se não esperava este e-mail, ignore esta mensagem.</p>
+          <p><b>Equipe Elevea</b></p>
+        </div>
+      `,
+      text: `Você foi convidado para o painel do site ${site.slug} na Elevea: ${link} (expira em ${INVITATION_TTL_DAYS} dias)`
+    });
+
+    return this.formatInvitation(
+      db.prepare('SELECT * FROM site_invitations WHERE id = ?').get(result.lastInsertRowid)
+    );
+  }
+
+  static async revokeInvitation(siteSlug, invitationId) {
+    const db = getDatabase();
+
+    const result = db.prepare(`
+      UPDATE site_invitations SET revoked_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND site_slug = ? AND accepted_at IS NULL AND revoked_at IS NULL
+    `).run(invitationId, SiteService.normalizeSiteSlug(siteSlug));
+
+    if (result.changes === 0) {
+      throw new Error('invitation_not_found');
+    }
+
+    return { revoked: true, invitationId };
+  }
+
+  static findPendingInvitation(token) {
+    const db = getDatabase();
+
+    const invitation = db.prepare(`
+      SELECT * FROM site_invitations
+      WHERE token_hash = ? AND accepted_at IS NULL AND revoked_at IS NULL
+    `).get(AuthService.hashToken(token || ''));
+
+    if (!invitation || new Date(invitation.expires_at) < new Date()) {
+      throw new Error('invalid_or_expired_invitation');
+    }
+
+    return invitation;
+  }
+
+  // What the invite page shows before accepting: password of the existing account, or a new one
+  static async getInvitation(token) {
+    const db = getDatabase();
+    const invitation = this.findPendingInvitation(token);
+    const account = db.prepare('SELECT id FROM users WHERE LOWER(email) = LOWER(?)').get(invitation.email);
+
+    return {
+      siteSlug: invitation.site_slug,
+      email: invitation.email,
+      role: invitation.role,
+      expiresAt: invitation.expires_at,
+      accountExists: Boolean(account)
+    };
+  }
+
+  // Accepted by a logged-in user with the invited email, or with a password: the existing
+  // account's one, or the password of the account created for the invited address
+  static async acceptInvitation(token, { userId = null, password = null } = {}) {
+    const db = getDatabase();
+    const invitation = this.findPendingInvitation(token);
+    let user;
+    let created = false;
+
+    if (userId) {
+      user = await AuthService.getUserById(userId);
+      if (!user || user.email.toLowerCase() !== invitation.email.toLowerCase()) {
+        throw new Error('invitation_email_mismatch');
+      }
+    } else {
+      const existing = db.prepare('SELECT id FROM users WHERE LOWER(email) = LOWER(?)').get(invitation.email);
+      if (existing) {
+        user = await AuthService.verifyPassword(existing.id, password);
+      } else {
+        const account = await AuthService.createUser({ email: invitation.email, password, role: 'client' });
+        user = await AuthService.getUserById(account.id);
+        created = true;
+      }
+    }
+
+    if (user.status === 'suspended') {
+      throw new Error('account_suspended');
+    }
+
+    const member = await this.addMember(invitation.site_slug, user.id, invitation.role, invitation.invited_by);
+    db.prepare(`
+      UPDATE site_invitations SET accepted_at = CURRENT_TIMESTAMP, accepted_by = ?
+      WHERE id = ?
+    `).run(user.id, invitation.id);
+
+    return {
+      accepted: true,
+      siteSlug: invitation.site_slug,
+      userId: user.id,
+      email: user.email,
+      role: member.role,
+      accountCreated: created
+    };
+  }
+}
@@ -1,5 +1,9 @@
 import bcrypt from 'bcryptjs';
 import { getDatabase } from '../db/database.js';
+import { SiteHookService } from './siteHookService.js';
+import { TestimonialWidgetService } from './testimonialWidgetService.js';
+
+const ONBOARDING_WINDOW_HOURS = parseInt(process.env.ONBOARDING_WINDOW_HOURS || '24');
 
 export class SiteService {
   static normalizeSiteSlug(slug) {
@@ -8,7 +12,7 @@ export class SiteService {
 
   static async createSite(siteData) {
     const db = getDatabase();
-    const { slug, active = true, notes = '', vipPin = null } = siteData;
+    const { slug, active = true, notes = '', vipPin = null, email = null, fullName = null, company = null, phone = null, document = null } = siteData;
     
     const normalizedSlug = this.normalizeSiteSlug(slug);
     let vipPinHash = null;
@@ -19,12 +23,22 @@ export class SiteService {
     }
 
     const stmt = db.prepare(`
-      INSERT INTO sites (slug, active, notes, vip_pin_hash)
-      VALUES (?, ?, ?, ?)
+      INSERT INTO sites (slug, active, notes, vip_pin_hash, email, full_name, company, phone, document)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     try {
-      const result = stmt.run(normalizedSlug, active ? 1 : 0, notes, vipPinHash);
+      const result = stmt.run(
+        normalizedSlug,
+        active ? 1 : 0,
+        notes,
+        vipPinHash,
+        email ? email.toLowerCase().trim() : null,
+        fullName,
+        company,
+        phone,
+        document
+      );
       return { id: result.lastInsertRowid, slug: normalizedSlug, active };
     } catch (error) {
       if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
@@ -44,6 +58,7 @@ export class SiteService {
   static async toggleSite(slug, active) {
     const db = getDatabase();
     const normalizedSlug = this.normalizeSiteSlug(slug);
+    const previous = db.prepare('SELECT active FROM sites WHERE slug = ?').get(normalizedSlug);
     
     const stmt = db.prepare('UPDATE sites SET active = ? WHERE slug = ?');
     const result = stmt.run(active ? 1 : 0, normalizedSlug);
@@ -52,6 +67,11 @@ export class SiteService {
       throw new Error('site_not_found');
     }
     
+    if (Boolean(previous.active) !== Boolean(active)) {
+      await SiteHookService.emit(normalizedSlug, 'site.toggled', { active: Boolean(active) });
+      TestimonialWidgetService.invalidate(normalizedSlug);
+    }
+    
     return { slug: normalizedSlug, active };
   }
 
@@ -96,9 +116,47 @@ export class SiteService {
     };
   }
 
+  // Right after the public sign-up the form uploads files and settings with the
+  // sign-up email only, before any account exists
+  static async isOnboarding(slug, email) {
+    if (!slug || !email) return false;
+    const site = await this.getSite(slug);
+    if (!site || !site.email || site.email !== String(email).toLowerCase().trim()) return false;
+
+    const createdAt = new Date(`${site.created_at.replace(' ', 'T')}Z`);
+    return Date.now() - createdAt.getTime() < ONBOARDING_WINDOW_HOURS * 60 * 60 * 1000;
+  }
+
+  // Plans belong to the owner account; sites nobody owns yet are on the entry plan
+  static async getSitePlan(slug) {
+    const db = getDatabase();
+    const owner = db.prepare('SELECT plan FROM users WHERE site_slug = ?').get(this.normalizeSiteSlug(slug));
+    return owner?.plan || 'essential';
+  }
+
   static async listSites() {
     const db = getDatabase();
     const stmt = db.prepare('SELECT slug, active, created_at FROM sites ORDER BY created_at DESC');
     return stmt.all();
   }
+
+  // Removes the site and everything stored under its slug
+  static async deleteSite(slug) {
+    const db = getDatabase();
+    const normalizedSlug = this.normalizeSiteSlug(slug);
+
+    const removeSite = db.transaction(() => {
+      for (const table of ['settings_kv', 'assets', 'leads', 'lead_merges', 'feedbacks', 'traffic_hits', 'traffic_rollup_hourly', 'traffic_rollup_daily', 'traffic_rollup_dimensions', 'site_hooks', 'site_notification_settings', 'notification_deliveries', 'site_members', 'site_invitations']) {
+        db.prepare(`DELETE FROM ${table} WHERE site_slug = ?`).run(normalizedSlug);
+      }
+      return db.prepare('DELETE FROM sites WHERE slug = ?').run(normalizedSlug);
+    });
+
+    const result = removeSite();
+    if (result.changes === 0) {
+      throw new Error('site_not_found');
+    }
+
+    return { slug: normalizedSlug, deleted: true };
+  }
 }
\ No newline at end of file
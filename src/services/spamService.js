@@ -0,0 +1,137 @@
+import crypto from 'crypto';
+import { getDatabase } from '../db/database.js';
+import { SiteService } from './siteService.js';
+
+const FORM_TOKEN_SECRET = process.env.FORM_TOKEN_SECRET || process.env.JWT_SECRET || 'elevea-dev-secret-change-in-production';
+const FORM_MIN_FILL_SECONDS = parseInt(process.env.FORM_MIN_FILL_SECONDS || '3');
+const FORM_TOKEN_TTL_HOURS = parseInt(process.env.FORM_TOKEN_TTL_HOURS || '24');
+const FORM_DUPLICATE_WINDOW_MINUTES = parseInt(process.env.FORM_DUPLICATE_WINDOW_MINUTES || '10');
+export const SPAM_QUARANTINE_SCORE = parseInt(process.env.SPAM_QUARANTINE_SCORE || '5');
+
+// Field conventions for the landing page forms: _hp is a hidden input people never fill,
+// _ft carries the token from GET /api/form-token, fetched when the form is rendered
+export const HONEYPOT_FIELD = '_hp';
+export const FORM_TOKEN_FIELD = '_ft';
+
+const URL_REGEX = /(https?:\/\/|www\.)\S+/gi;
+
+function sign(siteSlug, issuedAt) {
+  return crypto.createHmac('sha256', FORM_TOKEN_SECRET).update(`${siteSlug}:${issuedAt}`).digest('base64url');
+}
+
+function linkCount(text) {
+  return (String(text || '').match(URL_REGEX) || []).length;
+}
+
+// Each check gets (fields, context) and returns { score, reason } or null.
+// context: { kind: 'lead' | 'feedback', siteSlug, ip, userAgent, now }
+const SPAM_CHECKS = [
+  fields => (String(fields[HONEYPOT_FIELD] || '').trim()
+    ? { score: 10, reason: 'honeypot_filled' }
+    : null),
+
+  (fields, context) => {
+    const result = SpamService.checkFormToken(context.siteSlug, fields[FORM_TOKEN_FIELD], context.now);
+    if (result === 'missing') return { score: 1, reason: 'form_token_missing' };
+    if (result === 'invalid') return { score: 4, reason: 'form_token_invalid' };
+    if (result === 'expired') return { score: 2, reason: 'form_token_expired' };
+    if (result === 'too_fast') return { score: 5, reason: 'filled_too_fast' };
+    return null;
+  },
+
+  (fields, context) => {
+    const links = linkCount(context.kind === 'lead' ? fields.message : fields.comment);
+    if (links >= 3) return { score: 4, reason: 'many_links' };
+    if (links > 0) return { score: 1, reason: 'contains_links' };
+    return null;
+  },
+
+  fields => (linkCount(fields.name) > 0 ? { score: 5, reason: 'link_in_name' } : null),
+
+  (fields, context) => (context.userAgent ? null : { score: 2, reason: 'no_user_agent' })
+];
+
+export class SpamService {
+  static issueFormToken(siteSlug, now = Date.now()) {
+    const normalizedSlug = SiteService.normalizeSiteSlug(siteSlug);
+    return `${now}.${sign(normalizedSlug, now)}`;
+  }
+
+  // 'ok', 'missing', 'invalid', 'expired' or 'too_fast'
+  static checkFormToken(siteSlug, token, now = Date.now()) {
+    if (!token) return 'missing';
+
+    const [issuedAtText, signature = ''] = String(token).split('.');
+    const issuedAt = Number(issuedAtText);
+    const expected = sign(SiteService.normalizeSiteSlug(siteSlug), issuedAtText);
+    const valid = Number.isInteger(issuedAt)
+      && signature.length === expected.length
+      && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+
+    if (!valid || issuedAt > now) return 'invalid';
+    if (now - issuedAt > FORM_TOKEN_TTL_HOURS * 60 * 60 * 1000) return 'expired';
+    if (now - issuedAt < FORM_MIN_FILL_SECONDS * 1000) return 'too_fast';
+    return 'ok';
+  }
+
+  // Scoring hook: extra checks (blocklists, external classifiers) run after the built-in ones
+  static registerCheck(check) {
+    SPAM_CHECKS.push(check);
+  }
+
+  static async inspect(fields, context) {
+    const ctx = { now: Date.now(), ...context };
+    const reasons = [];
+    let score = 0;
+
+    for (const check of SPAM_CHECKS) {
+      try {
+        const result = await check(fields, ctx);
+        if (result?.score) {
+          score += result.score;
+          reasons.push(result.reason);
+        }
+      } catch (error) {
+        // A broken hook must not cost us the submission
+        console.warn('Spam check failed:', error.message);
+      }
+    }
+
+    return { score, reasons, quarantined: score >= SPAM_QUARANTINE_SCORE };
+  }
+
+  // A resubmission of the same form (double click, bot replay) within the window returns the original id
+  static findRecentDuplicate(kind, siteSlug, { email, message, comment, ip }) {
+    const db = getDatabase();
+    const normalizedSlug = SiteService.normalizeSiteSlug(siteSlug);
+    const since = `-${FORM_DUPLICATE_WINDOW_MINUTES} minutes`;
+
+    if (kind === 'lead') {
+      const row = db.prepare(`
+        SELECT id FROM leads
+        WHERE site_slug = ? AND email = ? AND COALESCE(message, '') = ?
+          AND created_at > datetime('now', ?)
+        ORDER BY id DESC LIMIT 1
+      `).get(normalizedSlug, String(email || '').toLowerCase().trim(), String(message || '').trim(), since);
+      return row ? row.id : null;
+    }
+
+    const row = db.prepare(`
+      SELECT id FROM feedbacks
+      WHERE site_slug = ? AND comment = ?
+        AND (email = ? OR submitter_ip = ?)
+        AND created_at > datetime('now', ?)
+      ORDER BY id DESC LIMIT 1
+    `).get(normalizedSlug, String(comment || '').trim(), String(email || '').toLowerCase().trim(), ip || '', since);
+    return row ? row.id : null;
+  }
+
+  static getFormSettings(siteSlug) {
+    return {
+      token: this.issueFormToken(siteSlug),
+      tokenField: FORM_TOKEN_FIELD,
+      honeypotField: HONEYPOT_FIELD,
+      minFillSeconds: FORM_MIN_FILL_SECONDS
+    };
+  }
+}
@@ -1,5 +1,7 @@
 import { getDatabase } from '../db/database.js';
 import { SiteService } from './siteService.js';
+import { DunningService } from './dunningService.js';
+import { SiteHookService } from './siteHookService.js';
 
 export class SubscriptionService {
   static isActiveBillingStatus(status) {
@@ -9,7 +11,8 @@ export class SubscriptionService {
 
   static async getSubscriptionStatus(siteSlug, email = null) {
     const db = getDatabase();
-    const normalizedSlug = SiteService.normalizeSiteSlug(siteSlug);
+    // Looking up by email alone is allowed (legacy client-plan/client-billing)
+    const normalizedSlug = siteSlug ? SiteService.normalizeSiteSlug(siteSlug) : null;
     
     // Find user by site slug or email
     let user;
@@ -29,21 +32,24 @@ export class SubscriptionService {
     const isActive = this.isActiveBillingStatus(user.billing_status);
     const isVip = user.plan === 'vip' || isActive;
     
-    // Check if billing is overdue
+    // Check if billing is overdue; the grace period ends when the plan's dunning policy suspends the site
     let isOverdue = false;
     let gracePeriodEnd = null;
+    let archiveDate = null;
     if (user.billing_next) {
       const nextDate = new Date(user.billing_next);
       const now = new Date();
-      const GRACE_DAYS = 3;
+      const policy = await DunningService.getPolicy(user.plan);
       
       isOverdue = nextDate < now;
       gracePeriodEnd = new Date(nextDate);
-      gracePeriodEnd.setDate(gracePeriodEnd.getDate() + GRACE_DAYS);
+      gracePeriodEnd.setDate(gracePeriodEnd.getDate() + policy.suspendAfterDays);
+      archiveDate = new Date(nextDate);
+      archiveDate.setDate(archiveDate.getDate() + policy.archiveAfterDays);
     }
     
     return {
-      siteSlug: normalizedSlug,
+      siteSlug: normalizedSlug || user.site_slug,
       email: user.email,
       plan: user.plan,
       status: user.billing_status,
@@ -51,6 +57,8 @@ export class SubscriptionService {
       isVip,
       isOverdue,
       gracePeriodEnd: gracePeriodEnd?.toISOString(),
+      archiveDate: archiveDate?.toISOString(),
+      dunningState: DunningService.getCase(user.id).state,
       nextCharge: user.billing_next,
       amount: user.billing_amount,
       currency: user.billing_currency,
@@ -62,6 +70,7 @@ export class SubscriptionService {
   static async updateBillingStatus(userId, billingData) {
     const db = getDatabase();
     const { status, nextDate, amount, currency = 'BRL', provider = 'mercadopago' } = billingData;
+    const previous = await this.getUserById(userId);
     
     const stmt = db.prepare(`
       UPDATE users 
@@ -79,12 +88,24 @@ export class SubscriptionService {
       throw new Error('user_not_found');
     }
     
-    // If status becomes active, ensure site is active too
+    // If status becomes active, ensure site is active too and close any dunning case
     if (this.isActiveBillingStatus(status)) {
       const user = await this.getUserById(userId);
       if (user && user.site_slug) {
         await SiteService.toggleSite(user.site_slug, true);
       }
+      await DunningService.resolve(userId, provider);
+    }
+    
+    if (previous.site_slug && previous.billing_status !== status) {
+      await SiteHookService.emit(previous.site_slug, 'billing.changed', {
+        status,
+        previousStatus: previous.billing_status || null,
+        nextDate: nextDate || null,
+        amount: amount ?? null,
+        currency,
+        provider
+      });
     }
     
     return { updated: true, userId, status };
@@ -97,63 +118,44 @@ export class SubscriptionService {
   }
 
   static async getLastPayment(userId) {
-    // This would typically query a payments table
-    // For now, return mock data based on billing info
-    const user = await this.getUserById(userId);
+    const db = getDatabase();
+    
+    const stmt = db.prepare(`
+      SELECT paid_at, created_at, amount, currency, status
+      FROM payments 
+      WHERE user_id = ? AND resource = 'payment' AND status IN ('approved', 'accredited')
+      ORDER BY COALESCE(paid_at, created_at) DESC
+      LIMIT 1
+    `);
+    
+    const payment = stmt.get(userId);
     
-    if (!user || !user.billing_amount) {
+    if (!payment) {
       return null;
     }
     
-    // Mock last payment - in real system this would be from payments table
     return {
-      date: user.updated_at,
-      amount: user.billing_amount,
-      currency: user.billing_currency,
-      status: user.billing_status,
-      provider: user.billing_provider
+      date: payment.paid_at || payment.created_at,
+      amount: payment.amount,
+      currency: payment.currency,
+      status: payment.status,
+      provider: 'mercadopago'
     };
   }
 
+  // Daily job: advances overdue accounts through the dunning workflow
   static async processGracePeriodCheck() {
-    const db = getDatabase();
-    const GRACE_DAYS = 3;
-    const now = new Date();
-    
-    // Find users with overdue billing beyond grace period
-    const stmt = db.prepare(`
-      SELECT id, email, site_slug, billing_next, billing_status
-      FROM users 
-      WHERE billing_next IS NOT NULL 
-        AND billing_next < datetime('now', '-${GRACE_DAYS} days')
-        AND billing_status NOT IN ('cancelled', 'suspended')
-    `);
-    
-    const overdueUsers = stmt.all();
-    
-    for (const user of overdueUsers) {
-      // Set billing status to cancelled
-      const updateStmt = db.prepare(`
-        UPDATE users 
-        SET billing_status = 'cancelled' 
-        WHERE id = ?
-      `);
-      updateStmt.run(user.id);
-      
-      // Deactivate site
-      if (user.site_slug) {
-        try {
-          await SiteService.toggleSite(user.site_slug, false);
-          console.log(`Deactivated site ${user.site_slug} due to overdue billing`);
-        } catch (error) {
-          console.error(`Error deactivating site ${user.site_slug}:`, error);
-        }
-      }
-    }
+    const result = await DunningService.run();
+    const sitesFor = (action) => result.plan
+      .filter(entry => entry.siteSlug && entry.actions.some(step => step.action === action))
+      .map(entry => entry.siteSlug);
     
     return {
-      processed: overdueUsers.length,
-      deactivatedSites: overdueUsers.filter(u => u.site_slug).map(u => u.site_slug)
+      processed: result.changed,
+      deactivatedSites: [...sitesFor('suspend'), ...sitesFor('archive')],
+      suspendedSites: sitesFor('suspend'),
+      archivedSites: sitesFor('archive'),
+      dunning: result
     };
   }
 
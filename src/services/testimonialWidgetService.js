@@ -0,0 +1,278 @@
+import { FeedbackService } from './feedbackService.js';
+import { SettingsService } from './settingsService.js';
+import { SiteService } from './siteService.js';
+
+export const WIDGET_LAYOUTS = ['carousel', 'grid', 'badge'];
+const DEFAULT_LIMIT = 9;
+const MAX_LIMIT = 24;
+const CACHE_TTL_MS = parseInt(process.env.WIDGET_CACHE_SECONDS || '300') * 1000;
+const CACHE_MAX_ENTRIES = 500;
+const HEX_COLOR = /^#[0-9a-f]{3}([0-9a-f]{3})?$/i;
+
+// Onboarding presets, as in src/pages/obrigado/constants.ts: [primary, text, background]
+const PALETTES = {
+  dourado: ['#b98a2f', '#111111', '#f6f3ee'],
+  azul: ['#1e3a8a', '#0f172a', '#f1f5f9'],
+  verde: ['#166534', '#0b1f16', '#edf7ef'],
+  vermelho: ['#b91c1c', '#111111', '#faf2f2'],
+  'preto-branco': ['#111111', '#ffffff', '#e5e7eb']
+};
+const DEFAULT_THEME = { primary: '#111111', text: '#1f2937', background: '#ffffff' };
+
+// Rendered widgets per site/options; dropped on moderation and after CACHE_TTL_MS
+const cache = new Map();
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// JSON safe to inline in <script>
+function inlineJson(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c').replace(/\u2028/g, '\\u2028').replace(/\u2029/g, '\\u2029');
+}
+
+function toIsoDate(timestamp) {
+  return String(timestamp || '').slice(0, 10);
+}
+
+function formatDate(timestamp) {
+  const date = new Date(`${String(timestamp).replace(' ', 'T')}Z`);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleDateString('pt-BR');
+}
+
+function stars(rating) {
+  const full = Math.round(rating);
+  return `<span class="stars" aria-label="${rating} de 5">${'★'.repeat(full)}<span class="off">${'★'.repeat(5 - full)}</span></span>`;
+}
+
+// Dashboard palettes are saved as settings.colors [dark, primary, accent]; onboarding saves
+// settings.paleta (a preset id or "custom:#hex,#hex")
+function themeFromSettings(settings) {
+  if (Array.isArray(settings.colors) && settings.colors.length >= 2) {
+    const [dark, primary] = settings.colors;
+    return { ...DEFAULT_THEME, primary, text: dark };
+  }
+
+  const paleta = String(settings.paleta || '');
+  if (PALETTES[paleta]) {
+    const [primary, text, background] = PALETTES[paleta];
+    return { primary, text, background };
+  }
+
+  if (paleta.startsWith('custom:')) {
+    const [primary, text, background] = paleta.slice(7).split(',');
+    return {
+      primary: primary || DEFAULT_THEME.primary,
+      text: text || DEFAULT_THEME.text,
+      background: background || DEFAULT_THEME.background
+    };
+  }
+
+  return DEFAULT_THEME;
+}
+
+const STYLES = `
+  .ew { --ew-primary: var(--p); font-family: system-ui, -apple-system, Segoe UI, Roboto, sans-serif; color: var(--t); line-height: 1.5; }
+  .ew * { box-sizing: border-box; }
+  .ew-summary { display: flex; align-items: center; gap: 8px; margin-bottom: 12px; font-size: 15px; }
+  .ew-summary b { font-size: 20px; }
+  .stars { color: var(--ew-primary); letter-spacing: 1px; }
+  .stars .off { opacity: .25; }
+  .ew-list { display: grid; gap: 16px; grid-template-columns: repeat(auto-fill, minmax(240px, 1fr)); }
+  .ew-carousel .ew-list { display: flex; overflow-x: auto; scroll-snap-type: x mandatory; scrollbar-width: none; }
+  .ew-carousel .ew-list::-webkit-scrollbar { display: none; }
+  .ew-carousel .ew-card { flex: 0 0 min(320px, 85%); scroll-snap-align: start; }
+  .ew-card { background: var(--b); border: 1px solid color-mix(in srgb, var(--t) 12%, transparent); border-radius: 12px; padding: 16px; }
+  .ew-card p { margin: 8px 0; white-space: pre-line; }
+  .ew-author { font-weight: 600; font-size: 14px; }
+  .ew-date { opacity: .6; font-size: 12px; margin-left: 6px; font-weight: 400; }
+  .ew-reply { margin-top: 10px; padding-left: 10px; border-left: 3px solid var(--ew-primary); font-size: 14px; opacity: .85; }
+  .ew-nav { display: flex; justify-content: flex-end; gap: 8px; margin-top: 8px; }
+  .ew-nav button { border: 0; border-radius: 999px; width: 32px; height: 32px; cursor: pointer; background: var(--ew-primary); color: #fff; font-size: 16px; }
+  .ew-badge { display: inline-flex; align-items: center; gap: 8px; padding: 8px 14px; border-radius: 999px; background: var(--b); border: 1px solid color-mix(in srgb, var(--t) 15%, transparent); font-size: 14px; }
+  .ew-empty { opacity: .6; font-size: 14px; }
+`;
+
+// Wires the carousel buttons; runs inside the iframe page and on the shadow root of the script embed
+const CAROUSEL_SCRIPT = `function (root) {
+  var list = root.querySelector('.ew-list');
+  root.querySelectorAll('[data-ew-step]').forEach(function (button) {
+    button.addEventListener('click', function () {
+      list.scrollBy({ left: list.clientWidth * Number(button.getAttribute('data-ew-step')), behavior: 'smooth' });
+    });
+  });
+}`;
+
+export class TestimonialWidgetService {
+  static normalizeOptions(query = {}) {
+    const layout = WIDGET_LAYOUTS.includes(query.layout) ? query.layout : 'carousel';
+    const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const overrides = {};
+    for (const key of ['primary', 'text', 'background']) {
+      if (HEX_COLOR.test(query[key] || '')) overrides[key] = query[key];
+    }
+    return { layout, limit, overrides };
+  }
+
+  // Approved public testimonials, the public rating and the theme of an active site; null when the site
+  // does not exist or is suspended
+  static async getWidgetData(siteSlug, { limit = DEFAULT_LIMIT, overrides = {} } = {}) {
+    const site = await SiteService.getSite(siteSlug);
+    if (!site || !site.active) return null;
+
+    const [{ feedbacks }, stats, settings] = await Promise.all([
+      FeedbackService.getFeedbacks(site.slug, 1, limit, { onlyPublic: true }),
+      FeedbackService.getFeedbackStats(site.slug),
+      SettingsService.getSettings(site.slug)
+    ]);
+
+    const theme = { ...themeFromSettings(settings), ...overrides };
+    for (const key of Object.keys(theme)) {
+      if (!HEX_COLOR.test(theme[key])) theme[key] = DEFAULT_THEME[key];
+    }
+
+    return {
+      site: { slug: site.slug, name: site.company || site.slug },
+      rating: stats.publicRating,
+      feedbacks,
+      theme
+    };
+  }
+
+  // schema.org AggregateRating (plus the listed reviews) for search engines; null without ratings
+  static buildJsonLd(data) {
+    if (!data.rating.count) return null;
+
+    return {
+      '@context': 'https://schema.org',
+      '@type': 'Organization',
+      name: data.site.name,
+      aggregateRating: {
+        '@type': 'AggregateRating',
+        ratingValue: data.rating.average,
+        reviewCount: data.rating.count,
+        bestRating: 5,
+        worstRating: 1
+      },
+      review: data.feedbacks.slice(0, 5).map(feedback => ({
+        '@type': 'Review',
+        author: { '@type': 'Person', name: feedback.name || 'Cliente' },
+        datePublished: toIsoDate(feedback.created_at),
+        reviewBody: feedback.comment,
+        reviewRating: { '@type': 'Rating', ratingValue: feedback.rating, bestRating: 5 }
+      }))
+    };
+  }
+
+  // Widget markup (styles included), without scripts
+  static renderMarkup(data, layout) {
+    const { theme, rating } = data;
+    const vars = `--p:${theme.primary};--t:${theme.text};--b:${theme.background}`;
+    const count = `${rating.count} avaliaç${rating.count === 1 ? 'ão' : 'ões'}`;
+
+    if (layout === 'badge') {
+      return `<style>${STYLES}</style><div class="ew" style="${vars}"><span class="ew-badge">${stars(rating.average)} <b>${rating.average.toFixed(1).replace('.', ',')}</b> · ${count}</span></div>`;
+    }
+
+    const cards = data.feedbacks.map(feedback => `
+      <figure class="ew-card">
+        ${stars(feedback.rating)}
+        <p>${escapeHtml(feedback.comment)}</p>
+        <figcaption class="ew-author">${escapeHtml(feedback.name || 'Cliente')}<span class="ew-date">${formatDate(feedback.created_at)}</span></figcaption>
+        ${feedback.reply ? `<div class="ew-reply"><b>Resposta de ${escapeHtml(data.site.name)}:</b> ${escapeHtml(feedback.reply)}</div>` : ''}
+      </figure>`).join('');
+
+    const summary = rating.count
+      ? `<div class="ew-summary">${stars(rating.average)} <b>${rating.average.toFixed(1).replace('.', ',')}</b> <span>${count}</span></div>`
+      : '';
+    const nav = layout === 'carousel' && data.feedbacks.length > 1
+      ? '<div class="ew-nav"><button type="button" data-ew-step="-1" aria-label="Anterior">‹</button><button type="button" data-ew-step="1" aria-label="Próximo">›</button></div>'
+      : '';
+
+    return `<style>${STYLES}</style><div class="ew ew-${layout}" style="${vars}">${summary}${cards ? `<div class="ew-list">${cards}</div>${nav}` : '<div class="ew-empty">Nenhum depoimento ainda.</div>'}</div>`;
+  }
+
+  // Standalone page for <iframe> embeds
+  static renderPage(data, layout) {
+    const jsonLd = this.buildJsonLd(data);
+    return `<!doctype html>
+<html lang="pt-BR">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Depoimentos - ${escapeHtml(data.site.name)}</title>
+<style>body { margin: 0; padding: 8px; background: transparent; }</style>
+${jsonLd ? `<script type="application/ld+json">${inlineJson(jsonLd)}</script>` : ''}
+</head>
+<body>
+${this.renderMarkup(data, layout)}
+<script>(${CAROUSEL_SCRIPT})(document);</script>
+</body>
+</html>`;
+  }
+
+  // Script embed: renders into a shadow root next to the <script> tag (or into data-target) so the
+  // site's CSS does not leak in, and adds the JSON-LD to the host page once
+  static renderScript(data, layout) {
+    const jsonLd = this.buildJsonLd(data);
+    return `(function () {
+  var markup = ${inlineJson(this.renderMarkup(data, layout))};
+  var jsonLd = ${jsonLd ? inlineJson(jsonLd) : 'null'};
+  var script = document.currentScript;
+  var selector = script && script.getAttribute('data-target');
+  var host = document.createElement('div');
+  host.className = 'elevea-testimonials';
+  var target = selector && document.querySelector(selector);
+  if (target) target.appendChild(host);
+  else if (script && script.parentNode) script.parentNode.insertBefore(host, script.nextSibling);
+  else document.body.appendChild(host);
+  var root = host.attachShadow ? host.attachShadow({ mode: 'open' }) : host;
+  root.innerHTML = markup;
+  (${CAROUSEL_SCRIPT})(root);
+  if (jsonLd && !document.querySelector('script[data-elevea-rating]')) {
+    var ld = document.createElement('script');
+    ld.type = 'application/ld+json';
+    ld.setAttribute('data-elevea-rating', '');
+    ld.text = JSON.stringify(jsonLd);
+    document.head.appendChild(ld);
+  }
+})();
+`;
+  }
+
+  // format: 'html' (iframe page) or 'js' (script embed). Returns null for unknown/suspended sites.
+  static async render(siteSlug, format, query = {}) {
+    const normalizedSlug = SiteService.normalizeSiteSlug(siteSlug);
+    const options = this.normalizeOptions(query);
+    const key = [normalizedSlug, format, options.layout, options.limit, JSON.stringify(options.overrides)].join('|');
+
+    const cached = cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.body;
+    }
+
+    const data = await this.getWidgetData(normalizedSlug, options);
+    const body = data
+      ? (format === 'js' ? this.renderScript(data, options.layout) : this.renderPage(data, options.layout))
+      : null;
+
+    if (cache.size >= CACHE_MAX_ENTRIES) {
+      cache.delete(cache.keys().next().value);
+    }
+    cache.set(key, { body, expiresAt: Date.now() + CACHE_TTL_MS });
+
+    return body;
+  }
+
+  // Called when a site's testimonials change (moderation, edits, replies)
+  static invalidate(siteSlug) {
+    const prefix = `${SiteService.normalizeSiteSlug(siteSlug)}|`;
+    for (const key of cache.keys()) {
+      if (key.startsWith(prefix)) cache.delete(key);
+    }
+  }
+}
@@ -0,0 +1,270 @@
+import { getDatabase } from '../db/database.js';
+import { SiteService } from './siteService.js';
+
+// Raw hits older than this are compacted away once aggregated (0 keeps them forever)
+const TRAFFIC_RETENTION_DAYS = parseInt(process.env.TRAFFIC_RETENTION_DAYS || '180');
+// Hits aggregated per transaction
+const ROLLUP_BATCH_SIZE = 5000;
+
+const HIT_COLUMNS = `id, site_slug, path, visitor_hash, session_id, referrer_host, source, medium,
+  utm_campaign, utm_term, utm_content, device_type, browser, os, language, is_bot, bot_name, bot_reason, created_at`;
+
+// Dimensions counted per day. `sql` (backfill) and `value` (incremental) must agree for every hit:
+// json_array and JSON.stringify write the same text. Hits whose value is null are not counted.
+const DIMENSIONS = {
+  path: { sql: "COALESCE(path, '/')", value: hit => hit.path ?? '/' },
+  source: { sql: 'json_array(source, medium)', value: hit => JSON.stringify([hit.source, hit.medium]) },
+  medium: { sql: 'medium', value: hit => hit.medium },
+  referrer: { sql: 'referrer_host', value: hit => hit.referrer_host },
+  campaign: {
+    sql: 'CASE WHEN utm_campaign IS NOT NULL THEN json_array(utm_campaign, source, medium) END',
+    value: hit => (hit.utm_campaign != null ? JSON.stringify([hit.utm_campaign, hit.source, hit.medium]) : null)
+  },
+  campaign_content: {
+    sql: `CASE WHEN utm_campaign IS NOT NULL AND (utm_content IS NOT NULL OR utm_term IS NOT NULL)
+      THEN json_array(utm_campaign, utm_content, utm_term) END`,
+    value: hit => (hit.utm_campaign != null && (hit.utm_content != null || hit.utm_term != null)
+      ? JSON.stringify([hit.utm_campaign, hit.utm_content, hit.utm_term])
+      : null)
+  },
+  device: { sql: "COALESCE(device_type, 'unknown')", value: hit => hit.device_type ?? 'unknown' },
+  browser: { sql: "COALESCE(browser, 'unknown')", value: hit => hit.browser ?? 'unknown' },
+  os: { sql: "COALESCE(os, 'unknown')", value: hit => hit.os ?? 'unknown' },
+  language: { sql: "COALESCE(language, 'unknown')", value: hit => hit.language ?? 'unknown' }
+};
+
+// Bot hits only go here: hits per robot (its name, or the heuristic that caught it) and path
+const CRAWLER_DIMENSION = {
+  sql: "json_array(COALESCE(bot_name, bot_reason, 'unknown'), COALESCE(path, '/'))",
+  value: hit => JSON.stringify([hit.bot_name ?? hit.bot_reason ?? 'unknown', hit.path ?? '/'])
+};
+
+// created_at is "YYYY-MM-DD HH:MM:SS" in UTC
+function parseTimestamp(createdAt) {
+  const text = String(createdAt).replace(' ', 'T');
+  return new Date(/Z$|[+-]\d\d:?\d\d$/.test(text) ? text : `${text}Z`);
+}
+
+function nextDay(day) {
+  return new Date(Date.parse(`${day}T00:00:00Z`) + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+function prepareStatements(db) {
+  return {
+    // The visitor's hits of the same day aggregated before this one
+    earlier: db.prepare(`
+      SELECT ${HIT_COLUMNS} FROM traffic_hits
+      WHERE site_slug = ? AND visitor_hash = ? AND created_at >= ? AND created_at < ? AND id < ? AND is_bot = 0
+    `),
+    hourly: db.prepare(`
+      INSERT INTO traffic_rollup_hourly (site_slug, hour, path, hits) VALUES (?, ?, ?, 1)
+      ON CONFLICT (site_slug, hour, path) DO UPDATE SET hits = hits + 1
+    `),
+    daily: db.prepare(`
+      INSERT INTO traffic_rollup_daily (site_slug, day, hits, visitors, sessions, bounces, session_seconds)
+      VALUES (?, ?, 1, ?, ?, ?, ?)
+      ON CONFLICT (site_slug, day) DO UPDATE SET
+        hits = hits + 1,
+        visitors = visitors + excluded.visitors,
+        sessions = sessions + excluded.sessions,
+        bounces = bounces + excluded.bounces,
+        session_seconds = session_seconds + excluded.session_seconds
+    `),
+    dimension: db.prepare(`
+      INSERT INTO traffic_rollup_dimensions (site_slug, day, dimension, value, hits, visitors) VALUES (?, ?, ?, ?, 1, ?)
+      ON CONFLICT (site_slug, dimension, day, value) DO UPDATE SET hits = hits + 1, visitors = visitors + excluded.visitors
+    `)
+  };
+}
+
+// Adds one hit to the rollups. Whether it brings a new visitor or session (and how much longer the
+// session gets) is decided from the visitor's earlier hits that day, which the visitor index finds.
+// A session belongs to one visitor; sessions running past midnight count on both days. Bot hits
+// are only counted in the crawler dimension.
+function aggregateHit(statements, hit) {
+  const time = parseTimestamp(hit.created_at);
+  const day = time.toISOString().slice(0, 10);
+  const hour = `${day} ${time.toISOString().slice(11, 13)}:00:00`;
+
+  if (hit.is_bot) {
+    statements.dimension.run(hit.site_slug, day, 'crawler', CRAWLER_DIMENSION.value(hit), 0);
+    return;
+  }
+
+  const earlier = hit.visitor_hash != null
+    ? statements.earlier.all(hit.site_slug, hit.visitor_hash, day, nextDay(day), hit.id)
+    : [];
+  const countsVisitor = value => hit.visitor_hash != null && !earlier.some(other => value(other) === value(hit));
+
+  let sessions = 0;
+  let bounces = 0;
+  let sessionSeconds = 0;
+  if (hit.session_id != null && hit.visitor_hash != null) {
+    const seconds = earlier
+      .filter(other => other.session_id === hit.session_id)
+      .map(other => Math.floor(parseTimestamp(other.created_at).getTime() / 1000));
+    const own = Math.floor(time.getTime() / 1000);
+
+    if (seconds.length === 0) {
+      sessions = 1;
+      bounces = 1;
+    } else {
+      if (seconds.length === 1) bounces = -1;
+      const first = Math.min(...seconds);
+      const last = Math.max(...seconds);
+      sessionSeconds = (Math.max(last, own) - Math.min(first, own)) - (last - first);
+    }
+  }
+
+  statements.hourly.run(hit.site_slug, hour, DIMENSIONS.path.value(hit));
+  statements.daily.run(hit.site_slug, day, hit.visitor_hash != null && earlier.length === 0 ? 1 : 0, sessions, bounces, sessionSeconds);
+
+  for (const [dimension, { value }] of Object.entries(DIMENSIONS)) {
+    const key = value(hit);
+    if (key == null) continue;
+    statements.dimension.run(hit.site_slug, day, dimension, key, countsVisitor(value) ? 1 : 0);
+  }
+}
+
+export class TrafficRollupService {
+  static getState() {
+    const db = getDatabase();
+    const state = db.prepare('SELECT last_hit_id, updated_at FROM traffic_rollup_state WHERE id = 1').get();
+    const { maxId } = db.prepare('SELECT COALESCE(MAX(id), 0) as maxId FROM traffic_hits').get();
+    const { pending } = db.prepare('SELECT COUNT(*) as pending FROM traffic_hits WHERE id > ?').get(state?.last_hit_id || 0);
+
+    return {
+      lastHitId: state?.last_hit_id || 0,
+      latestHitId: maxId,
+      pending,
+      updatedAt: state?.updated_at || null
+    };
+  }
+
+  // Aggregates hits recorded since the last run, oldest first, `batchSize` per transaction
+  static async rollUpPending({ batchSize = ROLLUP_BATCH_SIZE, maxBatches = 20 } = {}) {
+    const db = getDatabase();
+    const statements = prepareStatements(db);
+
+    const runBatch = db.transaction(() => {
+      const { last_hit_id } = db.prepare('SELECT last_hit_id FROM traffic_rollup_state WHERE id = 1').get();
+      const hits = db.prepare(`SELECT ${HIT_COLUMNS} FROM traffic_hits WHERE id > ? ORDER BY id LIMIT ?`).all(last_hit_id, batchSize);
+
+      for (const hit of hits) aggregateHit(statements, hit);
+
+      if (hits.length > 0) {
+        db.prepare('UPDATE traffic_rollup_state SET last_hit_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = 1')
+          .run(hits[hits.length - 1].id);
+      }
+      return hits.length;
+    });
+
+    let aggregated = 0;
+    for (let batch = 0; batch < maxBatches; batch++) {
+      const count = runBatch.immediate();
+      aggregated += count;
+      if (count < batchSize) break;
+    }
+
+    return { aggregated };
+  }
+
+  // Recomputes rollups from raw hits: every day with raw hits (only `siteSlug` and the last `days`
+  // days when given) plus the days of hits not aggregated yet. Days whose raw hits were compacted
+  // keep their rollups.
+  static async rebuild({ siteSlug = null, days = null } = {}) {
+    const db = getDatabase();
+    const since = days ? new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10) : null;
+
+    const deleteHourly = db.prepare('DELETE FROM traffic_rollup_hourly WHERE site_slug = ? AND hour >= ? AND hour < ?');
+    const deleteDaily = db.prepare('DELETE FROM traffic_rollup_daily WHERE site_slug = ? AND day = ?');
+    const deleteDimensions = db.prepare('DELETE FROM traffic_rollup_dimensions WHERE site_slug = ? AND day = ?');
+
+    const dayHits = (isBot = 0) => `
+      SELECT * FROM traffic_hits
+      WHERE site_slug = @site AND created_at >= @day AND created_at < @nextDay AND id <= @maxId AND is_bot = ${isBot}
+    `;
+    const insertHourly = db.prepare(`
+      INSERT INTO traffic_rollup_hourly (site_slug, hour, path, hits)
+      SELECT @site, strftime('%Y-%m-%d %H:00:00', created_at), ${DIMENSIONS.path.sql}, COUNT(*)
+      FROM (${dayHits()})
+      GROUP BY 2, 3
+    `);
+    const insertDaily = db.prepare(`
+      WITH hits AS (${dayHits()})
+      INSERT INTO traffic_rollup_daily (site_slug, day, hits, visitors, sessions, bounces, session_seconds)
+      SELECT * FROM (
+        SELECT @site, @day,
+          (SELECT COUNT(*) FROM hits) as hits,
+          (SELECT COUNT(DISTINCT visitor_hash) FROM hits),
+          COUNT(*), COALESCE(SUM(pages = 1), 0), COALESCE(SUM(span), 0)
+        FROM (
+          SELECT COUNT(*) as pages, strftime('%s', MAX(created_at)) - strftime('%s', MIN(created_at)) as span
+          FROM hits
+          WHERE session_id IS NOT NULL AND visitor_hash IS NOT NULL
+          GROUP BY visitor_hash, session_id
+        )
+      )
+      WHERE hits > 0
+    `);
+    const insertDimensions = Object.entries(DIMENSIONS).map(([dimension, { sql }]) => db.prepare(`
+      INSERT INTO traffic_rollup_dimensions (site_slug, day, dimension, value, hits, visitors)
+      SELECT @site, @day, '${dimension}', value, COUNT(*), COUNT(DISTINCT visitor_hash)
+      FROM (SELECT ${sql} as value, visitor_hash FROM (${dayHits()}))
+      WHERE value IS NOT NULL
+      GROUP BY value
+    `));
+    insertDimensions.push(db.prepare(`
+      INSERT INTO traffic_rollup_dimensions (site_slug, day, dimension, value, hits, visitors)
+      SELECT @site, @day, 'crawler', ${CRAWLER_DIMENSION.sql}, COUNT(*), 0
+      FROM (${dayHits(1)})
+      GROUP BY 4
+    `));
+
+    const run = db.transaction(() => {
+      const { last_hit_id } = db.prepare('SELECT last_hit_id FROM traffic_rollup_state WHERE id = 1').get();
+      const { maxId } = db.prepare('SELECT COALESCE(MAX(id), 0) as maxId FROM traffic_hits').get();
+
+      const siteDays = db.prepare(`
+        SELECT DISTINCT site_slug as site, DATE(created_at) as day
+        FROM traffic_hits
+        WHERE id <= @maxId
+          AND (((@site IS NULL OR site_slug = @site) AND (@since IS NULL OR created_at >= @since)) OR id > @lastHitId)
+      `).all({ maxId, site: siteSlug ? SiteService.normalizeSiteSlug(siteSlug) : null, since, lastHitId: last_hit_id });
+
+      for (const { site, day } of siteDays) {
+        const params = { site, day, nextDay: nextDay(day), maxId };
+        deleteHourly.run(site, day, params.nextDay);
+        deleteDaily.run(site, day);
+        deleteDimensions.run(site, day);
+
+        insertHourly.run(params);
+        insertDaily.run(params);
+        for (const statement of insertDimensions) statement.run(params);
+      }
+
+      db.prepare('UPDATE traffic_rollup_state SET last_hit_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = 1')
+        .run(Math.max(last_hit_id, maxId));
+
+      return { days: siteDays.length, lastHitId: Math.max(last_hit_id, maxId) };
+    });
+
+    return run.immediate();
+  }
+
+  // Deletes raw hits past the retention period once they are in the rollups. Whole days only, and
+  // never the last two: visitors and sessions of a day are counted from that day's raw hits.
+  static async compactRawHits(retentionDays = TRAFFIC_RETENTION_DAYS) {
+    const db = getDatabase();
+    if (!retentionDays || retentionDays <= 0) return { compacted: 0 };
+
+    const keepDays = Math.max(2, retentionDays);
+    const result = db.prepare(`
+      DELETE FROM traffic_hits
+      WHERE created_at < date('now', ?)
+        AND id <= (SELECT last_hit_id FROM traffic_rollup_state WHERE id = 1)
+    `).run(`-${keepDays} days`);
+
+    return { compacted: result.changes, retentionDays: keepDays };
+  }
+}
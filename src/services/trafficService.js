@@ -1,23 +1,153 @@
+import crypto from 'crypto';
 import { getDatabase } from '../db/database.js';
 import { SiteService } from './siteService.js';
+import { TrafficRollupService } from './trafficRollupService.js';
+import { parseAttribution, parseUserAgent, normalizeLanguage, detectBot, BOT_SIGNATURES } from '../utils/traffic.js';
+
+// A visitor's hits less than this apart belong to the same session
+const SESSION_GAP_MINUTES = 30;
+// More hits than this from one visitor within a minute is a robot, not someone reading
+const TRAFFIC_BOT_BURST_HITS = parseInt(process.env.TRAFFIC_BOT_BURST_HITS || '30');
+
+// Today's salt, cached per process; the table keeps it shared between processes
+let currentSalt = { day: null, salt: null };
+
+// Referrers keep origin and path: query strings may carry e-mails, search terms or tokens
+function sanitizeReferrer(referrer) {
+  if (!referrer) return null;
+  try {
+    const url = new URL(referrer);
+    return `${url.origin}${url.pathname}`;
+  } catch {
+    return String(referrer).split(/[?#]/)[0].slice(0, 500) || null;
+  }
+}
+
+// First day (UTC) of the last `days` days, today included
+function sinceDay(days) {
+  return new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+// Stats read from the rollups; hits recorded since the last rollup run are aggregated first
+// (one batch at most, the scheduled job takes care of larger backlogs)
+async function refreshRollups() {
+  await TrafficRollupService.rollUpPending({ maxBatches: 1 });
+}
+
+function periodTotal(db, siteSlug, since) {
+  return db.prepare(`
+    SELECT COALESCE(SUM(hits), 0) as total FROM traffic_rollup_daily WHERE site_slug = ? AND day >= ?
+  `).get(siteSlug, since).total;
+}
+
+// A dimension's daily rollups summed over the period, most hits first
+function sumDimension(db, siteSlug, dimension, since, limit) {
+  return db.prepare(`
+    SELECT value, SUM(hits) as hits, SUM(visitors) as visitors, MIN(day) as firstDay, MAX(day) as lastDay
+    FROM traffic_rollup_dimensions
+    WHERE site_slug = ? AND dimension = ? AND day >= ?
+    GROUP BY value
+    ORDER BY hits DESC
+    LIMIT ?
+  `).all(siteSlug, dimension, since, limit);
+}
+
+function withPercentages(rows, total) {
+  return rows.map(row => ({
+    ...row,
+    percentage: total > 0 ? Math.round((row.hits / total) * 100) : 0
+  }));
+}
 
 export class TrafficService {
+  // The salt for today (UTC). Creating it deletes the previous days' salts, after which their
+  // hashes can no longer be recomputed from an IP.
+  static getDailySalt() {
+    const day = new Date().toISOString().slice(0, 10);
+    if (currentSalt.day === day) return currentSalt.salt;
+
+    const db = getDatabase();
+    db.prepare('INSERT OR IGNORE INTO traffic_salts (day, salt) VALUES (?, ?)').run(day, crypto.randomBytes(32).toString('hex'));
+    db.prepare('DELETE FROM traffic_salts WHERE day < ?').run(day);
+
+    currentSalt = { day, salt: db.prepare('SELECT salt FROM traffic_salts WHERE day = ?').get(day).salt };
+    return currentSalt.salt;
+  }
+
+  // Same visitor = same site, IP and user agent on the same day; the IP itself is never stored
+  static getVisitorHash(siteSlug, ip, userAgent) {
+    return crypto.createHash('sha256')
+      .update(`${this.getDailySalt()}|${siteSlug}|${ip || ''}|${userAgent || ''}`)
+      .digest('hex')
+      .slice(0, 32);
+  }
+
+  // Continues the visitor's session when their last hit is recent enough, otherwise starts one
+  static getSessionId(siteSlug, visitorHash) {
+    const db = getDatabase();
+    const last = db.prepare(`
+      SELECT session_id FROM traffic_hits
+      WHERE site_slug = ? AND visitor_hash = ? AND created_at >= datetime('now', ?)
+      ORDER BY created_at DESC, id DESC
+      LIMIT 1
+    `).get(siteSlug, visitorHash, `-${SESSION_GAP_MINUTES} minutes`);
+
+    return last?.session_id || crypto.randomBytes(12).toString('hex');
+  }
+
+  // Robot or person: a known User-Agent signature first, then heuristics. A request without a User-Agent,
+  // one that didn't come from a page's script (`fromPage`: no Origin, Referer or Sec-Fetch-* header) and
+  // a visitor hitting faster than TRAFFIC_BOT_BURST_HITS a minute are robots too.
+  static classifyHit(siteSlug, visitorHash, userAgent, fromPage = true) {
+    const signature = detectBot(userAgent);
+    if (signature) return { isBot: true, name: signature.name, reason: 'signature' };
+    if (!String(userAgent || '').trim()) return { isBot: true, name: null, reason: 'no_user_agent' };
+    if (!fromPage) return { isBot: true, name: null, reason: 'no_beacon' };
+
+    const { recent } = getDatabase().prepare(`
+      SELECT COUNT(*) as recent FROM traffic_hits
+      WHERE site_slug = ? AND visitor_hash = ? AND created_at >= datetime('now', '-60 seconds')
+    `).get(siteSlug, visitorHash);
+    if (recent >= TRAFFIC_BOT_BURST_HITS) return { isBot: true, name: null, reason: 'burst' };
+
+    return { isBot: false, name: null, reason: null };
+  }
+
+  // `path` may carry the page's query string (UTM tags, gclid); only the pathname is stored.
+  // `origin` is the page's origin, so referrers from the site itself don't count as a source.
+  // `ip` only goes into the visitor hash. Bot hits are stored flagged and left out of the stats.
   static async recordHit(hitData) {
     const db = getDatabase();
-    const { siteSlug, path = '/', ip, userAgent } = hitData;
+    const { siteSlug, ip, userAgent, referrer = null, metadata = {}, language = null, origin = null, fromPage = true } = hitData;
     const normalizedSlug = SiteService.normalizeSiteSlug(siteSlug);
+    const attribution = parseAttribution({ path: hitData.path || '/', referrer, metadata, userAgent, origin });
+    const { device, browser, os } = parseUserAgent(userAgent);
+    const { path, utm } = attribution;
+    const visitorHash = this.getVisitorHash(normalizedSlug, ip, userAgent);
+    const sessionId = this.getSessionId(normalizedSlug, visitorHash);
+    const bot = this.classifyHit(normalizedSlug, visitorHash, userAgent, fromPage);
     
     const stmt = db.prepare(`
-      INSERT INTO traffic_hits (site_slug, path, ip, user_agent)
-      VALUES (?, ?, ?, ?)
+      INSERT INTO traffic_hits (site_slug, path, visitor_hash, session_id, user_agent, referrer, metadata, referrer_host,
+        source, medium, utm_source, utm_medium, utm_campaign, utm_term, utm_content, device_type, browser, os, language,
+        is_bot, bot_name, bot_reason)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
     
-    const result = stmt.run(normalizedSlug, path, ip || '', userAgent || '');
+    const result = stmt.run(
+      normalizedSlug, path, visitorHash, sessionId, userAgent || '', sanitizeReferrer(referrer), JSON.stringify(metadata || {}),
+      attribution.referrerHost, attribution.source, attribution.medium,
+      utm.source, utm.medium, utm.campaign, utm.term, utm.content,
+      device, browser, os, normalizeLanguage(language || metadata?.language),
+      bot.isBot ? 1 : 0, bot.name, bot.reason
+    );
     
     return {
       id: result.lastInsertRowid,
       siteSlug: normalizedSlug,
       path,
+      source: attribution.source,
+      medium: attribution.medium,
       recordedAt: new Date().toISOString()
     };
   }
@@ -25,79 +155,79 @@ export class TrafficService {
   static async getDailyStats(siteSlug, range = '30d') {
     const db = getDatabase();
     const normalizedSlug = SiteService.normalizeSiteSlug(siteSlug);
+    await refreshRollups();
     
     // Parse range (7d, 30d, all)
     let daysBack = 30;
     if (range === '7d') daysBack = 7;
-    else if (range === 'all') daysBack = 365 * 10; // 10 years
+    else if (range === 'all') daysBack = null;
     else if (range.endsWith('d')) {
       const parsed = parseInt(range.replace('d', ''));
-      if (!isNaN(parsed)) daysBack = parsed;
+      if (!isNaN(parsed) && parsed > 0) daysBack = parsed;
     }
     
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - daysBack);
-    const startDateStr = startDate.toISOString();
-    
-    // Get daily hits
-    const dailyStmt = db.prepare(`
-      SELECT 
-        DATE(created_at) as date,
-        COUNT(*) as hits
-      FROM traffic_hits 
-      WHERE site_slug = ? AND created_at >= ?
-      GROUP BY DATE(created_at)
-      ORDER BY date DESC
-    `);
-    
-    const dailyHits = dailyStmt.all(normalizedSlug, startDateStr);
-    
-    // Get total hits in period
-    const totalStmt = db.prepare(`
-      SELECT COUNT(*) as total
-      FROM traffic_hits 
-      WHERE site_slug = ? AND created_at >= ?
-    `);
+    const today = new Date().toISOString().slice(0, 10);
+    const since = daysBack ? sinceDay(daysBack) : '';
     
-    const { total } = totalStmt.get(normalizedSlug, startDateStr);
+    // Get daily hits, visitors and sessions
+    const dailyHits = db.prepare(`
+      SELECT day as date, hits, visitors, sessions
+      FROM traffic_rollup_daily
+      WHERE site_slug = ? AND day >= ?
+      ORDER BY day DESC
+    `).all(normalizedSlug, since);
     
-    // Get unique visitors estimate (by IP)
-    const uniqueStmt = db.prepare(`
-      SELECT COUNT(DISTINCT ip) as unique_visitors
-      FROM traffic_hits 
-      WHERE site_slug = ? AND created_at >= ? AND ip != ''
-    `);
+    // Totals in period. Visitor hashes rotate daily, so summing daily visitors counts a visitor
+    // returning on another day again, same as counting distinct hashes over the raw hits.
+    const totals = db.prepare(`
+      SELECT
+        COALESCE(SUM(hits), 0) as total,
+        COALESCE(SUM(visitors), 0) as unique_visitors,
+        COALESCE(SUM(sessions), 0) as sessions,
+        COALESCE(SUM(bounces), 0) as bounces,
+        COALESCE(SUM(session_seconds), 0) as session_seconds,
+        MIN(day) as first_day
+      FROM traffic_rollup_daily
+      WHERE site_slug = ? AND day >= ?
+    `).get(normalizedSlug, since);
     
-    const { unique_visitors } = uniqueStmt.get(normalizedSlug, startDateStr);
+    // "all" averages over the days since the first rolled-up hit
+    if (!daysBack) {
+      daysBack = totals.first_day
+        ? Math.round((Date.parse(today) - Date.parse(totals.first_day)) / (24 * 60 * 60 * 1000)) + 1
+        : 1;
+    }
     
     // Get top pages
-    const pagesStmt = db.prepare(`
-      SELECT 
-        path,
-        COUNT(*) as hits
-      FROM traffic_hits 
-      WHERE site_slug = ? AND created_at >= ?
-      GROUP BY path
-      ORDER BY hits DESC
-      LIMIT 10
-    `);
+    const topPages = sumDimension(db, normalizedSlug, 'path', since, 10);
+    const { total, sessions } = totals;
     
-    const topPages = pagesStmt.all(normalizedSlug, startDateStr);
+    // Bot hits, not counted above
+    const { bot_hits } = db.prepare(`
+      SELECT COALESCE(SUM(hits), 0) as bot_hits
+      FROM traffic_rollup_dimensions
+      WHERE site_slug = ? AND dimension = 'crawler' AND day >= ?
+    `).get(normalizedSlug, since);
     
     return {
       period: {
         range,
-        startDate: startDateStr,
-        endDate: new Date().toISOString()
+        startDate: since || totals.first_day || today,
+        endDate: today
       },
       summary: {
         totalHits: total,
-        uniqueVisitors: unique_visitors || Math.floor(total * 0.7), // Fallback estimate
-        averageDailyHits: dailyHits.length > 0 ? Math.round(total / daysBack) : 0
+        uniqueVisitors: totals.unique_visitors,
+        sessions,
+        pagesPerSession: sessions ? Math.round((total / sessions) * 10) / 10 : 0,
+        bounceRate: sessions ? Math.round((totals.bounces / sessions) * 100) : 0,
+        averageSessionSeconds: sessions ? Math.round(totals.session_seconds / sessions) : 0,
+        averageDailyHits: dailyHits.length > 0 ? Math.round(total / daysBack) : 0,
+        botHits: bot_hits
       },
       dailyHits,
       topPages: topPages.map(page => ({
-        path: page.path,
+        path: page.value,
         hits: page.hits,
         percentage: total > 0 ? Math.round((page.hits / total) * 100) : 0
       }))
@@ -107,19 +237,20 @@ export class TrafficService {
   static async getHourlyStats(siteSlug, date) {
     const db = getDatabase();
     const normalizedSlug = SiteService.normalizeSiteSlug(siteSlug);
+    await refreshRollups();
     
     // Get hourly distribution for a specific date
     const stmt = db.prepare(`
       SELECT 
-        strftime('%H', created_at) as hour,
-        COUNT(*) as hits
-      FROM traffic_hits 
-      WHERE site_slug = ? AND DATE(created_at) = DATE(?)
-      GROUP BY strftime('%H', created_at)
-      ORDER BY hour
+        substr(hour, 12, 2) as hour,
+        SUM(hits) as hits
+      FROM traffic_rollup_hourly 
+      WHERE site_slug = ? AND hour >= DATE(?) AND hour < DATE(?, '+1 day')
+      GROUP BY substr(hour, 12, 2)
+      ORDER BY 1
     `);
     
-    const hourlyData = stmt.all(normalizedSlug, date);
+    const hourlyData = stmt.all(normalizedSlug, date, date);
     
     // Fill missing hours with 0
     const hourlyHits = [];
@@ -139,48 +270,155 @@ export class TrafficService {
     };
   }
 
+  // Hits per source (utm_source, ad click id, referrer host or in-app browser; see utils/traffic.js)
   static async getTopReferrers(siteSlug, days = 30) {
     const db = getDatabase();
     const normalizedSlug = SiteService.normalizeSiteSlug(siteSlug);
-    
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - days);
+    await refreshRollups();
     
     const stmt = db.prepare(`
-      SELECT 
-        CASE 
-          WHEN user_agent LIKE '%Google%' THEN 'Google'
-          WHEN user_agent LIKE '%Facebook%' THEN 'Facebook'
-          WHEN user_agent LIKE '%Instagram%' THEN 'Instagram'
-          WHEN user_agent LIKE '%WhatsApp%' THEN 'WhatsApp'
-          WHEN user_agent LIKE '%bot%' OR user_agent LIKE '%Bot%' THEN 'Bots'
-          ELSE 'Direct/Other'
-        END as source,
-        COUNT(*) as hits
-      FROM traffic_hits 
-      WHERE site_slug = ? 
-        AND created_at >= ?
-        AND user_agent IS NOT NULL 
-        AND user_agent != ''
-      GROUP BY source
+      SELECT json_extract(value, '$[0]') as source, SUM(hits) as hits
+      FROM traffic_rollup_dimensions 
+      WHERE site_slug = ? AND dimension = 'source' AND day >= ?
+      GROUP BY json_extract(value, '$[0]')
       ORDER BY hits DESC
     `);
     
-    return stmt.all(normalizedSlug, startDate.toISOString());
+    return stmt.all(normalizedSlug, sinceDay(days));
+  }
+
+  // Sources with their medium (organic, social, cpc, referral...) and the referrer hosts behind them
+  static async getSources(siteSlug, days = 30) {
+    const db = getDatabase();
+    const normalizedSlug = SiteService.normalizeSiteSlug(siteSlug);
+    await refreshRollups();
+    const since = sinceDay(days);
+    const total = periodTotal(db, normalizedSlug, since);
+    
+    const sources = sumDimension(db, normalizedSlug, 'source', since, 50).map(row => {
+      const [source, medium] = JSON.parse(row.value);
+      return { source, medium, hits: row.hits };
+    });
+    const mediums = sumDimension(db, normalizedSlug, 'medium', since, 50)
+      .map(row => ({ medium: row.value, hits: row.hits }));
+    const referrers = sumDimension(db, normalizedSlug, 'referrer', since, 20)
+      .map(row => ({ host: row.value, hits: row.hits }));
+    
+    return {
+      days,
+      totalHits: total,
+      sources: withPercentages(sources, total),
+      mediums: withPercentages(mediums, total),
+      referrers: withPercentages(referrers, total)
+    };
+  }
+
+  // UTM-tagged hits per campaign, split by source/medium so each ad can be compared
+  static async getCampaigns(siteSlug, days = 30) {
+    const db = getDatabase();
+    const normalizedSlug = SiteService.normalizeSiteSlug(siteSlug);
+    await refreshRollups();
+    const since = sinceDay(days);
+    
+    const campaigns = sumDimension(db, normalizedSlug, 'campaign', since, 100).map(row => {
+      const [campaign, source, medium] = JSON.parse(row.value);
+      return { campaign, source, medium, hits: row.hits, visitors: row.visitors, firstDay: row.firstDay, lastDay: row.lastDay };
+    });
+    
+    const contents = sumDimension(db, normalizedSlug, 'campaign_content', since, 100).map(row => {
+      const [campaign, content, term] = JSON.parse(row.value);
+      return { campaign, content, term, hits: row.hits };
+    });
+    
+    return {
+      days,
+      campaigns,
+      contents
+    };
+  }
+
+  static async getDevices(siteSlug, days = 30) {
+    const db = getDatabase();
+    const normalizedSlug = SiteService.normalizeSiteSlug(siteSlug);
+    await refreshRollups();
+    const since = sinceDay(days);
+    const total = periodTotal(db, normalizedSlug, since);
+    
+    const countBy = (dimension, label) => withPercentages(
+      sumDimension(db, normalizedSlug, dimension, since, 20).map(row => ({ [label]: row.value, hits: row.hits })),
+      total
+    );
+    
+    return {
+      days,
+      totalHits: total,
+      devices: countBy('device', 'device'),
+      browsers: countBy('browser', 'browser'),
+      os: countBy('os', 'os'),
+      languages: countBy('language', 'language')
+    };
+  }
+
+  // Robots (see classifyHit) walking the site: hits per robot, and per page for one of them
+  // (`crawler`, Googlebot by default). Hits caught by a heuristic are grouped under its reason.
+  static async getCrawlerActivity(siteSlug, days = 30, crawler = 'Googlebot') {
+    const db = getDatabase();
+    const normalizedSlug = SiteService.normalizeSiteSlug(siteSlug);
+    await refreshRollups();
+    const since = sinceDay(days);
+    const kinds = new Map(BOT_SIGNATURES.map(signature => [signature.name, signature.kind]));
+    
+    const crawlers = db.prepare(`
+      SELECT json_extract(value, '$[0]') as crawler, SUM(hits) as hits, COUNT(DISTINCT json_extract(value, '$[1]')) as pages,
+        MAX(day) as lastDay
+      FROM traffic_rollup_dimensions
+      WHERE site_slug = ? AND dimension = 'crawler' AND day >= ?
+      GROUP BY json_extract(value, '$[0]')
+      ORDER BY hits DESC
+    `).all(normalizedSlug, since);
+    const total = crawlers.reduce((sum, row) => sum + row.hits, 0);
+    
+    const pages = db.prepare(`
+      SELECT json_extract(value, '$[1]') as path, SUM(hits) as hits, MIN(day) as firstDay, MAX(day) as lastDay
+      FROM traffic_rollup_dimensions
+      WHERE site_slug = ? AND dimension = 'crawler' AND day >= ? AND json_extract(value, '$[0]') = ?
+      GROUP BY json_extract(value, '$[1]')
+      ORDER BY hits DESC
+      LIMIT 100
+    `).all(normalizedSlug, since, crawler);
+    
+    const daily = db.prepare(`
+      SELECT day as date, SUM(hits) as hits
+      FROM traffic_rollup_dimensions
+      WHERE site_slug = ? AND dimension = 'crawler' AND day >= ? AND json_extract(value, '$[0]') = ?
+      GROUP BY day
+      ORDER BY day DESC
+    `).all(normalizedSlug, since, crawler);
+    
+    return {
+      days,
+      totalHits: total,
+      crawlers: withPercentages(crawlers.map(row => ({ ...row, kind: kinds.get(row.crawler) || 'unknown' })), total),
+      crawler,
+      pages,
+      daily
+    };
   }
 
-  static async getRecentHits(siteSlug, limit = 50) {
+  // People only, unless `includeBots`
+  static async getRecentHits(siteSlug, limit = 50, includeBots = false) {
     const db = getDatabase();
     const normalizedSlug = SiteService.normalizeSiteSlug(siteSlug);
     
     const stmt = db.prepare(`
-      SELECT path, ip, user_agent, created_at
+      SELECT path, session_id, user_agent, referrer_host, source, medium, utm_campaign, device_type, browser, os, language,
+        is_bot, bot_name, bot_reason, created_at
       FROM traffic_hits 
-      WHERE site_slug = ?
+      WHERE site_slug = ? AND (is_bot = 0 OR ?)
       ORDER BY created_at DESC
       LIMIT ?
     `);
     
-    return stmt.all(normalizedSlug, limit);
+    return stmt.all(normalizedSlug, includeBots ? 1 : 0, limit);
   }
-}
\ No newline at end of file
+}
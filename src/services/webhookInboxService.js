@@ -0,0 +1,251 @@
+import crypto from 'crypto';
+import { getDatabase } from '../db/database.js';
+import { PaymentService } from './paymentService.js';
+
+const MAX_ATTEMPTS = 8;
+const BASE_RETRY_DELAY_MS = 60 * 1000; // 1 minute, doubled on every attempt
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000; // 6 hours
+
+// Headers that carry credentials never go to the inbox
+const SENSITIVE_HEADERS = ['authorization', 'cookie', 'set-cookie'];
+
+// Processors per provider; each receives the parsed notification body
+const HANDLERS = {
+  mercadopago: (body) => PaymentService.ingestNotification(body)
+};
+
+export class WebhookInboxService {
+  static allowUnsigned() {
+    return process.env.MP_ALLOW_UNSIGNED_WEBHOOKS === '1';
+  }
+
+  static getRetryDelay(attempts) {
+    return Math.min(BASE_RETRY_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY_MS);
+  }
+
+  static sanitizeHeaders(headers = {}) {
+    const clean = {};
+    for (const [name, value] of Object.entries(headers)) {
+      if (!SENSITIVE_HEADERS.includes(name.toLowerCase())) {
+        clean[name] = value;
+      }
+    }
+    return clean;
+  }
+
+  static buildDedupeKey(provider, headers, body) {
+    const requestId = headers['x-request-id'];
+    if (requestId) return `${provider}:${requestId}`;
+
+    const hash = crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+    return `${provider}:sha256:${hash}`;
+  }
+
+  static async receive(provider, headers = {}, body = {}) {
+    const db = getDatabase();
+
+    if (!HANDLERS[provider]) {
+      throw new Error('unknown_provider');
+    }
+
+    const { resource, action, mpId } = PaymentService.normalizeNotification(body);
+    const dedupeKey = this.buildDedupeKey(provider, headers, body);
+
+    // The dedupe key comes from a sender-controlled header, so the signature is checked first:
+    // an unsigned request reusing a genuine request id must not shadow the real delivery
+    const signatureStatus = PaymentService.verifySignature(headers, mpId);
+    const accepted = signatureStatus === 'valid' ||
+      signatureStatus === 'unchecked' ||
+      (signatureStatus === 'missing' && this.allowUnsigned());
+
+    // Rejected deliveries are kept under their own key: repeats are answered from that row and
+    // never block the accepted key
+    const storedKey = accepted ? dedupeKey : `rejected:${dedupeKey}`;
+
+    // Providers redeliver until they get a 2xx; the same delivery is only stored once
+    const existing = db.prepare('SELECT * FROM webhook_events WHERE dedupe_key = ?').get(storedKey);
+    if (existing && !accepted) {
+      return { event: this.formatEvent(existing), duplicate: true, rejected: true };
+    }
+    if (existing && existing.status !== 'rejected') {
+      return { event: this.formatEvent(existing), duplicate: true, rejected: false };
+    }
+    if (existing) {
+      // Stored as rejected before rejections got their own key: free the key for this delivery
+      db.prepare('UPDATE webhook_events SET dedupe_key = ? WHERE id = ?').run(`rejected:${dedupeKey}:${existing.id}`, existing.id);
+    }
+
+    const result = db.prepare(`
+      INSERT INTO webhook_events (provider, dedupe_key, resource, action, external_id, headers_json, body_json, signature_status, status, last_error)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      provider,
+      storedKey,
+      resource || null,
+      action || null,
+      mpId || null,
+      JSON.stringify(this.sanitizeHeaders(headers)),
+      JSON.stringify(body),
+      signatureStatus,
+      accepted ? 'pending' : 'rejected',
+      accepted ? null : `signature_${signatureStatus}`
+    );
+
+    const eventId = result.lastInsertRowid;
+
+    if (!accepted) {
+      return { event: await this.getEvent(eventId), duplicate: false, rejected: true };
+    }
+
+    return { event: await this.processEvent(eventId), duplicate: false, rejected: false };
+  }
+
+  static async processEvent(id) {
+    const db = getDatabase();
+    const event = db.prepare('SELECT * FROM webhook_events WHERE id = ?').get(id);
+
+    if (!event) {
+      throw new Error('webhook_event_not_found');
+    }
+
+    const attempts = event.attempts + 1;
+    db.prepare(`UPDATE webhook_events SET status = 'processing', attempts = ? WHERE id = ?`).run(attempts, id);
+
+    try {
+      const result = await HANDLERS[event.provider](JSON.parse(event.body_json || '{}'));
+
+      db.prepare(`
+        UPDATE webhook_events
+        SET status = 'processed', result_json = ?, last_error = NULL, next_attempt_at = NULL, processed_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(JSON.stringify(result ?? {}), id);
+    } catch (error) {
+      console.error(`Webhook event ${id} failed (attempt ${attempts}):`, error);
+
+      const exhausted = attempts >= MAX_ATTEMPTS;
+      const nextAttempt = exhausted
+        ? null
+        : new Date(Date.now() + this.getRetryDelay(attempts)).toISOString();
+
+      db.prepare(`
+        UPDATE webhook_events
+        SET status = ?, last_error = ?, next_attempt_at = ?
+        WHERE id = ?
+      `).run(exhausted ? 'dead' : 'failed', String(error.message || error), nextAttempt, id);
+    }
+
+    return this.getEvent(id);
+  }
+
+  static async processDueEvents(limit = 20) {
+    const db = getDatabase();
+
+    // Failed events whose backoff elapsed, plus events left mid-processing by a crash
+    const stmt = db.prepare(`
+      SELECT id FROM webhook_events
+      WHERE (status = 'failed' AND next_attempt_at <= ?)
+         OR (status IN ('pending', 'processing') AND updated_at <= datetime('now', '-10 minutes'))
+      ORDER BY id ASC
+      LIMIT ?
+    `);
+
+    const due = stmt.all(new Date().toISOString(), limit);
+    let processed = 0;
+    let failed = 0;
+
+    for (const { id } of due) {
+      const event = await this.processEvent(id);
+      if (event.status === 'processed') processed++;
+      else failed++;
+    }
+
+    return { attempted: due.length, processed, failed };
+  }
+
+  static async replayEvent(id) {
+    const db = getDatabase();
+    const event = db.prepare('SELECT id FROM webhook_events WHERE id = ?').get(id);
+
+    if (!event) {
+      throw new Error('webhook_event_not_found');
+    }
+
+    return this.processEvent(id);
+  }
+
+  static async getEvent(id) {
+    const db = getDatabase();
+    const event = db.prepare('SELECT * FROM webhook_events WHERE id = ?').get(id);
+
+    if (!event) {
+      throw new Error('webhook_event_not_found');
+    }
+
+    return {
+      ...this.formatEvent(event),
+      headers: JSON.parse(event.headers_json || '{}'),
+      body: JSON.parse(event.body_json || '{}'),
+      result: event.result_json ? JSON.parse(event.result_json) : null
+    };
+  }
+
+  static async listEvents(filters = {}, page = 1, pageSize = 20) {
+    const db = getDatabase();
+    const { status, provider, signatureStatus } = filters;
+    const offset = (page - 1) * pageSize;
+
+    let whereClause = 'WHERE 1 = 1';
+    const params = [];
+
+    if (status) {
+      whereClause += ' AND status = ?';
+      params.push(status);
+    }
+
+    if (provider) {
+      whereClause += ' AND provider = ?';
+      params.push(provider);
+    }
+
+    if (signatureStatus) {
+      whereClause += ' AND signature_status = ?';
+      params.push(signatureStatus);
+    }
+
+    const { total } = db.prepare(`SELECT COUNT(*) as total FROM webhook_events ${whereClause}`).get(...params);
+
+    const events = db.prepare(`
+      SELECT * FROM webhook_events
+      ${whereClause}
+      ORDER BY created_at DESC, id DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, pageSize, offset);
+
+    return {
+      events: events.map(event => this.formatEvent(event)),
+      pagination: {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  static formatEvent(event) {
+    return {
+      id: event.id,
+      provider: event.provider,
+      resource: event.resource,
+      action: event.action,
+      externalId: event.external_id,
+      signatureStatus: event.signature_status,
+      status: event.status,
+      attempts: event.attempts,
+      lastError: event.last_error,
+      nextAttemptAt: event.next_attempt_at,
+      processedAt: event.processed_at,
+      createdAt: event.created_at
+    };
+  }
+}
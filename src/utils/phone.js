@@ -0,0 +1,35 @@
+// Brazilian numbers are reduced to 55 + DDD + number, so "(11) 8765-4321", "011 98765-4321"
+// and "+55 11 98765-4321" compare equal. Mobiles written without the 9th digit get it back.
+// Foreign numbers (+ or 00 prefix, other country code) keep their digits; anything else is null.
+export function normalizePhone(phone) {
+  const raw = String(phone || '').trim();
+  let digits = raw.replace(/\D/g, '');
+  const international = raw.startsWith('+') || digits.startsWith('00');
+
+  if (digits.startsWith('00')) {
+    digits = digits.slice(2);
+  } else if (digits.startsWith('0')) {
+    // Trunk prefix, optionally followed by a 2-digit carrier code (0 21 11 98765-4321)
+    digits = digits.slice(1);
+    if (digits.length === 12 || digits.length === 13) digits = digits.slice(2);
+  }
+
+  if (international && !digits.startsWith('55')) {
+    return digits.length >= 8 && digits.length <= 15 ? digits : null;
+  }
+
+  if (digits.startsWith('55') && (digits.length === 12 || digits.length === 13)) {
+    digits = digits.slice(2);
+  }
+
+  if (!/^[1-9]{2}\d{8,9}$/.test(digits)) return null;
+
+  const ddd = digits.slice(0, 2);
+  let number = digits.slice(2);
+
+  if (number.length === 9 && !number.startsWith('9')) return null;
+  // 8-digit numbers starting with 6-9 are mobiles from before the 9th digit
+  if (number.length === 8 && /^[6-9]/.test(number)) number = `9${number}`;
+
+  return `55${ddd}${number}`;
+}
@@ -1,5 +1,6 @@
 import bcrypt from 'bcryptjs';
 import { getDatabase } from '../db/database.js';
+import { parseAttribution, parseUserAgent, detectBot } from './traffic.js';
 
 export async function seedDatabase() {
   const db = getDatabase();
@@ -51,6 +52,10 @@ export async function seedDatabase() {
     `);
     
     const clientResult = clientStmt.run(clientEmail, clientPasswordHash, exampleSiteSlug);
+    db.prepare(`
+      INSERT INTO site_members (site_slug, user_id, role)
+      VALUES (?, ?, 'owner')
+    `).run(exampleSiteSlug, clientResult.lastInsertRowid);
     console.log(`✅ Created client user: ${clientEmail}`);
     
     // Create example settings
@@ -113,8 +118,8 @@ export async function seedDatabase() {
     
     // Create sample feedback
     const feedbackStmt = db.prepare(`
-      INSERT INTO feedbacks (site_slug, name, email, rating, comment, approved)
-      VALUES (?, ?, ?, ?, ?, 1)
+      INSERT INTO feedbacks (site_slug, name, email, rating, comment, approved, is_public, status)
+      VALUES (?, ?, ?, ?, ?, 1, 1, 'approved')
     `);
     
     feedbackStmt.run(
@@ -137,27 +142,49 @@ export async function seedDatabase() {
     
     // Create sample traffic data
     const trafficStmt = db.prepare(`
-      INSERT INTO traffic_hits (site_slug, path, ip, user_agent)
-      VALUES (?, ?, ?, ?)
+      INSERT INTO traffic_hits (site_slug, path, visitor_hash, session_id, user_agent, referrer, referrer_host, source, medium,
+        utm_source, utm_medium, utm_campaign, device_type, browser, os, language, is_bot, bot_name, bot_reason)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
     
-    // Add some sample hits from the last few days
-    const now = new Date();
+    // A mix of visits: direct, Google search and ads, Instagram ads and in-app browser, and Googlebot
+    const visits = [
+      { path: '/', userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36' },
+      { path: '/servicos', referrer: 'https://www.google.com/', userAgent: 'Mozilla/5.0 (Linux; Android 13; SM-A536B) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Mobile Safari/537.36' },
+      { path: '/?gclid=sample', referrer: 'https://www.google.com/', userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Safari/605.1.15' },
+      { path: '/?utm_source=instagram&utm_medium=cpc&utm_campaign=lancamento', userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Mobile/15E148 Instagram 300.0' },
+      { path: '/contato', userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Mobile/15E148 Instagram 300.0' },
+      { path: '/sobre', referrer: 'https://www.facebook.com/', userAgent: 'Mozilla/5.0 (Linux; Android 13; SM-A536B) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Mobile Safari/537.36' },
+      { path: '/servicos', userAgent: 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)' }
+    ];
+    
     for (let i = 0; i < 50; i++) {
-      const randomDaysAgo = Math.floor(Math.random() * 7);
-      const hitDate = new Date(now);
-      hitDate.setDate(hitDate.getDate() - randomDaysAgo);
-      hitDate.setHours(Math.floor(Math.random() * 24));
-      
-      const paths = ['/', '/sobre', '/servicos', '/contato'];
-      const path = paths[Math.floor(Math.random() * paths.length)];
+      const visit = visits[Math.floor(Math.random() * visits.length)];
+      const attribution = parseAttribution(visit);
+      const { device, browser, os } = parseUserAgent(visit.userAgent);
+      const bot = detectBot(visit.userAgent);
       
-      // Temporarily set the date using a different approach since we can't control created_at
       trafficStmt.run(
         exampleSiteSlug,
-        path,
-        `192.168.1.${Math.floor(Math.random() * 255)}`,
-        'Mozilla/5.0 (Example User Agent)'
+        attribution.path,
+        // About 20 visitors with one session each
+        `seed-visitor-${i % 20}`,
+        `seed-session-${i % 20}`,
+        visit.userAgent,
+        visit.referrer || null,
+        attribution.referrerHost,
+        attribution.source,
+        attribution.medium,
+        attribution.utm.source,
+        attribution.utm.medium,
+        attribution.utm.campaign,
+        device,
+        browser,
+        os,
+        'pt-BR',
+        bot ? 1 : 0,
+        bot?.name || null,
+        bot ? 'signature' : null
       );
     }
     
@@ -0,0 +1,197 @@
+// Attribution for traffic hits: where the visitor came from (referrer, UTM tags, ad click ids)
+// and what they used (device, browser, OS, language), without any external lookup; and whether
+// the User-Agent belongs to a crawler, link previewer, monitor or HTTP tool.
+
+export const UTM_FIELDS = ['source', 'medium', 'campaign', 'term', 'content'];
+const MAX_FIELD_LENGTH = 200;
+
+// Referrer hosts (and Android app referrers) grouped under one source name, and the medium each one implies
+const KNOWN_SOURCES = [
+  { source: 'google', medium: 'organic', pattern: /(^|\.)google\.(com|[a-z]{2}|com?\.[a-z]{2})$|^com\.google\.android\.googlequicksearchbox$/ },
+  { source: 'bing', medium: 'organic', pattern: /(^|\.)bing\.com$/ },
+  { source: 'yahoo', medium: 'organic', pattern: /(^|\.)yahoo\.(com|[a-z]{2}|com?\.[a-z]{2})$/ },
+  { source: 'duckduckgo', medium: 'organic', pattern: /(^|\.)duckduckgo\.com$/ },
+  { source: 'instagram', medium: 'social', pattern: /(^|\.)instagram\.com$|^com\.instagram\.android$/ },
+  { source: 'facebook', medium: 'social', pattern: /(^|\.)(facebook\.com|fb\.com|fb\.me|messenger\.com)$|^com\.facebook\.katana$/ },
+  { source: 'whatsapp', medium: 'social', pattern: /(^|\.)(whatsapp\.com|wa\.me)$|^com\.whatsapp(\.w4b)?$/ },
+  { source: 'twitter', medium: 'social', pattern: /(^|\.)(twitter\.com|x\.com|t\.co)$/ },
+  { source: 'linkedin', medium: 'social', pattern: /(^|\.)(linkedin\.com|lnkd\.in)$/ },
+  { source: 'youtube', medium: 'social', pattern: /(^|\.)(youtube\.com|youtu\.be)$/ },
+  { source: 'tiktok', medium: 'social', pattern: /(^|\.)tiktok\.com$/ }
+];
+
+// Click ids ad platforms append to the landing URL when a paid ad is clicked
+const AD_CLICK_IDS = [
+  { param: 'gclid', source: 'google' },
+  { param: 'gbraid', source: 'google' },
+  { param: 'wbraid', source: 'google' },
+  { param: 'msclkid', source: 'bing' }
+];
+
+// Known robots by User-Agent, first match wins: add new ones above the generic entry at the end.
+// `kind` groups them in the crawler report (search, ads, social, seo, ai, monitor, tool, other).
+export const BOT_SIGNATURES = [
+  { name: 'Googlebot', kind: 'search', pattern: /Googlebot|Google-InspectionTool|Storebot-Google|GoogleOther/i },
+  { name: 'Google Ads', kind: 'ads', pattern: /AdsBot-Google|Mediapartners-Google/i },
+  { name: 'Bingbot', kind: 'search', pattern: /bingbot|BingPreview|adidxbot/i },
+  { name: 'YandexBot', kind: 'search', pattern: /YandexBot|YandexMobileBot/i },
+  { name: 'Baiduspider', kind: 'search', pattern: /Baiduspider/i },
+  { name: 'DuckDuckBot', kind: 'search', pattern: /DuckDuckBot|DuckAssistBot/i },
+  { name: 'Applebot', kind: 'search', pattern: /Applebot/i },
+  { name: 'Yahoo Slurp', kind: 'search', pattern: /Yahoo! Slurp/i },
+  { name: 'Facebook', kind: 'social', pattern: /facebookexternalhit|facebookcatalog|meta-externalagent/i },
+  { name: 'WhatsApp', kind: 'social', pattern: /^WhatsApp\//i },
+  { name: 'Twitterbot', kind: 'social', pattern: /Twitterbot/i },
+  { name: 'LinkedInBot', kind: 'social', pattern: /LinkedInBot/i },
+  { name: 'TelegramBot', kind: 'social', pattern: /TelegramBot/i },
+  { name: 'Slackbot', kind: 'social', pattern: /Slackbot|Slack-ImgProxy/i },
+  { name: 'Discordbot', kind: 'social', pattern: /Discordbot/i },
+  { name: 'Pinterestbot', kind: 'social', pattern: /Pinterestbot/i },
+  { name: 'AhrefsBot', kind: 'seo', pattern: /AhrefsBot|AhrefsSiteAudit/i },
+  { name: 'SemrushBot', kind: 'seo', pattern: /SemrushBot|SiteAuditBot/i },
+  { name: 'MJ12bot', kind: 'seo', pattern: /MJ12bot/i },
+  { name: 'DotBot', kind: 'seo', pattern: /DotBot/i },
+  { name: 'PetalBot', kind: 'search', pattern: /PetalBot/i },
+  { name: 'GPTBot', kind: 'ai', pattern: /GPTBot|ChatGPT-User|OAI-SearchBot/i },
+  { name: 'CCBot', kind: 'ai', pattern: /CCBot/i },
+  { name: 'Bytespider', kind: 'ai', pattern: /Bytespider/i },
+  { name: 'PerplexityBot', kind: 'ai', pattern: /PerplexityBot|Perplexity-User/i },
+  { name: 'UptimeRobot', kind: 'monitor', pattern: /UptimeRobot/i },
+  { name: 'Pingdom', kind: 'monitor', pattern: /Pingdom/i },
+  { name: 'StatusCake', kind: 'monitor', pattern: /StatusCake/i },
+  { name: 'Better Stack', kind: 'monitor', pattern: /Better ?Uptime|BetterStack/i },
+  { name: 'Site24x7', kind: 'monitor', pattern: /Site24x7/i },
+  { name: 'Uptime Kuma', kind: 'monitor', pattern: /Uptime-Kuma/i },
+  { name: 'Lighthouse', kind: 'tool', pattern: /Chrome-Lighthouse|PageSpeed|GTmetrix/i },
+  { name: 'Headless browser', kind: 'tool', pattern: /HeadlessChrome|PhantomJS|Puppeteer|Playwright/i },
+  { name: 'HTTP client', kind: 'tool', pattern: /^(curl|Wget|python-requests|Python-urllib|aiohttp|httpx|Go-http-client|node-fetch|axios|undici|okhttp|Java\/|Apache-HttpClient|libwww-perl|PostmanRuntime|Scrapy|Ruby|PHP)/i },
+  // Generic: "...bot", crawler, spider (not the CUBOT phone brand)
+  { name: 'Other bot', kind: 'other', pattern: /(?<!cu)bot\b|crawler|spider|scraper/i }
+];
+
+function clean(value) {
+  const text = String(value ?? '').trim();
+  return text ? text.slice(0, MAX_FIELD_LENGTH) : null;
+}
+
+function parseUrl(value, base = 'http://localhost') {
+  try {
+    return new URL(String(value), base);
+  } catch {
+    return null;
+  }
+}
+
+function decodePath(pathname) {
+  try {
+    return decodeURIComponent(pathname);
+  } catch {
+    return pathname;
+  }
+}
+
+// Host of an absolute http(s) or android-app:// URL, without "www."
+export function hostOf(value) {
+  let url;
+  try {
+    url = new URL(String(value || ''));
+  } catch {
+    return null;
+  }
+  if (!['http:', 'https:', 'android-app:'].includes(url.protocol)) return null;
+  return url.hostname.toLowerCase().replace(/^www\./, '') || null;
+}
+
+// Device type, browser and OS families; in-app browsers of Instagram and Facebook count as browsers
+export function parseUserAgent(userAgent) {
+  const ua = String(userAgent || '');
+
+  let os = 'Other';
+  if (/Windows/.test(ua)) os = 'Windows';
+  else if (/iPhone|iPad|iPod/.test(ua)) os = 'iOS';
+  else if (/Android/.test(ua)) os = 'Android';
+  else if (/CrOS/.test(ua)) os = 'ChromeOS';
+  else if (/Mac OS X|Macintosh/.test(ua)) os = 'macOS';
+  else if (/Linux/.test(ua)) os = 'Linux';
+
+  let browser = 'Other';
+  if (/Instagram/.test(ua)) browser = 'Instagram';
+  else if (/FBAN|FBAV|FB_IAB/.test(ua)) browser = 'Facebook';
+  else if (/Edg(e|A|iOS)?\//.test(ua)) browser = 'Edge';
+  else if (/OPR\/|Opera/.test(ua)) browser = 'Opera';
+  else if (/SamsungBrowser/.test(ua)) browser = 'Samsung Internet';
+  else if (/Firefox|FxiOS/.test(ua)) browser = 'Firefox';
+  else if (/Chrome|CriOS/.test(ua)) browser = 'Chrome';
+  else if (/Safari/.test(ua)) browser = 'Safari';
+
+  let device = 'desktop';
+  if (/iPad|Tablet/.test(ua) || (/Android/.test(ua) && !/Mobile/.test(ua))) device = 'tablet';
+  else if (/Mobi|iPhone|iPod|Android/.test(ua)) device = 'mobile';
+
+  return { device, browser, os };
+}
+
+// The robot a User-Agent belongs to, or null
+export function detectBot(userAgent) {
+  const ua = String(userAgent || '');
+  const signature = ua ? BOT_SIGNATURES.find(entry => entry.pattern.test(ua)) : null;
+  return signature ? { name: signature.name, kind: signature.kind } : null;
+}
+
+// "pt-BR,pt;q=0.9" or "pt_br" -> "pt-BR"
+export function normalizeLanguage(value) {
+  const first = String(value || '').split(',')[0].split(';')[0].trim().replace('_', '-');
+  const match = /^([a-zA-Z]{2,3})(?:-([a-zA-Z]{2}|\d{3}))?/.exec(first);
+  if (!match) return null;
+  return match[2] ? `${match[1].toLowerCase()}-${match[2].toUpperCase()}` : match[1].toLowerCase();
+}
+
+// Where a hit came from. UTM tags win (from metadata.utm, metadata.utm_* or the page's query string),
+// then ad click ids, then the referrer host, then the in-app browser; otherwise it is direct.
+// A referrer on the page's own host (`origin`) is internal navigation, not a source.
+export function parseAttribution({ path = '/', referrer = null, metadata = {}, userAgent = '', origin = null } = {}) {
+  const page = parseUrl(path);
+  const query = page?.searchParams || new URLSearchParams();
+  const meta = metadata && typeof metadata === 'object' ? metadata : {};
+  const metaUtm = meta.utm && typeof meta.utm === 'object' ? meta.utm : {};
+
+  const utm = {};
+  for (const field of UTM_FIELDS) {
+    utm[field] = clean(metaUtm[field] ?? meta[`utm_${field}`] ?? query.get(`utm_${field}`));
+  }
+
+  let referrerHost = hostOf(referrer);
+  if (referrerHost && referrerHost === hostOf(origin)) referrerHost = null;
+
+  const known = referrerHost ? KNOWN_SOURCES.find(entry => entry.pattern.test(referrerHost)) : null;
+  const adClick = AD_CLICK_IDS.find(entry => query.get(entry.param) || meta[entry.param]);
+  const { browser } = parseUserAgent(userAgent);
+
+  let source = 'direct';
+  let medium = 'direct';
+  if (utm.source) {
+    source = utm.source.toLowerCase();
+    medium = adClick ? 'cpc' : known?.medium || 'referral';
+  } else if (adClick) {
+    source = adClick.source;
+    medium = 'cpc';
+  } else if (known) {
+    source = known.source;
+    medium = known.medium;
+  } else if (referrerHost) {
+    source = referrerHost;
+    medium = 'referral';
+  } else if (browser === 'Instagram' || browser === 'Facebook') {
+    source = browser.toLowerCase();
+    medium = 'social';
+  }
+  if (utm.medium) medium = utm.medium.toLowerCase();
+
+  return {
+    path: page ? decodePath(page.pathname) : '/',
+    referrerHost,
+    source,
+    medium,
+    utm
+  };
+}
@@ -0,0 +1,130 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+// Receivers check X-Elevea-Signature: sha256 HMAC of `${timestamp}.${body}` with their secret
+export function signWebhook(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+export function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function isPrivateAddress(host) {
+  if (host === 'localhost' || host.endsWith('.localhost')) return true;
+
+  if (net.isIPv4(host)) {
+    const [a, b] = host.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127
+      || (a === 169 && b === 254)
+      || (a === 172 && b >= 16 && b <= 31)
+      || (a === 192 && b === 168)
+      || (a === 100 && b >= 64 && b <= 127)
+      || (a === 198 && (b === 18 || b === 19))
+      || a >= 224; // multicast and reserved
+  }
+
+  if (net.isIPv6(host)) {
+    const ip = host.toLowerCase();
+    const dotted = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (dotted) return isPrivateAddress(dotted[1]);
+    // IPv4-mapped (::ffff:7f00:1 is how URL writes ::ffff:127.0.0.1)
+    const mapped = ip.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+    if (mapped) {
+      const [high, low] = [parseInt(mapped[1], 16), parseInt(mapped[2], 16)];
+      return isPrivateAddress([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+    }
+    return ip === '::' || ip === '::1' || /^f[cd]/.test(ip) || /^fe[89ab]/.test(ip);
+  }
+
+  return false;
+}
+
+// Webhook targets must be http(s); loopback and private network addresses are refused so a
+// site cannot make the server call its own internals (HOOKS_ALLOW_PRIVATE_URLS=1 lifts it for local setups)
+export function assertWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new Error('invalid_webhook_url');
+  }
+
+  if (!['https:', 'http:'].includes(url.protocol)) {
+    throw new Error('invalid_webhook_url');
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (!allowPrivateUrls() && isPrivateAddress(host)) {
+    throw new Error('invalid_webhook_url');
+  }
+
+  return url.toString();
+}
+
+function allowPrivateUrls() {
+  return process.env.HOOKS_ALLOW_PRIVATE_URLS === '1';
+}
+
+// A host name that passed assertWebhookUrl can still resolve (or be rebound later) to an internal
+// address, so every connection resolves it here and refuses private answers. The socket connects
+// to the address that was checked, leaving no window between the check and the request.
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (!allowPrivateUrls() && addresses.some(({ address }) => isPrivateAddress(address))) {
+      const refused = new Error('webhook_private_address');
+      refused.code = 'EWEBHOOKPRIVATE';
+      return callback(refused);
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Signed POST shared by lead notifications and site hooks; non-2xx answers throw webhook_http_<status>.
+// The URL is re-checked on every send and redirects are not followed.
+export async function postWebhook(url, { secret, event, deliveryId, payload, userAgent = 'Elevea-Webhooks/1.0' }) {
+  const target = new URL(assertWebhookUrl(url));
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const client = target.protocol === 'https:' ? https : http;
+
+  const status = await new Promise((resolve, reject) => {
+    const request = client.request(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': userAgent,
+        'X-Elevea-Event': event,
+        'X-Elevea-Delivery': String(deliveryId),
+        'X-Elevea-Timestamp': String(timestamp),
+        'X-Elevea-Signature': `sha256=${signWebhook(secret, timestamp, body)}`
+      },
+      lookup: publicOnlyLookup,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    }, response => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+
+    request.on('error', reject);
+    request.end(body);
+  });
+
+  if (status < 200 || status >= 300) {
+    const error = new Error(`webhook_http_${status}`);
+    error.status = status;
+    throw error;
+  }
+
+  return { status };
+}